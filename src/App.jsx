@@ -1,10 +1,15 @@
 import React from 'react';
-import { BrowserRouter as Router } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import AppLayout from './applayout/Applayout';
+import CustomerDisplay from './pages/CustomerDisplay';
 function App() {
   return (
     <Router>
-        <AppLayout />
+        <Routes>
+            {/* Customer-facing second monitor, without the navbar */}
+            <Route path="/display" element={<CustomerDisplay />} />
+            <Route path="/*" element={<AppLayout />} />
+        </Routes>
     </Router>
   );
 }
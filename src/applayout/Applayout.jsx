@@ -1,15 +1,27 @@
 import React from 'react';
 import { Routes, Route } from 'react-router-dom';
 import Navbar from '../components/Navbar';
+import CartConflictBanner from '../components/CartConflictBanner';
+import useCartSync from '../hooks/useCartSync';
 import Products from '../pages/Products';
 import Checkout from '../pages/Checkout';
 import Bills from '../pages/Bills';
 import Inventory from '../pages/Inventory';
+import Settings from '../pages/Settings';
+import Reports from '../pages/Reports';
+import Purchases from '../pages/Purchases';
+import Promotions from '../pages/Promotions';
+import Customers from '../pages/Customers';
+import CustomerDetail from '../pages/CustomerDetail';
 
 const AppLayout = () => {
+    // Cart sharing between tabs on the same terminal
+    useCartSync();
+
     return (
         <div className="min-h-screen bg-gray-50">
             <Navbar />
+            <CartConflictBanner />
             {/* 🔧 Use the CSS class for proper navbar spacing */}
             <main className="flex-1 main-content">
                 <Routes>
@@ -17,7 +29,13 @@ const AppLayout = () => {
                     <Route path="/products" element={<Products />} />
                     <Route path="/checkout" element={<Checkout />} />
                     <Route path="/bills" element={<Bills />} />
+                    <Route path="/customers" element={<Customers />} />
+                    <Route path="/customers/:phone" element={<CustomerDetail />} />
                     <Route path="/inventory" element={<Inventory />} />
+                    <Route path="/purchases" element={<Purchases />} />
+                    <Route path="/promotions" element={<Promotions />} />
+                    <Route path="/reports" element={<Reports />} />
+                    <Route path="/settings" element={<Settings />} />
                     <Route path="*" element={<NotFound />} />
                 </Routes>
             </main>
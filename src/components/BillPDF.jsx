@@ -1,13 +1,25 @@
 import React, { useState, useEffect } from 'react';
 import { createPortal } from 'react-dom';
-import { jsPDF } from 'jspdf';
-import html2canvas from 'html2canvas-pro';
-import { shopAPI } from '../services/api';
+import useShopStore from '../stores/useShopStore';
+import { billHasGST, summarizeTaxByRate, getStateName } from '../utils/gst';
+import { withShopDefaults, getInvoiceTerms, getShopGSTIN } from '../utils/shopSettings';
+import { printElement } from '../utils/print';
+import { buildInvoicePDF } from '../utils/invoicePdf';
+import ReceiptActions from './ReceiptActions';
+import { RETURN_STATUS, getReturnStatusLabel } from '../utils/returns';
+import { PAY_LATER_PAYMENT_METHOD, getBillPayments, getPaymentLineLabel, getPaymentMethodLabel } from '../utils/paymentMethods';
+import { getBillTotals, getDiscountLabel } from '../utils/billTotals';
+import { billHasLoyalty, getBillLoyalty } from '../utils/loyalty';
+import { getBillPromotions, getPromotionLabel } from '../utils/promotions';
+import { getBillUpiPayment, getUpiConfig } from '../utils/upi';
+import UpiQrCode from './UpiQrCode';
 
 const BillPDF = ({ bill, onClose }) => {
-  const [shopSettings, setShopSettings] = useState(null);
+  const shopSettings = useShopStore((state) => state.settings);
+  const fetchShopSettings = useShopStore((state) => state.fetchSettings);
+  const error = useShopStore((state) => state.error);
   const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const [showUpiQr, setShowUpiQr] = useState(false);
 
   // 🔑 CRITICAL: Lock body scroll when modal is open
   useEffect(() => {
@@ -35,79 +47,25 @@ const BillPDF = ({ bill, onClose }) => {
   }, []);
 
   useEffect(() => {
-    const fetchShopSettings = async () => {
-      try {
-        console.log('Fetching shop settings...');
-        const response = await shopAPI.getSettings();
-        console.log('Shop settings fetched successfully:', response.data);
-        setShopSettings(response.data);
-        setError(null);
-      } catch (error) {
-        console.error('Failed to fetch shop settings:', {
-          message: error.message,
-          response: error.response?.data,
-          status: error.response?.status
-        });
-
-        setError(error.message);
-
-        // Use default settings as fallback
-        setShopSettings({
-          shop_name: 'Ramji Electronics',
-          address_line1: 'Near New Police station,old bus stand',
-          address_line2: 'Perambalur, Tamil Nadu - 621212',
-          phone: '+91 9786359161',
-          email: 'info@sparkelectronics.com',
-          website: 'www.sparkelectronics.com',
-          gst_number: '29ABCDE1234F1Z5'
-        });
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    fetchShopSettings();
-  }, []);
+    fetchShopSettings().finally(() => setLoading(false));
+  }, [fetchShopSettings]);
 
   const generateFormattedPDF = async () => {
     try {
-      console.log('Starting PDF generation...');
-      const element = document.getElementById('bill-content');
-
-      if (!element) {
-        throw new Error('Bill content element not found');
-      }
-      console.log('Capturing element as canvas...');
-      const canvas = await html2canvas(element, {
-        scale: 2,
-        useCORS: true,
-        allowTaint: true,
-        backgroundColor: '#ffffff'
+      const doc = await buildInvoicePDF({
+        bill,
+        shopSettings: safeShopSettings,
+        summary: {
+          subtotal,
+          discountAmount,
+          discountLabel: `${discountLabel}:`,
+          total: safeBillData.total_amount
+        },
+        upiPayment: showUpiQr ? upiPayment : null
       });
-      console.log('Canvas created, generating PDF...');
-      const imgData = canvas.toDataURL('image/png');
-
-      const doc = new jsPDF('p', 'mm', 'a4');
-      const imgWidth = 210;
-      const pageHeight = 295;
-      const imgHeight = (canvas.height * imgWidth) / canvas.width;
-      let heightLeft = imgHeight;
-      let position = 0;
-
-      doc.addImage(imgData, 'PNG', 0, position, imgWidth, imgHeight);
-      heightLeft -= pageHeight;
-
-      while (heightLeft >= 0) {
-        position = heightLeft - imgHeight;
-        doc.addPage();
-        doc.addImage(imgData, 'PNG', 0, position, imgWidth, imgHeight);
-        heightLeft -= pageHeight;
-      }
 
-      console.log('Saving PDF...');
       const fileName = `invoice-${bill?.id?.substring(0, 8) || 'unknown'}.pdf`;
       doc.save(fileName);
-      console.log('PDF generated successfully');
     } catch (error) {
       console.error('Detailed PDF generation error:', {
         message: error.message,
@@ -117,18 +75,18 @@ const BillPDF = ({ bill, onClose }) => {
     }
   };
 
-  const printBill = () => {
+  // Prints from an iframe so the open app keeps its state
+  const printBill = async () => {
     try {
       const printContent = document.getElementById('bill-content');
       if (!printContent) {
         return;
       }
 
-      const originalContent = document.body.innerHTML;
-      document.body.innerHTML = printContent.outerHTML;
-      window.print();
-      document.body.innerHTML = originalContent;
-      window.location.reload();
+      await printElement(printContent, {
+        title: `Invoice ${bill?.id?.substring(0, 8) || ''}`,
+        pageCss: '@page { size: A4; margin: 10mm; } body { background: #ffffff; }'
+      });
     } catch (error) {
       console.error('Print error:', error);
     }
@@ -143,25 +101,62 @@ const BillPDF = ({ bill, onClose }) => {
       .join(' ');
   }
 
-  // Safe calculation with fallbacks
-  const subtotal = bill?.bill_items?.reduce((sum, item) => {
-    const price = parseFloat(item?.total_price) || 0;
-    return sum + price;
-  }, 0) || 0;
-
-  const discountAmount = (subtotal * (parseFloat(bill?.discount_percentage) || 0)) / 100;
-  const finalTotal = subtotal - discountAmount;
+  // Percentage and flat-amount discounts both come out of the shared bill totals
+  const billTotals = getBillTotals(bill);
+  const subtotal = billTotals.gross;
+  const discountAmount = billTotals.discount;
+  const discountLabel = getDiscountLabel(billTotals);
 
   // Safe data extraction with fallbacks
-  const safeShopSettings = {
-    shop_name: shopSettings?.shop_name || 'Ramji Electronics',
-    address_line1: shopSettings?.address_line1 || 'Near New Police station,old bus stand',
-    address_line2: shopSettings?.address_line2 || 'Perambalur, Tamil Nadu - 621212',
-    phone: shopSettings?.phone || '+91 9786359161',
-    email: shopSettings?.email || 'info@sparkelectronics.com',
-    website: shopSettings?.website || 'www.sparkelectronics.com',
-    gst_number: shopSettings?.gst_number || '29ABCDE1234F1Z5'
+  const safeShopSettings = withShopDefaults(shopSettings);
+  const shopGstin = getShopGSTIN(safeShopSettings);
+  const invoiceTerms = getInvoiceTerms(safeShopSettings);
+
+  // GST breakup is only available on bills created after the tax engine was introduced
+  const hasGST = billHasGST(bill);
+  const taxRateSummary = hasGST ? summarizeTaxByRate(bill?.bill_items || []) : [];
+  const taxTotals = {
+    taxable: parseFloat(bill?.taxable_amount) || 0,
+    cgst: parseFloat(bill?.cgst_amount) || 0,
+    sgst: parseFloat(bill?.sgst_amount) || 0,
+    igst: parseFloat(bill?.igst_amount) || 0,
+    total: parseFloat(bill?.total_tax) || 0
   };
+  const isInterState = taxTotals.igst > 0;
+  const placeOfSupply = bill?.customer_state || getStateName(bill?.place_of_supply);
+  const billPayments = getBillPayments(bill);
+  const showPaymentBreakdown = billPayments.length > 1
+    || billPayments.some(payment => payment.reference || payment.tendered || payment.method === PAY_LATER_PAYMENT_METHOD);
+  const returnStatusLabel = getReturnStatusLabel(bill?.return_status);
+  const refundedAmount = parseFloat(bill?.refunded_amount) || 0;
+  const loyalty = getBillLoyalty(bill);
+  const showLoyalty = billHasLoyalty(bill);
+  const billPromotions = getBillPromotions(bill);
+  // Only for bills with a Pay Later balance, off by default so the shop copy stays plain
+  const upiPayment = getBillUpiPayment(bill, getUpiConfig(safeShopSettings));
+  const upiQrShown = showUpiQr && upiPayment;
+
+  const upiQrToggle = upiPayment && (
+    <label className="flex items-center gap-2 text-xs sm:text-sm text-gray-600 mt-1 cursor-pointer">
+      <input
+        type="checkbox"
+        checked={showUpiQr}
+        onChange={(e) => setShowUpiQr(e.target.checked)}
+        className="rounded border-gray-300"
+      />
+      Add UPI QR for the ₹{upiPayment.amount.toFixed(2)} still owed
+    </label>
+  );
+
+  const upiQrBlock = upiQrShown && (
+    <div className="text-center sm:text-left">
+      <UpiQrCode uri={upiPayment.uri} size={136} className="mx-auto sm:mx-0" />
+      <p className="text-sm font-semibold text-gray-800 mt-2">Scan to pay ₹{upiPayment.amount.toFixed(2)} by UPI</p>
+      <p className="text-xs text-gray-600">{upiPayment.payeeName}</p>
+      <p className="text-xs text-gray-500 font-mono">{upiPayment.upiId}</p>
+      <p className="text-xs text-gray-500">Ref: {upiPayment.reference}</p>
+    </div>
+  );
 
   const safeBillData = {
     id: bill?.id || 'N/A',
@@ -171,8 +166,7 @@ const BillPDF = ({ bill, onClose }) => {
     created_at: bill?.created_at || new Date().toISOString(),
     billed_by: bill?.billed_by || 'System Administrator',
     payment_method: bill?.payment_method || 'cash',
-    discount_percentage: parseFloat(bill?.discount_percentage) || 0,
-    total_amount: parseFloat(bill?.total_amount) || finalTotal,
+    total_amount: billTotals.net,
     bill_items: bill?.bill_items || []
   };
 
@@ -232,6 +226,7 @@ const BillPDF = ({ bill, onClose }) => {
             <div className="flex justify-between items-center p-6 border-b bg-gray-50 rounded-t-lg flex-shrink-0">
               <div>
                 <h2 className="text-xl font-semibold text-gray-800">Invoice Preview</h2>
+                {upiQrToggle}
                 {error && (
                   <p className="text-xs text-red-500 mt-1">
                     Shop settings error: {error} (using defaults)
@@ -253,6 +248,14 @@ const BillPDF = ({ bill, onClose }) => {
                 <div className="border-b-2 border-gray-800 pb-6 mb-6">
                   <div className="flex justify-between items-start">
                     <div className="w-2/3">
+                      {safeShopSettings.logo_url && (
+                        <img
+                          src={safeShopSettings.logo_url}
+                          alt={safeShopSettings.shop_name}
+                          crossOrigin="anonymous"
+                          className="h-16 w-auto object-contain mb-3"
+                        />
+                      )}
                       <h1 className="text-3xl font-bold text-gray-800 mb-2">
                         {safeShopSettings.shop_name.toUpperCase()}
                       </h1>
@@ -264,14 +267,22 @@ const BillPDF = ({ bill, onClose }) => {
                           <span>✉️ {safeShopSettings.email}</span>
                         </p>
                         <p>🌐 {safeShopSettings.website}</p>
-                        <p><strong>GST No:</strong> {safeShopSettings.gst_number}</p>
+                        {shopGstin && <p><strong>GST No:</strong> {shopGstin}</p>}
                       </div>
                     </div>
                     <div className="text-right">
                       <div className="bg-blue-100 px-4 py-2 rounded-lg border border-blue-300">
-                        <h2 className="text-xl font-bold text-blue-800">INVOICE</h2>
+                        <h2 className="text-xl font-bold text-blue-800">{hasGST ? 'TAX INVOICE' : 'INVOICE'}</h2>
                         <p className="text-sm text-blue-600">Original Copy</p>
                       </div>
+                      {returnStatusLabel && (
+                        <div className={`mt-2 px-3 py-1 rounded-lg border text-sm font-semibold ${
+                          bill.return_status === RETURN_STATUS.FULL ? 'bg-red-50 border-red-300 text-red-700' : 'bg-orange-50 border-orange-300 text-orange-700'
+                        }`}>
+                          {returnStatusLabel.toUpperCase()}
+                          {refundedAmount > 0 && <span className="block text-xs font-normal">Refunded ₹{refundedAmount.toFixed(2)}</span>}
+                        </div>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -288,6 +299,11 @@ const BillPDF = ({ bill, onClose }) => {
                       {safeBillData.customer_email && (
                         <p className="text-sm text-gray-600">✉️ {safeBillData.customer_email}</p>
                       )}
+                      {hasGST && placeOfSupply && (
+                        <p className="text-sm text-gray-600">
+                          <strong>Place of Supply:</strong> {placeOfSupply}{bill?.place_of_supply ? ` (${bill.place_of_supply})` : ''}
+                        </p>
+                      )}
                     </div>
                   </div>
                   <div>
@@ -312,7 +328,7 @@ const BillPDF = ({ bill, onClose }) => {
                       <div className="flex justify-between">
                         <span className="text-sm text-gray-600">Payment:</span>
                         <span className="text-sm font-medium text-green-600">
-                          {toTitleCase(safeBillData.payment_method)}
+                          {getPaymentMethodLabel(safeBillData.payment_method)}
                         </span>
                       </div>
                     </div>
@@ -326,8 +342,17 @@ const BillPDF = ({ bill, onClose }) => {
                       <tr className="bg-gray-800 text-white">
                         <th className="border border-gray-400 px-3 py-3 text-left text-sm font-semibold">S.No</th>
                         <th className="border border-gray-400 px-3 py-3 text-left text-sm font-semibold">Product Details</th>
+                        {hasGST && (
+                          <th className="border border-gray-400 px-3 py-3 text-center text-sm font-semibold">HSN</th>
+                        )}
                         <th className="border border-gray-400 px-3 py-3 text-center text-sm font-semibold">Qty</th>
                         <th className="border border-gray-400 px-3 py-3 text-right text-sm font-semibold">Unit Price</th>
+                        {hasGST && (
+                          <>
+                            <th className="border border-gray-400 px-3 py-3 text-right text-sm font-semibold">Taxable</th>
+                            <th className="border border-gray-400 px-3 py-3 text-right text-sm font-semibold">GST</th>
+                          </>
+                        )}
                         <th className="border border-gray-400 px-3 py-3 text-right text-sm font-semibold">Total</th>
                       </tr>
                     </thead>
@@ -353,19 +378,41 @@ const BillPDF = ({ bill, onClose }) => {
                               )}
                             </div>
                           </td>
+                          {hasGST && (
+                            <td className="border border-gray-400 px-3 py-3 text-center text-sm font-mono">
+                              {item?.hsn_code || '-'}
+                            </td>
+                          )}
                           <td className="border border-gray-400 px-3 py-3 text-center text-sm font-medium">
                             {item?.quantity || 0}
                           </td>
                           <td className="border border-gray-400 px-3 py-3 text-right text-sm">
                             ₹{parseFloat(item?.unit_price || 0).toFixed(2)}
+                            {item?.list_price !== undefined && item?.list_price !== null && (
+                              <div className="text-xs text-gray-500 line-through">₹{parseFloat(item.list_price).toFixed(2)}</div>
+                            )}
                           </td>
+                          {hasGST && (
+                            <>
+                              <td className="border border-gray-400 px-3 py-3 text-right text-sm">
+                                ₹{parseFloat(item?.taxable_value || 0).toFixed(2)}
+                              </td>
+                              <td className="border border-gray-400 px-3 py-3 text-right text-sm">
+                                <div>₹{((parseFloat(item?.cgst_amount) || 0) + (parseFloat(item?.sgst_amount) || 0) + (parseFloat(item?.igst_amount) || 0)).toFixed(2)}</div>
+                                <div className="text-xs text-gray-500">@{parseFloat(item?.gst_rate) || 0}%</div>
+                              </td>
+                            </>
+                          )}
                           <td className="border border-gray-400 px-3 py-3 text-right text-sm font-medium">
                             ₹{parseFloat(item?.total_price || 0).toFixed(2)}
+                            {parseFloat(item?.line_discount) > 0 && (
+                              <div className="text-xs font-normal text-green-700">after -₹{parseFloat(item.line_discount).toFixed(2)} off</div>
+                            )}
                           </td>
                         </tr>
                       )) : (
                         <tr>
-                          <td colSpan="5" className="border border-gray-400 px-3 py-3 text-center text-sm text-gray-500">
+                          <td colSpan={hasGST ? 8 : 5} className="border border-gray-400 px-3 py-3 text-center text-sm text-gray-500">
                             No items found
                           </td>
                         </tr>
@@ -375,7 +422,8 @@ const BillPDF = ({ bill, onClose }) => {
                 </div>
 
                 {/* Summary Section */}
-                <div className="flex justify-end mb-6">
+                <div className="flex justify-end items-start gap-6 mb-6">
+                  {upiQrBlock && <div className="mr-auto">{upiQrBlock}</div>}
                   <div className="w-80">
                     <table className="w-full border border-gray-400">
                       <tbody>
@@ -391,16 +439,61 @@ const BillPDF = ({ bill, onClose }) => {
                             ₹{subtotal.toFixed(2)}
                           </td>
                         </tr>
-                        {safeBillData.discount_percentage > 0 && (
+                        {billPromotions.map(promotion => (
+                          <tr key={promotion.promotion_id || promotion.name} className="bg-pink-50">
+                            <td className="border border-gray-400 px-4 py-2 text-sm font-medium text-pink-700">
+                              {getPromotionLabel(promotion)}:
+                            </td>
+                            <td className="border border-gray-400 px-4 py-2 text-right text-sm text-pink-700">
+                              -₹{promotion.amount.toFixed(2)}
+                            </td>
+                          </tr>
+                        ))}
+                        {discountAmount > 0 && (
                           <tr className="bg-green-50">
                             <td className="border border-gray-400 px-4 py-2 text-sm font-medium text-green-700">
-                              Discount ({safeBillData.discount_percentage}%):
+                              {discountLabel}:
                             </td>
                             <td className="border border-gray-400 px-4 py-2 text-right text-sm text-green-700">
                               -₹{discountAmount.toFixed(2)}
                             </td>
                           </tr>
                         )}
+                        {loyalty.redeemMode === 'discount' && loyalty.redeemValue > 0 && (
+                          <tr className="bg-amber-50">
+                            <td className="border border-gray-400 px-4 py-2 text-sm font-medium text-amber-700">
+                              Loyalty Points ({loyalty.redeemed}):
+                            </td>
+                            <td className="border border-gray-400 px-4 py-2 text-right text-sm text-amber-700">
+                              -₹{loyalty.redeemValue.toFixed(2)}
+                            </td>
+                          </tr>
+                        )}
+                        {hasGST && (
+                          <>
+                            <tr className="bg-white">
+                              <td className="border border-gray-400 px-4 py-2 text-sm font-medium">Taxable Value:</td>
+                              <td className="border border-gray-400 px-4 py-2 text-right text-sm">₹{taxTotals.taxable.toFixed(2)}</td>
+                            </tr>
+                            {isInterState ? (
+                              <tr className="bg-white">
+                                <td className="border border-gray-400 px-4 py-2 text-sm font-medium">IGST:</td>
+                                <td className="border border-gray-400 px-4 py-2 text-right text-sm">₹{taxTotals.igst.toFixed(2)}</td>
+                              </tr>
+                            ) : (
+                              <>
+                                <tr className="bg-white">
+                                  <td className="border border-gray-400 px-4 py-2 text-sm font-medium">CGST:</td>
+                                  <td className="border border-gray-400 px-4 py-2 text-right text-sm">₹{taxTotals.cgst.toFixed(2)}</td>
+                                </tr>
+                                <tr className="bg-white">
+                                  <td className="border border-gray-400 px-4 py-2 text-sm font-medium">SGST:</td>
+                                  <td className="border border-gray-400 px-4 py-2 text-right text-sm">₹{taxTotals.sgst.toFixed(2)}</td>
+                                </tr>
+                              </>
+                            )}
+                          </>
+                        )}
                         <tr className="bg-gray-800 text-white">
                           <td className="border border-gray-400 px-4 py-3 text-base font-bold">
                             Grand Total:
@@ -409,21 +502,96 @@ const BillPDF = ({ bill, onClose }) => {
                             ₹{safeBillData.total_amount.toFixed(2)}
                           </td>
                         </tr>
+                        {showPaymentBreakdown && billPayments.map((payment, index) => (
+                          <React.Fragment key={index}>
+                            <tr className="bg-white">
+                              <td className="border border-gray-400 px-4 py-2 text-sm">
+                                {getPaymentLineLabel(payment.method)}
+                                {payment.reference && <span className="block text-xs text-gray-500 font-mono">Ref: {payment.reference}</span>}
+                              </td>
+                              <td className="border border-gray-400 px-4 py-2 text-right text-sm">₹{payment.amount.toFixed(2)}</td>
+                            </tr>
+                            {payment.tendered > 0 && (
+                              <tr className="bg-white text-gray-600">
+                                <td className="border border-gray-400 px-4 py-2 text-sm">Cash received / Change:</td>
+                                <td className="border border-gray-400 px-4 py-2 text-right text-sm">
+                                  ₹{parseFloat(payment.tendered).toFixed(2)} / ₹{(parseFloat(payment.change) || 0).toFixed(2)}
+                                </td>
+                              </tr>
+                            )}
+                          </React.Fragment>
+                        ))}
+                        {showLoyalty && (
+                          <tr className="bg-amber-50 text-amber-800">
+                            <td className="border border-gray-400 px-4 py-2 text-sm">
+                              Loyalty Points
+                              <span className="block text-xs">
+                                {[
+                                  loyalty.redeemed > 0 && `${loyalty.redeemed} redeemed`,
+                                  loyalty.earned > 0 && `${loyalty.earned} earned`
+                                ].filter(Boolean).join(' • ')}
+                              </span>
+                            </td>
+                            <td className="border border-gray-400 px-4 py-2 text-right text-sm font-medium">
+                              {loyalty.balance !== null ? `Balance ${loyalty.balance}` : ''}
+                            </td>
+                          </tr>
+                        )}
                       </tbody>
                     </table>
                   </div>
                 </div>
 
+                {/* GST Rate-wise Summary */}
+                {hasGST && taxRateSummary.length > 0 && (
+                  <div className="mb-6">
+                    <h4 className="text-sm font-semibold text-gray-800 mb-2">GST Summary</h4>
+                    <table className="w-full border-collapse border border-gray-400 text-sm">
+                      <thead>
+                        <tr className="bg-gray-100">
+                          <th className="border border-gray-400 px-3 py-2 text-left">GST Rate</th>
+                          <th className="border border-gray-400 px-3 py-2 text-right">Taxable Value</th>
+                          {isInterState ? (
+                            <th className="border border-gray-400 px-3 py-2 text-right">IGST</th>
+                          ) : (
+                            <>
+                              <th className="border border-gray-400 px-3 py-2 text-right">CGST</th>
+                              <th className="border border-gray-400 px-3 py-2 text-right">SGST</th>
+                            </>
+                          )}
+                          <th className="border border-gray-400 px-3 py-2 text-right">Total Tax</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {taxRateSummary.map(entry => (
+                          <tr key={entry.rate}>
+                            <td className="border border-gray-400 px-3 py-2">{entry.rate}%</td>
+                            <td className="border border-gray-400 px-3 py-2 text-right">₹{entry.taxable_value.toFixed(2)}</td>
+                            {isInterState ? (
+                              <td className="border border-gray-400 px-3 py-2 text-right">₹{entry.igst_amount.toFixed(2)}</td>
+                            ) : (
+                              <>
+                                <td className="border border-gray-400 px-3 py-2 text-right">₹{entry.cgst_amount.toFixed(2)} <span className="text-xs text-gray-500">@{entry.rate / 2}%</span></td>
+                                <td className="border border-gray-400 px-3 py-2 text-right">₹{entry.sgst_amount.toFixed(2)} <span className="text-xs text-gray-500">@{entry.rate / 2}%</span></td>
+                              </>
+                            )}
+                            <td className="border border-gray-400 px-3 py-2 text-right font-medium">₹{entry.tax_amount.toFixed(2)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+
                 {/* Terms and Footer */}
                 <div className="border-t border-gray-300 pt-4 space-y-3">
                   <div className="grid grid-cols-2 gap-8 text-xs text-gray-600">
                     <div>
                       <h4 className="font-semibold text-gray-800 mb-2">Terms & Conditions:</h4>
                       <ul className="space-y-1">
-                        <li>• All sales are final unless defective</li>
-                        <li>• Warranty as per manufacturer terms</li>
-                        <li>• Return within 7 days with receipt</li>
-                        <li>• Goods once sold cannot be exchanged</li>
+                        {invoiceTerms.map((term, index) => (
+                          <li key={index}>• {term}</li>
+                        ))}
                       </ul>
                     </div>
                     <div className="text-right">
@@ -437,14 +605,18 @@ const BillPDF = ({ bill, onClose }) => {
                     <p className="text-sm font-medium text-blue-600">
                       Thank you for shopping with {safeShopSettings.shop_name}!
                     </p>
-                    <p className="text-xs text-gray-500 mt-1">Visit us again for all your electronic needs</p>
+                    {safeShopSettings.footer_text && (
+                      <p className="text-xs text-gray-500 mt-1">{safeShopSettings.footer_text}</p>
+                    )}
                   </div>
                 </div>
               </div>
             </div>
 
+            <ReceiptActions bill={bill} shopSettings={safeShopSettings} />
+
             {/* Desktop Action Buttons */}
-            <div className="flex space-x-3 p-6 bg-gray-50 rounded-b-lg border-t flex-shrink-0">
+            <div className="flex space-x-3 p-6 bg-gray-50 rounded-b-lg flex-shrink-0">
               <button
                 onClick={generateFormattedPDF}
                 className="flex-1 bg-blue-600 text-white py-3 px-4 rounded-lg hover:bg-blue-700 transition-colors font-medium flex items-center justify-center text-base"
@@ -488,6 +660,7 @@ const BillPDF = ({ bill, onClose }) => {
             <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center p-3 sm:p-4 border-b bg-gray-50 rounded-t-lg space-y-2 sm:space-y-0 flex-shrink-0">
               <div>
                 <h2 className="text-lg sm:text-xl font-semibold text-gray-800">Invoice Preview</h2>
+                {upiQrToggle}
                 {error && (
                   <p className="text-xs text-red-500 mt-1">
                     Shop settings error: {error} (using defaults)
@@ -515,6 +688,14 @@ const BillPDF = ({ bill, onClose }) => {
                 <div className="border-b-2 border-gray-800 pb-4 sm:pb-6 mb-4 sm:mb-6">
                   <div className="flex flex-col space-y-4">
                     <div className="w-full">
+                      {safeShopSettings.logo_url && (
+                        <img
+                          src={safeShopSettings.logo_url}
+                          alt={safeShopSettings.shop_name}
+                          crossOrigin="anonymous"
+                          className="h-12 w-auto object-contain mb-2"
+                        />
+                      )}
                       <h1 className="text-xl sm:text-2xl font-bold text-gray-800 mb-2">
                         {safeShopSettings.shop_name.toUpperCase()}
                       </h1>
@@ -526,14 +707,22 @@ const BillPDF = ({ bill, onClose }) => {
                           <span>✉️ {safeShopSettings.email}</span>
                         </p>
                         <p>🌐 {safeShopSettings.website}</p>
-                        <p><strong>GST No:</strong> {safeShopSettings.gst_number}</p>
+                        {shopGstin && <p><strong>GST No:</strong> {shopGstin}</p>}
                       </div>
                     </div>
                     <div className="w-full text-center sm:text-right">
                       <div className="bg-blue-100 px-3 sm:px-4 py-2 rounded-lg border border-blue-300 inline-block">
-                        <h2 className="text-lg sm:text-xl font-bold text-blue-800">INVOICE</h2>
+                        <h2 className="text-lg sm:text-xl font-bold text-blue-800">{hasGST ? 'TAX INVOICE' : 'INVOICE'}</h2>
                         <p className="text-xs sm:text-sm text-blue-600">Original Copy</p>
                       </div>
+                      {returnStatusLabel && (
+                        <div className={`mt-2 px-3 py-1 rounded-lg border text-xs sm:text-sm font-semibold inline-block sm:block ${
+                          bill.return_status === RETURN_STATUS.FULL ? 'bg-red-50 border-red-300 text-red-700' : 'bg-orange-50 border-orange-300 text-orange-700'
+                        }`}>
+                          {returnStatusLabel.toUpperCase()}
+                          {refundedAmount > 0 && <span className="block text-xs font-normal">Refunded ₹{refundedAmount.toFixed(2)}</span>}
+                        </div>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -550,6 +739,11 @@ const BillPDF = ({ bill, onClose }) => {
                       {safeBillData.customer_email && (
                         <p className="text-xs sm:text-sm text-gray-600">✉️ {safeBillData.customer_email}</p>
                       )}
+                      {hasGST && placeOfSupply && (
+                        <p className="text-xs sm:text-sm text-gray-600">
+                          <strong>Place of Supply:</strong> {placeOfSupply}{bill?.place_of_supply ? ` (${bill.place_of_supply})` : ''}
+                        </p>
+                      )}
                     </div>
                   </div>
                   <div>
@@ -574,7 +768,7 @@ const BillPDF = ({ bill, onClose }) => {
                       <div className="flex justify-between">
                         <span className="text-xs sm:text-sm text-gray-600">Payment:</span>
                         <span className="text-xs sm:text-sm font-medium text-green-600">
-                          {toTitleCase(safeBillData.payment_method)}
+                          {getPaymentMethodLabel(safeBillData.payment_method)}
                         </span>
                       </div>
                     </div>
@@ -588,8 +782,17 @@ const BillPDF = ({ bill, onClose }) => {
                       <tr className="bg-gray-800 text-white">
                         <th className="border border-gray-400 px-2 py-2 text-left text-xs font-semibold">S.No</th>
                         <th className="border border-gray-400 px-2 py-2 text-left text-xs font-semibold">Product Details</th>
+                        {hasGST && (
+                          <th className="border border-gray-400 px-2 py-2 text-center text-xs font-semibold">HSN</th>
+                        )}
                         <th className="border border-gray-400 px-2 py-2 text-center text-xs font-semibold">Qty</th>
                         <th className="border border-gray-400 px-2 py-2 text-right text-xs font-semibold">Unit Price</th>
+                        {hasGST && (
+                          <>
+                            <th className="border border-gray-400 px-2 py-2 text-right text-xs font-semibold">Taxable</th>
+                            <th className="border border-gray-400 px-2 py-2 text-right text-xs font-semibold">GST</th>
+                          </>
+                        )}
                         <th className="border border-gray-400 px-2 py-2 text-right text-xs font-semibold">Total</th>
                       </tr>
                     </thead>
@@ -615,19 +818,41 @@ const BillPDF = ({ bill, onClose }) => {
                               )}
                             </div>
                           </td>
+                          {hasGST && (
+                            <td className="border border-gray-400 px-2 py-2 text-center text-xs font-mono">
+                              {item?.hsn_code || '-'}
+                            </td>
+                          )}
                           <td className="border border-gray-400 px-2 py-2 text-center text-xs font-medium">
                             {item?.quantity || 0}
                           </td>
                           <td className="border border-gray-400 px-2 py-2 text-right text-xs">
                             ₹{parseFloat(item?.unit_price || 0).toFixed(2)}
+                            {item?.list_price !== undefined && item?.list_price !== null && (
+                              <div className="text-[10px] text-gray-500 line-through">₹{parseFloat(item.list_price).toFixed(2)}</div>
+                            )}
                           </td>
+                          {hasGST && (
+                            <>
+                              <td className="border border-gray-400 px-2 py-2 text-right text-xs">
+                                ₹{parseFloat(item?.taxable_value || 0).toFixed(2)}
+                              </td>
+                              <td className="border border-gray-400 px-2 py-2 text-right text-xs">
+                                <div>₹{((parseFloat(item?.cgst_amount) || 0) + (parseFloat(item?.sgst_amount) || 0) + (parseFloat(item?.igst_amount) || 0)).toFixed(2)}</div>
+                                <div className="text-[10px] text-gray-500">@{parseFloat(item?.gst_rate) || 0}%</div>
+                              </td>
+                            </>
+                          )}
                           <td className="border border-gray-400 px-2 py-2 text-right text-xs font-medium">
                             ₹{parseFloat(item?.total_price || 0).toFixed(2)}
+                            {parseFloat(item?.line_discount) > 0 && (
+                              <div className="text-[10px] font-normal text-green-700">after -₹{parseFloat(item.line_discount).toFixed(2)} off</div>
+                            )}
                           </td>
                         </tr>
                       )) : (
                         <tr>
-                          <td colSpan="5" className="border border-gray-400 px-2 py-2 text-center text-xs text-gray-500">
+                          <td colSpan={hasGST ? 8 : 5} className="border border-gray-400 px-2 py-2 text-center text-xs text-gray-500">
                             No items found
                           </td>
                         </tr>
@@ -637,7 +862,8 @@ const BillPDF = ({ bill, onClose }) => {
                 </div>
 
                 {/* Mobile Summary Section */}
-                <div className="flex justify-center mb-4 sm:mb-6">
+                <div className="flex flex-col-reverse sm:flex-row justify-center items-center sm:items-start gap-4 mb-4 sm:mb-6">
+                  {upiQrBlock}
                   <div className="w-full sm:w-80">
                     <table className="w-full border border-gray-400">
                       <tbody>
@@ -653,16 +879,61 @@ const BillPDF = ({ bill, onClose }) => {
                             ₹{subtotal.toFixed(2)}
                           </td>
                         </tr>
-                        {safeBillData.discount_percentage > 0 && (
+                        {billPromotions.map(promotion => (
+                          <tr key={promotion.promotion_id || promotion.name} className="bg-pink-50">
+                            <td className="border border-gray-400 px-3 py-2 text-xs sm:text-sm font-medium text-pink-700">
+                              {getPromotionLabel(promotion)}:
+                            </td>
+                            <td className="border border-gray-400 px-3 py-2 text-right text-xs sm:text-sm text-pink-700">
+                              -₹{promotion.amount.toFixed(2)}
+                            </td>
+                          </tr>
+                        ))}
+                        {discountAmount > 0 && (
                           <tr className="bg-green-50">
                             <td className="border border-gray-400 px-3 py-2 text-xs sm:text-sm font-medium text-green-700">
-                              Discount ({safeBillData.discount_percentage}%):
+                              {discountLabel}:
                             </td>
                             <td className="border border-gray-400 px-3 py-2 text-right text-xs sm:text-sm text-green-700">
                               -₹{discountAmount.toFixed(2)}
                             </td>
                           </tr>
                         )}
+                        {loyalty.redeemMode === 'discount' && loyalty.redeemValue > 0 && (
+                          <tr className="bg-amber-50">
+                            <td className="border border-gray-400 px-3 py-2 text-xs sm:text-sm font-medium text-amber-700">
+                              Loyalty Points ({loyalty.redeemed}):
+                            </td>
+                            <td className="border border-gray-400 px-3 py-2 text-right text-xs sm:text-sm text-amber-700">
+                              -₹{loyalty.redeemValue.toFixed(2)}
+                            </td>
+                          </tr>
+                        )}
+                        {hasGST && (
+                          <>
+                            <tr className="bg-white">
+                              <td className="border border-gray-400 px-3 py-2 text-xs sm:text-sm font-medium">Taxable Value:</td>
+                              <td className="border border-gray-400 px-3 py-2 text-right text-xs sm:text-sm">₹{taxTotals.taxable.toFixed(2)}</td>
+                            </tr>
+                            {isInterState ? (
+                              <tr className="bg-white">
+                                <td className="border border-gray-400 px-3 py-2 text-xs sm:text-sm font-medium">IGST:</td>
+                                <td className="border border-gray-400 px-3 py-2 text-right text-xs sm:text-sm">₹{taxTotals.igst.toFixed(2)}</td>
+                              </tr>
+                            ) : (
+                              <>
+                                <tr className="bg-white">
+                                  <td className="border border-gray-400 px-3 py-2 text-xs sm:text-sm font-medium">CGST:</td>
+                                  <td className="border border-gray-400 px-3 py-2 text-right text-xs sm:text-sm">₹{taxTotals.cgst.toFixed(2)}</td>
+                                </tr>
+                                <tr className="bg-white">
+                                  <td className="border border-gray-400 px-3 py-2 text-xs sm:text-sm font-medium">SGST:</td>
+                                  <td className="border border-gray-400 px-3 py-2 text-right text-xs sm:text-sm">₹{taxTotals.sgst.toFixed(2)}</td>
+                                </tr>
+                              </>
+                            )}
+                          </>
+                        )}
                         <tr className="bg-gray-800 text-white">
                           <td className="border border-gray-400 px-3 py-2 text-sm font-bold">
                             Grand Total:
@@ -671,21 +942,94 @@ const BillPDF = ({ bill, onClose }) => {
                             ₹{safeBillData.total_amount.toFixed(2)}
                           </td>
                         </tr>
+                        {showPaymentBreakdown && billPayments.map((payment, index) => (
+                          <React.Fragment key={index}>
+                            <tr className="bg-white">
+                              <td className="border border-gray-400 px-3 py-2 text-xs sm:text-sm">
+                                {getPaymentLineLabel(payment.method)}
+                                {payment.reference && <span className="block text-xs text-gray-500 font-mono">Ref: {payment.reference}</span>}
+                              </td>
+                              <td className="border border-gray-400 px-3 py-2 text-right text-xs sm:text-sm">₹{payment.amount.toFixed(2)}</td>
+                            </tr>
+                            {payment.tendered > 0 && (
+                              <tr className="bg-white text-gray-600">
+                                <td className="border border-gray-400 px-3 py-2 text-xs sm:text-sm">Cash received / Change:</td>
+                                <td className="border border-gray-400 px-3 py-2 text-right text-xs sm:text-sm">
+                                  ₹{parseFloat(payment.tendered).toFixed(2)} / ₹{(parseFloat(payment.change) || 0).toFixed(2)}
+                                </td>
+                              </tr>
+                            )}
+                          </React.Fragment>
+                        ))}
+                        {showLoyalty && (
+                          <tr className="bg-amber-50 text-amber-800">
+                            <td className="border border-gray-400 px-3 py-2 text-xs sm:text-sm">
+                              Loyalty Points
+                              <span className="block text-xs">
+                                {[
+                                  loyalty.redeemed > 0 && `${loyalty.redeemed} redeemed`,
+                                  loyalty.earned > 0 && `${loyalty.earned} earned`
+                                ].filter(Boolean).join(' • ')}
+                              </span>
+                            </td>
+                            <td className="border border-gray-400 px-3 py-2 text-right text-xs sm:text-sm font-medium">
+                              {loyalty.balance !== null ? `Balance ${loyalty.balance}` : ''}
+                            </td>
+                          </tr>
+                        )}
                       </tbody>
                     </table>
                   </div>
                 </div>
 
+                {/* Mobile GST Rate-wise Summary */}
+                {hasGST && taxRateSummary.length > 0 && (
+                  <div className="mb-4 sm:mb-6 overflow-x-auto">
+                    <h4 className="text-xs sm:text-sm font-semibold text-gray-800 mb-2">GST Summary</h4>
+                    <table className="w-full border-collapse border border-gray-400 text-xs">
+                      <thead>
+                        <tr className="bg-gray-100">
+                          <th className="border border-gray-400 px-2 py-1 text-left">Rate</th>
+                          <th className="border border-gray-400 px-2 py-1 text-right">Taxable</th>
+                          {isInterState ? (
+                            <th className="border border-gray-400 px-2 py-1 text-right">IGST</th>
+                          ) : (
+                            <>
+                              <th className="border border-gray-400 px-2 py-1 text-right">CGST</th>
+                              <th className="border border-gray-400 px-2 py-1 text-right">SGST</th>
+                            </>
+                          )}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {taxRateSummary.map(entry => (
+                          <tr key={entry.rate}>
+                            <td className="border border-gray-400 px-2 py-1">{entry.rate}%</td>
+                            <td className="border border-gray-400 px-2 py-1 text-right">₹{entry.taxable_value.toFixed(2)}</td>
+                            {isInterState ? (
+                              <td className="border border-gray-400 px-2 py-1 text-right">₹{entry.igst_amount.toFixed(2)}</td>
+                            ) : (
+                              <>
+                                <td className="border border-gray-400 px-2 py-1 text-right">₹{entry.cgst_amount.toFixed(2)}</td>
+                                <td className="border border-gray-400 px-2 py-1 text-right">₹{entry.sgst_amount.toFixed(2)}</td>
+                              </>
+                            )}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+
                 {/* Mobile Terms and Footer */}
                 <div className="border-t border-gray-300 pt-3 sm:pt-4 space-y-3">
                   <div className="grid grid-cols-1 gap-4 text-xs text-gray-600">
                     <div>
                       <h4 className="font-semibold text-gray-800 mb-2">Terms & Conditions:</h4>
                       <ul className="space-y-1">
-                        <li>• All sales are final unless defective</li>
-                        <li>• Warranty as per manufacturer terms</li>
-                        <li>• Return within 7 days with receipt</li>
-                        <li>• Goods once sold cannot be exchanged</li>
+                        {invoiceTerms.map((term, index) => (
+                          <li key={index}>• {term}</li>
+                        ))}
                       </ul>
                     </div>
                     <div className="text-center sm:text-right">
@@ -699,14 +1043,18 @@ const BillPDF = ({ bill, onClose }) => {
                     <p className="text-sm font-medium text-blue-600">
                       Thank you for shopping with {safeShopSettings.shop_name}!
                     </p>
-                    <p className="text-xs text-gray-500 mt-1">Visit us again for all your electronic needs</p>
+                    {safeShopSettings.footer_text && (
+                      <p className="text-xs text-gray-500 mt-1">{safeShopSettings.footer_text}</p>
+                    )}
                   </div>
                 </div>
               </div>
             </div>
 
+            <ReceiptActions bill={bill} shopSettings={safeShopSettings} compact />
+
             {/* 🔧 MOBILE ACTION BUTTONS WITH SAFE AREA SUPPORT */}
-            <div className="flex flex-col sm:flex-row space-y-2 sm:space-y-0 sm:space-x-3 p-3 sm:p-4 bg-gray-50 rounded-b-lg border-t flex-shrink-0 mobile-bill-actions">
+            <div className="flex flex-col sm:flex-row space-y-2 sm:space-y-0 sm:space-x-3 p-3 sm:p-4 bg-gray-50 rounded-b-lg flex-shrink-0 mobile-bill-actions">
               <button
                 onClick={generateFormattedPDF}
                 className="flex-1 bg-blue-600 text-white py-2 sm:py-3 px-3 sm:px-4 rounded-lg hover:bg-blue-700 transition-colors font-medium flex items-center justify-center text-sm sm:text-base"
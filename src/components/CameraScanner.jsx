@@ -0,0 +1,181 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { createPortal } from 'react-dom';
+
+// Same code seen again within this window is the camera re-reading one pack
+const REPEAT_SCAN_DELAY = 1500;
+const DETECT_INTERVAL = 250;
+
+const CameraScanner = ({ onDetected, onClose }) => {
+    const videoRef = useRef(null);
+    const onDetectedRef = useRef(onDetected);
+    const [status, setStatus] = useState('starting');
+    const [errorMessage, setErrorMessage] = useState('');
+    const [lastCode, setLastCode] = useState('');
+
+    useEffect(() => {
+        onDetectedRef.current = onDetected;
+    }, [onDetected]);
+
+    // 🔑 CRITICAL: Prevent background scrolling when modal is open
+    useEffect(() => {
+        const originalOverflow = document.body.style.overflow;
+        document.body.style.overflow = 'hidden';
+        return () => {
+            document.body.style.overflow = originalOverflow;
+        };
+    }, []);
+
+    // Start the rear camera and poll BarcodeDetector until the modal closes
+    useEffect(() => {
+        let stream = null;
+        let timer = null;
+        let cancelled = false;
+        let lastSeen = { code: '', at: 0 };
+
+        const detect = async (detector) => {
+            const video = videoRef.current;
+            if (cancelled || !video) return;
+
+            if (video.readyState >= 2) {
+                try {
+                    const codes = await detector.detect(video);
+                    const code = codes[0]?.rawValue?.trim();
+                    const now = Date.now();
+                    if (code && !(code === lastSeen.code && now - lastSeen.at < REPEAT_SCAN_DELAY)) {
+                        lastSeen = { code, at: now };
+                        setLastCode(code);
+                        onDetectedRef.current(code);
+                    } else if (code) {
+                        lastSeen.at = now;
+                    }
+                } catch (error) {
+                    console.warn('Barcode detection failed:', error);
+                }
+            }
+
+            if (!cancelled) {
+                timer = setTimeout(() => detect(detector), DETECT_INTERVAL);
+            }
+        };
+
+        const start = async () => {
+            try {
+                const detector = new window.BarcodeDetector();
+                stream = await navigator.mediaDevices.getUserMedia({
+                    video: { facingMode: { ideal: 'environment' } },
+                    audio: false
+                });
+
+                if (cancelled) {
+                    stream.getTracks().forEach(track => track.stop());
+                    return;
+                }
+
+                videoRef.current.srcObject = stream;
+                await videoRef.current.play();
+                setStatus('scanning');
+                detect(detector);
+            } catch (error) {
+                console.error('Error starting camera scanner:', error);
+                if (cancelled) return;
+                setStatus('error');
+                setErrorMessage(error.name === 'NotAllowedError'
+                    ? 'Camera permission was denied. Allow camera access in the browser to scan.'
+                    : error.message || 'Unable to start the camera');
+            }
+        };
+
+        start();
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+            if (stream) stream.getTracks().forEach(track => track.stop());
+        };
+    }, []);
+
+    const handleBackdropClick = (e) => {
+        if (e.target === e.currentTarget) {
+            onClose();
+        }
+    };
+
+    const modalContent = (
+        <div
+            style={{
+                position: 'fixed',
+                top: 0,
+                left: 0,
+                right: 0,
+                bottom: 0,
+                zIndex: 99999,
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                backgroundColor: 'rgba(0, 0, 0, 0.6)',
+                padding: '16px'
+            }}
+            onClick={handleBackdropClick}
+        >
+            <div
+                className="bg-white rounded-lg shadow-2xl w-full flex flex-col overflow-hidden"
+                style={{ maxWidth: 'min(95vw, 520px)' }}
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="flex justify-between items-center p-4 border-b border-gray-200">
+                    <h2 className="text-lg font-semibold text-gray-900">Scan with Camera</h2>
+                    <button
+                        onClick={onClose}
+                        className="text-gray-400 hover:text-gray-600 text-2xl p-1 hover:bg-gray-100 rounded-full transition-colors"
+                        aria-label="Close"
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <div className="relative bg-black" style={{ aspectRatio: '4 / 3' }}>
+                    <video
+                        ref={videoRef}
+                        className="w-full h-full object-cover"
+                        muted
+                        playsInline
+                    />
+                    {status === 'scanning' && (
+                        <div className="absolute inset-x-8 top-1/2 -translate-y-1/2 h-24 border-2 border-green-400 rounded-lg pointer-events-none"></div>
+                    )}
+                    {status === 'starting' && (
+                        <div className="absolute inset-0 flex items-center justify-center text-white text-sm">
+                            Starting camera...
+                        </div>
+                    )}
+                    {status === 'error' && (
+                        <div className="absolute inset-0 flex items-center justify-center p-6 text-center text-red-200 text-sm">
+                            {errorMessage}
+                        </div>
+                    )}
+                </div>
+
+                <div className="p-4 space-y-3">
+                    <p className="text-sm text-gray-600">
+                        Hold the barcode inside the frame. Each product is added to the cart as soon as it is read.
+                    </p>
+                    {lastCode && (
+                        <p className="text-sm text-gray-700">
+                            Last scanned: <span className="font-mono font-semibold">{lastCode}</span>
+                        </p>
+                    )}
+                    <button
+                        onClick={onClose}
+                        className="w-full bg-gray-300 text-gray-700 py-2.5 px-4 rounded-lg hover:bg-gray-400 transition-colors font-medium"
+                    >
+                        Done
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+
+    return createPortal(modalContent, document.body);
+};
+
+export default CameraScanner;
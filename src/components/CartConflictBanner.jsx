@@ -0,0 +1,41 @@
+import React from 'react';
+import useCartStore from '../stores/useCartStore';
+import { TERMINAL } from '../utils/terminal';
+
+const countItems = (cart = {}) => Object.values(cart).reduce((sum, qty) => sum + (parseInt(qty, 10) || 0), 0);
+
+// Shown when another tab on this terminal changed the cart while it was being edited here
+const CartConflictBanner = () => {
+    const cart = useCartStore((state) => state.cart);
+    const cartConflict = useCartStore((state) => state.cartConflict);
+    const resolveCartConflict = useCartStore((state) => state.resolveCartConflict);
+
+    if (!cartConflict) return null;
+
+    return (
+        <div className="bg-yellow-50 border-b border-yellow-300 text-yellow-900">
+            <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-3 flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+                <p className="text-sm">
+                    <span className="font-semibold">Terminal {TERMINAL.id}'s cart was changed in another tab.</span>
+                    {' '}This tab has {countItems(cart)} items, the other has {countItems(cartConflict.cart)}. Which cart should both keep?
+                </p>
+                <div className="flex gap-2 flex-shrink-0">
+                    <button
+                        onClick={() => resolveCartConflict(false)}
+                        className="bg-yellow-600 text-white px-3 py-1.5 rounded text-sm font-medium hover:bg-yellow-700"
+                    >
+                        Keep this tab's
+                    </button>
+                    <button
+                        onClick={() => resolveCartConflict(true)}
+                        className="bg-white border border-yellow-400 text-yellow-900 px-3 py-1.5 rounded text-sm font-medium hover:bg-yellow-100"
+                    >
+                        Use the other tab's
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CartConflictBanner;
@@ -0,0 +1,152 @@
+import React from 'react';
+import { DISCOUNT_TYPES } from '../utils/billTotals';
+import { formatAmount } from '../utils/gst';
+
+function toTitleCase(str) {
+    if (!str) return '';
+    return str
+        .toLowerCase()
+        .split(' ')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+const stepButtonClass = 'w-7 h-7 flex items-center justify-center rounded border border-gray-300 bg-white text-gray-700 text-sm font-bold hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed';
+
+// One editable line in the checkout order summary. `line` comes from applyLineAdjustments and
+// `discountInput` is the discount as typed; onOverrideClick is left out when the shop has no
+// manager PIN set.
+const CheckoutLineItem = ({ line, discountInput = '', error, decimals = 2, onQuantityChange, onRemove, onDiscountChange, onOverrideClick }) => {
+    const quantity = parseInt(line.quantity, 10) || 0;
+    const stock = parseInt(line.stock_quantity, 10);
+    const hasStockLimit = !isNaN(stock);
+    const lineGross = line.price * quantity;
+    const isOverridden = Boolean(line.price_override_reason);
+
+    // Typed quantities are taken on blur, so clearing the box to retype doesn't drop the line
+    const commitQuantity = (e) => {
+        const value = parseInt(e.target.value, 10);
+        if (isNaN(value) || value < 1) {
+            e.target.value = quantity;
+            return;
+        }
+        if (value !== quantity) onQuantityChange(value);
+    };
+
+    return (
+        <div className={`bg-gray-50 rounded-lg p-3 border ${error ? 'border-red-300' : 'border-gray-100'} hover:shadow-sm transition-shadow space-y-2`}>
+            <div className="flex justify-between items-start gap-2">
+                <div className="flex-1 min-w-0">
+                    <h3 className="font-semibold text-gray-800 text-sm leading-tight">
+                        {toTitleCase(line.name)}
+                    </h3>
+                    <p className="text-xs text-gray-600">
+                        {toTitleCase(line.brand) || 'No Brand'} • {toTitleCase(line.category)}
+                    </p>
+                </div>
+                <button
+                    type="button"
+                    onClick={onRemove}
+                    className="text-gray-400 hover:text-red-600 text-lg leading-none px-1 flex-shrink-0"
+                    aria-label={`Remove ${line.name}`}
+                    title="Remove from cart"
+                >
+                    ×
+                </button>
+            </div>
+
+            {/* Price */}
+            <div className="flex items-center flex-wrap gap-x-2 gap-y-1 text-xs">
+                <span className="text-blue-600 font-medium">₹{formatAmount(line.price, decimals)}</span>
+                {isOverridden && (
+                    <span className="text-gray-400 line-through">₹{formatAmount(line.list_price, decimals)}</span>
+                )}
+                {onOverrideClick && (
+                    <button
+                        type="button"
+                        onClick={onOverrideClick}
+                        className="text-gray-500 hover:text-blue-600 underline"
+                        title="Change this item's price (needs the manager PIN)"
+                    >
+                        🔒 {isOverridden ? 'Edit price' : 'Change price'}
+                    </button>
+                )}
+            </div>
+            {isOverridden && (
+                <p className="text-[11px] text-amber-700">
+                    Price changed: {line.price_override_reason}
+                    {line.price_override_approved_by && ` (approved by ${line.price_override_approved_by})`}
+                </p>
+            )}
+
+            <div className="flex items-center justify-between gap-2 flex-wrap">
+                {/* Quantity */}
+                <div className="flex items-center gap-1">
+                    <button
+                        type="button"
+                        onClick={() => onQuantityChange(quantity - 1)}
+                        disabled={quantity <= 1}
+                        className={stepButtonClass}
+                        aria-label="Decrease quantity"
+                    >
+                        −
+                    </button>
+                    <input
+                        key={quantity}
+                        type="number"
+                        min="1"
+                        step="1"
+                        defaultValue={quantity}
+                        onBlur={commitQuantity}
+                        onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                        className="w-12 h-7 px-1 border border-gray-300 rounded text-center text-sm"
+                        aria-label="Quantity"
+                    />
+                    <button
+                        type="button"
+                        onClick={() => onQuantityChange(quantity + 1)}
+                        disabled={hasStockLimit && quantity >= stock}
+                        className={stepButtonClass}
+                        aria-label="Increase quantity"
+                    >
+                        +
+                    </button>
+                </div>
+
+                {/* Line discount */}
+                <div className="flex items-center gap-1">
+                    <select
+                        value={line.line_discount_type}
+                        onChange={(e) => onDiscountChange({ discountType: e.target.value })}
+                        className="h-7 px-1 border border-gray-300 rounded text-xs bg-white"
+                        aria-label="Discount type"
+                    >
+                        <option value={DISCOUNT_TYPES.PERCENTAGE}>% off</option>
+                        <option value={DISCOUNT_TYPES.AMOUNT}>₹ off</option>
+                    </select>
+                    <input
+                        type="number"
+                        min="0"
+                        step={line.line_discount_type === DISCOUNT_TYPES.PERCENTAGE ? '0.5' : '1'}
+                        value={discountInput}
+                        onChange={(e) => onDiscountChange({ discountValue: e.target.value })}
+                        placeholder="0"
+                        className="w-16 h-7 px-1 border border-gray-300 rounded text-right text-sm"
+                        aria-label="Line discount"
+                    />
+                </div>
+
+                <div className="text-right flex-shrink-0">
+                    <div className="text-sm font-bold text-gray-800">₹{formatAmount(lineGross - line.line_discount, decimals)}</div>
+                    {line.line_discount > 0 && (
+                        <div className="text-[11px] text-green-700">-₹{formatAmount(line.line_discount, decimals)} off</div>
+                    )}
+                </div>
+            </div>
+
+            {error && <p className="text-xs text-red-600">{error}</p>}
+        </div>
+    );
+};
+
+export default CheckoutLineItem;
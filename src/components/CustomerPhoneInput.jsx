@@ -0,0 +1,105 @@
+import React, { useState, useMemo } from 'react';
+import useCustomerStore from '../stores/useCustomerStore';
+import { findCustomerByPhone, formatLastVisit, suggestCustomers } from '../utils/customers';
+
+function toTitleCase(str) {
+    if (!str) return '';
+    return str
+        .toLowerCase()
+        .split(' ')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+// Checkout phone field that suggests known customers as the number is typed.
+// onSelect receives the picked customer so the form can fill in the name and state.
+const CustomerPhoneInput = ({ value, onChange, onSelect, className }) => {
+    const customers = useCustomerStore((state) => state.customers);
+    const [focused, setFocused] = useState(false);
+    const [highlighted, setHighlighted] = useState(0);
+
+    const knownCustomer = useMemo(() => findCustomerByPhone(customers, value), [customers, value]);
+    const suggestions = useMemo(
+        () => (knownCustomer ? [] : suggestCustomers(customers, value)),
+        [customers, value, knownCustomer]
+    );
+    const showSuggestions = focused && suggestions.length > 0;
+
+    const handleSelect = (customer) => {
+        onSelect(customer);
+        setFocused(false);
+    };
+
+    const handleChange = (e) => {
+        onChange(e.target.value);
+        setHighlighted(0);
+    };
+
+    const handleKeyDown = (e) => {
+        if (!showSuggestions) return;
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setHighlighted(prev => (prev + 1) % suggestions.length);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setHighlighted(prev => (prev - 1 + suggestions.length) % suggestions.length);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            handleSelect(suggestions[Math.min(highlighted, suggestions.length - 1)]);
+        } else if (e.key === 'Escape') {
+            setFocused(false);
+        }
+    };
+
+    return (
+        <div className="relative">
+            <input
+                type="tel"
+                placeholder="Enter 10-digit phone number"
+                value={value}
+                onChange={handleChange}
+                onKeyDown={handleKeyDown}
+                onFocus={() => setFocused(true)}
+                // Delay so a click on a suggestion lands before the list closes
+                onBlur={() => setTimeout(() => setFocused(false), 150)}
+                maxLength="10"
+                autoComplete="off"
+                className={className}
+            />
+
+            {showSuggestions && (
+                <ul className="absolute z-20 left-0 right-0 mt-1 bg-white border border-gray-200 rounded-lg shadow-lg max-h-64 overflow-y-auto">
+                    {suggestions.map((customer, index) => (
+                        <li key={customer.phone}>
+                            <button
+                                type="button"
+                                onMouseDown={(e) => e.preventDefault()}
+                                onClick={() => handleSelect(customer)}
+                                className={`w-full text-left px-3 py-2 text-sm flex justify-between gap-3 ${index === highlighted ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+                            >
+                                <span className="min-w-0">
+                                    <span className="block font-medium text-gray-900 truncate">{toTitleCase(customer.name) || 'Unnamed'}</span>
+                                    <span className="block text-xs text-gray-500 font-mono">{customer.phone}</span>
+                                </span>
+                                <span className="text-xs text-gray-500 text-right flex-shrink-0">
+                                    {customer.bill_count} visit{customer.bill_count === 1 ? '' : 's'}
+                                    <span className="block">{formatLastVisit(customer.last_visit_at)}</span>
+                                </span>
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {knownCustomer ? (
+                <p className="text-xs text-blue-700 mt-1">
+                    ✓ Returning customer • {knownCustomer.bill_count} visit{knownCustomer.bill_count === 1 ? '' : 's'} • last visit {formatLastVisit(knownCustomer.last_visit_at).toLowerCase()}
+                </p>
+            ) : value && value.length === 10 && (
+                <p className="text-xs text-green-600 mt-1">✓ Valid phone number • new customer</p>
+            )}
+        </div>
+    );
+};
+
+export default CustomerPhoneInput;
@@ -0,0 +1,247 @@
+import React, { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import Alert from './Alert';
+import { EXPORT_FORMATS } from '../utils/spreadsheet';
+import { getDateRangePresets } from '../utils/billFilters';
+
+const SHORTCUT_LABELS = ['Today', 'This Month', 'Last Month'];
+
+const getDateShortcuts = () => [
+    ...getDateRangePresets().filter(preset => SHORTCUT_LABELS.includes(preset.label)),
+    { label: 'All Dates', from: '', to: '' }
+];
+
+// Shared by the Inventory and Bills exports. onExport receives the chosen
+// { format, layout, dateFrom, dateTo } and resolves to the number of rows written.
+const ExportModal = ({
+    title,
+    description,
+    layouts,
+    showDateRange = false,
+    initialDateFrom = '',
+    initialDateTo = '',
+    onExport,
+    onClose
+}) => {
+    const [format, setFormat] = useState(EXPORT_FORMATS[0].value);
+    const [layout, setLayout] = useState(layouts?.[0]?.value || '');
+    const [dateFrom, setDateFrom] = useState(initialDateFrom);
+    const [dateTo, setDateTo] = useState(initialDateTo);
+    const [exporting, setExporting] = useState(false);
+
+    // Alert state
+    const [alert, setAlert] = useState({
+        isOpen: false,
+        severity: 'info',
+        message: ''
+    });
+
+    const showAlert = (severity, message) => {
+        setAlert({
+            isOpen: true,
+            severity,
+            message
+        });
+    };
+
+    const closeAlert = () => {
+        setAlert(prev => ({ ...prev, isOpen: false }));
+    };
+
+    // 🔑 CRITICAL: Prevent background scrolling when modal is open
+    useEffect(() => {
+        const originalOverflow = document.body.style.overflow;
+        document.body.style.overflow = 'hidden';
+        return () => {
+            document.body.style.overflow = originalOverflow;
+        };
+    }, []);
+
+    const handleExport = async () => {
+        if (dateFrom && dateTo && dateFrom > dateTo) {
+            showAlert('error', 'The start date must be before the end date');
+            return;
+        }
+
+        setExporting(true);
+        try {
+            const rowCount = await onExport({ format, layout, dateFrom, dateTo });
+            if (rowCount === 0) {
+                showAlert('warning', 'Nothing to export for these options');
+                return;
+            }
+            onClose();
+        } catch (error) {
+            console.error('Error exporting:', error);
+            const errorMessage = error.response?.data?.error || error.message || 'Unknown error occurred';
+            showAlert('error', `Export failed: ${errorMessage}`);
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    const handleBackdropClick = (e) => {
+        if (e.target === e.currentTarget && !exporting) {
+            onClose();
+        }
+    };
+
+    const modalContent = (
+        <div
+            className="fixed inset-0 z-50"
+            style={{
+                position: 'fixed',
+                top: 0,
+                left: 0,
+                right: 0,
+                bottom: 0,
+                zIndex: 99999,
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                backgroundColor: 'rgba(0, 0, 0, 0.5)',
+                padding: '16px'
+            }}
+            onClick={handleBackdropClick}
+        >
+            <Alert
+                isOpen={alert.isOpen}
+                severity={alert.severity}
+                message={alert.message}
+                onClose={closeAlert}
+                position="top"
+                duration={4000}
+            />
+
+            <div
+                className="bg-white rounded-lg shadow-2xl w-full flex flex-col"
+                style={{
+                    maxWidth: 'min(95vw, 480px)',
+                    maxHeight: 'min(90vh, 90dvh)',
+                    overflow: 'hidden'
+                }}
+                onClick={(e) => e.stopPropagation()}
+            >
+                {/* Header */}
+                <div className="flex-shrink-0 flex justify-between items-center p-4 sm:p-6 border-b border-gray-200">
+                    <div className="min-w-0">
+                        <h2 className="text-lg sm:text-xl font-semibold text-gray-900">{title}</h2>
+                        {description && <p className="text-sm text-gray-500">{description}</p>}
+                    </div>
+                    <button
+                        onClick={onClose}
+                        disabled={exporting}
+                        className="text-gray-400 hover:text-gray-600 text-2xl flex-shrink-0 p-1 hover:bg-gray-100 rounded-full transition-colors disabled:opacity-50"
+                        aria-label="Close"
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <div className="flex-1 overflow-y-auto p-4 sm:p-6 space-y-4" style={{ WebkitOverflowScrolling: 'touch' }}>
+                    <div>
+                        <span className="block text-sm font-medium text-gray-700 mb-2">Format</span>
+                        <div className="grid grid-cols-3 gap-2">
+                            {EXPORT_FORMATS.map(option => (
+                                <button
+                                    key={option.value}
+                                    onClick={() => setFormat(option.value)}
+                                    className={`px-3 py-2 rounded-lg border text-sm font-medium transition-colors ${format === option.value
+                                        ? 'bg-blue-600 border-blue-600 text-white'
+                                        : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+                                        }`}
+                                >
+                                    {option.label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    {layouts && layouts.length > 1 && (
+                        <div>
+                            <span className="block text-sm font-medium text-gray-700 mb-2">Rows</span>
+                            <div className="space-y-2 text-sm text-gray-700">
+                                {layouts.map(option => (
+                                    <label key={option.value} className="flex items-start gap-2">
+                                        <input
+                                            type="radio"
+                                            name="exportLayout"
+                                            className="mt-0.5"
+                                            checked={layout === option.value}
+                                            onChange={() => setLayout(option.value)}
+                                        />
+                                        <span>
+                                            {option.label}
+                                            {option.hint && <span className="block text-xs text-gray-500">{option.hint}</span>}
+                                        </span>
+                                    </label>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    {showDateRange && (
+                        <div>
+                            <span className="block text-sm font-medium text-gray-700 mb-2">Date Range</span>
+                            <div className="grid grid-cols-2 gap-3">
+                                <input
+                                    type="date"
+                                    value={dateFrom}
+                                    max={dateTo || undefined}
+                                    onChange={(e) => setDateFrom(e.target.value)}
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+                                    aria-label="From date"
+                                />
+                                <input
+                                    type="date"
+                                    value={dateTo}
+                                    min={dateFrom || undefined}
+                                    onChange={(e) => setDateTo(e.target.value)}
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+                                    aria-label="To date"
+                                />
+                            </div>
+                            <div className="flex flex-wrap gap-2 mt-2">
+                                {getDateShortcuts().map(shortcut => (
+                                    <button
+                                        key={shortcut.label}
+                                        onClick={() => {
+                                            setDateFrom(shortcut.from);
+                                            setDateTo(shortcut.to);
+                                        }}
+                                        className="px-2.5 py-1 text-xs font-medium rounded-full bg-gray-100 text-gray-700 hover:bg-gray-200 transition-colors"
+                                    >
+                                        {shortcut.label}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+                </div>
+
+                {/* Footer */}
+                <div className="flex-shrink-0 p-4 sm:p-6 bg-gray-50 border-t border-gray-200 flex flex-col sm:flex-row gap-3">
+                    <button
+                        onClick={onClose}
+                        disabled={exporting}
+                        className="flex-1 bg-gray-300 text-gray-700 py-3 px-4 rounded-lg hover:bg-gray-400 disabled:opacity-50 transition-colors font-medium"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleExport}
+                        disabled={exporting}
+                        className="flex-1 bg-blue-600 text-white py-3 px-4 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors font-medium"
+                    >
+                        {exporting ? 'Exporting...' : 'Export'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+
+    // 🔑 CRITICAL: Render modal using React Portal to bypass scroll containers
+    return createPortal(modalContent, document.body);
+};
+
+export default ExportModal;
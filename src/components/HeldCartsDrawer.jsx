@@ -0,0 +1,176 @@
+import React, { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import useCartStore from '../stores/useCartStore';
+
+// "under a minute", "25 min", "3 h 10 min"
+const formatDuration = (ms) => {
+    const minutes = Math.max(Math.floor(ms / 60000), 0);
+    if (minutes < 1) return 'under a minute';
+    if (minutes < 60) return `${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    return minutes % 60 > 0 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+};
+
+// Side drawer on the Products page for parking the current cart and picking a held one back up
+const HeldCartsDrawer = ({ onClose, onResumed }) => {
+    const heldCarts = useCartStore((state) => state.heldCarts);
+    const holdCart = useCartStore((state) => state.holdCart);
+    const resumeHeldCart = useCartStore((state) => state.resumeHeldCart);
+    const discardHeldCart = useCartStore((state) => state.discardHeldCart);
+    const pruneHeldCarts = useCartStore((state) => state.pruneHeldCarts);
+    const currentItems = useCartStore((state) => state.getTotalItems());
+    const currentValue = useCartStore((state) => state.getTotalValue());
+
+    const [label, setLabel] = useState('');
+    const [now, setNow] = useState(() => Date.now());
+
+    // 🔑 CRITICAL: Prevent background scrolling when drawer is open
+    useEffect(() => {
+        const originalOverflow = document.body.style.overflow;
+        document.body.style.overflow = 'hidden';
+        return () => {
+            document.body.style.overflow = originalOverflow;
+        };
+    }, []);
+
+    // Keeps the ages current and drops carts that expire while the drawer is open
+    useEffect(() => {
+        pruneHeldCarts();
+        const timer = setInterval(() => {
+            setNow(Date.now());
+            pruneHeldCarts();
+        }, 60000);
+        return () => clearInterval(timer);
+    }, [pruneHeldCarts]);
+
+    const handleHold = (e) => {
+        e.preventDefault();
+        const heldCart = holdCart(label);
+        if (heldCart) {
+            setLabel('');
+        }
+    };
+
+    const handleResume = (heldCart) => {
+        resumeHeldCart(heldCart.id);
+        onResumed?.(heldCart);
+    };
+
+    const handleDiscard = (heldCart) => {
+        if (!window.confirm(`Discard held cart "${heldCart.label}"?`)) return;
+        discardHeldCart(heldCart.id);
+    };
+
+    const drawerContent = (
+        <div
+            className="fixed inset-0"
+            style={{ zIndex: 99999, backgroundColor: 'rgba(0, 0, 0, 0.4)' }}
+            onClick={(e) => {
+                if (e.target === e.currentTarget) onClose();
+            }}
+        >
+            <div
+                className="absolute right-0 top-0 h-full w-full bg-white shadow-2xl flex flex-col"
+                style={{ maxWidth: 'min(100vw, 420px)' }}
+            >
+                {/* Header */}
+                <div className="flex-shrink-0 flex justify-between items-center p-4 border-b border-gray-200">
+                    <div>
+                        <h2 className="text-lg font-semibold text-gray-900">Held Carts</h2>
+                        <p className="text-xs text-gray-500">Held carts are cleared after 12 hours</p>
+                    </div>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="text-gray-400 hover:text-gray-600 text-2xl flex-shrink-0 p-1 hover:bg-gray-100 rounded-full transition-colors"
+                        aria-label="Close"
+                    >
+                        ×
+                    </button>
+                </div>
+
+                {/* Hold the current cart */}
+                <div className="flex-shrink-0 p-4 border-b border-gray-200 bg-gray-50">
+                    {currentItems > 0 ? (
+                        <form onSubmit={handleHold} className="space-y-2">
+                            <label className="block text-sm font-medium text-gray-700">
+                                Hold current cart ({currentItems} items • ₹{currentValue.toFixed(0)})
+                            </label>
+                            <div className="flex gap-2">
+                                <input
+                                    type="text"
+                                    value={label}
+                                    onChange={(e) => setLabel(e.target.value)}
+                                    placeholder="Label, e.g. customer name"
+                                    maxLength={40}
+                                    autoFocus
+                                    className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-yellow-500 focus:border-transparent outline-none text-sm"
+                                />
+                                <button
+                                    type="submit"
+                                    className="px-4 py-2 text-sm font-medium rounded-lg bg-yellow-500 text-white hover:bg-yellow-600"
+                                >
+                                    Hold
+                                </button>
+                            </div>
+                        </form>
+                    ) : (
+                        <p className="text-sm text-gray-600">The current cart is empty, add products to start a new sale.</p>
+                    )}
+                </div>
+
+                {/* Held list */}
+                <div className="flex-1 overflow-y-auto" style={{ WebkitOverflowScrolling: 'touch' }}>
+                    {heldCarts.length === 0 ? (
+                        <div className="text-center py-12 text-gray-500">
+                            <div className="text-4xl mb-2">🛒</div>
+                            <p className="text-sm">No carts on hold</p>
+                        </div>
+                    ) : (
+                        <ul className="divide-y divide-gray-100">
+                            {heldCarts.map(heldCart => (
+                                <li key={heldCart.id} className="p-4 flex items-start justify-between gap-3">
+                                    <div className="min-w-0">
+                                        <p className="font-medium text-gray-900 truncate">{heldCart.label}</p>
+                                        <p className="text-sm text-gray-600">
+                                            {heldCart.item_count} items • ₹{(parseFloat(heldCart.total_value) || 0).toFixed(0)}
+                                        </p>
+                                        <p className="text-xs text-gray-500">
+                                            Held {formatDuration(now - new Date(heldCart.held_at).getTime())} ago • expires in {formatDuration(new Date(heldCart.expires_at).getTime() - now)}
+                                        </p>
+                                    </div>
+                                    <div className="flex flex-col gap-2 flex-shrink-0">
+                                        <button
+                                            type="button"
+                                            onClick={() => handleResume(heldCart)}
+                                            className="bg-green-600 text-white px-3 py-1.5 rounded text-xs font-medium hover:bg-green-700"
+                                        >
+                                            Resume
+                                        </button>
+                                        <button
+                                            type="button"
+                                            onClick={() => handleDiscard(heldCart)}
+                                            className="bg-white border border-red-300 text-red-700 px-3 py-1.5 rounded text-xs hover:bg-red-50"
+                                        >
+                                            Discard
+                                        </button>
+                                    </div>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+
+                {currentItems > 0 && heldCarts.length > 0 && (
+                    <p className="flex-shrink-0 p-3 text-xs text-gray-500 border-t border-gray-200">
+                        Resuming a held cart puts the current one on hold.
+                    </p>
+                )}
+            </div>
+        </div>
+    );
+
+    return createPortal(drawerContent, document.body);
+};
+
+export default HeldCartsDrawer;
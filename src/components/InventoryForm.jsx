@@ -2,20 +2,34 @@ import React, { useState, useEffect } from 'react';
 import { createPortal } from 'react-dom';
 import { inventoryAPI } from '../services/api';
 import Alert from './Alert';
-
-const InventoryForm = ({ product, onClose }) => {
+import { GST_RATES, DEFAULT_GST_RATE } from '../utils/gst';
+import { validateProduct } from '../utils/productValidation';
+import { DEFAULT_REORDER_LEVEL } from '../utils/stockStatus';
+import { formatMarginPercent, getMarginClass, getProductMargin } from '../utils/profit';
+import useShopStore from '../stores/useShopStore';
+
+// initialValues prefill a new product, e.g. the code from an unknown barcode scan
+const InventoryForm = ({ product, initialValues, onClose }) => {
     const [formData, setFormData] = useState({
         name: '',
         description: '',
         category: '',
         brand: '',
         price: '',
+        cost_price: '',
         stock_quantity: '',
-        sku: ''
+        sku: '',
+        barcode: '',
+        hsn_code: '',
+        gst_rate: String(DEFAULT_GST_RATE),
+        reorder_level: '',
+        reorder_quantity: ''
     });
     const [imageFile, setImageFile] = useState(null);
     const [imagePreview, setImagePreview] = useState(null);
     const [loading, setLoading] = useState(false);
+    const pricesIncludeTax = useShopStore((state) => state.settings?.prices_include_tax);
+    const margin = getProductMargin(formData, pricesIncludeTax);
     
     // Alert state
     const [alert, setAlert] = useState({
@@ -45,12 +59,22 @@ const InventoryForm = ({ product, onClose }) => {
                 category: product.category || '',
                 brand: product.brand || '',
                 price: product.price || '',
-                stock_quantity: product.stock_quantity || '',
-                sku: product.sku || ''
+                cost_price: product.cost_price ?? '',
+                stock_quantity: product.stock_quantity ?? '',
+                sku: product.sku || '',
+                barcode: product.barcode || '',
+                hsn_code: product.hsn_code || '',
+                gst_rate: product.gst_rate !== undefined && product.gst_rate !== null
+                    ? String(product.gst_rate)
+                    : String(DEFAULT_GST_RATE),
+                reorder_level: product.reorder_level ?? '',
+                reorder_quantity: product.reorder_quantity ?? ''
             });
             setImagePreview(product.image_url);
+        } else if (initialValues) {
+            setFormData(prev => ({ ...prev, ...initialValues }));
         }
-    }, [product]);
+    }, [product, initialValues]);
 
     // 🔑 CRITICAL: Prevent background scrolling when modal is open
     useEffect(() => {
@@ -115,29 +139,9 @@ const InventoryForm = ({ product, onClose }) => {
     const handleSubmit = async (e) => {
         e.preventDefault();
         
-        // Validation
-        if (!formData.name.trim()) {
-            showAlert('error', 'Product name is required');
-            return;
-        }
-        
-        if (!formData.sku.trim()) {
-            showAlert('error', 'SKU is required');
-            return;
-        }
-        
-        if (!formData.category.trim()) {
-            showAlert('error', 'Category is required');
-            return;
-        }
-        
-        if (!formData.price || parseFloat(formData.price) <= 0) {
-            showAlert('error', 'Please enter a valid price');
-            return;
-        }
-        
-        if (!formData.stock_quantity || parseInt(formData.stock_quantity) < 0) {
-            showAlert('error', 'Please enter a valid stock quantity');
+        const validationError = validateProduct(formData);
+        if (validationError) {
+            showAlert('error', validationError);
             return;
         }
 
@@ -147,8 +151,10 @@ const InventoryForm = ({ product, onClose }) => {
         try {
             const submitData = new FormData();
 
-            // Append all form data
+            // Append all form data; an existing product's stock only changes through the stock
+            // ledger, so updates leave stock_quantity out
             Object.keys(formData).forEach(key => {
+                if (product && key === 'stock_quantity') return;
                 submitData.append(key, formData[key]);
             });
 
@@ -355,6 +361,30 @@ const InventoryForm = ({ product, onClose }) => {
                                 </div>
                             </div>
 
+                            {/* BARCODE */}
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">
+                                    Barcode
+                                </label>
+                                <input
+                                    type="text"
+                                    name="barcode"
+                                    placeholder="Scan or type the EAN/UPC printed on the pack"
+                                    value={formData.barcode}
+                                    onChange={handleChange}
+                                    onKeyDown={(e) => {
+                                        // Scanners finish with Enter, which would otherwise submit the form
+                                        if (e.key === 'Enter') e.preventDefault();
+                                    }}
+                                    maxLength="48"
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg 
+                                             focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors font-mono"
+                                />
+                                <p className="text-xs text-gray-500 mt-1">
+                                    Optional. Products without a barcode can still be scanned by SKU.
+                                </p>
+                            </div>
+
                             {/* DESCRIPTION */}
                             <div>
                                 <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -406,7 +436,7 @@ const InventoryForm = ({ product, onClose }) => {
                             </div>
 
                             {/* PRICE & STOCK ROW */}
-                            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
                                 <div>
                                     <label className="block text-sm font-medium text-gray-700 mb-2">
                                         Price (₹) <span className="text-red-500">*</span>
@@ -425,6 +455,33 @@ const InventoryForm = ({ product, onClose }) => {
                                     />
                                 </div>
 
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                                        Cost Price (₹)
+                                    </label>
+                                    <input
+                                        type="number"
+                                        name="cost_price"
+                                        placeholder="Excl. GST"
+                                        value={formData.cost_price}
+                                        onChange={handleChange}
+                                        min="0"
+                                        step="0.01"
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg 
+                                                 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                                    />
+                                    {/* Margin is on the selling price before GST, same as the profit reports */}
+                                    {margin ? (
+                                        <p className={`text-xs mt-1 ${getMarginClass(margin.percent)}`}>
+                                            Margin {formatMarginPercent(margin.percent)} (₹{margin.profit.toFixed(2)} per unit)
+                                        </p>
+                                    ) : (
+                                        <p className="text-xs text-gray-500 mt-1">
+                                            What you pay the supplier per unit
+                                        </p>
+                                    )}
+                                </div>
+
                                 <div>
                                     <label className="block text-sm font-medium text-gray-700 mb-2">
                                         Stock Quantity <span className="text-red-500">*</span>
@@ -437,10 +494,98 @@ const InventoryForm = ({ product, onClose }) => {
                                         onChange={handleChange}
                                         required
                                         min="0"
+                                        readOnly={Boolean(product)}
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg 
+                                                 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors read-only:bg-gray-100 read-only:text-gray-500"
+                                    />
+                                    {/* Changes to existing stock go through Adjust Stock so they land in the ledger */}
+                                    {product && (
+                                        <p className="text-xs text-gray-500 mt-1">
+                                            Use Adjust Stock on the inventory list to change this with a reason.
+                                        </p>
+                                    )}
+                                </div>
+                            </div>
+
+                            {/* REORDER ROW */}
+                            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                                        Reorder Level
+                                    </label>
+                                    <input
+                                        type="number"
+                                        name="reorder_level"
+                                        placeholder={`${DEFAULT_REORDER_LEVEL} (default)`}
+                                        value={formData.reorder_level}
+                                        onChange={handleChange}
+                                        min="0"
+                                        step="1"
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg 
+                                                 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                                    />
+                                    <p className="text-xs text-gray-500 mt-1">
+                                        Shown as low stock and listed for reorder at or below this
+                                    </p>
+                                </div>
+
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                                        Reorder Quantity
+                                    </label>
+                                    <input
+                                        type="number"
+                                        name="reorder_quantity"
+                                        placeholder="Based on sales"
+                                        value={formData.reorder_quantity}
+                                        onChange={handleChange}
+                                        min="0"
+                                        step="1"
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg 
+                                                 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                                    />
+                                    <p className="text-xs text-gray-500 mt-1">
+                                        Smallest order to suggest, e.g. a full carton
+                                    </p>
+                                </div>
+                            </div>
+
+                            {/* HSN & GST ROW */}
+                            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                                        HSN Code
+                                    </label>
+                                    <input
+                                        type="text"
+                                        name="hsn_code"
+                                        placeholder="e.g., 8528"
+                                        value={formData.hsn_code}
+                                        onChange={handleChange}
+                                        inputMode="numeric"
+                                        maxLength="8"
                                         className="w-full px-3 py-2 border border-gray-300 rounded-lg 
                                                  focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
                                     />
                                 </div>
+
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                                        GST Rate <span className="text-red-500">*</span>
+                                    </label>
+                                    <select
+                                        name="gst_rate"
+                                        value={formData.gst_rate}
+                                        onChange={handleChange}
+                                        required
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg 
+                                                 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                                    >
+                                        {GST_RATES.map(rate => (
+                                            <option key={rate} value={String(rate)}>{rate}%</option>
+                                        ))}
+                                    </select>
+                                </div>
                             </div>
                         </div>
 
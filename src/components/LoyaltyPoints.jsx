@@ -0,0 +1,78 @@
+import React from 'react';
+
+// Points balance and redemption at checkout, shown once a full phone number is entered.
+// points is the input string; the parent works out what the points are worth on this bill.
+const LoyaltyPoints = ({ config, account, loading, points, onPointsChange, maxPoints, pointsValue, earnedPoints, error }) => {
+    const balance = account?.balance || 0;
+    const belowThreshold = balance < config.minRedeemPoints;
+
+    return (
+        <div className="border border-amber-200 bg-amber-50 rounded-lg p-3 mb-4 space-y-3">
+            <div className="flex items-start justify-between gap-3">
+                <div>
+                    <p className="text-sm font-semibold text-amber-900">Loyalty Points</p>
+                    <p className="text-xs text-amber-800">
+                        {loading && !account
+                            ? 'Checking balance...'
+                            : `${balance.toLocaleString('en-IN')} points available • worth ₹${(balance * config.pointValue).toFixed(2)}`}
+                    </p>
+                </div>
+                {earnedPoints > 0 && (
+                    <span className="text-xs font-medium text-green-700 bg-green-100 rounded-full px-2 py-1 flex-shrink-0">
+                        +{earnedPoints} on this bill
+                    </span>
+                )}
+            </div>
+
+            {belowThreshold ? (
+                <p className="text-xs text-amber-800">
+                    Points can be redeemed from {config.minRedeemPoints} points
+                </p>
+            ) : (
+                <div>
+                    <label className="block text-xs font-medium text-amber-900 mb-1">
+                        Redeem {config.redeemMode === 'discount' ? 'as discount' : 'as payment'}
+                    </label>
+                    <div className="flex gap-2">
+                        <input
+                            type="number"
+                            min="0"
+                            max={maxPoints}
+                            step="1"
+                            value={points}
+                            onChange={(e) => onPointsChange(e.target.value.replace(/\D/g, ''))}
+                            placeholder={`${config.minRedeemPoints} to ${maxPoints}`}
+                            className={`flex-1 min-w-0 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-transparent outline-none text-sm ${error ? 'border-red-400' : 'border-amber-300'}`}
+                        />
+                        <button
+                            type="button"
+                            onClick={() => onPointsChange(String(maxPoints))}
+                            disabled={maxPoints === 0}
+                            className="px-3 py-2 text-xs font-medium rounded-lg bg-amber-600 text-white hover:bg-amber-700 disabled:bg-gray-300"
+                        >
+                            Use {maxPoints}
+                        </button>
+                        {points !== '' && (
+                            <button
+                                type="button"
+                                onClick={() => onPointsChange('')}
+                                className="px-3 py-2 text-xs font-medium rounded-lg bg-white border border-amber-300 text-amber-800 hover:bg-amber-100"
+                            >
+                                Clear
+                            </button>
+                        )}
+                    </div>
+                    {error ? (
+                        <p className="text-xs text-red-600 mt-1">{error}</p>
+                    ) : pointsValue > 0 && (
+                        <p className="text-xs text-amber-800 mt-1">
+                            ₹{pointsValue.toFixed(2)} {config.redeemMode === 'discount' ? 'off the price' : 'paid by points'}
+                        </p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default LoyaltyPoints;
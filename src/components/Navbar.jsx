@@ -1,23 +1,54 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { 
     ShoppingBagIcon, 
     DocumentTextIcon, 
     CubeIcon, 
+    ChartBarIcon,
+    TruckIcon,
+    TagIcon,
+    UserGroupIcon,
     ShoppingCartIcon,
+    Cog6ToothIcon,
     Bars3Icon,
-    XMarkIcon
+    XMarkIcon,
+    BellAlertIcon,
+    ComputerDesktopIcon
 } from '@heroicons/react/24/outline';
+import useReorderStore from '../stores/useReorderStore';
+import { formatSalesVelocity } from '../utils/stockStatus';
+import { TERMINAL, getTerminalJoinUrl } from '../utils/terminal';
+
+function toTitleCase(str) {
+    if (!str) return '';
+    return str
+        .toLowerCase()
+        .split(' ')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+// Items shown in the dropdown, the full list is on the Inventory page
+const REORDER_PREVIEW_LIMIT = 8;
 
 const Navbar = () => {
     const location = useLocation();
     const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
+    const [isReorderOpen, setIsReorderOpen] = useState(false);
+    const reorderRef = useRef(null);
+    const reorderItems = useReorderStore((state) => state.items);
+    const fetchReorderList = useReorderStore((state) => state.fetchReorderList);
 
     const navItems = [
         { path: '/', label: 'Products', icon: ShoppingBagIcon },
         { path: '/checkout', label: 'Checkout', icon: ShoppingCartIcon },
         { path: '/bills', label: 'Bills', icon: DocumentTextIcon },
-        { path: '/inventory', label: 'Inventory', icon: CubeIcon }
+        { path: '/customers', label: 'Customers', icon: UserGroupIcon },
+        { path: '/inventory', label: 'Inventory', icon: CubeIcon },
+        { path: '/purchases', label: 'Purchases', icon: TruckIcon },
+        { path: '/promotions', label: 'Promotions', icon: TagIcon },
+        { path: '/reports', label: 'Reports', icon: ChartBarIcon },
+        { path: '/settings', label: 'Settings', icon: Cog6ToothIcon }
     ];
 
     const toggleMobileMenu = () => {
@@ -31,8 +62,26 @@ const Navbar = () => {
     // Close mobile menu when route changes
     useEffect(() => {
         setIsMobileMenuOpen(false);
+        setIsReorderOpen(false);
     }, [location.pathname]);
 
+    // Throttled in the store, so moving between pages does not refetch every time
+    useEffect(() => {
+        fetchReorderList();
+    }, [location.pathname, fetchReorderList]);
+
+    // Close the reorder dropdown on a click anywhere else
+    useEffect(() => {
+        if (!isReorderOpen) return undefined;
+        const handleClickOutside = (event) => {
+            if (reorderRef.current && !reorderRef.current.contains(event.target)) {
+                setIsReorderOpen(false);
+            }
+        };
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, [isReorderOpen]);
+
     // Close mobile menu on window resize to desktop size
     useEffect(() => {
         const handleResize = () => {
@@ -57,6 +106,12 @@ const Navbar = () => {
                     >
                         <span className="hidden sm:inline">Ramji Electronics Shop</span>
                         <span className="sm:hidden">Ramji Electrical Shop</span>
+                        <span
+                            className="ml-2 align-middle inline-flex px-2 py-0.5 rounded-full bg-green-700 text-green-100 text-xs font-medium"
+                            title={TERMINAL.shared ? 'This tab shares the cart of another tab on this terminal' : 'Each tab is a separate terminal with its own cart'}
+                        >
+                            T{TERMINAL.id}{TERMINAL.shared && ' shared'}
+                        </span>
                     </Link>
                     
                     {/* Desktop Navigation - Hidden on Mobile */}
@@ -83,18 +138,87 @@ const Navbar = () => {
                         })}
                     </div>
 
-                    {/* Mobile Menu Button - Only Visible on Mobile */}
-                    <button
-                        onClick={toggleMobileMenu}
-                        className="md:hidden inline-flex items-center justify-center p-2 rounded-md text-blue-100 hover:text-white hover:bg-gray-500 transition-colors duration-200"
-                        aria-label="Toggle mobile menu"
-                    >
-                        {isMobileMenuOpen ? (
-                            <XMarkIcon className="h-6 w-6" />
-                        ) : (
-                            <Bars3Icon className="h-6 w-6" />
+                    <div className="flex items-center space-x-1">
+                        {/* Customer Display - one window per terminal, reused if already open */}
+                        {!TERMINAL.shared && (
+                            <button
+                                onClick={() => window.open(getTerminalJoinUrl('/display'), `customer-display-${TERMINAL.id}`)}
+                                className="hidden sm:inline-flex items-center justify-center p-2 rounded-md text-blue-100 hover:text-white hover:bg-gray-500 transition-colors duration-200"
+                                aria-label="Open customer display"
+                                title="Open the customer display for this terminal, e.g. on a second monitor"
+                            >
+                                <ComputerDesktopIcon className="h-6 w-6" />
+                            </button>
                         )}
-                    </button>
+
+                        {/* Reorder Alerts */}
+                        <div className="relative" ref={reorderRef}>
+                            <button
+                                onClick={() => setIsReorderOpen(open => !open)}
+                                className="relative inline-flex items-center justify-center p-2 rounded-md text-blue-100 hover:text-white hover:bg-gray-500 transition-colors duration-200"
+                                aria-label={`Reorder alerts (${reorderItems.length})`}
+                                title="Products at or below their reorder level"
+                            >
+                                <BellAlertIcon className="h-6 w-6" />
+                                {reorderItems.length > 0 && (
+                                    <span className="absolute -top-0.5 -right-0.5 min-w-[18px] h-[18px] px-1 rounded-full bg-red-600 text-white text-[10px] font-bold flex items-center justify-center">
+                                        {reorderItems.length > 99 ? '99+' : reorderItems.length}
+                                    </span>
+                                )}
+                            </button>
+
+                            {isReorderOpen && (
+                                <div className="absolute right-0 top-full mt-2 w-80 max-w-[calc(100vw-2rem)] bg-white rounded-lg shadow-xl border border-gray-200 overflow-hidden z-50">
+                                    <div className="px-4 py-3 border-b border-gray-200">
+                                        <p className="text-sm font-semibold text-gray-900">Reorder Needed</p>
+                                        <p className="text-xs text-gray-500">
+                                            {reorderItems.length === 0
+                                                ? 'Everything is above its reorder level'
+                                                : `${reorderItems.length} product${reorderItems.length === 1 ? '' : 's'} at or below reorder level`}
+                                        </p>
+                                    </div>
+                                    {reorderItems.length > 0 && (
+                                        <ul className="max-h-80 overflow-y-auto divide-y divide-gray-100">
+                                            {reorderItems.slice(0, REORDER_PREVIEW_LIMIT).map(item => (
+                                                <li key={item.product.id} className="px-4 py-2 text-sm">
+                                                    <div className="flex justify-between gap-2">
+                                                        <span className="font-medium text-gray-900 truncate">{toTitleCase(item.product.name)}</span>
+                                                        <span className={`whitespace-nowrap font-semibold ${item.stock <= 0 ? 'text-red-600' : 'text-yellow-700'}`}>
+                                                            {item.stock} / {item.reorderLevel}
+                                                        </span>
+                                                    </div>
+                                                    <div className="flex justify-between gap-2 text-xs text-gray-500">
+                                                        <span>{formatSalesVelocity(item.velocity)}</span>
+                                                        <span>Order {item.suggestedQuantity}</span>
+                                                    </div>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    )}
+                                    <Link
+                                        to="/inventory"
+                                        onClick={() => setIsReorderOpen(false)}
+                                        className="block px-4 py-2 text-center text-sm font-medium text-green-700 bg-gray-50 hover:bg-gray-100 border-t border-gray-200"
+                                    >
+                                        {reorderItems.length > REORDER_PREVIEW_LIMIT ? `View all ${reorderItems.length} in Inventory` : 'Open Inventory'}
+                                    </Link>
+                                </div>
+                            )}
+                        </div>
+
+                        {/* Mobile Menu Button - Only Visible on Mobile */}
+                        <button
+                            onClick={toggleMobileMenu}
+                            className="md:hidden inline-flex items-center justify-center p-2 rounded-md text-blue-100 hover:text-white hover:bg-gray-500 transition-colors duration-200"
+                            aria-label="Toggle mobile menu"
+                        >
+                            {isMobileMenuOpen ? (
+                                <XMarkIcon className="h-6 w-6" />
+                            ) : (
+                                <Bars3Icon className="h-6 w-6" />
+                            )}
+                        </button>
+                    </div>
                 </div>
 
                 {/* Mobile Navigation Menu - Collapsible (NO BLACK OVERLAY) */}
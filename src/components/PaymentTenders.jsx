@@ -0,0 +1,222 @@
+import React from 'react';
+import {
+    PAYMENT_METHODS,
+    PAY_LATER_PAYMENT_METHOD,
+    createTender,
+    getTenderAmount,
+    getTenderChange,
+    requiresReference,
+    summarizeTenders
+} from '../utils/paymentMethods';
+import { roundToPaise } from '../utils/gst';
+import { buildBillUpiUri } from '../utils/upi';
+import UpiQrCode from './UpiQrCode';
+
+const inputClass = 'w-full px-3 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition-all text-sm';
+
+// Tender lines for a bill: one or more payment methods with amounts, references and cash change.
+// A UPI tender shows a QR for its exact amount when the shop has a UPI ID (upiConfig).
+const PaymentTenders = ({ tenders, total, onChange, error, upiConfig = null, upiReference = '' }) => {
+    const summary = summarizeTenders(tenders, total);
+    const isSplit = tenders.length > 1;
+
+    const updateTender = (id, changes) => {
+        onChange(tenders.map(tender => (tender.id === id ? { ...tender, ...changes } : tender)));
+    };
+
+    // With two tenders the other one always takes up the rest of the bill
+    const handleAmountChange = (id, value) => {
+        const rest = roundToPaise(total - (parseFloat(value) || 0));
+        onChange(tenders.map(tender => {
+            if (tender.id === id) return { ...tender, amount: value };
+            if (tenders.length === 2) return { ...tender, amount: rest > 0 ? String(rest) : '' };
+            return tender;
+        }));
+    };
+
+    const handleAddTender = () => {
+        // Freeze the single tender at the full amount before splitting it
+        const current = tenders.map(tender => ({ ...tender, amount: String(getTenderAmount(tender, tenders, total)) }));
+        const usedMethods = current.map(tender => tender.method);
+        const nextMethod = PAYMENT_METHODS.find(method => !usedMethods.includes(method.value))?.value || 'cash';
+        onChange([...current, createTender(nextMethod, '')]);
+    };
+
+    const handleRemoveTender = (id) => {
+        const remaining = tenders.filter(tender => tender.id !== id);
+        onChange(remaining.length === 1 ? [{ ...remaining[0], amount: '' }] : remaining);
+    };
+
+    const handleFillRemaining = (tender) => {
+        const amount = roundToPaise(getTenderAmount(tender, tenders, total) + summary.remaining);
+        updateTender(tender.id, { amount: amount > 0 ? String(amount) : '' });
+    };
+
+    return (
+        <div className="space-y-3">
+            {tenders.map((tender, index) => {
+                const amount = getTenderAmount(tender, tenders, total);
+                const change = getTenderChange(tender, amount);
+
+                return (
+                    <div key={tender.id} className="border border-gray-200 rounded-lg p-3 space-y-3">
+                        <div className="flex items-center justify-between">
+                            <span className="text-xs font-semibold text-gray-500 uppercase tracking-wide">
+                                {isSplit ? `Payment ${index + 1}` : 'Payment'}
+                            </span>
+                            {isSplit && (
+                                <button
+                                    type="button"
+                                    onClick={() => handleRemoveTender(tender.id)}
+                                    className="text-xs text-red-600 hover:text-red-700 font-medium"
+                                >
+                                    Remove
+                                </button>
+                            )}
+                        </div>
+
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1.5">
+                                    Method <span className="text-red-500">*</span>
+                                </label>
+                                <select
+                                    value={tender.method}
+                                    onChange={(e) => updateTender(tender.id, { method: e.target.value, reference: '', tendered: '' })}
+                                    className={inputClass}
+                                >
+                                    {PAYMENT_METHODS.map(method => (
+                                        <option key={method.value} value={method.value}>{method.label}</option>
+                                    ))}
+                                </select>
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1.5">Amount (₹)</label>
+                                <div className="flex gap-2">
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step="0.01"
+                                        value={isSplit ? tender.amount : amount.toFixed(2)}
+                                        onChange={(e) => handleAmountChange(tender.id, e.target.value)}
+                                        readOnly={!isSplit}
+                                        placeholder="0.00"
+                                        className={`${inputClass} ${!isSplit ? 'bg-gray-50 text-gray-600' : ''}`}
+                                    />
+                                    {isSplit && summary.remaining > 0 && (
+                                        <button
+                                            type="button"
+                                            onClick={() => handleFillRemaining(tender)}
+                                            className="px-3 text-xs font-medium text-blue-700 bg-blue-50 border border-blue-200 rounded-lg hover:bg-blue-100 whitespace-nowrap"
+                                            title="Add the remaining balance to this payment"
+                                        >
+                                            + Rest
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+
+                            {requiresReference(tender.method) && (
+                                <div className="sm:col-span-2">
+                                    <label className="block text-sm font-medium text-gray-700 mb-1.5">
+                                        {tender.method === 'card' ? 'Card Approval / Last 4 Digits' : 'Transaction Reference (UTR)'}
+                                    </label>
+                                    <input
+                                        type="text"
+                                        value={tender.reference}
+                                        onChange={(e) => updateTender(tender.id, { reference: e.target.value })}
+                                        placeholder="Optional"
+                                        className={inputClass}
+                                    />
+                                </div>
+                            )}
+
+                            {tender.method === 'upi' && amount > 0 && (
+                                <div className="sm:col-span-2">
+                                    {upiConfig ? (
+                                        <div className="flex items-center gap-4 bg-gray-50 border border-gray-200 rounded-lg p-3">
+                                            <UpiQrCode
+                                                uri={buildBillUpiUri(upiConfig, { amount, reference: upiReference })}
+                                                size={144}
+                                                className="flex-shrink-0 bg-white rounded"
+                                            />
+                                            <div className="min-w-0 text-sm">
+                                                <p className="font-semibold text-gray-900">Scan to pay ₹{amount.toFixed(2)}</p>
+                                                <p className="text-gray-600 truncate">{upiConfig.payeeName}</p>
+                                                <p className="text-gray-500 font-mono text-xs truncate">{upiConfig.upiId}</p>
+                                                {upiReference && <p className="text-gray-500 text-xs mt-1">Ref: {upiReference}</p>}
+                                                <p className="text-gray-500 text-xs mt-1">Confirm the payment in your UPI app, then note the UTR above.</p>
+                                            </div>
+                                        </div>
+                                    ) : (
+                                        <p className="text-xs text-gray-500">Set the shop's UPI ID in Settings to show a payment QR here.</p>
+                                    )}
+                                </div>
+                            )}
+
+                            {tender.method === PAY_LATER_PAYMENT_METHOD && amount > 0 && (
+                                <p className="sm:col-span-2 text-xs text-gray-500">
+                                    ₹{amount.toFixed(2)} stays owing on the bill.{upiConfig ? ' The invoice can carry a UPI QR for it.' : ''}
+                                </p>
+                            )}
+
+                            {tender.method === 'cash' && (
+                                <div className="sm:col-span-2">
+                                    <label className="block text-sm font-medium text-gray-700 mb-1.5">Cash Received (₹)</label>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step="1"
+                                        value={tender.tendered}
+                                        onChange={(e) => updateTender(tender.id, { tendered: e.target.value })}
+                                        placeholder={amount > 0 ? amount.toFixed(2) : '0.00'}
+                                        className={inputClass}
+                                    />
+                                    {tender.tendered !== '' && (
+                                        <p className={`text-sm mt-1 font-medium ${(parseFloat(tender.tendered) || 0) < amount ? 'text-red-600' : 'text-green-700'}`}>
+                                            {(parseFloat(tender.tendered) || 0) < amount
+                                                ? `Short by ₹${(amount - (parseFloat(tender.tendered) || 0)).toFixed(2)}`
+                                                : `Change due: ₹${change.toFixed(2)}`}
+                                        </p>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+                    </div>
+                );
+            })}
+
+            <button
+                type="button"
+                onClick={handleAddTender}
+                className="w-full py-2 border-2 border-dashed border-gray-300 rounded-lg text-sm font-medium text-gray-600 hover:border-blue-400 hover:text-blue-600 transition-colors"
+            >
+                + Split payment / add another method
+            </button>
+
+            {isSplit && (
+                <div className="bg-gray-50 rounded-lg p-3 space-y-1 text-sm">
+                    <div className="flex justify-between text-gray-600">
+                        <span>Paid</span>
+                        <span className="font-medium">₹{summary.paid.toFixed(2)}</span>
+                    </div>
+                    <div className={`flex justify-between font-semibold ${summary.isSettled ? 'text-green-700' : 'text-red-600'}`}>
+                        <span>{summary.remaining < 0 ? 'Over by' : 'Remaining'}</span>
+                        <span>₹{Math.abs(summary.remaining).toFixed(2)}</span>
+                    </div>
+                    {summary.change > 0 && (
+                        <div className="flex justify-between text-green-700 font-semibold">
+                            <span>Change due</span>
+                            <span>₹{summary.change.toFixed(2)}</span>
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {error && <p className="text-sm text-red-600">{error}</p>}
+        </div>
+    );
+};
+
+export default PaymentTenders;
@@ -0,0 +1,286 @@
+import React, { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import Alert from './Alert';
+import { shopAPI } from '../services/api';
+import { validatePriceOverride } from '../utils/cartLines';
+
+function toTitleCase(str) {
+    if (!str) return '';
+    return str
+        .toLowerCase()
+        .split(' ')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+const REASON_SUGGESTIONS = ['Price match', 'Damaged box / display piece', 'Bulk order', 'Regular customer'];
+
+// Changes one checkout line's unit price once the server accepts the manager PIN.
+// onApply gets { price, reason, approvedBy, approvalId }, or null to go back to the list price.
+const PriceOverrideModal = ({ line, onApply, onClose }) => {
+    const listPrice = parseFloat(line.list_price) || 0;
+    const isOverridden = Boolean(line.price_override_reason);
+
+    const [price, setPrice] = useState(isOverridden ? String(line.price) : '');
+    const [reason, setReason] = useState(line.price_override_reason || '');
+    const [approvedBy, setApprovedBy] = useState(line.price_override_approved_by || '');
+    const [pin, setPin] = useState('');
+    const [verifying, setVerifying] = useState(false);
+
+    // Alert state
+    const [alert, setAlert] = useState({
+        isOpen: false,
+        severity: 'info',
+        message: ''
+    });
+
+    const showAlert = (severity, message) => {
+        setAlert({
+            isOpen: true,
+            severity,
+            message
+        });
+    };
+
+    const closeAlert = () => {
+        setAlert(prev => ({ ...prev, isOpen: false }));
+    };
+
+    // 🔑 CRITICAL: Prevent background scrolling when modal is open
+    useEffect(() => {
+        const originalOverflow = document.body.style.overflow;
+        const originalPosition = document.body.style.position;
+
+        document.body.style.overflow = 'hidden';
+        document.body.style.position = 'fixed';
+        document.body.style.top = '0';
+        document.body.style.left = '0';
+        document.body.style.right = '0';
+        document.body.style.bottom = '0';
+
+        return () => {
+            document.body.style.overflow = originalOverflow;
+            document.body.style.position = originalPosition;
+            document.body.style.top = '';
+            document.body.style.left = '';
+            document.body.style.right = '';
+            document.body.style.bottom = '';
+        };
+    }, []);
+
+    const newPrice = parseFloat(price);
+    const hasPrice = String(price).trim() !== '' && !isNaN(newPrice);
+    const difference = hasPrice ? newPrice - listPrice : 0;
+
+    const handleSubmit = async () => {
+        if (verifying) return;
+        const validationError = validatePriceOverride({ price, reason, approvedBy, pin });
+        if (validationError) {
+            showAlert('error', validationError);
+            return;
+        }
+
+        // 🔑 CRITICAL: The PIN is only ever checked by the server, the browser never knows it
+        setVerifying(true);
+        try {
+            const response = await shopAPI.verifyOverridePin(pin.trim(), approvedBy.trim());
+            onApply({
+                price: newPrice,
+                reason: reason.trim(),
+                approvedBy: approvedBy.trim(),
+                approvalId: response.data?.approval_id ?? null
+            });
+        } catch (error) {
+            console.error('Error verifying manager PIN:', error);
+            setPin('');
+            setVerifying(false);
+            if (error.response?.status === 401 || error.response?.status === 403) {
+                showAlert('error', 'Incorrect manager PIN');
+                return;
+            }
+            const errorMessage = error.response?.data?.error || error.message || 'Unknown error occurred';
+            showAlert('error', `Failed to check the PIN: ${errorMessage}`);
+        }
+    };
+
+    // Going back to the list price needs no PIN, it can only make the sale dearer
+    const handleRestore = () => {
+        onApply(null);
+    };
+
+    const handleModalClick = (e) => {
+        e.stopPropagation();
+    };
+
+    const handleBackdropClick = (e) => {
+        if (e.target === e.currentTarget && !verifying) {
+            onClose();
+        }
+    };
+
+    const modalContent = (
+        <div
+            className="fixed inset-0 z-50"
+            style={{
+                position: 'fixed',
+                top: 0,
+                left: 0,
+                right: 0,
+                bottom: 0,
+                zIndex: 99999,
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                backgroundColor: 'rgba(0, 0, 0, 0.5)',
+                padding: '16px'
+            }}
+            onClick={handleBackdropClick}
+        >
+            <Alert
+                isOpen={alert.isOpen}
+                severity={alert.severity}
+                message={alert.message}
+                onClose={closeAlert}
+                position="top"
+                duration={4000}
+            />
+
+            <div
+                className="bg-white rounded-lg shadow-2xl w-full flex flex-col"
+                style={{
+                    maxWidth: 'min(95vw, 460px)',
+                    maxHeight: 'min(90vh, 90dvh)',
+                    overflow: 'hidden'
+                }}
+                onClick={handleModalClick}
+            >
+                {/* Header */}
+                <div className="flex-shrink-0 flex justify-between items-center p-4 sm:p-6 border-b border-gray-200">
+                    <div className="min-w-0">
+                        <h2 className="text-lg sm:text-xl font-semibold text-gray-900">Override Price</h2>
+                        <p className="text-sm text-gray-500 truncate">
+                            {toTitleCase(line.name)} • List price ₹{listPrice.toFixed(2)}
+                        </p>
+                    </div>
+                    <button
+                        onClick={onClose}
+                        className="text-gray-400 hover:text-gray-600 text-2xl flex-shrink-0 p-1 hover:bg-gray-100 rounded-full transition-colors"
+                        aria-label="Close"
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <div className="flex-1 overflow-y-auto p-4 sm:p-6 space-y-4" style={{ WebkitOverflowScrolling: 'touch' }}>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                            New Unit Price (₹) <span className="text-red-500">*</span>
+                        </label>
+                        <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={price}
+                            onChange={(e) => setPrice(e.target.value)}
+                            placeholder={listPrice.toFixed(2)}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                            autoFocus
+                        />
+                        {hasPrice && difference !== 0 && (
+                            <p className={`text-xs mt-1 font-medium ${difference < 0 ? 'text-red-600' : 'text-green-700'}`}>
+                                {difference < 0 ? '-' : '+'}₹{Math.abs(difference).toFixed(2)} per unit, {difference < 0 ? '-' : '+'}₹{Math.abs(difference * (parseInt(line.quantity, 10) || 0)).toFixed(2)} on this line
+                            </p>
+                        )}
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                            Reason <span className="text-red-500">*</span>
+                        </label>
+                        <input
+                            type="text"
+                            value={reason}
+                            onChange={(e) => setReason(e.target.value)}
+                            placeholder="Why the price is changing"
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                        />
+                        <div className="flex flex-wrap gap-1.5 mt-2">
+                            {REASON_SUGGESTIONS.map(suggestion => (
+                                <button
+                                    key={suggestion}
+                                    type="button"
+                                    onClick={() => setReason(suggestion)}
+                                    className="px-2 py-1 rounded-full border border-gray-300 text-xs text-gray-600 hover:bg-gray-50"
+                                >
+                                    {suggestion}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                            Approved By <span className="text-red-500">*</span>
+                        </label>
+                        <input
+                            type="text"
+                            value={approvedBy}
+                            onChange={(e) => setApprovedBy(e.target.value)}
+                            placeholder="Manager's name"
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                        />
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                            Manager PIN <span className="text-red-500">*</span>
+                        </label>
+                        <input
+                            type="password"
+                            inputMode="numeric"
+                            autoComplete="off"
+                            maxLength={6}
+                            value={pin}
+                            onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))}
+                            onKeyDown={(e) => e.key === 'Enter' && handleSubmit()}
+                            placeholder="••••"
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono tracking-widest"
+                        />
+                    </div>
+                </div>
+
+                {/* Footer */}
+                <div className="flex-shrink-0 p-4 sm:p-6 bg-gray-50 border-t border-gray-200 flex flex-col sm:flex-row gap-3">
+                    <button
+                        onClick={handleSubmit}
+                        disabled={!hasPrice || verifying}
+                        className="flex-1 bg-blue-600 text-white py-3 px-4 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors font-medium"
+                    >
+                        {verifying ? 'Checking PIN...' : 'Apply Price'}
+                    </button>
+                    {isOverridden && (
+                        <button
+                            onClick={handleRestore}
+                            disabled={verifying}
+                            className="flex-1 bg-white border border-gray-300 text-gray-700 py-3 px-4 rounded-lg hover:bg-gray-100 transition-colors font-medium"
+                        >
+                            Use List Price
+                        </button>
+                    )}
+                    <button
+                        onClick={onClose}
+                        disabled={verifying}
+                        className="flex-1 bg-gray-300 text-gray-700 py-3 px-4 rounded-lg hover:bg-gray-400 transition-colors font-medium"
+                    >
+                        Cancel
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+
+    // 🔑 CRITICAL: Render modal using React Portal to bypass scroll containers
+    return createPortal(modalContent, document.body);
+};
+
+export default PriceOverrideModal;
@@ -0,0 +1,305 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { createPortal } from 'react-dom';
+import Alert from './Alert';
+import usePrinterStore from '../stores/usePrinterStore';
+import { LABEL_LAYOUTS, getLabelsPerPage, buildLabelsPDF } from '../utils/labelPdf';
+
+function toTitleCase(str) {
+    if (!str) return '';
+    return str
+        .toLowerCase()
+        .split(' ')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+const PrintLabelsModal = ({ products, onClose }) => {
+    const layoutKey = usePrinterStore((state) => state.labelLayout);
+    const setLayoutKey = usePrinterStore((state) => state.setLabelLayout);
+
+    const [copiesMode, setCopiesMode] = useState('fixed');
+    const [copies, setCopies] = useState(1);
+    const [startPosition, setStartPosition] = useState(1);
+    const [fields, setFields] = useState({ showName: true, showPrice: true, showSku: true });
+    const [outline, setOutline] = useState(false);
+    const [skipped, setSkipped] = useState([]);
+
+    // Alert state
+    const [alert, setAlert] = useState({
+        isOpen: false,
+        severity: 'info',
+        message: ''
+    });
+
+    const showAlert = (severity, message) => {
+        setAlert({
+            isOpen: true,
+            severity,
+            message
+        });
+    };
+
+    const closeAlert = () => {
+        setAlert(prev => ({ ...prev, isOpen: false }));
+    };
+
+    // 🔑 CRITICAL: Prevent background scrolling when modal is open
+    useEffect(() => {
+        const originalOverflow = document.body.style.overflow;
+        document.body.style.overflow = 'hidden';
+        return () => {
+            document.body.style.overflow = originalOverflow;
+        };
+    }, []);
+
+    const perPage = getLabelsPerPage(layoutKey);
+    const isSheet = perPage > 1;
+    // A start position kept from a bigger sheet must still fit this one
+    const firstLabel = Math.min(startPosition, perPage);
+
+    const labelCount = useMemo(() => products.reduce((sum, product) => {
+        if (copiesMode === 'stock') return sum + Math.max(parseInt(product.stock_quantity, 10) || 0, 0);
+        return sum + Math.max(parseInt(copies, 10) || 1, 1);
+    }, 0), [products, copiesMode, copies]);
+
+    const pageCount = isSheet
+        ? Math.ceil((labelCount + firstLabel - 1) / perPage)
+        : labelCount;
+
+    const handleFieldToggle = (field) => {
+        setFields(prev => ({ ...prev, [field]: !prev[field] }));
+    };
+
+    const handleStartPositionChange = (value) => {
+        const position = parseInt(value, 10);
+        setStartPosition(isNaN(position) ? 1 : Math.min(Math.max(position, 1), perPage));
+    };
+
+    const handleGenerate = () => {
+        if (labelCount === 0) {
+            showAlert('warning', 'No labels to print. The selected products have no stock.');
+            return;
+        }
+
+        try {
+            const result = buildLabelsPDF({
+                products,
+                layoutKey,
+                copies: copiesMode === 'stock' ? 'stock' : copies,
+                startPosition: isSheet ? firstLabel : 1,
+                outline,
+                ...fields
+            });
+
+            setSkipped(result.skipped);
+            if (result.labelCount === 0) {
+                showAlert('error', 'None of the selected products has a barcode or SKU to print');
+                return;
+            }
+
+            result.doc.save(`labels-${new Date().toISOString().slice(0, 10)}.pdf`);
+            showAlert(
+                result.skipped.length ? 'warning' : 'success',
+                result.skipped.length
+                    ? `${result.labelCount} labels generated, ${result.skipped.length} products skipped`
+                    : `${result.labelCount} labels generated`
+            );
+        } catch (error) {
+            console.error('Error generating labels:', error);
+            showAlert('error', `Failed to generate labels: ${error.message || 'Unknown error occurred'}`);
+        }
+    };
+
+    const handleBackdropClick = (e) => {
+        if (e.target === e.currentTarget) {
+            onClose();
+        }
+    };
+
+    const modalContent = (
+        <div
+            className="fixed inset-0 z-50"
+            style={{
+                position: 'fixed',
+                top: 0,
+                left: 0,
+                right: 0,
+                bottom: 0,
+                zIndex: 99999,
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                backgroundColor: 'rgba(0, 0, 0, 0.5)',
+                padding: '16px'
+            }}
+            onClick={handleBackdropClick}
+        >
+            <Alert
+                isOpen={alert.isOpen}
+                severity={alert.severity}
+                message={alert.message}
+                onClose={closeAlert}
+                position="top"
+                duration={4000}
+            />
+
+            <div
+                className="bg-white rounded-lg shadow-2xl w-full flex flex-col"
+                style={{
+                    maxWidth: 'min(95vw, 560px)',
+                    maxHeight: 'min(90vh, 90dvh)',
+                    overflow: 'hidden'
+                }}
+                onClick={(e) => e.stopPropagation()}
+            >
+                {/* Header */}
+                <div className="flex-shrink-0 flex justify-between items-center p-4 sm:p-6 border-b border-gray-200">
+                    <div>
+                        <h2 className="text-lg sm:text-xl font-semibold text-gray-900">Print Labels</h2>
+                        <p className="text-sm text-gray-500">{products.length} products selected</p>
+                    </div>
+                    <button
+                        onClick={onClose}
+                        className="text-gray-400 hover:text-gray-600 text-2xl flex-shrink-0 p-1 hover:bg-gray-100 rounded-full transition-colors"
+                        aria-label="Close"
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <div className="flex-1 overflow-y-auto p-4 sm:p-6 space-y-4" style={{ WebkitOverflowScrolling: 'touch' }}>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Label Layout</label>
+                        <select
+                            value={layoutKey}
+                            onChange={(e) => setLayoutKey(e.target.value)}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+                        >
+                            {Object.entries(LABEL_LAYOUTS).map(([key, layout]) => (
+                                <option key={key} value={key}>{layout.label}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">Labels per Product</label>
+                            <select
+                                value={copiesMode}
+                                onChange={(e) => setCopiesMode(e.target.value)}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+                            >
+                                <option value="fixed">Fixed number</option>
+                                <option value="stock">One per unit in stock</option>
+                            </select>
+                            {copiesMode === 'fixed' && (
+                                <input
+                                    type="number"
+                                    min="1"
+                                    max="500"
+                                    value={copies}
+                                    onChange={(e) => setCopies(Math.min(Math.max(parseInt(e.target.value, 10) || 1, 1), 500))}
+                                    className="mt-2 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+                                />
+                            )}
+                        </div>
+
+                        {isSheet && (
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">Start at Label</label>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    max={perPage}
+                                    value={firstLabel}
+                                    onChange={(e) => handleStartPositionChange(e.target.value)}
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+                                />
+                                <p className="text-xs text-gray-500 mt-1">
+                                    Skip labels already used on a part-used sheet (1-{perPage}, left to right)
+                                </p>
+                            </div>
+                        )}
+                    </div>
+
+                    <div>
+                        <span className="block text-sm font-medium text-gray-700 mb-2">Show on Label</span>
+                        <div className="flex flex-wrap gap-4 text-sm text-gray-700">
+                            {[
+                                ['showName', 'Name'],
+                                ['showPrice', 'Price'],
+                                ['showSku', 'SKU']
+                            ].map(([field, label]) => (
+                                <label key={field} className="inline-flex items-center gap-2">
+                                    <input
+                                        type="checkbox"
+                                        checked={fields[field]}
+                                        onChange={() => handleFieldToggle(field)}
+                                        className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                                    />
+                                    {label}
+                                </label>
+                            ))}
+                            <label className="inline-flex items-center gap-2">
+                                <input
+                                    type="checkbox"
+                                    checked={outline}
+                                    onChange={() => setOutline(prev => !prev)}
+                                    className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                                />
+                                Cut lines
+                            </label>
+                        </div>
+                        <p className="text-xs text-gray-500 mt-1">
+                            Products with an EAN/UPC get an EAN-13 barcode, the rest a Code 128 barcode of the barcode or SKU.
+                        </p>
+                    </div>
+
+                    <div className="bg-gray-50 rounded-lg p-4 text-sm space-y-1">
+                        <div className="flex justify-between">
+                            <span className="text-gray-600">Labels</span>
+                            <span className="font-medium">{labelCount}</span>
+                        </div>
+                        <div className="flex justify-between">
+                            <span className="text-gray-600">{isSheet ? 'Sheets' : 'Thermal labels'}</span>
+                            <span className="font-medium">{pageCount}</span>
+                        </div>
+                    </div>
+
+                    {skipped.length > 0 && (
+                        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-sm text-yellow-800">
+                            <p className="font-medium mb-1">Skipped products</p>
+                            <ul className="list-disc list-inside space-y-0.5">
+                                {skipped.map(({ product, reason }) => (
+                                    <li key={product.id}>{toTitleCase(product.name)}: {reason}</li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                </div>
+
+                {/* Footer */}
+                <div className="flex-shrink-0 p-4 sm:p-6 bg-gray-50 border-t border-gray-200 flex flex-col sm:flex-row gap-3">
+                    <button
+                        onClick={handleGenerate}
+                        disabled={labelCount === 0}
+                        className="flex-1 bg-blue-600 text-white py-3 px-4 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors font-medium"
+                    >
+                        Download Labels PDF
+                    </button>
+                    <button
+                        onClick={onClose}
+                        className="flex-1 bg-gray-300 text-gray-700 py-3 px-4 rounded-lg hover:bg-gray-400 transition-colors font-medium"
+                    >
+                        Close
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+
+    // 🔑 CRITICAL: Render modal using React Portal to bypass scroll containers
+    return createPortal(modalContent, document.body);
+};
+
+export default PrintLabelsModal;
@@ -1,5 +1,6 @@
 import React from 'react';
 import useCartStore from '../stores/useCartStore';
+import { STOCK_STATUSES, getStockStatusKey } from '../utils/stockStatus';
 
 // Utility function to convert strings to title case
 function toTitleCase(str) {
@@ -86,9 +87,9 @@ const ProductCard = ({ product }) => {
 
         {/* 🔧 COMPACT: Smaller stock badge */}
         <div className={`absolute top-2 right-2 px-1.5 py-0.5 lg:px-2 lg:py-1 rounded-full text-[10px] lg:text-xs font-semibold shadow-sm ${
-          product.stock_quantity > 10 
+          getStockStatusKey(product) === STOCK_STATUSES.IN
             ? 'bg-green-100 text-green-800' 
-            : product.stock_quantity > 0
+            : getStockStatusKey(product) === STOCK_STATUSES.LOW
             ? 'bg-yellow-100 text-yellow-800'
             : 'bg-red-100 text-red-800'
         }`}>
@@ -0,0 +1,531 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import { inventoryAPI, productsAPI } from '../services/api';
+import Alert from './Alert';
+import { readSpreadsheet, downloadCSV, SPREADSHEET_ACCEPT } from '../utils/spreadsheet';
+import {
+    IMPORT_FIELDS,
+    IMPORT_ACTIONS,
+    STOCK_MODES,
+    guessColumnMapping,
+    buildImportRows,
+    toProductFormData,
+    buildImportErrorReport
+} from '../utils/productImport';
+import { IMPORT_REASON, MOVEMENT_TYPES } from '../utils/stockLedger';
+
+// Large sheets are imported in full, only the on-screen preview is capped
+const PREVIEW_LIMIT = 200;
+
+const ActionBadge = ({ row }) => {
+    if (row.errors.length > 0) {
+        return <span className="inline-flex px-2 py-0.5 text-xs font-semibold rounded-full bg-red-100 text-red-800">Error</span>;
+    }
+    return row.action === IMPORT_ACTIONS.UPDATE
+        ? <span className="inline-flex px-2 py-0.5 text-xs font-semibold rounded-full bg-blue-100 text-blue-800">Update</span>
+        : <span className="inline-flex px-2 py-0.5 text-xs font-semibold rounded-full bg-green-100 text-green-800">New</span>;
+};
+
+const ProductImportModal = ({ products, onClose }) => {
+    const [step, setStep] = useState('upload');
+    const [fileName, setFileName] = useState('');
+    const [sheet, setSheet] = useState(null);
+    const [mapping, setMapping] = useState({});
+    const [stockMode, setStockMode] = useState(STOCK_MODES.ADD);
+    const [errorsOnly, setErrorsOnly] = useState(false);
+    const [reading, setReading] = useState(false);
+    const [progress, setProgress] = useState({ done: 0, total: 0 });
+    const [results, setResults] = useState(null);
+    const cancelRef = useRef(false);
+
+    // Alert state
+    const [alert, setAlert] = useState({
+        isOpen: false,
+        severity: 'info',
+        message: ''
+    });
+
+    const showAlert = (severity, message) => {
+        setAlert({
+            isOpen: true,
+            severity,
+            message
+        });
+    };
+
+    const closeAlert = () => {
+        setAlert(prev => ({ ...prev, isOpen: false }));
+    };
+
+    // 🔑 CRITICAL: Prevent background scrolling when modal is open
+    useEffect(() => {
+        const originalOverflow = document.body.style.overflow;
+        document.body.style.overflow = 'hidden';
+        return () => {
+            document.body.style.overflow = originalOverflow;
+        };
+    }, []);
+
+    const importRows = useMemo(() => {
+        if (!sheet || step === 'upload' || step === 'map') return [];
+        return buildImportRows(sheet.rows, mapping, products, { stockMode });
+    }, [sheet, mapping, products, stockMode, step]);
+
+    const counts = useMemo(() => importRows.reduce((acc, row) => {
+        if (row.errors.length > 0) acc.invalid += 1;
+        else if (row.action === IMPORT_ACTIONS.UPDATE) acc.update += 1;
+        else acc.create += 1;
+        return acc;
+    }, { create: 0, update: 0, invalid: 0 }), [importRows]);
+
+    const visibleRows = (errorsOnly ? importRows.filter(row => row.errors.length > 0) : importRows)
+        .slice(0, PREVIEW_LIMIT);
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setReading(true);
+        try {
+            const data = await readSpreadsheet(file);
+            if (data.rows.length === 0) {
+                showAlert('warning', 'The file only has a header row');
+                return;
+            }
+            setFileName(file.name);
+            setSheet(data);
+            setMapping(guessColumnMapping(data.headers));
+            setStep('map');
+        } catch (error) {
+            console.error('Error reading spreadsheet:', error);
+            showAlert('error', `Failed to read file: ${error.message || 'Unknown error occurred'}`);
+        } finally {
+            setReading(false);
+        }
+    };
+
+    const handleMappingChange = (fieldKey, value) => {
+        setMapping(prev => {
+            const next = { ...prev };
+            if (value === '') {
+                delete next[fieldKey];
+            } else {
+                next[fieldKey] = Number(value);
+            }
+            return next;
+        });
+    };
+
+    const handlePreview = () => {
+        const missing = IMPORT_FIELDS.filter(field => field.required && mapping[field.key] === undefined);
+        if (missing.length > 0) {
+            showAlert('error', `Map a column to ${missing.map(field => field.label).join(', ')} first`);
+            return;
+        }
+        setStep('preview');
+    };
+
+    const handleDownloadTemplate = () => {
+        downloadCSV([
+            IMPORT_FIELDS.map(field => field.key),
+            ['Samsung 32 inch LED TV', 'TV-SAM-32', 'HD Ready smart TV', 'television', 'samsung', '15999', '5', '8801643740245', '8528', '18']
+        ], 'product-import-template.csv');
+    };
+
+    // One request at a time, the backend handles image uploads on the same route
+    const handleImport = async () => {
+        const validRows = importRows.filter(row => row.errors.length === 0);
+        if (validRows.length === 0) {
+            showAlert('warning', 'There are no valid rows to import');
+            return;
+        }
+
+        cancelRef.current = false;
+        setStep('importing');
+        setProgress({ done: 0, total: validRows.length });
+
+        const outcome = { created: 0, updated: 0, failed: [], cancelled: 0 };
+        for (let i = 0; i < validRows.length; i++) {
+            if (cancelRef.current) {
+                outcome.cancelled = validRows.length - i;
+                break;
+            }
+
+            const row = validRows[i];
+            try {
+                if (row.action === IMPORT_ACTIONS.UPDATE) {
+                    await inventoryAPI.update(row.product.id, toProductFormData(row.values, { includeStock: false }));
+                    // 🔑 CRITICAL: Existing stock moves by a delta on the ledger, never by overwriting the count
+                    if (row.stockDelta !== 0) {
+                        await productsAPI.updateStock(row.product.id, row.stockDelta, {
+                            reason: IMPORT_REASON,
+                            notes: `${stockMode === STOCK_MODES.ADD ? 'Added' : 'Stock count'} from ${fileName}, row ${row.rowNumber}`,
+                            reference_type: MOVEMENT_TYPES.ADJUSTMENT
+                        });
+                    }
+                    outcome.updated += 1;
+                } else {
+                    await inventoryAPI.add(toProductFormData(row.values));
+                    outcome.created += 1;
+                }
+            } catch (error) {
+                console.error(`Error importing row ${row.rowNumber}:`, error);
+                const errorMessage = error.response?.data?.error || error.message || 'Unknown error occurred';
+                outcome.failed.push({ ...row, errors: [errorMessage] });
+            }
+            setProgress({ done: i + 1, total: validRows.length });
+        }
+
+        setResults(outcome);
+        setStep('done');
+    };
+
+    const handleDownloadErrors = () => {
+        const invalidRows = importRows.filter(row => row.errors.length > 0);
+        const failedRows = results?.failed || [];
+        const reportRows = [...invalidRows, ...failedRows].sort((a, b) => a.rowNumber - b.rowNumber);
+        const baseName = fileName.replace(/\.[^.]+$/, '') || 'import';
+        downloadCSV(buildImportErrorReport(reportRows), `${baseName}-errors.csv`);
+    };
+
+    const handleClose = () => {
+        if (step === 'importing') {
+            cancelRef.current = true;
+            return;
+        }
+        onClose(!!results && results.created + results.updated > 0);
+    };
+
+    const handleBackdropClick = (e) => {
+        if (e.target === e.currentTarget && step !== 'importing') {
+            handleClose();
+        }
+    };
+
+    const errorReportCount = counts.invalid + (results?.failed.length || 0);
+
+    const modalContent = (
+        <div
+            className="fixed inset-0 z-50"
+            style={{
+                position: 'fixed',
+                top: 0,
+                left: 0,
+                right: 0,
+                bottom: 0,
+                zIndex: 99999,
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                backgroundColor: 'rgba(0, 0, 0, 0.5)',
+                padding: '16px'
+            }}
+            onClick={handleBackdropClick}
+        >
+            <Alert
+                isOpen={alert.isOpen}
+                severity={alert.severity}
+                message={alert.message}
+                onClose={closeAlert}
+                position="top"
+                duration={4000}
+            />
+
+            <div
+                className="bg-white rounded-lg shadow-2xl w-full flex flex-col"
+                style={{
+                    maxWidth: 'min(95vw, 1000px)',
+                    maxHeight: 'min(90vh, 90dvh)',
+                    overflow: 'hidden'
+                }}
+                onClick={(e) => e.stopPropagation()}
+            >
+                {/* Header */}
+                <div className="flex-shrink-0 flex justify-between items-center p-4 sm:p-6 border-b border-gray-200">
+                    <div className="min-w-0">
+                        <h2 className="text-lg sm:text-xl font-semibold text-gray-900">Import Products</h2>
+                        <p className="text-sm text-gray-500 truncate">
+                            {fileName ? `${fileName} • ${sheet.rows.length} rows` : 'Upload a CSV or Excel (.xlsx) file'}
+                        </p>
+                    </div>
+                    <button
+                        onClick={handleClose}
+                        disabled={step === 'importing'}
+                        className="text-gray-400 hover:text-gray-600 text-2xl flex-shrink-0 p-1 hover:bg-gray-100 rounded-full transition-colors disabled:opacity-50"
+                        aria-label="Close"
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <div className="flex-1 overflow-y-auto p-4 sm:p-6 space-y-4" style={{ WebkitOverflowScrolling: 'touch' }}>
+                    {step === 'upload' && (
+                        <div className="space-y-4">
+                            <label className="flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-lg p-8 text-center cursor-pointer hover:border-blue-400 hover:bg-blue-50 transition-colors">
+                                <svg className="w-10 h-10 text-gray-400 mb-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+                                </svg>
+                                <span className="text-sm font-medium text-gray-700">
+                                    {reading ? 'Reading file...' : 'Choose a supplier spreadsheet'}
+                                </span>
+                                <span className="text-xs text-gray-500 mt-1">CSV or XLSX • first row must be the column headers</span>
+                                <input
+                                    type="file"
+                                    accept={SPREADSHEET_ACCEPT}
+                                    onChange={handleFileChange}
+                                    disabled={reading}
+                                    className="hidden"
+                                />
+                            </label>
+                            <p className="text-sm text-gray-600">
+                                Rows whose SKU matches an existing product update that product, all other rows create new products.{' '}
+                                <button onClick={handleDownloadTemplate} className="text-blue-600 hover:text-blue-800 underline">
+                                    Download a template
+                                </button>
+                            </p>
+                        </div>
+                    )}
+
+                    {step === 'map' && (
+                        <div className="space-y-4">
+                            <p className="text-sm text-gray-600">
+                                Match the spreadsheet columns to product fields. SKU is needed to tell new products from existing ones.
+                            </p>
+                            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                                {IMPORT_FIELDS.map(field => (
+                                    <div key={field.key}>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                                            {field.label} {field.required && <span className="text-red-500">*</span>}
+                                        </label>
+                                        <select
+                                            value={mapping[field.key] ?? ''}
+                                            onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+                                        >
+                                            <option value="">— Not in file —</option>
+                                            {sheet.headers.map((header, index) => (
+                                                <option key={index} value={index}>
+                                                    {header}{sheet.rows[0] ? ` (e.g. ${String(sheet.rows[0].cells[index] ?? '').slice(0, 24)})` : ''}
+                                                </option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                ))}
+                            </div>
+
+                            <div>
+                                <span className="block text-sm font-medium text-gray-700 mb-2">Stock for existing products</span>
+                                <div className="flex flex-col sm:flex-row gap-2 sm:gap-6 text-sm text-gray-700">
+                                    <label className="inline-flex items-center gap-2">
+                                        <input
+                                            type="radio"
+                                            name="stockMode"
+                                            checked={stockMode === STOCK_MODES.ADD}
+                                            onChange={() => setStockMode(STOCK_MODES.ADD)}
+                                        />
+                                        Add to current stock (new delivery)
+                                    </label>
+                                    <label className="inline-flex items-center gap-2">
+                                        <input
+                                            type="radio"
+                                            name="stockMode"
+                                            checked={stockMode === STOCK_MODES.REPLACE}
+                                            onChange={() => setStockMode(STOCK_MODES.REPLACE)}
+                                        />
+                                        Replace current stock (stock count)
+                                    </label>
+                                </div>
+                            </div>
+                        </div>
+                    )}
+
+                    {step === 'preview' && (
+                        <div className="space-y-4">
+                            <div className="grid grid-cols-3 gap-3 text-center">
+                                <div className="bg-green-50 border border-green-100 rounded-lg p-3">
+                                    <div className="text-xl font-bold text-green-900">{counts.create}</div>
+                                    <div className="text-xs font-medium text-green-700">New products</div>
+                                </div>
+                                <div className="bg-blue-50 border border-blue-100 rounded-lg p-3">
+                                    <div className="text-xl font-bold text-blue-900">{counts.update}</div>
+                                    <div className="text-xs font-medium text-blue-700">Updates</div>
+                                </div>
+                                <div className="bg-red-50 border border-red-100 rounded-lg p-3">
+                                    <div className="text-xl font-bold text-red-900">{counts.invalid}</div>
+                                    <div className="text-xs font-medium text-red-700">Rows with errors (skipped)</div>
+                                </div>
+                            </div>
+
+                            <div className="flex items-center justify-between gap-3">
+                                <label className="inline-flex items-center gap-2 text-sm text-gray-700">
+                                    <input
+                                        type="checkbox"
+                                        checked={errorsOnly}
+                                        onChange={() => setErrorsOnly(prev => !prev)}
+                                        className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                                    />
+                                    Show only rows with errors
+                                </label>
+                                {counts.invalid > 0 && (
+                                    <button onClick={handleDownloadErrors} className="text-sm text-blue-600 hover:text-blue-800 underline">
+                                        Download error report
+                                    </button>
+                                )}
+                            </div>
+
+                            <div className="border border-gray-200 rounded-lg overflow-x-auto">
+                                <table className="min-w-full text-sm">
+                                    <thead className="bg-gray-50">
+                                        <tr>
+                                            {['Row', 'Action', 'SKU', 'Name', 'Category', 'Price', 'Stock', 'Problems'].map(header => (
+                                                <th key={header} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider whitespace-nowrap">
+                                                    {header}
+                                                </th>
+                                            ))}
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-gray-200">
+                                        {visibleRows.map(row => (
+                                            <tr key={row.rowNumber} className={row.errors.length > 0 ? 'bg-red-50' : ''}>
+                                                <td className="px-3 py-2 text-gray-500">{row.rowNumber}</td>
+                                                <td className="px-3 py-2"><ActionBadge row={row} /></td>
+                                                <td className="px-3 py-2 font-mono text-xs">{row.values.sku}</td>
+                                                <td className="px-3 py-2 text-gray-900">{row.values.name}</td>
+                                                <td className="px-3 py-2 text-gray-700">{row.values.category}</td>
+                                                <td className="px-3 py-2 text-gray-700 whitespace-nowrap">{row.values.price && `₹${row.values.price}`}</td>
+                                                <td className="px-3 py-2 text-gray-700">
+                                                    {row.action === IMPORT_ACTIONS.UPDATE && row.product
+                                                        ? `${row.product.stock_quantity} → ${row.values.stock_quantity}`
+                                                        : row.values.stock_quantity}
+                                                </td>
+                                                <td className="px-3 py-2 text-xs text-red-700">{row.errors.join('; ')}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                            {visibleRows.length === PREVIEW_LIMIT && (
+                                <p className="text-xs text-gray-500">
+                                    Showing the first {PREVIEW_LIMIT} rows. All rows are imported.
+                                </p>
+                            )}
+                        </div>
+                    )}
+
+                    {step === 'importing' && (
+                        <div className="py-8 space-y-3">
+                            <p className="text-sm font-medium text-gray-700 text-center">
+                                Importing {progress.done} of {progress.total} products...
+                            </p>
+                            <div className="w-full bg-gray-200 rounded-full h-3 overflow-hidden">
+                                <div
+                                    className="bg-blue-600 h-3 rounded-full transition-all duration-200"
+                                    style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }}
+                                ></div>
+                            </div>
+                            <p className="text-xs text-gray-500 text-center">
+                                Keep this window open until the import finishes.
+                            </p>
+                        </div>
+                    )}
+
+                    {step === 'done' && results && (
+                        <div className="py-4 space-y-4">
+                            <div className="bg-gray-50 rounded-lg p-4 space-y-1 text-sm">
+                                <div className="flex justify-between">
+                                    <span className="text-gray-600">Products created</span>
+                                    <span className="font-medium text-green-700">{results.created}</span>
+                                </div>
+                                <div className="flex justify-between">
+                                    <span className="text-gray-600">Products updated</span>
+                                    <span className="font-medium text-blue-700">{results.updated}</span>
+                                </div>
+                                <div className="flex justify-between">
+                                    <span className="text-gray-600">Rows skipped (validation)</span>
+                                    <span className="font-medium">{counts.invalid}</span>
+                                </div>
+                                <div className="flex justify-between">
+                                    <span className="text-gray-600">Rows failed on save</span>
+                                    <span className="font-medium text-red-700">{results.failed.length}</span>
+                                </div>
+                                {results.cancelled > 0 && (
+                                    <div className="flex justify-between">
+                                        <span className="text-gray-600">Rows not imported (cancelled)</span>
+                                        <span className="font-medium">{results.cancelled}</span>
+                                    </div>
+                                )}
+                            </div>
+                            {errorReportCount > 0 && (
+                                <button
+                                    onClick={handleDownloadErrors}
+                                    className="w-full bg-white border border-red-200 text-red-700 py-2.5 px-4 rounded-lg hover:bg-red-50 transition-colors font-medium text-sm"
+                                >
+                                    Download Error Report ({errorReportCount} rows)
+                                </button>
+                            )}
+                        </div>
+                    )}
+                </div>
+
+                {/* Footer */}
+                <div className="flex-shrink-0 p-4 sm:p-6 bg-gray-50 border-t border-gray-200 flex flex-col sm:flex-row gap-3">
+                    {step === 'map' && (
+                        <>
+                            <button
+                                onClick={() => setStep('upload')}
+                                className="flex-1 bg-gray-300 text-gray-700 py-3 px-4 rounded-lg hover:bg-gray-400 transition-colors font-medium"
+                            >
+                                Choose Another File
+                            </button>
+                            <button
+                                onClick={handlePreview}
+                                className="flex-1 bg-blue-600 text-white py-3 px-4 rounded-lg hover:bg-blue-700 transition-colors font-medium"
+                            >
+                                Preview Import
+                            </button>
+                        </>
+                    )}
+                    {step === 'preview' && (
+                        <>
+                            <button
+                                onClick={() => setStep('map')}
+                                className="flex-1 bg-gray-300 text-gray-700 py-3 px-4 rounded-lg hover:bg-gray-400 transition-colors font-medium"
+                            >
+                                Back to Columns
+                            </button>
+                            <button
+                                onClick={handleImport}
+                                disabled={counts.create + counts.update === 0}
+                                className="flex-1 bg-green-600 text-white py-3 px-4 rounded-lg hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors font-medium"
+                            >
+                                Import {counts.create + counts.update} Products
+                            </button>
+                        </>
+                    )}
+                    {step === 'importing' && (
+                        <button
+                            onClick={() => { cancelRef.current = true; }}
+                            className="flex-1 bg-red-600 text-white py-3 px-4 rounded-lg hover:bg-red-700 transition-colors font-medium"
+                        >
+                            Stop After Current Product
+                        </button>
+                    )}
+                    {(step === 'upload' || step === 'done') && (
+                        <button
+                            onClick={handleClose}
+                            className="flex-1 bg-gray-300 text-gray-700 py-3 px-4 rounded-lg hover:bg-gray-400 transition-colors font-medium"
+                        >
+                            {step === 'done' ? 'Done' : 'Cancel'}
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+
+    // 🔑 CRITICAL: Render modal using React Portal to bypass scroll containers
+    return createPortal(modalContent, document.body);
+};
+
+export default ProductImportModal;
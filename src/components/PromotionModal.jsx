@@ -0,0 +1,585 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { createPortal } from 'react-dom';
+import { productsAPI, promotionsAPI } from '../services/api';
+import Alert from './Alert';
+import {
+    EMPTY_PROMOTION,
+    PROMOTION_TYPES,
+    PROMOTION_TYPE_OPTIONS,
+    STACKING,
+    buildPromotionPayload,
+    describePromotion,
+    normalizeCouponCode,
+    normalizePromotion,
+    validatePromotion
+} from '../utils/promotions';
+
+const inputClass = 'w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors text-sm';
+
+const SEARCH_RESULT_LIMIT = 8;
+
+function toTitleCase(str) {
+    if (!str) return '';
+    return str
+        .toLowerCase()
+        .split(' ')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+const FieldError = ({ message }) => (
+    message ? <p className="text-xs text-red-600 mt-1">{message}</p> : null
+);
+
+const toFormData = (promotion) => {
+    const source = promotion ? normalizePromotion(promotion) : EMPTY_PROMOTION;
+    return Object.fromEntries(Object.keys(EMPTY_PROMOTION).map(key => {
+        const value = source[key];
+        if (Array.isArray(value) || typeof value === 'boolean') return [key, value];
+        return [key, value === null || value === undefined ? '' : String(value)];
+    }));
+};
+
+// Add or edit a promotion; onSaved receives the saved record
+const PromotionModal = ({ promotion, promotions, onClose, onSaved }) => {
+    const [formData, setFormData] = useState(() => ({ ...toFormData(promotion), id: promotion?.id }));
+    const [products, setProducts] = useState([]);
+    const [searchTerm, setSearchTerm] = useState('');
+    const [errors, setErrors] = useState({});
+    const [saving, setSaving] = useState(false);
+
+    // Alert state
+    const [alert, setAlert] = useState({
+        isOpen: false,
+        severity: 'info',
+        message: ''
+    });
+
+    const showAlert = (severity, message) => {
+        setAlert({
+            isOpen: true,
+            severity,
+            message
+        });
+    };
+
+    const closeAlert = () => {
+        setAlert(prev => ({ ...prev, isOpen: false }));
+    };
+
+    // 🔑 CRITICAL: Prevent background scrolling when modal is open
+    useEffect(() => {
+        const originalOverflow = document.body.style.overflow;
+        const originalPosition = document.body.style.position;
+
+        document.body.style.overflow = 'hidden';
+        document.body.style.position = 'fixed';
+        document.body.style.top = '0';
+        document.body.style.left = '0';
+        document.body.style.right = '0';
+        document.body.style.bottom = '0';
+
+        return () => {
+            document.body.style.overflow = originalOverflow;
+            document.body.style.position = originalPosition;
+            document.body.style.top = '';
+            document.body.style.left = '';
+            document.body.style.right = '';
+            document.body.style.bottom = '';
+        };
+    }, []);
+
+    // Products for the bundle and buy X get Y pickers, categories come from the same list
+    useEffect(() => {
+        const loadProducts = async () => {
+            try {
+                const response = await productsAPI.getAll();
+                setProducts(response.data || []);
+            } catch (error) {
+                console.error('Error fetching products:', error);
+                const errorMessage = error.response?.data?.error || error.message || 'Unknown error occurred';
+                setAlert({ isOpen: true, severity: 'error', message: `Could not load products: ${errorMessage}` });
+            }
+        };
+
+        loadProducts();
+    }, []);
+
+    const categories = useMemo(() => [...new Set(products
+        .map(product => String(product.category || '').trim().toLowerCase())
+        .filter(Boolean))]
+        .sort(), [products]);
+
+    const productsById = useMemo(() => new Map(products.map(product => [String(product.id), product])), [products]);
+
+    const searchResults = useMemo(() => {
+        const term = searchTerm.trim().toLowerCase();
+        if (!term) return [];
+        return products
+            .filter(product => !formData.product_ids.includes(String(product.id)))
+            .filter(product => product.name?.toLowerCase().includes(term) ||
+                (product.sku && String(product.sku).toLowerCase().includes(term)) ||
+                (product.barcode && String(product.barcode).toLowerCase().includes(term)))
+            .slice(0, SEARCH_RESULT_LIMIT);
+    }, [products, searchTerm, formData.product_ids]);
+
+    // Bundle value at today's prices, so staff can see the saving they are offering
+    const bundleValue = formData.product_ids
+        .reduce((sum, id) => sum + (parseFloat(productsById.get(id)?.price) || 0), 0);
+
+    const setField = (name, value) => {
+        setFormData(prev => ({ ...prev, [name]: value }));
+        if (errors[name]) {
+            setErrors(prev => ({ ...prev, [name]: undefined }));
+        }
+    };
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setField(name, type === 'checkbox' ? checked : value);
+    };
+
+    const addProduct = (product) => {
+        setField('product_ids', [...formData.product_ids, String(product.id)]);
+        setSearchTerm('');
+    };
+
+    const removeProduct = (id) => {
+        setField('product_ids', formData.product_ids.filter(productId => productId !== id));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        const validationErrors = validatePromotion(formData, promotions);
+        setErrors(validationErrors);
+        if (Object.keys(validationErrors).length > 0) {
+            showAlert('error', Object.values(validationErrors)[0]);
+            return;
+        }
+
+        const payload = buildPromotionPayload(formData);
+
+        setSaving(true);
+        try {
+            const response = promotion
+                ? await promotionsAPI.update(promotion.id, payload)
+                : await promotionsAPI.create(payload);
+            onSaved({ ...promotion, ...payload, ...response.data });
+        } catch (error) {
+            console.error('Error saving promotion:', error);
+            const errorMessage = error.response?.data?.error || error.message || 'Unknown error occurred';
+            showAlert('error', `Failed to save promotion: ${errorMessage}`);
+            setSaving(false);
+        }
+    };
+
+    const handleModalClick = (e) => {
+        e.stopPropagation();
+    };
+
+    const handleBackdropClick = (e) => {
+        if (e.target === e.currentTarget && !saving) {
+            onClose();
+        }
+    };
+
+    const showCategory = formData.type === PROMOTION_TYPES.CATEGORY_PERCENT || formData.type === PROMOTION_TYPES.BUY_X_GET_Y;
+    const showProducts = formData.type === PROMOTION_TYPES.BUNDLE || formData.type === PROMOTION_TYPES.BUY_X_GET_Y;
+    const preview = describePromotion(normalizePromotion(buildPromotionPayload(formData)));
+
+    const modalContent = (
+        <div
+            className="fixed inset-0 z-50"
+            style={{
+                position: 'fixed',
+                top: 0,
+                left: 0,
+                right: 0,
+                bottom: 0,
+                zIndex: 99999,
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                backgroundColor: 'rgba(0, 0, 0, 0.5)',
+                padding: '16px'
+            }}
+            onClick={handleBackdropClick}
+        >
+            <Alert
+                isOpen={alert.isOpen}
+                severity={alert.severity}
+                message={alert.message}
+                onClose={closeAlert}
+                position="top"
+                duration={4000}
+            />
+
+            <form
+                onSubmit={handleSubmit}
+                className="bg-white rounded-lg shadow-2xl w-full flex flex-col"
+                style={{
+                    maxWidth: 'min(95vw, 720px)',
+                    maxHeight: 'min(90vh, 90dvh)',
+                    overflow: 'hidden'
+                }}
+                onClick={handleModalClick}
+            >
+                {/* Header */}
+                <div className="flex-shrink-0 flex justify-between items-center p-4 sm:p-6 border-b border-gray-200">
+                    <h2 className="text-lg sm:text-xl font-semibold text-gray-900">
+                        {promotion ? 'Edit Promotion' : 'New Promotion'}
+                    </h2>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        disabled={saving}
+                        className="text-gray-400 hover:text-gray-600 text-2xl flex-shrink-0 p-1 hover:bg-gray-100 rounded-full transition-colors"
+                        aria-label="Close"
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <div className="flex-1 overflow-y-auto p-4 sm:p-6 space-y-5" style={{ WebkitOverflowScrolling: 'touch' }}>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">
+                                Name <span className="text-red-500">*</span>
+                            </label>
+                            <input
+                                type="text"
+                                name="name"
+                                value={formData.name}
+                                onChange={handleChange}
+                                placeholder="e.g. Diwali Audio Sale"
+                                className={`${inputClass} ${errors.name ? 'border-red-400' : 'border-gray-300'}`}
+                                autoFocus
+                            />
+                            <FieldError message={errors.name} />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">Coupon Code</label>
+                            <input
+                                type="text"
+                                name="code"
+                                value={formData.code}
+                                onChange={(e) => setField('code', normalizeCouponCode(e.target.value))}
+                                placeholder="Leave empty to apply automatically"
+                                className={`${inputClass} font-mono ${errors.code ? 'border-red-400' : 'border-gray-300'}`}
+                            />
+                            <FieldError message={errors.code} />
+                        </div>
+                    </div>
+
+                    {/* Type */}
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Promotion Type</label>
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                            {PROMOTION_TYPE_OPTIONS.map(option => (
+                                <button
+                                    key={option.value}
+                                    type="button"
+                                    onClick={() => setField('type', option.value)}
+                                    className={`text-left p-3 rounded-lg border-2 text-sm transition-all ${formData.type === option.value
+                                        ? 'border-blue-500 bg-blue-50'
+                                        : 'border-gray-200 hover:border-gray-300'
+                                        }`}
+                                >
+                                    <span className="block font-medium text-gray-800">{option.label}</span>
+                                    <span className="block text-xs text-gray-500">{option.description}</span>
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    {/* Rule */}
+                    <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                        {formData.type === PROMOTION_TYPES.BUY_X_GET_Y && (
+                            <>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-2">Buy (units)</label>
+                                    <input
+                                        type="number"
+                                        name="buy_quantity"
+                                        min="1"
+                                        value={formData.buy_quantity}
+                                        onChange={handleChange}
+                                        className={`${inputClass} ${errors.buy_quantity ? 'border-red-400' : 'border-gray-300'}`}
+                                    />
+                                    <FieldError message={errors.buy_quantity} />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-2">Get (units)</label>
+                                    <input
+                                        type="number"
+                                        name="get_quantity"
+                                        min="1"
+                                        value={formData.get_quantity}
+                                        onChange={handleChange}
+                                        className={`${inputClass} ${errors.get_quantity ? 'border-red-400' : 'border-gray-300'}`}
+                                    />
+                                    <FieldError message={errors.get_quantity} />
+                                </div>
+                            </>
+                        )}
+
+                        {(formData.type === PROMOTION_TYPES.CATEGORY_PERCENT || formData.type === PROMOTION_TYPES.BUY_X_GET_Y) && (
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">
+                                    {formData.type === PROMOTION_TYPES.BUY_X_GET_Y ? '% Off Free Units' : '% Off'}
+                                </label>
+                                <input
+                                    type="number"
+                                    name="percent"
+                                    min="1"
+                                    max="100"
+                                    value={formData.percent}
+                                    onChange={handleChange}
+                                    placeholder={formData.type === PROMOTION_TYPES.BUY_X_GET_Y ? '100 (free)' : ''}
+                                    className={`${inputClass} ${errors.percent ? 'border-red-400' : 'border-gray-300'}`}
+                                />
+                                <FieldError message={errors.percent} />
+                            </div>
+                        )}
+
+                        {formData.type === PROMOTION_TYPES.BUNDLE && (
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">Bundle Price (₹)</label>
+                                <input
+                                    type="number"
+                                    name="bundle_price"
+                                    min="0"
+                                    step="0.01"
+                                    value={formData.bundle_price}
+                                    onChange={handleChange}
+                                    className={`${inputClass} ${errors.bundle_price ? 'border-red-400' : 'border-gray-300'}`}
+                                />
+                                <FieldError message={errors.bundle_price} />
+                                {bundleValue > 0 && (
+                                    <p className="text-xs text-gray-500 mt-1">Bought separately: ₹{bundleValue.toFixed(2)}</p>
+                                )}
+                            </div>
+                        )}
+
+                        {formData.type === PROMOTION_TYPES.CART_DISCOUNT && (
+                            <>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-2">Minimum Cart (₹)</label>
+                                    <input
+                                        type="number"
+                                        name="min_amount"
+                                        min="0"
+                                        value={formData.min_amount}
+                                        onChange={handleChange}
+                                        className={`${inputClass} ${errors.min_amount ? 'border-red-400' : 'border-gray-300'}`}
+                                    />
+                                    <FieldError message={errors.min_amount} />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-2">Discount</label>
+                                    <div className="flex gap-2">
+                                        <input
+                                            type="number"
+                                            name="discount_value"
+                                            min="0"
+                                            value={formData.discount_value}
+                                            onChange={handleChange}
+                                            className={`${inputClass} min-w-0 ${errors.discount_value ? 'border-red-400' : 'border-gray-300'}`}
+                                        />
+                                        <select
+                                            name="discount_type"
+                                            value={formData.discount_type}
+                                            onChange={handleChange}
+                                            className="px-2 py-2 border border-gray-300 rounded-lg text-sm"
+                                        >
+                                            <option value="percentage">%</option>
+                                            <option value="amount">₹</option>
+                                        </select>
+                                    </div>
+                                    <FieldError message={errors.discount_value} />
+                                </div>
+                                {formData.discount_type === 'percentage' && (
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-2">Maximum Discount (₹)</label>
+                                        <input
+                                            type="number"
+                                            name="max_discount"
+                                            min="0"
+                                            value={formData.max_discount}
+                                            onChange={handleChange}
+                                            placeholder="No cap"
+                                            className={`${inputClass} border-gray-300`}
+                                        />
+                                    </div>
+                                )}
+                            </>
+                        )}
+
+                        {showCategory && (
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">
+                                    Category{formData.type === PROMOTION_TYPES.BUY_X_GET_Y && ' (optional)'}
+                                </label>
+                                <select
+                                    name="category"
+                                    value={formData.category}
+                                    onChange={handleChange}
+                                    className={`${inputClass} ${errors.category ? 'border-red-400' : 'border-gray-300'}`}
+                                >
+                                    <option value="">{formData.type === PROMOTION_TYPES.BUY_X_GET_Y ? 'Any category' : 'Choose a category'}</option>
+                                    {categories.map(category => (
+                                        <option key={category} value={category}>{toTitleCase(category)}</option>
+                                    ))}
+                                </select>
+                                <FieldError message={errors.category} />
+                            </div>
+                        )}
+                    </div>
+
+                    {/* Products for bundles, or to narrow buy X get Y */}
+                    {showProducts && (
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">
+                                {formData.type === PROMOTION_TYPES.BUNDLE ? 'Bundle Products' : 'Only These Products (optional, overrides category)'}
+                            </label>
+                            <div className="relative">
+                                <input
+                                    type="text"
+                                    value={searchTerm}
+                                    onChange={(e) => setSearchTerm(e.target.value)}
+                                    placeholder="Search products by name, SKU or barcode to add..."
+                                    className={`${inputClass} ${errors.product_ids ? 'border-red-400' : 'border-gray-300'}`}
+                                />
+                                {searchResults.length > 0 && (
+                                    <ul className="absolute left-0 right-0 top-full mt-1 bg-white border border-gray-200 rounded-lg shadow-lg z-10 max-h-64 overflow-y-auto divide-y divide-gray-100">
+                                        {searchResults.map(product => (
+                                            <li key={product.id}>
+                                                <button
+                                                    type="button"
+                                                    onClick={() => addProduct(product)}
+                                                    className="w-full text-left px-3 py-2 hover:bg-gray-50 text-sm flex justify-between gap-2"
+                                                >
+                                                    <span className="truncate">{toTitleCase(product.name)}</span>
+                                                    <span className="text-xs text-gray-500 whitespace-nowrap">₹{parseFloat(product.price || 0).toFixed(2)}</span>
+                                                </button>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </div>
+                            <FieldError message={errors.product_ids} />
+                            {formData.product_ids.length > 0 && (
+                                <div className="flex flex-wrap gap-2 mt-2">
+                                    {formData.product_ids.map(id => (
+                                        <span key={id} className="inline-flex items-center gap-1 bg-gray-100 text-gray-800 text-xs px-2 py-1 rounded-full">
+                                            {toTitleCase(productsById.get(id)?.name) || `Product ${id.substring(0, 8)}`}
+                                            <button
+                                                type="button"
+                                                onClick={() => removeProduct(id)}
+                                                className="text-gray-500 hover:text-red-600"
+                                                aria-label="Remove product"
+                                            >
+                                                ×
+                                            </button>
+                                        </span>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    {/* Validity and limits */}
+                    <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">Starts On</label>
+                            <input
+                                type="date"
+                                name="starts_at"
+                                value={formData.starts_at}
+                                onChange={handleChange}
+                                className={`${inputClass} border-gray-300`}
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">Ends On</label>
+                            <input
+                                type="date"
+                                name="ends_at"
+                                value={formData.ends_at}
+                                onChange={handleChange}
+                                className={`${inputClass} ${errors.ends_at ? 'border-red-400' : 'border-gray-300'}`}
+                            />
+                            <FieldError message={errors.ends_at} />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">Usage Limit (bills)</label>
+                            <input
+                                type="number"
+                                name="usage_limit"
+                                min="1"
+                                value={formData.usage_limit}
+                                onChange={handleChange}
+                                placeholder="No limit"
+                                className={`${inputClass} ${errors.usage_limit ? 'border-red-400' : 'border-gray-300'}`}
+                            />
+                            <FieldError message={errors.usage_limit} />
+                        </div>
+                    </div>
+
+                    <div className="flex flex-col sm:flex-row sm:items-center gap-3 sm:gap-6">
+                        <label className="flex items-center space-x-2 text-sm text-gray-700">
+                            <input
+                                type="checkbox"
+                                checked={formData.stacking === STACKING.EXCLUSIVE}
+                                onChange={(e) => setField('stacking', e.target.checked ? STACKING.EXCLUSIVE : STACKING.STACKABLE)}
+                                className="h-4 w-4 rounded border-gray-300"
+                            />
+                            <span>Exclusive: never combine with other promotions</span>
+                        </label>
+                        <label className="flex items-center space-x-2 text-sm text-gray-700">
+                            <input
+                                type="checkbox"
+                                name="active"
+                                checked={formData.active}
+                                onChange={handleChange}
+                                className="h-4 w-4 rounded border-gray-300"
+                            />
+                            <span>Active</span>
+                        </label>
+                    </div>
+
+                    {preview && (
+                        <p className="text-sm text-blue-800 bg-blue-50 border border-blue-100 rounded-lg px-3 py-2">
+                            {preview}{formData.code ? ` with code ${formData.code}` : ', applied automatically'}
+                        </p>
+                    )}
+                </div>
+
+                {/* Footer */}
+                <div className="flex-shrink-0 p-4 sm:p-6 bg-gray-50 border-t border-gray-200 flex flex-col sm:flex-row gap-3">
+                    <button
+                        type="submit"
+                        disabled={saving}
+                        className="flex-1 bg-green-600 text-white py-3 px-4 rounded-lg hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors font-medium"
+                    >
+                        {saving ? 'Saving...' : promotion ? 'Update Promotion' : 'Create Promotion'}
+                    </button>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        disabled={saving}
+                        className="flex-1 bg-gray-300 text-gray-700 py-3 px-4 rounded-lg hover:bg-gray-400 disabled:opacity-50 transition-colors font-medium"
+                    >
+                        Cancel
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+
+    // 🔑 CRITICAL: Render modal using React Portal to bypass scroll containers
+    return createPortal(modalContent, document.body);
+};
+
+export default PromotionModal;
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { findCoupon, getPromotionLabel } from '../utils/promotions';
+
+// Coupon entry and the promotions working on the cart, shown above the manual discount.
+// Automatic promotions just appear; coupons are checked here before they reach the cart.
+const PromotionsPanel = ({ promotions, couponCodes, onCouponCodesChange, result }) => {
+    const [code, setCode] = useState('');
+    const [error, setError] = useState('');
+
+    const handleApply = () => {
+        const { promotion, error: couponError } = findCoupon(promotions, code);
+        if (couponError) {
+            setError(couponError);
+            return;
+        }
+        if (couponCodes.includes(promotion.code)) {
+            setError(`${promotion.code} is already applied`);
+            return;
+        }
+        onCouponCodesChange([...couponCodes, promotion.code]);
+        setCode('');
+        setError('');
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            handleApply();
+        }
+    };
+
+    const appliedCodes = result.applied.map(entry => entry.code).filter(Boolean);
+    const pendingCodes = couponCodes.filter(entry => !appliedCodes.includes(entry));
+
+    return (
+        <div className="border border-pink-200 bg-pink-50 rounded-lg p-3 mb-4 space-y-3">
+            <div>
+                <label className="block text-sm font-semibold text-pink-900 mb-1">Coupon Code</label>
+                <div className="flex gap-2">
+                    <input
+                        type="text"
+                        value={code}
+                        onChange={(e) => {
+                            setCode(e.target.value.toUpperCase());
+                            setError('');
+                        }}
+                        onKeyDown={handleKeyDown}
+                        placeholder="Enter code"
+                        className={`flex-1 min-w-0 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent outline-none text-sm font-mono ${error ? 'border-red-400' : 'border-pink-300'}`}
+                    />
+                    <button
+                        type="button"
+                        onClick={handleApply}
+                        disabled={!code.trim()}
+                        className="px-3 py-2 text-xs font-medium rounded-lg bg-pink-600 text-white hover:bg-pink-700 disabled:bg-gray-300"
+                    >
+                        Apply
+                    </button>
+                </div>
+                {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+            </div>
+
+            {result.applied.length > 0 && (
+                <ul className="space-y-1">
+                    {result.applied.map(entry => (
+                        <li key={entry.promotion_id} className="flex items-start justify-between gap-2 text-xs">
+                            <div className="min-w-0">
+                                <span className="block font-medium text-pink-900">{getPromotionLabel(entry)}</span>
+                                <span className="block text-pink-800">{entry.description}</span>
+                            </div>
+                            <div className="flex items-center gap-2 flex-shrink-0">
+                                <span className="font-semibold text-green-700">-₹{entry.amount.toFixed(2)}</span>
+                                {entry.code && (
+                                    <button
+                                        type="button"
+                                        onClick={() => onCouponCodesChange(couponCodes.filter(entryCode => entryCode !== entry.code))}
+                                        className="text-pink-700 hover:text-red-600 text-base leading-none"
+                                        aria-label={`Remove ${entry.code}`}
+                                    >
+                                        ×
+                                    </button>
+                                )}
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {/* Coupons that were accepted but save nothing on this cart */}
+            {pendingCodes.map(entryCode => (
+                <div key={entryCode} className="flex items-start justify-between gap-2 text-xs">
+                    <span className="text-pink-800">
+                        <span className="font-mono font-medium">{entryCode}</span>: {result.couponNotes[entryCode] || 'Not applied'}
+                    </span>
+                    <button
+                        type="button"
+                        onClick={() => onCouponCodesChange(couponCodes.filter(applied => applied !== entryCode))}
+                        className="text-pink-700 hover:text-red-600 text-base leading-none flex-shrink-0"
+                        aria-label={`Remove ${entryCode}`}
+                    >
+                        ×
+                    </button>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default PromotionsPanel;
@@ -0,0 +1,453 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { createPortal } from 'react-dom';
+import { productsAPI, purchaseOrdersAPI } from '../services/api';
+import useReorderStore from '../stores/useReorderStore';
+import Alert from './Alert';
+import {
+    PO_STATUS,
+    buildLinesFromReorderList,
+    calculatePOTotals,
+    createPOLine,
+    validatePurchaseOrder
+} from '../utils/purchaseOrders';
+
+function toTitleCase(str) {
+    if (!str) return '';
+    return str
+        .toLowerCase()
+        .split(' ')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+const SEARCH_RESULT_LIMIT = 8;
+
+// New purchase order, or edits to a draft. prefillReorder starts the order with every
+// product on the reorder list at its suggested quantity.
+const PurchaseOrderModal = ({ purchaseOrder, suppliers, prefillReorder = false, onClose, onSaved }) => {
+    const reorderItems = useReorderStore((state) => state.items);
+    const fetchReorderList = useReorderStore((state) => state.fetchReorderList);
+
+    const [products, setProducts] = useState([]);
+    const [supplierId, setSupplierId] = useState(purchaseOrder?.supplier_id || '');
+    const [expectedDate, setExpectedDate] = useState(purchaseOrder?.expected_date?.slice(0, 10) || '');
+    const [createdBy, setCreatedBy] = useState(purchaseOrder?.created_by || '');
+    const [notes, setNotes] = useState(purchaseOrder?.notes || '');
+    const [lines, setLines] = useState(() => (purchaseOrder?.items || []).map(item => ({
+        product_id: item.product_id,
+        name: item.name,
+        sku: item.sku,
+        quantity: item.quantity,
+        unit_cost: item.unit_cost ?? ''
+    })));
+    const [searchTerm, setSearchTerm] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [prefilled, setPrefilled] = useState(!prefillReorder);
+
+    // Alert state
+    const [alert, setAlert] = useState({
+        isOpen: false,
+        severity: 'info',
+        message: ''
+    });
+
+    const showAlert = (severity, message) => {
+        setAlert({
+            isOpen: true,
+            severity,
+            message
+        });
+    };
+
+    const closeAlert = () => {
+        setAlert(prev => ({ ...prev, isOpen: false }));
+    };
+
+    // 🔑 CRITICAL: Prevent background scrolling when modal is open
+    useEffect(() => {
+        const originalOverflow = document.body.style.overflow;
+        const originalPosition = document.body.style.position;
+
+        document.body.style.overflow = 'hidden';
+        document.body.style.position = 'fixed';
+        document.body.style.top = '0';
+        document.body.style.left = '0';
+        document.body.style.right = '0';
+        document.body.style.bottom = '0';
+
+        return () => {
+            document.body.style.overflow = originalOverflow;
+            document.body.style.position = originalPosition;
+            document.body.style.top = '';
+            document.body.style.left = '';
+            document.body.style.right = '';
+            document.body.style.bottom = '';
+        };
+    }, []);
+
+    useEffect(() => {
+        const loadProducts = async () => {
+            try {
+                const response = await productsAPI.getAll();
+                setProducts(response.data || []);
+            } catch (error) {
+                console.error('Error fetching products:', error);
+                const errorMessage = error.response?.data?.error || error.message || 'Unknown error occurred';
+                setAlert({ isOpen: true, severity: 'error', message: `Could not load products: ${errorMessage}` });
+            }
+        };
+
+        loadProducts();
+        fetchReorderList();
+    }, [fetchReorderList]);
+
+    // The reorder list may still be loading when the modal opens
+    useEffect(() => {
+        if (!prefilled && reorderItems.length > 0) {
+            setLines(buildLinesFromReorderList(reorderItems));
+            setPrefilled(true);
+        }
+    }, [prefilled, reorderItems]);
+
+    const totals = useMemo(() => calculatePOTotals(lines), [lines]);
+
+    const searchResults = useMemo(() => {
+        const term = searchTerm.trim().toLowerCase();
+        if (!term) return [];
+        return products
+            .filter(product => product.name?.toLowerCase().includes(term) ||
+                (product.sku && String(product.sku).toLowerCase().includes(term)) ||
+                (product.barcode && String(product.barcode).toLowerCase().includes(term)))
+            .slice(0, SEARCH_RESULT_LIMIT);
+    }, [products, searchTerm]);
+
+    const addProduct = (product, quantity = 1) => {
+        setLines(prev => {
+            const existing = prev.find(line => String(line.product_id) === String(product.id));
+            if (existing) {
+                return prev.map(line => (line === existing
+                    ? { ...line, quantity: (parseInt(line.quantity, 10) || 0) + quantity }
+                    : line));
+            }
+            return [...prev, createPOLine(product, quantity)];
+        });
+        setSearchTerm('');
+    };
+
+    // Adds reorder items that are not on the order yet, existing quantities are left alone
+    const addReorderItems = () => {
+        const onOrder = new Set(lines.map(line => String(line.product_id)));
+        const missing = buildLinesFromReorderList(reorderItems.filter(item => !onOrder.has(String(item.product.id))));
+        if (missing.length === 0) {
+            showAlert('info', 'All low-stock products are already on this order');
+            return;
+        }
+        setLines(prev => [...prev, ...missing]);
+        showAlert('success', `Added ${missing.length} low-stock product${missing.length === 1 ? '' : 's'}`);
+    };
+
+    const updateLine = (productId, field, value) => {
+        setLines(prev => prev.map(line => (String(line.product_id) === String(productId) ? { ...line, [field]: value } : line)));
+    };
+
+    const removeLine = (productId) => {
+        setLines(prev => prev.filter(line => String(line.product_id) !== String(productId)));
+    };
+
+    const handleSave = async (status) => {
+        const validationError = validatePurchaseOrder({ supplierId, lines });
+        if (validationError) {
+            showAlert('error', validationError);
+            return;
+        }
+        if (!createdBy.trim()) {
+            showAlert('error', 'Enter the name of the staff raising this order');
+            return;
+        }
+
+        const orderData = {
+            supplier_id: supplierId,
+            expected_date: expectedDate || null,
+            created_by: createdBy.trim(),
+            notes: notes.trim(),
+            status,
+            items: lines.map(line => ({
+                product_id: line.product_id,
+                name: line.name,
+                sku: line.sku,
+                quantity: parseInt(line.quantity, 10) || 0,
+                unit_cost: String(line.unit_cost ?? '').trim() === '' ? null : parseFloat(line.unit_cost)
+            })),
+            total_quantity: totals.quantity,
+            total_amount: totals.amount
+        };
+
+        setSaving(true);
+        try {
+            const response = purchaseOrder
+                ? await purchaseOrdersAPI.update(purchaseOrder.id, orderData)
+                : await purchaseOrdersAPI.create(orderData);
+            onSaved({ ...purchaseOrder, ...orderData, created_at: purchaseOrder?.created_at || new Date().toISOString(), ...response.data });
+        } catch (error) {
+            console.error('Error saving purchase order:', error);
+            const errorMessage = error.response?.data?.error || error.message || 'Unknown error occurred';
+            showAlert('error', `Failed to save purchase order: ${errorMessage}`);
+            setSaving(false);
+        }
+    };
+
+    const handleModalClick = (e) => {
+        e.stopPropagation();
+    };
+
+    const handleBackdropClick = (e) => {
+        if (e.target === e.currentTarget && !saving) {
+            onClose();
+        }
+    };
+
+    const modalContent = (
+        <div
+            className="fixed inset-0 z-50"
+            style={{
+                position: 'fixed',
+                top: 0,
+                left: 0,
+                right: 0,
+                bottom: 0,
+                zIndex: 99999,
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                backgroundColor: 'rgba(0, 0, 0, 0.5)',
+                padding: '16px'
+            }}
+            onClick={handleBackdropClick}
+        >
+            <Alert
+                isOpen={alert.isOpen}
+                severity={alert.severity}
+                message={alert.message}
+                onClose={closeAlert}
+                position="top"
+                duration={4000}
+            />
+
+            <div
+                className="bg-white rounded-lg shadow-2xl w-full flex flex-col"
+                style={{
+                    maxWidth: 'min(95vw, 900px)',
+                    maxHeight: 'min(90vh, 90dvh)',
+                    overflow: 'hidden'
+                }}
+                onClick={handleModalClick}
+            >
+                {/* Header */}
+                <div className="flex-shrink-0 flex justify-between items-center p-4 sm:p-6 border-b border-gray-200">
+                    <h2 className="text-lg sm:text-xl font-semibold text-gray-900">
+                        {purchaseOrder ? 'Edit Purchase Order' : 'New Purchase Order'}
+                    </h2>
+                    <button
+                        onClick={onClose}
+                        disabled={saving}
+                        className="text-gray-400 hover:text-gray-600 text-2xl flex-shrink-0 p-1 hover:bg-gray-100 rounded-full transition-colors"
+                        aria-label="Close"
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <div className="flex-1 overflow-y-auto p-4 sm:p-6 space-y-4" style={{ WebkitOverflowScrolling: 'touch' }}>
+                    {/* Order details */}
+                    <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                                Supplier <span className="text-red-500">*</span>
+                            </label>
+                            <select
+                                value={supplierId}
+                                onChange={(e) => setSupplierId(e.target.value)}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                            >
+                                <option value="">Select supplier</option>
+                                {suppliers.map(supplier => (
+                                    <option key={supplier.id} value={supplier.id}>{toTitleCase(supplier.name)}</option>
+                                ))}
+                            </select>
+                            {suppliers.length === 0 && (
+                                <p className="text-xs text-gray-500 mt-1">Add a supplier from the Suppliers tab first</p>
+                            )}
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">Expected By</label>
+                            <input
+                                type="date"
+                                value={expectedDate}
+                                onChange={(e) => setExpectedDate(e.target.value)}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                                Raised By <span className="text-red-500">*</span>
+                            </label>
+                            <input
+                                type="text"
+                                value={createdBy}
+                                onChange={(e) => setCreatedBy(e.target.value)}
+                                placeholder="Staff name"
+                                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                            />
+                        </div>
+                    </div>
+
+                    {/* Product picker */}
+                    <div className="flex flex-col sm:flex-row gap-2">
+                        <div className="flex-1 relative">
+                            <input
+                                type="text"
+                                value={searchTerm}
+                                onChange={(e) => setSearchTerm(e.target.value)}
+                                placeholder="Search products by name, SKU or barcode to add..."
+                                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                            />
+                            {searchResults.length > 0 && (
+                                <ul className="absolute left-0 right-0 top-full mt-1 bg-white border border-gray-200 rounded-lg shadow-lg z-10 max-h-64 overflow-y-auto divide-y divide-gray-100">
+                                    {searchResults.map(product => (
+                                        <li key={product.id}>
+                                            <button
+                                                type="button"
+                                                onClick={() => addProduct(product)}
+                                                className="w-full text-left px-3 py-2 hover:bg-gray-50 text-sm flex justify-between gap-2"
+                                            >
+                                                <span className="truncate">{toTitleCase(product.name)}</span>
+                                                <span className="text-xs text-gray-500 whitespace-nowrap">
+                                                    {product.sku?.toUpperCase()} • {product.stock_quantity} in stock
+                                                </span>
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                        <button
+                            type="button"
+                            onClick={addReorderItems}
+                            disabled={reorderItems.length === 0}
+                            className="px-4 py-2 text-sm font-medium rounded-lg border border-orange-300 text-orange-800 bg-orange-50 hover:bg-orange-100 disabled:opacity-50 disabled:cursor-not-allowed whitespace-nowrap"
+                        >
+                            Add Low-Stock Items ({reorderItems.length})
+                        </button>
+                    </div>
+
+                    {/* Lines */}
+                    {lines.length === 0 ? (
+                        <div className="text-center py-8 text-sm text-gray-500 border border-dashed border-gray-300 rounded-lg">
+                            No products on this order yet
+                        </div>
+                    ) : (
+                        <div className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+                            {lines.map(line => {
+                                const lineAmount = (parseInt(line.quantity, 10) || 0) * (parseFloat(line.unit_cost) || 0);
+                                return (
+                                    <div key={line.product_id} className="p-3 flex flex-col sm:flex-row sm:items-center gap-3">
+                                        <div className="flex-1 min-w-0">
+                                            <p className="font-medium text-gray-900 truncate">{toTitleCase(line.name)}</p>
+                                            <p className="text-xs text-gray-500">{line.sku ? `SKU ${String(line.sku).toUpperCase()}` : ''}</p>
+                                        </div>
+                                        <div className="flex items-center gap-2">
+                                            <label className="text-xs text-gray-500">Qty</label>
+                                            <input
+                                                type="number"
+                                                min="1"
+                                                value={line.quantity}
+                                                onChange={(e) => updateLine(line.product_id, 'quantity', e.target.value)}
+                                                className="w-20 px-2 py-1 border border-gray-300 rounded-lg text-center text-sm"
+                                            />
+                                            <label className="text-xs text-gray-500">Cost ₹</label>
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                step="0.01"
+                                                value={line.unit_cost}
+                                                onChange={(e) => updateLine(line.product_id, 'unit_cost', e.target.value)}
+                                                placeholder="0.00"
+                                                className="w-24 px-2 py-1 border border-gray-300 rounded-lg text-right text-sm"
+                                            />
+                                            <span className="w-24 text-right text-sm font-semibold text-gray-900">₹{lineAmount.toFixed(2)}</span>
+                                            <button
+                                                type="button"
+                                                onClick={() => removeLine(line.product_id)}
+                                                className="text-red-500 hover:text-red-700 text-lg px-1"
+                                                aria-label={`Remove ${toTitleCase(line.name)}`}
+                                            >
+                                                ×
+                                            </button>
+                                        </div>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    )}
+
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Notes for Supplier</label>
+                        <textarea
+                            rows="2"
+                            value={notes}
+                            onChange={(e) => setNotes(e.target.value)}
+                            placeholder="Delivery instructions, payment terms, etc."
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm resize-y"
+                        />
+                    </div>
+
+                    {/* Totals */}
+                    <div className="bg-gray-50 rounded-lg p-4 space-y-1 text-sm">
+                        <div className="flex justify-between">
+                            <span className="text-gray-600">Products</span>
+                            <span className="font-medium">{lines.length}</span>
+                        </div>
+                        <div className="flex justify-between">
+                            <span className="text-gray-600">Total units</span>
+                            <span className="font-medium">{totals.quantity}</span>
+                        </div>
+                        <div className="flex justify-between text-base font-bold text-green-700 pt-1 border-t border-gray-200">
+                            <span>Order Value</span>
+                            <span>₹{totals.amount.toFixed(2)}</span>
+                        </div>
+                    </div>
+                </div>
+
+                {/* Footer */}
+                <div className="flex-shrink-0 p-4 sm:p-6 bg-gray-50 border-t border-gray-200 flex flex-col sm:flex-row gap-3">
+                    <button
+                        onClick={() => handleSave(PO_STATUS.ORDERED)}
+                        disabled={saving || lines.length === 0}
+                        className="flex-1 bg-green-600 text-white py-3 px-4 rounded-lg hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors font-medium"
+                    >
+                        {saving ? 'Saving...' : 'Place Order'}
+                    </button>
+                    <button
+                        onClick={() => handleSave(PO_STATUS.DRAFT)}
+                        disabled={saving || lines.length === 0}
+                        className="flex-1 bg-white border border-gray-300 text-gray-700 py-3 px-4 rounded-lg hover:bg-gray-100 disabled:opacity-50 transition-colors font-medium"
+                    >
+                        Save Draft
+                    </button>
+                    <button
+                        onClick={onClose}
+                        disabled={saving}
+                        className="flex-1 bg-gray-300 text-gray-700 py-3 px-4 rounded-lg hover:bg-gray-400 disabled:opacity-50 transition-colors font-medium"
+                    >
+                        Cancel
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+
+    // 🔑 CRITICAL: Render modal using React Portal to bypass scroll containers
+    return createPortal(modalContent, document.body);
+};
+
+export default PurchaseOrderModal;
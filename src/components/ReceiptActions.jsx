@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import usePrinterStore from '../stores/usePrinterStore';
+import { RECEIPT_PAPER_SIZES, renderReceiptHTML } from '../utils/receipt';
+import { buildEscPosReceipt, downloadEscPos, sendToPrintBridge } from '../utils/escpos';
+import { printHTML } from '../utils/print';
+
+// Thermal receipt controls shown under the invoice preview
+const ReceiptActions = ({ bill, shopSettings, compact = false }) => {
+  const paperWidth = usePrinterStore((state) => state.paperWidth);
+  const setPaperWidth = usePrinterStore((state) => state.setPaperWidth);
+  const bridgeUrl = usePrinterStore((state) => state.bridgeUrl);
+  const [status, setStatus] = useState(null);
+  const [sending, setSending] = useState(false);
+
+  const receiptFileName = `receipt-${bill?.id?.substring(0, 8) || 'unknown'}-${paperWidth}mm.bin`;
+
+  const printReceipt = async () => {
+    try {
+      setStatus(null);
+      await printHTML(renderReceiptHTML(bill, shopSettings, paperWidth));
+    } catch (error) {
+      console.error('Receipt print error:', error);
+      setStatus({ type: 'error', message: 'Could not open the print dialog' });
+    }
+  };
+
+  const downloadReceipt = () => {
+    downloadEscPos(buildEscPosReceipt(bill, shopSettings, paperWidth), receiptFileName);
+  };
+
+  const sendReceipt = async () => {
+    setSending(true);
+    setStatus(null);
+    try {
+      await sendToPrintBridge(buildEscPosReceipt(bill, shopSettings, paperWidth), bridgeUrl);
+      setStatus({ type: 'success', message: 'Receipt sent to printer' });
+    } catch (error) {
+      console.error('Print bridge error:', error);
+      setStatus({ type: 'error', message: `Printer not reachable: ${error.message || 'Unknown error occurred'}` });
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const buttonSize = compact ? 'py-2 px-3 text-sm' : 'py-2 px-4 text-sm';
+
+  return (
+    <div className={`${compact ? 'px-3 sm:px-4 pt-3' : 'px-6 pt-4'} bg-gray-50 border-t flex-shrink-0`}>
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm font-medium text-gray-700 mr-1">Receipt:</span>
+        <div className="inline-flex rounded-lg border border-gray-300 overflow-hidden">
+          {Object.entries(RECEIPT_PAPER_SIZES).map(([width, paper]) => (
+            <button
+              key={width}
+              type="button"
+              onClick={() => setPaperWidth(Number(width))}
+              className={`${buttonSize} font-medium transition-colors ${
+                paperWidth === Number(width)
+                  ? 'bg-gray-800 text-white'
+                  : 'bg-white text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              {paper.label}
+            </button>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={printReceipt}
+          className={`${buttonSize} bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors font-medium`}
+        >
+          Print Receipt
+        </button>
+        {bridgeUrl ? (
+          <button
+            type="button"
+            onClick={sendReceipt}
+            disabled={sending}
+            className={`${buttonSize} bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-100 transition-colors font-medium disabled:opacity-50`}
+          >
+            {sending ? 'Sending...' : 'Send to Printer'}
+          </button>
+        ) : null}
+        <button
+          type="button"
+          onClick={downloadReceipt}
+          className={`${buttonSize} bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-100 transition-colors font-medium`}
+          title="Raw ESC/POS bytes for the thermal printer"
+        >
+          ESC/POS File
+        </button>
+      </div>
+      {status && (
+        <p className={`mt-2 text-xs ${status.type === 'error' ? 'text-red-600' : 'text-green-600'}`}>
+          {status.message}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ReceiptActions;
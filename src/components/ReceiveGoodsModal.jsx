@@ -0,0 +1,383 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { createPortal } from 'react-dom';
+import { purchaseOrdersAPI, productsAPI } from '../services/api';
+import Alert from './Alert';
+import {
+    PO_STATUS,
+    buildReceipt,
+    getPONumber,
+    getReceivableLines,
+    getStatusAfterReceipt
+} from '../utils/purchaseOrders';
+
+function toTitleCase(str) {
+    if (!str) return '';
+    return str
+        .toLowerCase()
+        .split(' ')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+// Everything still outstanding, at the cost agreed on the PO
+const getDefaultEntries = (lines) => Object.fromEntries(lines.map(line => [line.product_id, {
+    quantity: line.remaining > 0 ? String(line.remaining) : '',
+    unit_cost: line.unit_cost ?? '',
+    batch_number: ''
+}]));
+
+const ReceiveGoodsModal = ({ purchaseOrder, supplierName, onClose, onReceived }) => {
+    const lines = useMemo(() => getReceivableLines(purchaseOrder), [purchaseOrder]);
+
+    const [entries, setEntries] = useState(() => getDefaultEntries(lines));
+    const [receivedBy, setReceivedBy] = useState('');
+    const [supplierInvoice, setSupplierInvoice] = useState('');
+    const [notes, setNotes] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+    const [completed, setCompleted] = useState(null);
+    const [restockFailures, setRestockFailures] = useState([]);
+
+    // Alert state
+    const [alert, setAlert] = useState({
+        isOpen: false,
+        severity: 'info',
+        message: ''
+    });
+
+    const showAlert = (severity, message) => {
+        setAlert({
+            isOpen: true,
+            severity,
+            message
+        });
+    };
+
+    const closeAlert = () => {
+        setAlert(prev => ({ ...prev, isOpen: false }));
+    };
+
+    // 🔑 CRITICAL: Prevent background scrolling when modal is open
+    useEffect(() => {
+        const originalOverflow = document.body.style.overflow;
+        const originalPosition = document.body.style.position;
+
+        document.body.style.overflow = 'hidden';
+        document.body.style.position = 'fixed';
+        document.body.style.top = '0';
+        document.body.style.left = '0';
+        document.body.style.right = '0';
+        document.body.style.bottom = '0';
+
+        return () => {
+            document.body.style.overflow = originalOverflow;
+            document.body.style.position = originalPosition;
+            document.body.style.top = '';
+            document.body.style.left = '';
+            document.body.style.right = '';
+            document.body.style.bottom = '';
+        };
+    }, []);
+
+    const receipt = useMemo(() => buildReceipt(lines, entries), [lines, entries]);
+    const statusAfter = getStatusAfterReceipt(lines, receipt.items);
+
+    const updateEntry = (productId, field, value) => {
+        setEntries(prev => ({ ...prev, [productId]: { ...prev[productId], [field]: value } }));
+    };
+
+    const handleReceiveAll = () => {
+        setEntries(getDefaultEntries(lines));
+    };
+
+    const handleClearAll = () => {
+        setEntries(prev => Object.fromEntries(Object.entries(prev).map(([id, entry]) => [id, { ...entry, quantity: '' }])));
+    };
+
+    const handleSubmit = async () => {
+        if (receipt.error) {
+            showAlert('error', receipt.error);
+            return;
+        }
+        if (!receivedBy.trim()) {
+            showAlert('error', 'Enter the name of the staff receiving the goods');
+            return;
+        }
+
+        setSubmitting(true);
+        try {
+            await purchaseOrdersAPI.receive(purchaseOrder.id, {
+                items: receipt.items,
+                received_by: receivedBy.trim(),
+                supplier_invoice: supplierInvoice.trim(),
+                notes: notes.trim(),
+                total_quantity: receipt.quantity,
+                total_amount: receipt.amount,
+                status: statusAfter
+            });
+
+            // Put the received units on the shelf, one product at a time so a failure is traceable
+            const failures = [];
+            for (const item of receipt.items) {
+                try {
+                    await productsAPI.updateStock(item.product_id, item.quantity, {
+                        reason: 'purchase',
+                        reference_type: 'purchase_order',
+                        reference_id: purchaseOrder.id,
+                        unit_cost: item.unit_cost,
+                        batch_number: item.batch_number,
+                        supplier_id: purchaseOrder.supplier_id,
+                        adjusted_by: receivedBy.trim()
+                    });
+                } catch (error) {
+                    console.error('Error adding received stock:', error);
+                    failures.push(item.name);
+                }
+            }
+
+            setRestockFailures(failures);
+            setCompleted({ ...receipt, status: statusAfter });
+            if (onReceived) {
+                onReceived(statusAfter);
+            }
+        } catch (error) {
+            console.error('Error recording goods receipt:', error);
+            const errorMessage = error.response?.data?.error || error.message || 'Unknown error occurred';
+            showAlert('error', `Failed to record receipt: ${errorMessage}`);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleModalClick = (e) => {
+        e.stopPropagation();
+    };
+
+    const handleBackdropClick = (e) => {
+        if (e.target === e.currentTarget && !submitting) {
+            onClose();
+        }
+    };
+
+    const modalContent = (
+        <div
+            className="fixed inset-0 z-50"
+            style={{
+                position: 'fixed',
+                top: 0,
+                left: 0,
+                right: 0,
+                bottom: 0,
+                zIndex: 99999,
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                backgroundColor: 'rgba(0, 0, 0, 0.5)',
+                padding: '16px'
+            }}
+            onClick={handleBackdropClick}
+        >
+            <Alert
+                isOpen={alert.isOpen}
+                severity={alert.severity}
+                message={alert.message}
+                onClose={closeAlert}
+                position="top"
+                duration={4000}
+            />
+
+            <div
+                className="bg-white rounded-lg shadow-2xl w-full flex flex-col"
+                style={{
+                    maxWidth: 'min(95vw, 900px)',
+                    maxHeight: 'min(90vh, 90dvh)',
+                    overflow: 'hidden'
+                }}
+                onClick={handleModalClick}
+            >
+                {/* Header */}
+                <div className="flex-shrink-0 flex justify-between items-center p-4 sm:p-6 border-b border-gray-200">
+                    <div className="min-w-0">
+                        <h2 className="text-lg sm:text-xl font-semibold text-gray-900">Receive Goods</h2>
+                        <p className="text-sm text-gray-500 truncate">
+                            {getPONumber(purchaseOrder)} • {toTitleCase(supplierName) || 'Supplier'}
+                        </p>
+                    </div>
+                    <button
+                        onClick={onClose}
+                        disabled={submitting}
+                        className="text-gray-400 hover:text-gray-600 text-2xl flex-shrink-0 p-1 hover:bg-gray-100 rounded-full transition-colors"
+                        aria-label="Close"
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <div className="flex-1 overflow-y-auto p-4 sm:p-6 space-y-4" style={{ WebkitOverflowScrolling: 'touch' }}>
+                    {completed ? (
+                        <div className="text-center py-6 space-y-4">
+                            <div className="text-5xl">✅</div>
+                            <div>
+                                <h3 className="text-lg font-semibold text-gray-900">
+                                    {completed.quantity} units received
+                                </h3>
+                                <p className="text-gray-600 mt-1">
+                                    ₹{completed.amount.toFixed(2)} at cost •{' '}
+                                    {completed.status === PO_STATUS.RECEIVED ? 'Order fully received' : 'Order still partly outstanding'}
+                                </p>
+                            </div>
+                            {restockFailures.length > 0 && (
+                                <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-lg p-3 text-sm text-left">
+                                    Stock could not be updated for: {restockFailures.map(toTitleCase).join(', ')}. Please adjust these manually from Inventory.
+                                </div>
+                            )}
+                        </div>
+                    ) : (
+                        <>
+                            <div className="flex justify-end gap-3 text-sm">
+                                <button onClick={handleReceiveAll} className="text-blue-600 hover:text-blue-800 font-medium">
+                                    Receive all outstanding
+                                </button>
+                                <button onClick={handleClearAll} className="text-gray-600 hover:text-gray-800 font-medium">
+                                    Clear
+                                </button>
+                            </div>
+
+                            {/* Lines */}
+                            <div className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+                                {lines.map(line => {
+                                    const entry = entries[line.product_id] || {};
+                                    return (
+                                        <div key={line.product_id} className="p-3 flex flex-col lg:flex-row lg:items-center gap-3">
+                                            <div className="flex-1 min-w-0">
+                                                <p className="font-medium text-gray-900 truncate">{toTitleCase(line.name)}</p>
+                                                <p className="text-xs text-gray-500">
+                                                    Ordered {line.ordered}
+                                                    {line.received > 0 && ` • ${line.received} already received`}
+                                                    {' • '}{line.remaining > 0 ? `${line.remaining} outstanding` : 'Complete'}
+                                                </p>
+                                            </div>
+                                            <div className="grid grid-cols-3 gap-2 lg:w-96">
+                                                <label className="block">
+                                                    <span className="block text-xs text-gray-500 mb-0.5">Received</span>
+                                                    <input
+                                                        type="number"
+                                                        min="0"
+                                                        max={line.remaining}
+                                                        value={entry.quantity ?? ''}
+                                                        onChange={(e) => updateEntry(line.product_id, 'quantity', e.target.value)}
+                                                        disabled={line.remaining === 0}
+                                                        className="w-full px-2 py-1 border border-gray-300 rounded-lg text-center text-sm disabled:bg-gray-100"
+                                                    />
+                                                </label>
+                                                <label className="block">
+                                                    <span className="block text-xs text-gray-500 mb-0.5">Unit Cost ₹</span>
+                                                    <input
+                                                        type="number"
+                                                        min="0"
+                                                        step="0.01"
+                                                        value={entry.unit_cost ?? ''}
+                                                        onChange={(e) => updateEntry(line.product_id, 'unit_cost', e.target.value)}
+                                                        disabled={line.remaining === 0}
+                                                        className="w-full px-2 py-1 border border-gray-300 rounded-lg text-right text-sm disabled:bg-gray-100"
+                                                    />
+                                                </label>
+                                                <label className="block">
+                                                    <span className="block text-xs text-gray-500 mb-0.5">Batch</span>
+                                                    <input
+                                                        type="text"
+                                                        value={entry.batch_number ?? ''}
+                                                        onChange={(e) => updateEntry(line.product_id, 'batch_number', e.target.value)}
+                                                        disabled={line.remaining === 0}
+                                                        placeholder="Optional"
+                                                        className="w-full px-2 py-1 border border-gray-300 rounded-lg text-sm disabled:bg-gray-100"
+                                                    />
+                                                </label>
+                                            </div>
+                                        </div>
+                                    );
+                                })}
+                            </div>
+
+                            {/* Details */}
+                            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                                        Received By <span className="text-red-500">*</span>
+                                    </label>
+                                    <input
+                                        type="text"
+                                        value={receivedBy}
+                                        onChange={(e) => setReceivedBy(e.target.value)}
+                                        placeholder="Staff name"
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                    />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Supplier Invoice No</label>
+                                    <input
+                                        type="text"
+                                        value={supplierInvoice}
+                                        onChange={(e) => setSupplierInvoice(e.target.value)}
+                                        placeholder="From the delivery bill"
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                    />
+                                </div>
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                                <textarea
+                                    rows="2"
+                                    value={notes}
+                                    onChange={(e) => setNotes(e.target.value)}
+                                    placeholder="Short delivery, damaged cartons, etc."
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm resize-y"
+                                />
+                            </div>
+
+                            {/* Receipt summary */}
+                            <div className="bg-gray-50 rounded-lg p-4 space-y-1 text-sm">
+                                <div className="flex justify-between">
+                                    <span className="text-gray-600">Units received now</span>
+                                    <span className="font-medium">{receipt.quantity}</span>
+                                </div>
+                                <div className="flex justify-between">
+                                    <span className="text-gray-600">Order after this delivery</span>
+                                    <span className="font-medium">{statusAfter === PO_STATUS.RECEIVED ? 'Fully received' : 'Partially received'}</span>
+                                </div>
+                                <div className="flex justify-between text-base font-bold text-green-700 pt-1 border-t border-gray-200">
+                                    <span>Value at Cost</span>
+                                    <span>₹{receipt.amount.toFixed(2)}</span>
+                                </div>
+                            </div>
+                        </>
+                    )}
+                </div>
+
+                {/* Footer */}
+                <div className="flex-shrink-0 p-4 sm:p-6 bg-gray-50 border-t border-gray-200 flex flex-col sm:flex-row gap-3">
+                    {!completed && (
+                        <button
+                            onClick={handleSubmit}
+                            disabled={submitting || receipt.items.length === 0}
+                            className="flex-1 bg-green-600 text-white py-3 px-4 rounded-lg hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors font-medium"
+                        >
+                            {submitting ? 'Saving...' : `Receive ${receipt.quantity} Units`}
+                        </button>
+                    )}
+                    <button
+                        onClick={onClose}
+                        disabled={submitting}
+                        className="flex-1 bg-gray-300 text-gray-700 py-3 px-4 rounded-lg hover:bg-gray-400 disabled:opacity-50 transition-colors font-medium"
+                    >
+                        {completed ? 'Done' : 'Cancel'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+
+    // 🔑 CRITICAL: Render modal using React Portal to bypass scroll containers
+    return createPortal(modalContent, document.body);
+};
+
+export default ReceiveGoodsModal;
@@ -0,0 +1,498 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { createPortal } from 'react-dom';
+import { returnsAPI, productsAPI } from '../services/api';
+import useShopStore from '../stores/useShopStore';
+import useCustomerStore from '../stores/useCustomerStore';
+import Alert from './Alert';
+import { PAYMENT_METHODS } from '../utils/paymentMethods';
+import {
+    RETURN_REASONS,
+    getReturnDeadline,
+    isWithinReturnWindow,
+    getReturnableLines,
+    calculateReturn,
+    getReturnStatusAfter,
+    getCreditNoteNumber
+} from '../utils/returns';
+import { buildCreditNotePDF } from '../utils/creditNotePdf';
+import { getReturnLoyalty } from '../utils/loyalty';
+
+function toTitleCase(str) {
+    if (!str) return '';
+    return str
+        .toLowerCase()
+        .split(' ')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+const ReturnItemsModal = ({ bill, onClose, onReturned }) => {
+    const shopSettings = useShopStore((state) => state.settings);
+    const fetchShopSettings = useShopStore((state) => state.fetchSettings);
+    const recordLoyalty = useCustomerStore((state) => state.recordLoyalty);
+
+    const [existingReturns, setExistingReturns] = useState([]);
+    const [loadingReturns, setLoadingReturns] = useState(true);
+    // Without the earlier returns every unit looks returnable, so nothing can be refunded until they load
+    const [returnsError, setReturnsError] = useState('');
+    const [selections, setSelections] = useState({});
+    const [reason, setReason] = useState(RETURN_REASONS[0].value);
+    const [notes, setNotes] = useState('');
+    const [refundMethod, setRefundMethod] = useState((bill?.payment_method || 'cash').toLowerCase());
+    const [processedBy, setProcessedBy] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+    const [creditNote, setCreditNote] = useState(null);
+    const [restockFailures, setRestockFailures] = useState([]);
+
+    // Alert state
+    const [alert, setAlert] = useState({
+        isOpen: false,
+        severity: 'info',
+        message: ''
+    });
+
+    const showAlert = (severity, message) => {
+        setAlert({
+            isOpen: true,
+            severity,
+            message
+        });
+    };
+
+    const closeAlert = () => {
+        setAlert(prev => ({ ...prev, isOpen: false }));
+    };
+
+    // 🔑 CRITICAL: Prevent background scrolling when modal is open
+    useEffect(() => {
+        const originalOverflow = document.body.style.overflow;
+        const originalPosition = document.body.style.position;
+
+        document.body.style.overflow = 'hidden';
+        document.body.style.position = 'fixed';
+        document.body.style.top = '0';
+        document.body.style.left = '0';
+        document.body.style.right = '0';
+        document.body.style.bottom = '0';
+
+        return () => {
+            document.body.style.overflow = originalOverflow;
+            document.body.style.position = originalPosition;
+            document.body.style.top = '';
+            document.body.style.left = '';
+            document.body.style.right = '';
+            document.body.style.bottom = '';
+        };
+    }, []);
+
+    // Earlier credit notes decide how much of each line is still returnable
+    const loadReturns = useCallback(async () => {
+        setLoadingReturns(true);
+        setReturnsError('');
+        try {
+            const response = await returnsAPI.getByBill(bill.id);
+            setExistingReturns(Array.isArray(response.data) ? response.data : response.data?.returns || []);
+        } catch (error) {
+            console.error('Error fetching returns for bill:', error);
+            const errorMessage = error.response?.data?.error || error.message || 'Unknown error occurred';
+            setReturnsError(errorMessage);
+        } finally {
+            setLoadingReturns(false);
+        }
+    }, [bill.id]);
+
+    useEffect(() => {
+        fetchShopSettings();
+        loadReturns();
+    }, [fetchShopSettings, loadReturns]);
+
+    const windowDays = shopSettings.return_window_days;
+    const deadline = getReturnDeadline(bill, windowDays);
+    const withinWindow = isWithinReturnWindow(bill, windowDays);
+
+    const lines = useMemo(() => getReturnableLines(bill, existingReturns), [bill, existingReturns]);
+    const returnCalc = useMemo(() => calculateReturn(lines, selections), [lines, selections]);
+    // Points earned on the returned share are taken back and redeemed points are given back
+    const returnLoyalty = useMemo(() => getReturnLoyalty(bill, returnCalc.refundAmount), [bill, returnCalc.refundAmount]);
+    const cashRefund = Math.max(returnCalc.refundAmount - returnLoyalty.restoredValue, 0);
+    const nothingLeft = !loadingReturns && !returnsError && lines.every(line => line.returnable === 0);
+
+    const setLineQuantity = (line, value) => {
+        const quantity = Math.max(0, Math.min(parseInt(value, 10) || 0, line.returnable));
+        setSelections(prev => ({ ...prev, [line.key]: quantity }));
+    };
+
+    const handleSubmit = async () => {
+        if (returnsError) {
+            showAlert('error', 'Earlier returns for this bill could not be loaded, try again first');
+            return;
+        }
+        if (!withinWindow) {
+            showAlert('error', `Return window of ${windowDays} days has expired`);
+            return;
+        }
+        if (returnCalc.items.length === 0) {
+            showAlert('error', 'Select at least one item to return');
+            return;
+        }
+        if (!processedBy.trim()) {
+            showAlert('error', 'Enter the name of the staff processing this return');
+            return;
+        }
+
+        setSubmitting(true);
+        try {
+            const returnStatus = getReturnStatusAfter(lines, selections);
+            const returnData = {
+                bill_id: bill.id,
+                reason,
+                notes: notes.trim(),
+                refund_method: refundMethod,
+                processed_by: processedBy.trim(),
+                items: returnCalc.items,
+                taxable_amount: returnCalc.taxableValue,
+                cgst_amount: returnCalc.cgst,
+                sgst_amount: returnCalc.sgst,
+                igst_amount: returnCalc.igst,
+                refund_amount: returnCalc.refundAmount,
+                loyalty_points_reversed: returnLoyalty.pointsReversed,
+                loyalty_points_restored: returnLoyalty.pointsRestored,
+                loyalty_refund_value: returnLoyalty.restoredValue,
+                return_status: returnStatus
+            };
+
+            const response = await returnsAPI.create(returnData);
+            const savedCreditNote = { ...returnData, created_at: new Date().toISOString(), ...response.data };
+
+            // Put returned units back on the shelf, one product at a time so a failure is traceable
+            const failures = [];
+            for (const item of returnCalc.items) {
+                try {
+                    await productsAPI.updateStock(item.product_id, item.quantity, {
+                        reason: 'return',
+                        reference_type: 'credit_note',
+                        reference_id: savedCreditNote.id,
+                        bill_id: bill.id
+                    });
+                } catch (error) {
+                    console.error('Error restocking returned item:', error);
+                    failures.push(item.name);
+                }
+            }
+
+            recordLoyalty(bill.phone_number || bill.customer_phone, returnLoyalty.pointsRestored - returnLoyalty.pointsReversed);
+            setRestockFailures(failures);
+            setCreditNote(savedCreditNote);
+            if (onReturned) {
+                onReturned({
+                    return_status: returnStatus,
+                    refunded_amount: (parseFloat(bill.refunded_amount) || 0) + returnCalc.refundAmount
+                });
+            }
+        } catch (error) {
+            console.error('Error creating return:', error);
+            const errorMessage = error.response?.data?.error || error.message || 'Unknown error occurred';
+            showAlert('error', `Failed to process return: ${errorMessage}`);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const downloadCreditNote = async () => {
+        try {
+            const doc = await buildCreditNotePDF({ creditNote, bill, shopSettings });
+            doc.save(`credit-note-${getCreditNoteNumber(creditNote)}.pdf`);
+        } catch (error) {
+            console.error('Credit note PDF error:', error);
+            showAlert('error', 'Failed to generate credit note PDF');
+        }
+    };
+
+    const handleModalClick = (e) => {
+        e.stopPropagation();
+    };
+
+    const handleBackdropClick = (e) => {
+        if (e.target === e.currentTarget && !submitting) {
+            onClose();
+        }
+    };
+
+    const modalContent = (
+        <div
+            className="fixed inset-0 z-50"
+            style={{
+                position: 'fixed',
+                top: 0,
+                left: 0,
+                right: 0,
+                bottom: 0,
+                zIndex: 99999,
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                backgroundColor: 'rgba(0, 0, 0, 0.5)',
+                padding: '16px'
+            }}
+            onClick={handleBackdropClick}
+        >
+            <Alert
+                isOpen={alert.isOpen}
+                severity={alert.severity}
+                message={alert.message}
+                onClose={closeAlert}
+                position="top"
+                duration={4000}
+            />
+
+            <div
+                className="bg-white rounded-lg shadow-2xl w-full flex flex-col"
+                style={{
+                    maxWidth: 'min(95vw, 800px)',
+                    maxHeight: 'min(90vh, 90dvh)',
+                    overflow: 'hidden'
+                }}
+                onClick={handleModalClick}
+            >
+                {/* Header */}
+                <div className="flex-shrink-0 flex justify-between items-center p-4 sm:p-6 border-b border-gray-200">
+                    <div>
+                        <h2 className="text-lg sm:text-xl font-semibold text-gray-900">Return Items</h2>
+                        <p className="text-sm text-gray-500">
+                            Bill #{bill.id.substring(0, 8).toUpperCase()} • {toTitleCase(bill.customer_name)} • {new Date(bill.created_at).toLocaleDateString('en-IN')}
+                        </p>
+                    </div>
+                    <button
+                        onClick={onClose}
+                        disabled={submitting}
+                        className="text-gray-400 hover:text-gray-600 text-2xl flex-shrink-0 p-1 hover:bg-gray-100 rounded-full transition-colors"
+                        aria-label="Close"
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <div className="flex-1 overflow-y-auto p-4 sm:p-6 space-y-4" style={{ WebkitOverflowScrolling: 'touch' }}>
+                    {creditNote ? (
+                        <div className="text-center py-6 space-y-4">
+                            <div className="text-5xl">✅</div>
+                            <div>
+                                <h3 className="text-lg font-semibold text-gray-900">
+                                    Credit note {getCreditNoteNumber(creditNote)} issued
+                                </h3>
+                                <p className="text-gray-600 mt-1">
+                                    Refund ₹{(parseFloat(creditNote.refund_amount) - (parseFloat(creditNote.loyalty_refund_value) || 0)).toFixed(2)} by {toTitleCase(creditNote.refund_method)}
+                                </p>
+                                {(creditNote.loyalty_points_reversed > 0 || creditNote.loyalty_points_restored > 0) && (
+                                    <p className="text-sm text-amber-700 mt-1">
+                                        Loyalty points: {creditNote.loyalty_points_restored > 0 && `+${creditNote.loyalty_points_restored} returned`}
+                                        {creditNote.loyalty_points_restored > 0 && creditNote.loyalty_points_reversed > 0 && ', '}
+                                        {creditNote.loyalty_points_reversed > 0 && `-${creditNote.loyalty_points_reversed} earned points reversed`}
+                                    </p>
+                                )}
+                            </div>
+                            {restockFailures.length > 0 && (
+                                <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-lg p-3 text-sm text-left">
+                                    Stock could not be updated for: {restockFailures.map(toTitleCase).join(', ')}. Please adjust these manually from Inventory.
+                                </div>
+                            )}
+                            <button
+                                onClick={downloadCreditNote}
+                                className="bg-blue-600 text-white py-3 px-6 rounded-lg hover:bg-blue-700 transition-colors font-medium"
+                            >
+                                Download Credit Note PDF
+                            </button>
+                        </div>
+                    ) : loadingReturns ? (
+                        <div className="text-center py-10">
+                            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600 mx-auto"></div>
+                            <p className="mt-3 text-gray-600 text-sm">Checking earlier returns...</p>
+                        </div>
+                    ) : returnsError ? (
+                        <div className="text-center py-10 space-y-3">
+                            <p className="text-red-700 text-sm font-medium">Could not load earlier returns: {returnsError}</p>
+                            <p className="text-gray-600 text-sm">Returns are blocked until they load, so nothing on this bill is refunded twice.</p>
+                            <button
+                                onClick={loadReturns}
+                                className="bg-blue-600 text-white py-2 px-5 rounded-lg hover:bg-blue-700 transition-colors font-medium text-sm"
+                            >
+                                Try Again
+                            </button>
+                        </div>
+                    ) : (
+                        <>
+                            {/* Return window */}
+                            <div className={`rounded-lg p-3 text-sm border ${withinWindow ? 'bg-blue-50 border-blue-200 text-blue-800' : 'bg-red-50 border-red-200 text-red-800'}`}>
+                                {withinWindow
+                                    ? `Returnable until ${deadline.toLocaleDateString('en-IN')} (${windowDays} day return window)`
+                                    : `Return window of ${windowDays} days ended on ${deadline.toLocaleDateString('en-IN')}. This bill can no longer be returned.`}
+                            </div>
+
+                            {nothingLeft && (
+                                <div className="rounded-lg p-3 text-sm border bg-gray-50 border-gray-200 text-gray-700">
+                                    All items on this bill have already been returned.
+                                </div>
+                            )}
+
+                            {/* Lines */}
+                            <div className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+                                {lines.map(line => {
+                                    const product = line.item?.product || line.item?.products || {};
+                                    const selected = selections[line.key] || 0;
+                                    return (
+                                        <div key={line.key} className="p-3 flex flex-col sm:flex-row sm:items-center gap-3">
+                                            <div className="flex-1 min-w-0">
+                                                <p className="font-medium text-gray-900 truncate">{toTitleCase(product.name || 'Unknown Product')}</p>
+                                                <p className="text-xs text-gray-500">
+                                                    Sold {line.sold} × ₹{parseFloat(line.item?.unit_price || 0).toFixed(2)}
+                                                    {line.alreadyReturned > 0 && ` • ${line.alreadyReturned} already returned`}
+                                                    {' • '}Refund ₹{line.unitRefund.total.toFixed(2)} each
+                                                </p>
+                                            </div>
+                                            <div className="flex items-center gap-2">
+                                                <button
+                                                    type="button"
+                                                    onClick={() => setLineQuantity(line, selected - 1)}
+                                                    disabled={selected <= 0 || !withinWindow}
+                                                    className="w-8 h-8 rounded-lg border border-gray-300 hover:bg-gray-100 disabled:opacity-40"
+                                                >
+                                                    −
+                                                </button>
+                                                <input
+                                                    type="number"
+                                                    min="0"
+                                                    max={line.returnable}
+                                                    value={selected}
+                                                    onChange={(e) => setLineQuantity(line, e.target.value)}
+                                                    disabled={line.returnable === 0 || !withinWindow}
+                                                    className="w-16 px-2 py-1 border border-gray-300 rounded-lg text-center text-sm disabled:bg-gray-100"
+                                                />
+                                                <button
+                                                    type="button"
+                                                    onClick={() => setLineQuantity(line, selected + 1)}
+                                                    disabled={selected >= line.returnable || !withinWindow}
+                                                    className="w-8 h-8 rounded-lg border border-gray-300 hover:bg-gray-100 disabled:opacity-40"
+                                                >
+                                                    +
+                                                </button>
+                                                <span className="text-xs text-gray-500 w-16">of {line.returnable}</span>
+                                            </div>
+                                        </div>
+                                    );
+                                })}
+                            </div>
+
+                            {/* Details */}
+                            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+                                    <select
+                                        value={reason}
+                                        onChange={(e) => setReason(e.target.value)}
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                    >
+                                        {RETURN_REASONS.map(option => (
+                                            <option key={option.value} value={option.value}>{option.label}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Refund Mode</label>
+                                    <select
+                                        value={refundMethod}
+                                        onChange={(e) => setRefundMethod(e.target.value)}
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                    >
+                                        {PAYMENT_METHODS.map(method => (
+                                            <option key={method.value} value={method.value}>{method.label}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                                        Processed By <span className="text-red-500">*</span>
+                                    </label>
+                                    <input
+                                        type="text"
+                                        value={processedBy}
+                                        onChange={(e) => setProcessedBy(e.target.value)}
+                                        placeholder="Staff name"
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                    />
+                                </div>
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                                <textarea
+                                    rows="2"
+                                    value={notes}
+                                    onChange={(e) => setNotes(e.target.value)}
+                                    placeholder="Condition of the item, serial number, etc."
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm resize-y"
+                                />
+                            </div>
+
+                            {/* Refund summary */}
+                            <div className="bg-gray-50 rounded-lg p-4 space-y-1 text-sm">
+                                <div className="flex justify-between">
+                                    <span className="text-gray-600">Items returned</span>
+                                    <span className="font-medium">{returnCalc.quantity}</span>
+                                </div>
+                                {returnCalc.cgst + returnCalc.sgst + returnCalc.igst > 0 && (
+                                    <div className="flex justify-between">
+                                        <span className="text-gray-600">GST reversed</span>
+                                        <span className="font-medium">₹{(returnCalc.cgst + returnCalc.sgst + returnCalc.igst).toFixed(2)}</span>
+                                    </div>
+                                )}
+                                {returnLoyalty.pointsReversed > 0 && (
+                                    <div className="flex justify-between text-amber-700">
+                                        <span>Earned points reversed</span>
+                                        <span className="font-medium">-{returnLoyalty.pointsReversed}</span>
+                                    </div>
+                                )}
+                                {returnLoyalty.pointsRestored > 0 && (
+                                    <div className="flex justify-between text-amber-700">
+                                        <span>Redeemed points returned</span>
+                                        <span className="font-medium">
+                                            +{returnLoyalty.pointsRestored}
+                                            {returnLoyalty.restoredValue > 0 && ` (₹${returnLoyalty.restoredValue.toFixed(2)})`}
+                                        </span>
+                                    </div>
+                                )}
+                                <div className="flex justify-between text-base font-bold text-red-700 pt-1 border-t border-gray-200">
+                                    <span>Refund Amount</span>
+                                    <span>₹{cashRefund.toFixed(2)}</span>
+                                </div>
+                            </div>
+                        </>
+                    )}
+                </div>
+
+                {/* Footer */}
+                <div className="flex-shrink-0 p-4 sm:p-6 bg-gray-50 border-t border-gray-200 flex flex-col sm:flex-row gap-3">
+                    {!creditNote && (
+                        <button
+                            onClick={handleSubmit}
+                            disabled={submitting || loadingReturns || Boolean(returnsError) || !withinWindow || returnCalc.items.length === 0}
+                            className="flex-1 bg-red-600 text-white py-3 px-4 rounded-lg hover:bg-red-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors font-medium"
+                        >
+                            {submitting ? 'Processing...' : `Issue Credit Note (₹${cashRefund.toFixed(2)})`}
+                        </button>
+                    )}
+                    <button
+                        onClick={onClose}
+                        disabled={submitting}
+                        className="flex-1 bg-gray-300 text-gray-700 py-3 px-4 rounded-lg hover:bg-gray-400 disabled:opacity-50 transition-colors font-medium"
+                    >
+                        {creditNote ? 'Done' : 'Cancel'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+
+    // 🔑 CRITICAL: Render modal using React Portal to bypass scroll containers
+    return createPortal(modalContent, document.body);
+};
+
+export default ReturnItemsModal;
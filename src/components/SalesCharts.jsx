@@ -0,0 +1,228 @@
+import React, { useMemo } from 'react';
+
+// Small SVG charts for the Reports page. They are drawn here rather than with a chart
+// library so the page keeps working when the shop's internet is down.
+
+const CHART_COLORS = ['#2563eb', '#16a34a', '#f59e0b', '#dc2626', '#7c3aed', '#0891b2', '#db2777', '#65a30d', '#ea580c', '#475569'];
+
+const defaultFormat = (value) => value.toLocaleString('en-IN');
+
+// Rounds the axis maximum up to 1, 2 or 5 times a power of ten
+const niceMax = (value) => {
+    if (value <= 0) return 1;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    const step = [1, 2, 5, 10].find(factor => factor * magnitude >= value);
+    return step * magnitude;
+};
+
+// Compact axis labels, e.g. 1.2L and 45K
+const formatAxis = (value) => {
+    if (value >= 10000000) return `${+(value / 10000000).toFixed(1)}Cr`;
+    if (value >= 100000) return `${+(value / 100000).toFixed(1)}L`;
+    if (value >= 1000) return `${+(value / 1000).toFixed(1)}K`;
+    return String(+value.toFixed(1));
+};
+
+export const EmptyChart = ({ message = 'No sales in this period' }) => (
+    <div className="flex items-center justify-center h-40 text-sm text-gray-400">{message}</div>
+);
+
+// Vertical bars over time. Labels are thinned out when there are too many to fit.
+export const ColumnChart = ({ data, formatValue = defaultFormat, color = CHART_COLORS[0], height = 240 }) => {
+    const width = 720;
+    const padding = { top: 12, right: 8, bottom: 28, left: 48 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+
+    const max = useMemo(() => niceMax(Math.max(0, ...data.map(point => point.value))), [data]);
+
+    if (data.length === 0 || data.every(point => point.value === 0)) {
+        return <EmptyChart />;
+    }
+
+    const slot = plotWidth / data.length;
+    const barWidth = Math.max(Math.min(slot * 0.7, 48), 1);
+    const labelEvery = Math.ceil(data.length / 12);
+    const ticks = [0, 0.25, 0.5, 0.75, 1];
+
+    return (
+        <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto" role="img">
+            {ticks.map(tick => {
+                const y = padding.top + plotHeight * (1 - tick);
+                return (
+                    <g key={tick}>
+                        <line x1={padding.left} x2={width - padding.right} y1={y} y2={y} stroke="#e5e7eb" strokeWidth="1" />
+                        <text x={padding.left - 6} y={y + 4} textAnchor="end" fontSize="11" fill="#6b7280">
+                            {formatAxis(max * tick)}
+                        </text>
+                    </g>
+                );
+            })}
+            {data.map((point, index) => {
+                const barHeight = (point.value / max) * plotHeight;
+                const x = padding.left + slot * index + (slot - barWidth) / 2;
+                return (
+                    <g key={point.key || point.label}>
+                        <rect
+                            x={x}
+                            y={padding.top + plotHeight - barHeight}
+                            width={barWidth}
+                            height={Math.max(barHeight, 0)}
+                            rx="2"
+                            fill={color}
+                        >
+                            <title>{`${point.label}: ${formatValue(point.value)}${point.detail ? ` • ${point.detail}` : ''}`}</title>
+                        </rect>
+                        {index % labelEvery === 0 && (
+                            <text x={x + barWidth / 2} y={height - 10} textAnchor="middle" fontSize="11" fill="#6b7280">
+                                {point.label}
+                            </text>
+                        )}
+                    </g>
+                );
+            })}
+        </svg>
+    );
+};
+
+// Ranked horizontal bars, widths relative to the largest value
+export const BarList = ({ items, formatValue = defaultFormat, color = CHART_COLORS[0] }) => {
+    if (items.length === 0) {
+        return <EmptyChart />;
+    }
+
+    const max = Math.max(...items.map(item => item.value), 0) || 1;
+
+    return (
+        <div className="space-y-3">
+            {items.map((item, index) => (
+                <div key={item.key || item.label}>
+                    <div className="flex justify-between items-baseline gap-3 text-sm mb-1">
+                        <span className="text-gray-700 truncate">
+                            <span className="text-gray-400 mr-1">{index + 1}.</span>
+                            {item.label}
+                        </span>
+                        <span className="font-semibold text-gray-900 whitespace-nowrap">
+                            {formatValue(item.value)}
+                            {item.detail && <span className="ml-1 text-xs font-normal text-gray-500">{item.detail}</span>}
+                        </span>
+                    </div>
+                    <svg viewBox="0 0 100 6" preserveAspectRatio="none" className="w-full h-2">
+                        <rect x="0" y="0" width="100" height="6" rx="3" fill="#f3f4f6" />
+                        <rect x="0" y="0" width={Math.max((item.value / max) * 100, 0.5)} height="6" rx="3" fill={color} />
+                    </svg>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+const polar = (radius, angle) => ({
+    x: 60 + radius * Math.cos(angle - Math.PI / 2),
+    y: 60 + radius * Math.sin(angle - Math.PI / 2)
+});
+
+// Ring segment between two angles (radians, clockwise from 12 o'clock)
+const arcPath = (start, end, outer = 56, inner = 34) => {
+    const large = end - start > Math.PI ? 1 : 0;
+    const p1 = polar(outer, start);
+    const p2 = polar(outer, end);
+    const p3 = polar(inner, end);
+    const p4 = polar(inner, start);
+    return `M ${p1.x} ${p1.y} A ${outer} ${outer} 0 ${large} 1 ${p2.x} ${p2.y} L ${p3.x} ${p3.y} A ${inner} ${inner} 0 ${large} 0 ${p4.x} ${p4.y} Z`;
+};
+
+// Share of a whole, with a legend listing each slice's value and percentage
+export const DonutChart = ({ items, formatValue = defaultFormat, centerLabel }) => {
+    const total = items.reduce((sum, item) => sum + item.value, 0);
+    if (items.length === 0 || total <= 0) {
+        return <EmptyChart />;
+    }
+
+    let angle = 0;
+    const slices = items.map((item, index) => {
+        const start = angle;
+        const sweep = (item.value / total) * Math.PI * 2;
+        angle += sweep;
+        return { ...item, start, end: angle, color: CHART_COLORS[index % CHART_COLORS.length] };
+    });
+
+    return (
+        <div className="flex flex-col sm:flex-row items-center gap-4">
+            <svg viewBox="0 0 120 120" className="w-40 h-40 flex-shrink-0" role="img">
+                {slices.length === 1 ? (
+                    <circle cx="60" cy="60" r="45" fill="none" stroke={slices[0].color} strokeWidth="22">
+                        <title>{`${slices[0].label}: ${formatValue(slices[0].value)}`}</title>
+                    </circle>
+                ) : slices.map(slice => (
+                    <path key={slice.key || slice.label} d={arcPath(slice.start, slice.end)} fill={slice.color}>
+                        <title>{`${slice.label}: ${formatValue(slice.value)}`}</title>
+                    </path>
+                ))}
+                {centerLabel && (
+                    <text x="60" y="64" textAnchor="middle" fontSize="11" fontWeight="600" fill="#374151">{centerLabel}</text>
+                )}
+            </svg>
+            <ul className="flex-1 w-full space-y-1.5 text-sm">
+                {slices.map(slice => (
+                    <li key={slice.key || slice.label} className="flex items-center gap-2">
+                        <span className="w-3 h-3 rounded-sm flex-shrink-0" style={{ backgroundColor: slice.color }}></span>
+                        <span className="text-gray-700 truncate flex-1">{slice.label}</span>
+                        <span className="font-semibold text-gray-900 whitespace-nowrap">{formatValue(slice.value)}</span>
+                        <span className="text-xs text-gray-500 w-12 text-right">{((slice.value / total) * 100).toFixed(1)}%</span>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+// Rows by columns of cells shaded by value, e.g. weekday by hour of day
+export const Heatmap = ({ grid, rowLabels, columnLabel = (index) => index, valueOf = (cell) => cell, describe }) => {
+    const columns = grid[0]?.length || 0;
+    const max = Math.max(0, ...grid.flatMap(row => row.map(valueOf)));
+    if (max === 0) {
+        return <EmptyChart />;
+    }
+
+    const cell = 24;
+    const gap = 3;
+    const left = 36;
+    const top = 18;
+    const width = left + columns * (cell + gap);
+    const height = top + grid.length * (cell + gap);
+
+    return (
+        <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto" role="img">
+            {Array.from({ length: columns }, (_, column) => (column % 3 === 0 && (
+                <text key={column} x={left + column * (cell + gap) + cell / 2} y={12} textAnchor="middle" fontSize="10" fill="#6b7280">
+                    {columnLabel(column)}
+                </text>
+            )))}
+            {grid.map((row, rowIndex) => (
+                <g key={rowLabels[rowIndex]}>
+                    <text x={0} y={top + rowIndex * (cell + gap) + cell / 2 + 4} fontSize="11" fill="#6b7280">
+                        {rowLabels[rowIndex]}
+                    </text>
+                    {row.map((value, column) => {
+                        const intensity = valueOf(value) / max;
+                        return (
+                            <rect
+                                key={column}
+                                x={left + column * (cell + gap)}
+                                y={top + rowIndex * (cell + gap)}
+                                width={cell}
+                                height={cell}
+                                rx="3"
+                                fill={intensity > 0 ? CHART_COLORS[0] : '#f3f4f6'}
+                                fillOpacity={intensity > 0 ? 0.15 + intensity * 0.85 : 1}
+                            >
+                                {describe && <title>{describe(rowIndex, column, value)}</title>}
+                            </rect>
+                        );
+                    })}
+                </g>
+            ))}
+        </svg>
+    );
+};
@@ -0,0 +1,318 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { createPortal } from 'react-dom';
+import { productsAPI } from '../services/api';
+import Alert from './Alert';
+import {
+    ADJUSTMENT_MODES,
+    ADJUSTMENT_REASONS,
+    MOVEMENT_TYPES,
+    getAdjustmentDelta,
+    validateAdjustment
+} from '../utils/stockLedger';
+
+function toTitleCase(str) {
+    if (!str) return '';
+    return str
+        .toLowerCase()
+        .split(' ')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+const MODE_OPTIONS = [
+    { value: ADJUSTMENT_MODES.REMOVE, label: 'Remove', hint: 'Damaged, lost or written off' },
+    { value: ADJUSTMENT_MODES.ADD, label: 'Add', hint: 'Found or received outside a purchase order' },
+    { value: ADJUSTMENT_MODES.COUNT, label: 'Set Count', hint: 'Enter what is on the shelf after a stock count' }
+];
+
+// Reasons that fit the chosen mode, the rest would be rejected by validateAdjustment anyway
+const getReasonOptions = (mode) => ADJUSTMENT_REASONS.filter(reason => {
+    if (mode === ADJUSTMENT_MODES.ADD) return reason.direction !== 'out';
+    if (mode === ADJUSTMENT_MODES.REMOVE) return reason.direction !== 'in';
+    return true;
+});
+
+const getDefaultReason = (mode) => (mode === ADJUSTMENT_MODES.COUNT ? 'audit' : getReasonOptions(mode)[0].value);
+
+const StockAdjustModal = ({ product, onClose, onAdjusted }) => {
+    const currentStock = parseInt(product.stock_quantity, 10) || 0;
+
+    const [mode, setMode] = useState(ADJUSTMENT_MODES.REMOVE);
+    const [quantity, setQuantity] = useState('');
+    const [reason, setReason] = useState(getDefaultReason(ADJUSTMENT_MODES.REMOVE));
+    const [notes, setNotes] = useState('');
+    const [adjustedBy, setAdjustedBy] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+
+    // Alert state
+    const [alert, setAlert] = useState({
+        isOpen: false,
+        severity: 'info',
+        message: ''
+    });
+
+    const showAlert = (severity, message) => {
+        setAlert({
+            isOpen: true,
+            severity,
+            message
+        });
+    };
+
+    const closeAlert = () => {
+        setAlert(prev => ({ ...prev, isOpen: false }));
+    };
+
+    // 🔑 CRITICAL: Prevent background scrolling when modal is open
+    useEffect(() => {
+        const originalOverflow = document.body.style.overflow;
+        const originalPosition = document.body.style.position;
+
+        document.body.style.overflow = 'hidden';
+        document.body.style.position = 'fixed';
+        document.body.style.top = '0';
+        document.body.style.left = '0';
+        document.body.style.right = '0';
+        document.body.style.bottom = '0';
+
+        return () => {
+            document.body.style.overflow = originalOverflow;
+            document.body.style.position = originalPosition;
+            document.body.style.top = '';
+            document.body.style.left = '';
+            document.body.style.right = '';
+            document.body.style.bottom = '';
+        };
+    }, []);
+
+    const reasonOptions = useMemo(() => getReasonOptions(mode), [mode]);
+    const delta = getAdjustmentDelta(mode, quantity, currentStock);
+    const hasQuantity = String(quantity).trim() !== '';
+
+    const handleModeChange = (nextMode) => {
+        setMode(nextMode);
+        setQuantity('');
+        setReason(getDefaultReason(nextMode));
+    };
+
+    const handleSubmit = async () => {
+        if (!adjustedBy.trim()) {
+            showAlert('error', 'Enter the name of the staff making this adjustment');
+            return;
+        }
+        const validationError = validateAdjustment({ mode, quantity, reason, notes, currentStock });
+        if (validationError) {
+            showAlert('error', validationError);
+            return;
+        }
+
+        setSubmitting(true);
+        try {
+            await productsAPI.updateStock(product.id, delta, {
+                reason,
+                notes: notes.trim(),
+                adjusted_by: adjustedBy.trim(),
+                reference_type: MOVEMENT_TYPES.ADJUSTMENT
+            });
+            if (onAdjusted) {
+                onAdjusted({ ...product, stock_quantity: currentStock + delta }, delta);
+            }
+        } catch (error) {
+            console.error('Error adjusting stock:', error);
+            const errorMessage = error.response?.data?.error || error.message || 'Unknown error occurred';
+            showAlert('error', `Failed to adjust stock: ${errorMessage}`);
+            setSubmitting(false);
+        }
+    };
+
+    const handleModalClick = (e) => {
+        e.stopPropagation();
+    };
+
+    const handleBackdropClick = (e) => {
+        if (e.target === e.currentTarget && !submitting) {
+            onClose();
+        }
+    };
+
+    const modalContent = (
+        <div
+            className="fixed inset-0 z-50"
+            style={{
+                position: 'fixed',
+                top: 0,
+                left: 0,
+                right: 0,
+                bottom: 0,
+                zIndex: 99999,
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                backgroundColor: 'rgba(0, 0, 0, 0.5)',
+                padding: '16px'
+            }}
+            onClick={handleBackdropClick}
+        >
+            <Alert
+                isOpen={alert.isOpen}
+                severity={alert.severity}
+                message={alert.message}
+                onClose={closeAlert}
+                position="top"
+                duration={4000}
+            />
+
+            <div
+                className="bg-white rounded-lg shadow-2xl w-full flex flex-col"
+                style={{
+                    maxWidth: 'min(95vw, 520px)',
+                    maxHeight: 'min(90vh, 90dvh)',
+                    overflow: 'hidden'
+                }}
+                onClick={handleModalClick}
+            >
+                {/* Header */}
+                <div className="flex-shrink-0 flex justify-between items-center p-4 sm:p-6 border-b border-gray-200">
+                    <div className="min-w-0">
+                        <h2 className="text-lg sm:text-xl font-semibold text-gray-900">Adjust Stock</h2>
+                        <p className="text-sm text-gray-500 truncate">
+                            {toTitleCase(product.name)} • {currentStock} in stock
+                        </p>
+                    </div>
+                    <button
+                        onClick={onClose}
+                        disabled={submitting}
+                        className="text-gray-400 hover:text-gray-600 text-2xl flex-shrink-0 p-1 hover:bg-gray-100 rounded-full transition-colors"
+                        aria-label="Close"
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <div className="flex-1 overflow-y-auto p-4 sm:p-6 space-y-4" style={{ WebkitOverflowScrolling: 'touch' }}>
+                    {/* Mode */}
+                    <div>
+                        <div className="grid grid-cols-3 gap-2">
+                            {MODE_OPTIONS.map(option => (
+                                <button
+                                    key={option.value}
+                                    type="button"
+                                    onClick={() => handleModeChange(option.value)}
+                                    className={`py-2 px-3 rounded-lg border text-sm font-medium transition-colors ${mode === option.value
+                                        ? 'bg-blue-600 border-blue-600 text-white'
+                                        : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+                                >
+                                    {option.label}
+                                </button>
+                            ))}
+                        </div>
+                        <p className="text-xs text-gray-500 mt-2">
+                            {MODE_OPTIONS.find(option => option.value === mode).hint}
+                        </p>
+                    </div>
+
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                                {mode === ADJUSTMENT_MODES.COUNT ? 'Counted Quantity' : 'Quantity'} <span className="text-red-500">*</span>
+                            </label>
+                            <input
+                                type="number"
+                                min="0"
+                                step="1"
+                                value={quantity}
+                                onChange={(e) => setQuantity(e.target.value)}
+                                placeholder={mode === ADJUSTMENT_MODES.COUNT ? String(currentStock) : '0'}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                autoFocus
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                                Reason <span className="text-red-500">*</span>
+                            </label>
+                            <select
+                                value={reason}
+                                onChange={(e) => setReason(e.target.value)}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                            >
+                                {reasonOptions.map(option => (
+                                    <option key={option.value} value={option.value}>{option.label}</option>
+                                ))}
+                            </select>
+                        </div>
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                            Adjusted By <span className="text-red-500">*</span>
+                        </label>
+                        <input
+                            type="text"
+                            value={adjustedBy}
+                            onChange={(e) => setAdjustedBy(e.target.value)}
+                            placeholder="Staff name"
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                        />
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                            Notes {reason === 'other' && <span className="text-red-500">*</span>}
+                        </label>
+                        <textarea
+                            rows="2"
+                            value={notes}
+                            onChange={(e) => setNotes(e.target.value)}
+                            placeholder="What happened, where it was found, audit reference, etc."
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm resize-y"
+                        />
+                    </div>
+
+                    {/* Result */}
+                    <div className="bg-gray-50 rounded-lg p-4 space-y-1 text-sm">
+                        <div className="flex justify-between">
+                            <span className="text-gray-600">Current stock</span>
+                            <span className="font-medium">{currentStock}</span>
+                        </div>
+                        <div className="flex justify-between">
+                            <span className="text-gray-600">Change</span>
+                            <span className={`font-medium ${delta < 0 ? 'text-red-600' : delta > 0 ? 'text-green-600' : ''}`}>
+                                {hasQuantity ? `${delta > 0 ? '+' : ''}${delta}` : '—'}
+                            </span>
+                        </div>
+                        <div className="flex justify-between text-base font-bold pt-1 border-t border-gray-200">
+                            <span>Stock after</span>
+                            <span className={hasQuantity && currentStock + delta < 0 ? 'text-red-600' : 'text-gray-900'}>
+                                {hasQuantity ? currentStock + delta : currentStock}
+                            </span>
+                        </div>
+                    </div>
+                </div>
+
+                {/* Footer */}
+                <div className="flex-shrink-0 p-4 sm:p-6 bg-gray-50 border-t border-gray-200 flex flex-col sm:flex-row gap-3">
+                    <button
+                        onClick={handleSubmit}
+                        disabled={submitting || !hasQuantity}
+                        className="flex-1 bg-blue-600 text-white py-3 px-4 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors font-medium"
+                    >
+                        {submitting ? 'Saving...' : 'Save Adjustment'}
+                    </button>
+                    <button
+                        onClick={onClose}
+                        disabled={submitting}
+                        className="flex-1 bg-gray-300 text-gray-700 py-3 px-4 rounded-lg hover:bg-gray-400 disabled:opacity-50 transition-colors font-medium"
+                    >
+                        Cancel
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+
+    // 🔑 CRITICAL: Render modal using React Portal to bypass scroll containers
+    return createPortal(modalContent, document.body);
+};
+
+export default StockAdjustModal;
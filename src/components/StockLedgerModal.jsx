@@ -0,0 +1,346 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { createPortal } from 'react-dom';
+import { productsAPI, billsAPI, returnsAPI } from '../services/api';
+import Alert from './Alert';
+import { DEFAULT_BILL_FILTERS, fetchAllBills } from '../utils/billFilters';
+import { getCreditNoteNumber } from '../utils/returns';
+import {
+    MOVEMENT_TYPES,
+    MOVEMENT_TYPE_LABELS,
+    buildMovementsFromHistory,
+    buildStockLedger,
+    getAdjustmentReasonLabel,
+    normalizeMovement
+} from '../utils/stockLedger';
+
+function toTitleCase(str) {
+    if (!str) return '';
+    return str
+        .toLowerCase()
+        .split(' ')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+const TYPE_BADGES = {
+    [MOVEMENT_TYPES.OPENING]: 'bg-gray-100 text-gray-800',
+    [MOVEMENT_TYPES.PURCHASE]: 'bg-blue-100 text-blue-800',
+    [MOVEMENT_TYPES.SALE]: 'bg-green-100 text-green-800',
+    [MOVEMENT_TYPES.RETURN]: 'bg-purple-100 text-purple-800',
+    [MOVEMENT_TYPES.ADJUSTMENT]: 'bg-orange-100 text-orange-800'
+};
+
+const shortId = (id) => String(id || '').substring(0, 8).toUpperCase();
+
+const describeReference = (entry) => {
+    if (entry.type === MOVEMENT_TYPES.SALE && entry.bill_id) return `Bill #${shortId(entry.bill_id)}`;
+    if (entry.type === MOVEMENT_TYPES.RETURN) {
+        const creditNote = entry.reference_type === 'credit_note' && entry.reference_id
+            ? getCreditNoteNumber({ id: entry.reference_id })
+            : '';
+        const bill = entry.bill_id ? `Bill #${shortId(entry.bill_id)}` : '';
+        return [creditNote, bill].filter(Boolean).join(' • ');
+    }
+    if (entry.type === MOVEMENT_TYPES.PURCHASE && entry.reference_id) return `PO ${shortId(entry.reference_id)}`;
+    if (entry.type === MOVEMENT_TYPES.ADJUSTMENT) return getAdjustmentReasonLabel(entry.reason);
+    if (entry.derived) return 'Worked back from current stock';
+    return '';
+};
+
+const formatDate = (value) => {
+    const date = new Date(value);
+    if (!value || isNaN(date.getTime())) return '—';
+    return date.toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' });
+};
+
+const formatChange = (quantity) => `${quantity > 0 ? '+' : ''}${quantity}`;
+
+const StockLedgerModal = ({ product, onClose, onAdjust }) => {
+    const [movements, setMovements] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [partialHistory, setPartialHistory] = useState(false);
+    const [returnsMissing, setReturnsMissing] = useState(false);
+    const [typeFilter, setTypeFilter] = useState('');
+
+    // Alert state
+    const [alert, setAlert] = useState({
+        isOpen: false,
+        severity: 'info',
+        message: ''
+    });
+
+    const closeAlert = () => {
+        setAlert(prev => ({ ...prev, isOpen: false }));
+    };
+
+    // 🔑 CRITICAL: Prevent background scrolling when modal is open
+    useEffect(() => {
+        const originalOverflow = document.body.style.overflow;
+        const originalPosition = document.body.style.position;
+
+        document.body.style.overflow = 'hidden';
+        document.body.style.position = 'fixed';
+        document.body.style.top = '0';
+        document.body.style.left = '0';
+        document.body.style.right = '0';
+        document.body.style.bottom = '0';
+
+        return () => {
+            document.body.style.overflow = originalOverflow;
+            document.body.style.position = originalPosition;
+            document.body.style.top = '';
+            document.body.style.left = '';
+            document.body.style.right = '';
+            document.body.style.bottom = '';
+        };
+    }, []);
+
+    // Older servers have no movements endpoint, sales and returns are rebuilt from bills there
+    // Only this product's credit notes are asked for, and the sales still show if they can't be loaded
+    const loadFromHistory = useCallback(async () => {
+        const loadReturns = async () => {
+            try {
+                const response = await returnsAPI.getAll({ product_id: product.id });
+                return Array.isArray(response.data) ? response.data : response.data?.returns || [];
+            } catch (error) {
+                console.error('Error fetching returns for stock history:', error);
+                setReturnsMissing(true);
+                return [];
+            }
+        };
+
+        const [bills, returns] = await Promise.all([
+            fetchAllBills(billsAPI.getAll, { filters: DEFAULT_BILL_FILTERS }),
+            loadReturns()
+        ]);
+        return buildMovementsFromHistory(product.id, { bills, returns });
+    }, [product.id]);
+
+    useEffect(() => {
+        const loadMovements = async () => {
+            try {
+                const response = await productsAPI.getStockMovements(product.id);
+                const list = Array.isArray(response.data) ? response.data : response.data?.movements || [];
+                setMovements(list.map(normalizeMovement));
+            } catch (error) {
+                if (error.response?.status === 404) {
+                    try {
+                        setMovements(await loadFromHistory());
+                        setPartialHistory(true);
+                    } catch (fallbackError) {
+                        console.error('Error rebuilding stock history:', fallbackError);
+                        const errorMessage = fallbackError.response?.data?.error || fallbackError.message || 'Unknown error occurred';
+                        setAlert({ isOpen: true, severity: 'error', message: `Could not load stock history: ${errorMessage}` });
+                    }
+                } else {
+                    console.error('Error fetching stock movements:', error);
+                    const errorMessage = error.response?.data?.error || error.message || 'Unknown error occurred';
+                    setAlert({ isOpen: true, severity: 'error', message: `Could not load stock history: ${errorMessage}` });
+                }
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        loadMovements();
+    }, [product.id, loadFromHistory]);
+
+    const ledger = useMemo(() => buildStockLedger(movements, product.stock_quantity), [movements, product.stock_quantity]);
+
+    // Newest first on screen, balances were worked out oldest first
+    const visibleEntries = useMemo(
+        () => ledger.entries.filter(entry => !typeFilter || entry.type === typeFilter).reverse(),
+        [ledger.entries, typeFilter]
+    );
+
+    const stockIn = ledger.totals[MOVEMENT_TYPES.PURCHASE] + ledger.totals[MOVEMENT_TYPES.RETURN]
+        + ledger.entries.filter(entry => entry.type === MOVEMENT_TYPES.ADJUSTMENT && entry.quantity > 0)
+            .reduce((sum, entry) => sum + entry.quantity, 0);
+    const stockOut = -ledger.totals[MOVEMENT_TYPES.SALE]
+        - ledger.entries.filter(entry => entry.type === MOVEMENT_TYPES.ADJUSTMENT && entry.quantity < 0)
+            .reduce((sum, entry) => sum + entry.quantity, 0);
+
+    const handleModalClick = (e) => {
+        e.stopPropagation();
+    };
+
+    const handleBackdropClick = (e) => {
+        if (e.target === e.currentTarget) {
+            onClose();
+        }
+    };
+
+    const modalContent = (
+        <div
+            className="fixed inset-0 z-50"
+            style={{
+                position: 'fixed',
+                top: 0,
+                left: 0,
+                right: 0,
+                bottom: 0,
+                zIndex: 99999,
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                backgroundColor: 'rgba(0, 0, 0, 0.5)',
+                padding: '16px'
+            }}
+            onClick={handleBackdropClick}
+        >
+            <Alert
+                isOpen={alert.isOpen}
+                severity={alert.severity}
+                message={alert.message}
+                onClose={closeAlert}
+                position="top"
+                duration={4000}
+            />
+
+            <div
+                className="bg-white rounded-lg shadow-2xl w-full flex flex-col"
+                style={{
+                    maxWidth: 'min(95vw, 900px)',
+                    maxHeight: 'min(90vh, 90dvh)',
+                    overflow: 'hidden'
+                }}
+                onClick={handleModalClick}
+            >
+                {/* Header */}
+                <div className="flex-shrink-0 flex justify-between items-center p-4 sm:p-6 border-b border-gray-200">
+                    <div className="min-w-0">
+                        <h2 className="text-lg sm:text-xl font-semibold text-gray-900">Stock History</h2>
+                        <p className="text-sm text-gray-500 truncate">
+                            {toTitleCase(product.name)} • SKU {product.sku?.toUpperCase() || 'N/A'}
+                        </p>
+                    </div>
+                    <button
+                        onClick={onClose}
+                        className="text-gray-400 hover:text-gray-600 text-2xl flex-shrink-0 p-1 hover:bg-gray-100 rounded-full transition-colors"
+                        aria-label="Close"
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <div className="flex-1 overflow-y-auto p-4 sm:p-6 space-y-4" style={{ WebkitOverflowScrolling: 'touch' }}>
+                    {loading ? (
+                        <div className="text-center py-10">
+                            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600 mx-auto"></div>
+                            <p className="mt-3 text-gray-600 text-sm">Loading stock history...</p>
+                        </div>
+                    ) : (
+                        <>
+                            {/* Summary */}
+                            <div className="grid grid-cols-2 sm:grid-cols-5 gap-3">
+                                <div className="bg-gray-50 rounded-lg p-3">
+                                    <p className="text-xs text-gray-500">Opening</p>
+                                    <p className="text-lg font-bold text-gray-900">{ledger.totals[MOVEMENT_TYPES.OPENING]}</p>
+                                </div>
+                                <div className="bg-green-50 rounded-lg p-3">
+                                    <p className="text-xs text-gray-500">Stock In</p>
+                                    <p className="text-lg font-bold text-green-700">+{stockIn}</p>
+                                </div>
+                                <div className="bg-red-50 rounded-lg p-3">
+                                    <p className="text-xs text-gray-500">Stock Out</p>
+                                    <p className="text-lg font-bold text-red-700">−{stockOut}</p>
+                                </div>
+                                <div className="bg-orange-50 rounded-lg p-3">
+                                    <p className="text-xs text-gray-500">Shrinkage</p>
+                                    <p className="text-lg font-bold text-orange-700">{ledger.shrinkage}</p>
+                                </div>
+                                <div className="bg-blue-50 rounded-lg p-3 col-span-2 sm:col-span-1">
+                                    <p className="text-xs text-gray-500">Current</p>
+                                    <p className="text-lg font-bold text-blue-700">{parseInt(product.stock_quantity, 10) || 0}</p>
+                                </div>
+                            </div>
+
+                            {partialHistory && (
+                                <div className="rounded-lg p-3 text-sm border bg-yellow-50 border-yellow-200 text-yellow-800">
+                                    This server does not record stock movements yet. Sales and returns are shown from bills and credit notes, manual edits and adjustments are not listed.
+                                    {returnsMissing && ' Returns could not be loaded, so they are missing too.'}
+                                </div>
+                            )}
+                            {!partialHistory && ledger.unexplained !== 0 && (
+                                <div className="rounded-lg p-3 text-sm border bg-yellow-50 border-yellow-200 text-yellow-800">
+                                    {Math.abs(ledger.unexplained)} units {ledger.unexplained > 0 ? 'more' : 'fewer'} in stock than the ledger accounts for.
+                                </div>
+                            )}
+
+                            {/* Type filter */}
+                            <div className="flex flex-wrap gap-2">
+                                {[{ value: '', label: 'All' }, ...Object.values(MOVEMENT_TYPES).map(type => ({ value: type, label: MOVEMENT_TYPE_LABELS[type] }))].map(option => (
+                                    <button
+                                        key={option.value || 'all'}
+                                        type="button"
+                                        onClick={() => setTypeFilter(option.value)}
+                                        className={`px-3 py-1 rounded-full text-xs font-medium border transition-colors ${typeFilter === option.value
+                                            ? 'bg-blue-600 border-blue-600 text-white'
+                                            : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+                                    >
+                                        {option.label}
+                                    </button>
+                                ))}
+                            </div>
+
+                            {/* Entries */}
+                            {visibleEntries.length === 0 ? (
+                                <div className="text-center py-8 text-sm text-gray-500">No stock movements of this type</div>
+                            ) : (
+                                <div className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+                                    {visibleEntries.map(entry => (
+                                        <div key={entry.id || `${entry.type}-${entry.created_at}`} className="p-3 flex flex-col sm:flex-row sm:items-center gap-2 sm:gap-4">
+                                            <div className="sm:w-40 flex-shrink-0 text-xs text-gray-500">{formatDate(entry.created_at)}</div>
+                                            <div className="flex-1 min-w-0">
+                                                <div className="flex items-center gap-2 flex-wrap">
+                                                    <span className={`inline-flex px-2 py-0.5 text-xs font-semibold rounded-full ${TYPE_BADGES[entry.type]}`}>
+                                                        {MOVEMENT_TYPE_LABELS[entry.type]}
+                                                    </span>
+                                                    <span className="text-sm text-gray-700 truncate">{describeReference(entry)}</span>
+                                                </div>
+                                                {(entry.notes || entry.user) && (
+                                                    <p className="text-xs text-gray-500 mt-1 truncate">
+                                                        {[entry.notes, entry.user && `by ${toTitleCase(entry.user)}`].filter(Boolean).join(' • ')}
+                                                    </p>
+                                                )}
+                                            </div>
+                                            <div className="flex sm:flex-col sm:items-end justify-between sm:w-24 flex-shrink-0">
+                                                <span className={`text-sm font-bold ${entry.quantity < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                                                    {formatChange(entry.quantity)}
+                                                </span>
+                                                <span className="text-xs text-gray-500">Balance {entry.balance}</span>
+                                            </div>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                        </>
+                    )}
+                </div>
+
+                {/* Footer */}
+                <div className="flex-shrink-0 p-4 sm:p-6 bg-gray-50 border-t border-gray-200 flex flex-col sm:flex-row gap-3">
+                    {onAdjust && (
+                        <button
+                            onClick={() => onAdjust(product)}
+                            className="flex-1 bg-blue-600 text-white py-3 px-4 rounded-lg hover:bg-blue-700 transition-colors font-medium"
+                        >
+                            Adjust Stock
+                        </button>
+                    )}
+                    <button
+                        onClick={onClose}
+                        className="flex-1 bg-gray-300 text-gray-700 py-3 px-4 rounded-lg hover:bg-gray-400 transition-colors font-medium"
+                    >
+                        Close
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+
+    // 🔑 CRITICAL: Render modal using React Portal to bypass scroll containers
+    return createPortal(modalContent, document.body);
+};
+
+export default StockLedgerModal;
@@ -0,0 +1,271 @@
+import React, { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { suppliersAPI } from '../services/api';
+import Alert from './Alert';
+import { EMPTY_SUPPLIER, validateSupplier } from '../utils/purchaseOrders';
+
+const inputClass = 'w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors text-sm';
+
+const FieldError = ({ message }) => (
+    message ? <p className="text-xs text-red-600 mt-1">{message}</p> : null
+);
+
+// Add or edit a supplier; onSaved receives the saved record
+const SupplierModal = ({ supplier, onClose, onSaved }) => {
+    const [formData, setFormData] = useState(() => Object.fromEntries(
+        Object.keys(EMPTY_SUPPLIER).map(key => [key, supplier?.[key] ?? ''])
+    ));
+    const [errors, setErrors] = useState({});
+    const [saving, setSaving] = useState(false);
+
+    // Alert state
+    const [alert, setAlert] = useState({
+        isOpen: false,
+        severity: 'info',
+        message: ''
+    });
+
+    const showAlert = (severity, message) => {
+        setAlert({
+            isOpen: true,
+            severity,
+            message
+        });
+    };
+
+    const closeAlert = () => {
+        setAlert(prev => ({ ...prev, isOpen: false }));
+    };
+
+    // 🔑 CRITICAL: Prevent background scrolling when modal is open
+    useEffect(() => {
+        const originalOverflow = document.body.style.overflow;
+        const originalPosition = document.body.style.position;
+
+        document.body.style.overflow = 'hidden';
+        document.body.style.position = 'fixed';
+        document.body.style.top = '0';
+        document.body.style.left = '0';
+        document.body.style.right = '0';
+        document.body.style.bottom = '0';
+
+        return () => {
+            document.body.style.overflow = originalOverflow;
+            document.body.style.position = originalPosition;
+            document.body.style.top = '';
+            document.body.style.left = '';
+            document.body.style.right = '';
+            document.body.style.bottom = '';
+        };
+    }, []);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+        if (errors[name]) {
+            setErrors(prev => ({ ...prev, [name]: undefined }));
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        const validationErrors = validateSupplier(formData);
+        setErrors(validationErrors);
+        if (Object.keys(validationErrors).length > 0) {
+            showAlert('error', Object.values(validationErrors)[0]);
+            return;
+        }
+
+        const payload = Object.fromEntries(Object.entries(formData).map(([key, value]) => [key, String(value).trim()]));
+        payload.gst_number = payload.gst_number.toUpperCase();
+
+        setSaving(true);
+        try {
+            const response = supplier
+                ? await suppliersAPI.update(supplier.id, payload)
+                : await suppliersAPI.create(payload);
+            onSaved({ ...supplier, ...payload, ...response.data });
+        } catch (error) {
+            console.error('Error saving supplier:', error);
+            const errorMessage = error.response?.data?.error || error.message || 'Unknown error occurred';
+            showAlert('error', `Failed to save supplier: ${errorMessage}`);
+            setSaving(false);
+        }
+    };
+
+    const handleModalClick = (e) => {
+        e.stopPropagation();
+    };
+
+    const handleBackdropClick = (e) => {
+        if (e.target === e.currentTarget && !saving) {
+            onClose();
+        }
+    };
+
+    const modalContent = (
+        <div
+            className="fixed inset-0 z-50"
+            style={{
+                position: 'fixed',
+                top: 0,
+                left: 0,
+                right: 0,
+                bottom: 0,
+                zIndex: 99999,
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                backgroundColor: 'rgba(0, 0, 0, 0.5)',
+                padding: '16px'
+            }}
+            onClick={handleBackdropClick}
+        >
+            <Alert
+                isOpen={alert.isOpen}
+                severity={alert.severity}
+                message={alert.message}
+                onClose={closeAlert}
+                position="top"
+                duration={4000}
+            />
+
+            <form
+                onSubmit={handleSubmit}
+                className="bg-white rounded-lg shadow-2xl w-full flex flex-col"
+                style={{
+                    maxWidth: 'min(95vw, 640px)',
+                    maxHeight: 'min(90vh, 90dvh)',
+                    overflow: 'hidden'
+                }}
+                onClick={handleModalClick}
+            >
+                {/* Header */}
+                <div className="flex-shrink-0 flex justify-between items-center p-4 sm:p-6 border-b border-gray-200">
+                    <h2 className="text-lg sm:text-xl font-semibold text-gray-900">
+                        {supplier ? 'Edit Supplier' : 'Add Supplier'}
+                    </h2>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        disabled={saving}
+                        className="text-gray-400 hover:text-gray-600 text-2xl flex-shrink-0 p-1 hover:bg-gray-100 rounded-full transition-colors"
+                        aria-label="Close"
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <div className="flex-1 overflow-y-auto p-4 sm:p-6 space-y-4" style={{ WebkitOverflowScrolling: 'touch' }}>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">
+                                Supplier Name <span className="text-red-500">*</span>
+                            </label>
+                            <input
+                                type="text"
+                                name="name"
+                                value={formData.name}
+                                onChange={handleChange}
+                                className={`${inputClass} ${errors.name ? 'border-red-400' : 'border-gray-300'}`}
+                                autoFocus
+                            />
+                            <FieldError message={errors.name} />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">Contact Person</label>
+                            <input
+                                type="text"
+                                name="contact_person"
+                                value={formData.contact_person}
+                                onChange={handleChange}
+                                className={`${inputClass} border-gray-300`}
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">Phone</label>
+                            <input
+                                type="tel"
+                                name="phone"
+                                value={formData.phone}
+                                onChange={handleChange}
+                                className={`${inputClass} ${errors.phone ? 'border-red-400' : 'border-gray-300'}`}
+                            />
+                            <FieldError message={errors.phone} />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">Email</label>
+                            <input
+                                type="email"
+                                name="email"
+                                value={formData.email}
+                                onChange={handleChange}
+                                className={`${inputClass} ${errors.email ? 'border-red-400' : 'border-gray-300'}`}
+                            />
+                            <FieldError message={errors.email} />
+                        </div>
+                        <div className="sm:col-span-2">
+                            <label className="block text-sm font-medium text-gray-700 mb-2">GST Number</label>
+                            <input
+                                type="text"
+                                name="gst_number"
+                                placeholder="15 character GSTIN"
+                                maxLength="15"
+                                value={formData.gst_number}
+                                onChange={(e) => handleChange({ target: { name: 'gst_number', value: e.target.value.toUpperCase() } })}
+                                className={`${inputClass} font-mono ${errors.gst_number ? 'border-red-400' : 'border-gray-300'}`}
+                            />
+                            <FieldError message={errors.gst_number} />
+                        </div>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Address</label>
+                        <textarea
+                            rows="2"
+                            name="address"
+                            value={formData.address}
+                            onChange={handleChange}
+                            className={`${inputClass} border-gray-300 resize-y`}
+                        />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Notes</label>
+                        <textarea
+                            rows="2"
+                            name="notes"
+                            value={formData.notes}
+                            onChange={handleChange}
+                            placeholder="Payment terms, delivery days, etc."
+                            className={`${inputClass} border-gray-300 resize-y`}
+                        />
+                    </div>
+                </div>
+
+                {/* Footer */}
+                <div className="flex-shrink-0 p-4 sm:p-6 bg-gray-50 border-t border-gray-200 flex flex-col sm:flex-row gap-3">
+                    <button
+                        type="submit"
+                        disabled={saving}
+                        className="flex-1 bg-green-600 text-white py-3 px-4 rounded-lg hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors font-medium"
+                    >
+                        {saving ? 'Saving...' : supplier ? 'Update Supplier' : 'Add Supplier'}
+                    </button>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        disabled={saving}
+                        className="flex-1 bg-gray-300 text-gray-700 py-3 px-4 rounded-lg hover:bg-gray-400 disabled:opacity-50 transition-colors font-medium"
+                    >
+                        Cancel
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+
+    // 🔑 CRITICAL: Render modal using React Portal to bypass scroll containers
+    return createPortal(modalContent, document.body);
+};
+
+export default SupplierModal;
@@ -0,0 +1,34 @@
+import React, { useState, useEffect } from 'react';
+import { getUpiQrDataUrl } from '../utils/upi';
+
+// QR image for a upi:// link; renders nothing until the image is ready
+const UpiQrCode = ({ uri, size = 240, className = '' }) => {
+    const [dataUrl, setDataUrl] = useState('');
+
+    useEffect(() => {
+        if (!uri) return undefined;
+        let cancelled = false;
+        getUpiQrDataUrl(uri, { size })
+            .then(url => {
+                if (!cancelled) setDataUrl(url);
+            })
+            .catch(error => console.error('UPI QR error:', error));
+        return () => {
+            cancelled = true;
+        };
+    }, [uri, size]);
+
+    if (!uri || !dataUrl) return null;
+
+    return (
+        <img
+            src={dataUrl}
+            alt="UPI payment QR code"
+            width={size}
+            height={size}
+            className={className}
+        />
+    );
+};
+
+export default UpiQrCode;
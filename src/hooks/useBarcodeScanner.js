@@ -0,0 +1,52 @@
+import { useEffect, useRef } from 'react';
+
+const isEditableTarget = (target) => {
+  if (!target) return false;
+  if (target.isContentEditable) return true;
+  return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+};
+
+// Keyboard-wedge scanners "type" the code in a fast burst and finish with Enter.
+// Human typing is far slower than maxKeyInterval, so it never builds a long enough buffer.
+// Fields marked with data-barcode-scan (e.g. the product search) still accept scans.
+const useBarcodeScanner = (onScan, { enabled = true, minLength = 4, maxKeyInterval = 50 } = {}) => {
+  const onScanRef = useRef(onScan);
+
+  useEffect(() => {
+    onScanRef.current = onScan;
+  }, [onScan]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    let buffer = '';
+    let lastKeyAt = 0;
+
+    const handleKeyDown = (e) => {
+      if (e.ctrlKey || e.altKey || e.metaKey) return;
+      if (e.key !== 'Enter' && e.key.length !== 1) return;
+      if (isEditableTarget(e.target) && !e.target.closest('[data-barcode-scan]')) return;
+
+      const now = e.timeStamp || performance.now();
+      if (now - lastKeyAt > maxKeyInterval) buffer = '';
+      lastKeyAt = now;
+
+      if (e.key === 'Enter') {
+        const code = buffer.trim();
+        buffer = '';
+        if (code.length >= minLength) {
+          e.preventDefault();
+          onScanRef.current(code);
+        }
+        return;
+      }
+
+      buffer += e.key;
+    };
+
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [enabled, minLength, maxKeyInterval]);
+};
+
+export default useBarcodeScanner;
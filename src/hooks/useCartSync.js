@@ -0,0 +1,47 @@
+import { useEffect } from 'react';
+import useCartStore from '../stores/useCartStore';
+import { INSTANCE_ID, TERMINAL, startTerminalHeartbeat } from '../utils/terminal';
+import {
+  CART_MESSAGES,
+  buildCartRequest,
+  buildCartUpdate,
+  isForThisTerminal,
+  openCartChannel
+} from '../utils/cartSync';
+
+// Mounted once for the app: keeps this tab's terminal claimed, shares its cart edits with
+// other tabs on the same terminal and takes in theirs (see utils/cartSync).
+const useCartSync = () => {
+  useEffect(() => {
+    const stopHeartbeat = startTerminalHeartbeat();
+
+    const channel = openCartChannel((message) => {
+      if (!isForThisTerminal(message)) return;
+      if (message.type === CART_MESSAGES.UPDATE) {
+        useCartStore.getState().applyRemoteCart(message);
+      } else if (message.type === CART_MESSAGES.REQUEST) {
+        channel.post(buildCartUpdate(useCartStore.getState()));
+      }
+    });
+
+    // Only edits made in this tab go out, remote updates applied here are not echoed back
+    const unsubscribe = useCartStore.subscribe((state, previous) => {
+      if (state.cartVersion !== previous.cartVersion && state.cartUpdatedBy === INSTANCE_ID) {
+        channel.post(buildCartUpdate(state));
+      }
+    });
+
+    // A tab joining another terminal asks for its current cart straight away
+    if (TERMINAL.shared) {
+      channel.post(buildCartRequest());
+    }
+
+    return () => {
+      unsubscribe();
+      channel.close();
+      stopHeartbeat();
+    };
+  }, []);
+};
+
+export default useCartSync;
@@ -1,6 +1,57 @@
 import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
 import { billsAPI } from '../services/api';
 import BillPDF from '../components/BillPDF';
+import ReturnItemsModal from '../components/ReturnItemsModal';
+import ExportModal from '../components/ExportModal';
+import {
+    BILL_PAGE_SIZES,
+    BILL_SORT_OPTIONS,
+    DEFAULT_BILL_FILTERS,
+    DEFAULT_BILL_SORT,
+    buildBillQueryParams,
+    countActiveBillFilters,
+    fetchAllBills,
+    resolveBillsPage
+} from '../utils/billFilters';
+import {
+    PAYMENT_METHODS,
+    SPLIT_PAYMENT_METHOD,
+    getBillPayments,
+    getPaymentMethodLabel
+} from '../utils/paymentMethods';
+import { RETURN_STATUS, getReturnStatusLabel } from '../utils/returns';
+import { exportTable } from '../utils/spreadsheet';
+import { DISCOUNT_TYPES, getBillTotals } from '../utils/billTotals';
+import { formatMarginPercent, getBillProfit, getMarginClass } from '../utils/profit';
+import { normalizePhone } from '../utils/customers';
+import {
+    BILL_EXPORT_LAYOUTS,
+    BILL_EXPORT_COLUMNS,
+    BILL_ITEM_EXPORT_COLUMNS,
+    toBillExportRows,
+    toBillItemExportRows
+} from '../utils/exportData';
+
+const BILL_EXPORT_LAYOUT_OPTIONS = [
+    { value: BILL_EXPORT_LAYOUTS.BILLS, label: 'One row per bill', hint: 'Totals, tax split and payment for each bill' },
+    { value: BILL_EXPORT_LAYOUTS.ITEMS, label: 'One row per bill item', hint: 'Every product line with its bill number and date' }
+];
+
+// "10%" or "₹250.00", whichever way the discount was given at checkout
+const formatBillDiscount = (bill) => {
+    const totals = getBillTotals(bill);
+    if (totals.discount <= 0) return null;
+    return totals.discountType === DISCOUNT_TYPES.PERCENTAGE
+        ? `${totals.discountValue}%`
+        : `₹${totals.discount.toFixed(2)}`;
+};
+
+// "₹150.00 promotions" when coupons or automatic offers applied to the bill
+const formatBillPromotions = (bill) => {
+    const totals = getBillTotals(bill);
+    return totals.promotionDiscount > 0 ? `₹${totals.promotionDiscount.toFixed(2)} promotions` : null;
+};
 
 // toTitleCase function
 function toTitleCase(str) {
@@ -12,19 +63,269 @@ function toTitleCase(str) {
         .join(' ');
 }
 
+// Gross profit on the costed lines of a bill, hidden when none of its products have a cost price
+const BillProfit = ({ bill }) => {
+    const profit = getBillProfit(bill);
+    if (profit.costedSales <= 0) return null;
+    return (
+        <div className={`text-xs font-medium ${getMarginClass(profit.margin)}`}>
+            Profit ₹{profit.profit.toFixed(2)} ({formatMarginPercent(profit.margin)})
+        </div>
+    );
+};
+
+// Customer name linking to their purchase history when the bill has a usable phone number
+const CustomerLink = ({ bill }) => {
+    const phone = normalizePhone(bill.phone_number || bill.customer_phone);
+    if (phone.length !== 10) return toTitleCase(bill.customer_name);
+    return (
+        <Link to={`/customers/${phone}`} className="hover:text-blue-700 hover:underline">
+            {toTitleCase(bill.customer_name)}
+        </Link>
+    );
+};
+
+// Badge for bills that have had items returned against them
+const ReturnStatusBadge = ({ bill }) => {
+    const label = getReturnStatusLabel(bill.return_status);
+    if (!label) return null;
+    return (
+        <span className={`inline-flex px-2 py-0.5 text-xs font-medium rounded-full ${
+            bill.return_status === RETURN_STATUS.FULL ? 'bg-red-100 text-red-700' : 'bg-orange-100 text-orange-700'
+        }`}>
+            ↩ {label}
+            {parseFloat(bill.refunded_amount) > 0 && ` (₹${parseFloat(bill.refunded_amount).toFixed(2)})`}
+        </span>
+    );
+};
+
+// Per-tender amounts, only worth showing when the bill was split across methods
+const TenderBreakdown = ({ bill }) => {
+    const payments = getBillPayments(bill);
+    if (payments.length < 2) return null;
+    return (
+        <div className="space-y-0.5">
+            {payments.map((payment, index) => (
+                <div key={index} className="text-xs text-gray-500 flex justify-between gap-2">
+                    <span>{getPaymentMethodLabel(payment.method)}</span>
+                    <span className="font-medium">₹{payment.amount.toFixed(2)}</span>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+const filterInputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition-all text-sm';
+
+// Sortable column header for the desktop table
+const SortHeader = ({ label, sortKey, sort, onSort }) => {
+    const active = sort.key === sortKey;
+    return (
+        <th className="px-4 xl:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+            <button
+                type="button"
+                onClick={() => onSort(sortKey)}
+                className={`flex items-center uppercase tracking-wider hover:text-gray-800 ${active ? 'text-gray-900' : ''}`}
+            >
+                {label}
+                <span className="ml-1 text-[10px]">
+                    {active ? (sort.direction === 'asc' ? '▲' : '▼') : '↕'}
+                </span>
+            </button>
+        </th>
+    );
+};
+
+// Search box and filters, shared by the desktop and mobile layouts
+const BillFiltersPanel = ({ searchInput, onSearchChange, filters, onFilterChange, onReset, activeCount, sort, onSortChange, showSort = false }) => (
+    <div className="bg-white rounded-lg shadow-md p-4 space-y-3">
+        <div className="flex flex-col sm:flex-row gap-3">
+            <input
+                type="search"
+                value={searchInput}
+                onChange={(e) => onSearchChange(e.target.value)}
+                placeholder="Search customer name, phone or bill ID..."
+                className={`${filterInputClass} flex-1`}
+            />
+            {activeCount > 0 && (
+                <button
+                    type="button"
+                    onClick={onReset}
+                    className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors whitespace-nowrap"
+                >
+                    Clear filters ({activeCount})
+                </button>
+            )}
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-3 xl:grid-cols-6 gap-3">
+            <div>
+                <label className="block text-xs font-medium text-gray-500 mb-1">From</label>
+                <input
+                    type="date"
+                    value={filters.dateFrom}
+                    max={filters.dateTo || undefined}
+                    onChange={(e) => onFilterChange('dateFrom', e.target.value)}
+                    className={filterInputClass}
+                />
+            </div>
+            <div>
+                <label className="block text-xs font-medium text-gray-500 mb-1">To</label>
+                <input
+                    type="date"
+                    value={filters.dateTo}
+                    min={filters.dateFrom || undefined}
+                    onChange={(e) => onFilterChange('dateTo', e.target.value)}
+                    className={filterInputClass}
+                />
+            </div>
+            <div>
+                <label className="block text-xs font-medium text-gray-500 mb-1">Payment</label>
+                <select
+                    value={filters.paymentMethod}
+                    onChange={(e) => onFilterChange('paymentMethod', e.target.value)}
+                    className={filterInputClass}
+                >
+                    <option value="">All methods</option>
+                    {PAYMENT_METHODS.map(method => (
+                        <option key={method.value} value={method.value}>{method.label}</option>
+                    ))}
+                    <option value={SPLIT_PAYMENT_METHOD}>{getPaymentMethodLabel(SPLIT_PAYMENT_METHOD)}</option>
+                </select>
+            </div>
+            <div>
+                <label className="block text-xs font-medium text-gray-500 mb-1">Billed By</label>
+                <input
+                    type="text"
+                    value={filters.billedBy}
+                    onChange={(e) => onFilterChange('billedBy', e.target.value)}
+                    placeholder="Staff name"
+                    className={filterInputClass}
+                />
+            </div>
+            <div>
+                <label className="block text-xs font-medium text-gray-500 mb-1">Min Amount (₹)</label>
+                <input
+                    type="number"
+                    min="0"
+                    value={filters.minAmount}
+                    onChange={(e) => onFilterChange('minAmount', e.target.value)}
+                    className={filterInputClass}
+                />
+            </div>
+            <div>
+                <label className="block text-xs font-medium text-gray-500 mb-1">Max Amount (₹)</label>
+                <input
+                    type="number"
+                    min="0"
+                    value={filters.maxAmount}
+                    onChange={(e) => onFilterChange('maxAmount', e.target.value)}
+                    className={filterInputClass}
+                />
+            </div>
+        </div>
+        {showSort && (
+            <div className="flex gap-3">
+                <select
+                    value={sort.key}
+                    onChange={(e) => onSortChange({ ...sort, key: e.target.value })}
+                    className={`${filterInputClass} flex-1`}
+                >
+                    {BILL_SORT_OPTIONS.map(option => (
+                        <option key={option.key} value={option.key}>Sort by {option.label}</option>
+                    ))}
+                </select>
+                <select
+                    value={sort.direction}
+                    onChange={(e) => onSortChange({ ...sort, direction: e.target.value })}
+                    className={`${filterInputClass} w-36`}
+                >
+                    <option value="desc">Descending</option>
+                    <option value="asc">Ascending</option>
+                </select>
+            </div>
+        )}
+    </div>
+);
+
+const PaginationBar = ({ page, pageSize, total, onPageChange, onPageSizeChange }) => {
+    const pageCount = Math.max(Math.ceil(total / pageSize), 1);
+    const first = total === 0 ? 0 : (page - 1) * pageSize + 1;
+    const last = Math.min(page * pageSize, total);
+
+    return (
+        <div className="flex flex-col sm:flex-row items-center justify-between gap-3 px-4 py-3 bg-white border-t border-gray-200 text-sm">
+            <div className="flex items-center gap-2 text-gray-600">
+                <span>Showing {first}–{last} of {total}</span>
+                <select
+                    value={pageSize}
+                    onChange={(e) => onPageSizeChange(Number(e.target.value))}
+                    className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                >
+                    {BILL_PAGE_SIZES.map(size => (
+                        <option key={size} value={size}>{size} / page</option>
+                    ))}
+                </select>
+            </div>
+            <div className="flex items-center gap-2">
+                <button
+                    type="button"
+                    onClick={() => onPageChange(page - 1)}
+                    disabled={page <= 1}
+                    className="px-3 py-1.5 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-40 disabled:cursor-not-allowed"
+                >
+                    Previous
+                </button>
+                <span className="text-gray-600">Page {page} of {pageCount}</span>
+                <button
+                    type="button"
+                    onClick={() => onPageChange(page + 1)}
+                    disabled={page >= pageCount}
+                    className="px-3 py-1.5 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-40 disabled:cursor-not-allowed"
+                >
+                    Next
+                </button>
+            </div>
+        </div>
+    );
+};
+
 const Bills = () => {
     const [bills, setBills] = useState([]);
+    const [totalBills, setTotalBills] = useState(0);
     const [selectedBill, setSelectedBill] = useState(null);
+    const [returnBill, setReturnBill] = useState(null);
+    const [showExport, setShowExport] = useState(false);
     const [loading, setLoading] = useState(true);
+    const [hasLoaded, setHasLoaded] = useState(false);
     const [error, setError] = useState(null);
 
+    // Search, filters, sorting and paging
+    const [searchInput, setSearchInput] = useState('');
+    const [filters, setFilters] = useState(DEFAULT_BILL_FILTERS);
+    const [sort, setSort] = useState(DEFAULT_BILL_SORT);
+    const [page, setPage] = useState(1);
+    const [pageSize, setPageSize] = useState(BILL_PAGE_SIZES[0]);
+
+    // Debounce typing in the search box before hitting the server
+    useEffect(() => {
+        const timer = setTimeout(() => {
+            setFilters(prev => (prev.search === searchInput ? prev : { ...prev, search: searchInput }));
+            setPage(1);
+        }, 300);
+        return () => clearTimeout(timer);
+    }, [searchInput]);
+
     // Memoize fetchBills function
     const fetchBills = useCallback(async () => {
         try {
             setLoading(true);
             setError(null);
-            const response = await billsAPI.getAll();
-            setBills(response.data);
+            const query = { filters, sort, page, pageSize };
+            const response = await billsAPI.getAll(buildBillQueryParams(query));
+            const result = resolveBillsPage(response.data, query);
+            setBills(result.bills);
+            setTotalBills(result.total);
+            setHasLoaded(true);
         } catch (error) {
             console.error('Error fetching bills:', error);
             const errorMessage = error.response?.data?.error || error.message || 'Unknown error occurred';
@@ -32,13 +333,86 @@ const Bills = () => {
         } finally {
             setLoading(false);
         }
-    }, []);
+    }, [filters, sort, page, pageSize]);
 
-    // Run only on component mount
+    // Refetch whenever the query changes
     useEffect(() => {
         fetchBills();
     }, [fetchBills]);
 
+    // Exports every bill matching the current filters, not just the visible page.
+    // The date range chosen in the export dialog replaces the list's date filter.
+    const handleExport = useCallback(async ({ format, layout, dateFrom, dateTo }) => {
+        const allBills = await fetchAllBills(billsAPI.getAll, {
+            filters: { ...filters, search: searchInput, dateFrom, dateTo },
+            sort
+        });
+
+        if (allBills.length === 0) return 0;
+
+        const byItem = layout === BILL_EXPORT_LAYOUTS.ITEMS;
+        const rows = byItem ? toBillItemExportRows(allBills) : toBillExportRows(allBills);
+        const range = dateFrom || dateTo ? `${dateFrom || 'start'}-to-${dateTo || 'today'}` : new Date().toISOString().slice(0, 10);
+        await exportTable({
+            columns: byItem ? BILL_ITEM_EXPORT_COLUMNS : BILL_EXPORT_COLUMNS,
+            rows,
+            format,
+            fileName: `${byItem ? 'bill-items' : 'bills'}-${range}`,
+            sheetName: byItem ? 'Bill Items' : 'Bills'
+        });
+        return rows.length;
+    }, [filters, searchInput, sort]);
+
+    const handleFilterChange = useCallback((key, value) => {
+        setFilters(prev => ({ ...prev, [key]: value }));
+        setPage(1);
+    }, []);
+
+    const handleResetFilters = useCallback(() => {
+        setSearchInput('');
+        setFilters(DEFAULT_BILL_FILTERS);
+        setPage(1);
+    }, []);
+
+    // Clicking the active column flips the direction, a new column starts descending
+    const handleSort = useCallback((key) => {
+        setSort(prev => (prev.key === key
+            ? { key, direction: prev.direction === 'asc' ? 'desc' : 'asc' }
+            : { key, direction: 'desc' }));
+        setPage(1);
+    }, []);
+
+    const handleSortChange = useCallback((nextSort) => {
+        setSort(nextSort);
+        setPage(1);
+    }, []);
+
+    const handlePageSizeChange = useCallback((size) => {
+        setPageSize(size);
+        setPage(1);
+    }, []);
+
+    const activeFilterCount = countActiveBillFilters({ ...filters, search: searchInput });
+
+    const filtersPanelProps = {
+        searchInput,
+        onSearchChange: setSearchInput,
+        filters,
+        onFilterChange: handleFilterChange,
+        onReset: handleResetFilters,
+        activeCount: activeFilterCount,
+        sort,
+        onSortChange: handleSortChange
+    };
+
+    const paginationProps = {
+        page,
+        pageSize,
+        total: totalBills,
+        onPageChange: setPage,
+        onPageSizeChange: handlePageSizeChange
+    };
+
     const handleViewBill = useCallback((bill) => {
         setSelectedBill(bill);
     }, []);
@@ -47,11 +421,22 @@ const Bills = () => {
         setSelectedBill(null);
     }, []);
 
+    const handleReturnItems = useCallback((bill) => {
+        setReturnBill(bill);
+    }, []);
+
+    // Reflect the new return status locally without refetching the page
+    const handleReturned = useCallback((billId, changes) => {
+        setBills(prev => prev.map(bill => (bill.id === billId ? { ...bill, ...changes } : bill)));
+        setReturnBill(prev => (prev && prev.id === billId ? { ...prev, ...changes } : prev));
+    }, []);
+
     const handleRetry = () => {
         fetchBills();
     };
 
-    if (loading) {
+    // Full-page loader only for the first load, later fetches keep the filters on screen
+    if (loading && !hasLoaded) {
         return (
             <div className="app-container flex justify-center items-center bg-gray-50 p-4">
                 <div className="text-center">
@@ -101,9 +486,18 @@ const Bills = () => {
                                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
                                     </svg>
                                     <span className="text-sm font-medium">
-                                        Total: <span className="font-semibold">{bills.length}</span> bills
+                                        Total: <span className="font-semibold">{totalBills}</span> bills
                                     </span>
                                 </div>
+                                <button
+                                    onClick={() => setShowExport(true)}
+                                    className="bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors flex items-center text-sm font-medium shadow-sm hover:shadow-md"
+                                >
+                                    <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+                                    </svg>
+                                    Export
+                                </button>
                                 <button
                                     onClick={() => {
                                         fetchBills();
@@ -121,28 +515,20 @@ const Bills = () => {
                 </div>
 
                 {/* Desktop: Scrollable Content Area */}
-                <div className="flex-1 overflow-y-auto px-4 sm:px-6 lg:px-8 py-4 sm:py-6">
-                    <div className="bg-white rounded-lg shadow-md overflow-hidden">
+                <div className="flex-1 overflow-y-auto px-4 sm:px-6 lg:px-8 py-4 sm:py-6 space-y-4">
+                    <BillFiltersPanel {...filtersPanelProps} />
+
+                    <div className={`bg-white rounded-lg shadow-md overflow-hidden transition-opacity ${loading ? 'opacity-60' : ''}`}>
                         {/* Scrollable Table with Fixed Header */}
                         <div className="max-h-[70vh] overflow-y-auto">
                             <table className="min-w-full">
                                 <thead className="bg-gray-50 border-b border-gray-200 sticky top-0 z-5">
                                     <tr>
-                                        <th className="px-4 xl:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                                            Bill ID
-                                        </th>
-                                        <th className="px-4 xl:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                                            Customer Details
-                                        </th>
-                                        <th className="px-4 xl:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                                            Staff & Payment
-                                        </th>
-                                        <th className="px-4 xl:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                                            Date & Time
-                                        </th>
-                                        <th className="px-4 xl:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                                            Amount
-                                        </th>
+                                        <SortHeader label="Bill ID" sortKey="id" sort={sort} onSort={handleSort} />
+                                        <SortHeader label="Customer Details" sortKey="customer_name" sort={sort} onSort={handleSort} />
+                                        <SortHeader label="Staff & Payment" sortKey="billed_by" sort={sort} onSort={handleSort} />
+                                        <SortHeader label="Date & Time" sortKey="created_at" sort={sort} onSort={handleSort} />
+                                        <SortHeader label="Amount" sortKey="total_amount" sort={sort} onSort={handleSort} />
                                         <th className="px-4 xl:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                                             Actions
                                         </th>
@@ -165,7 +551,7 @@ const Bills = () => {
                                                 <td className="px-4 xl:px-6 py-4">
                                                     <div className="space-y-1">
                                                         <div className="text-sm font-medium text-gray-900">
-                                                            {toTitleCase(bill.customer_name)}
+                                                            <CustomerLink bill={bill} />
                                                         </div>
                                                         {bill.phone_number && (
                                                             <div className="text-xs text-gray-500 flex items-center">
@@ -196,10 +582,11 @@ const Bills = () => {
                                                                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M3 10h18M7 15h1m4 0h1m-7 4h12a3 3 0 003-3V8a3 3 0 00-3-3H6a3 3 0 00-3 3v8a3 3 0 003 3z" />
                                                                 </svg>
                                                                 <span className="text-xs text-gray-600">
-                                                                    {toTitleCase(bill.payment_method)}
+                                                                    {getPaymentMethodLabel(bill.payment_method)}
                                                                 </span>
                                                             </div>
                                                         )}
+                                                        <TenderBreakdown bill={bill} />
                                                     </div>
                                                 </td>
                                                 <td className="px-4 xl:px-6 py-4 whitespace-nowrap">
@@ -227,13 +614,22 @@ const Bills = () => {
                                                             <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                                                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v8m0 0v1m0-1c-1.11 0-2.08-.402-2.599-1" />
                                                             </svg>
-                                                            ₹{parseFloat(bill.total_amount).toFixed(2)}
+                                                            ₹{getBillTotals(bill).net.toFixed(2)}
                                                         </div>
-                                                        {bill.discount_percentage > 0 && (
+                                                        <BillProfit bill={bill} />
+                                                        {formatBillDiscount(bill) && (
                                                             <div className="inline-flex px-2 py-0.5 text-xs font-medium rounded-full bg-green-100 text-green-700">
-                                                                🎉 {bill.discount_percentage}% discount
+                                                                🎉 {formatBillDiscount(bill)} discount
                                                             </div>
                                                         )}
+                                                        {formatBillPromotions(bill) && (
+                                                            <div className="inline-flex px-2 py-0.5 text-xs font-medium rounded-full bg-pink-100 text-pink-700">
+                                                                🏷️ {formatBillPromotions(bill)}
+                                                            </div>
+                                                        )}
+                                                        <div>
+                                                            <ReturnStatusBadge bill={bill} />
+                                                        </div>
                                                     </div>
                                                 </td>
                                                 <td className="px-4 xl:px-6 py-4 whitespace-nowrap">
@@ -247,6 +643,14 @@ const Bills = () => {
                                                         </svg>
                                                         View Invoice
                                                     </button>
+                                                    {bill.return_status !== RETURN_STATUS.FULL && (
+                                                        <button
+                                                            onClick={() => handleReturnItems(bill)}
+                                                            className="mt-2 w-full bg-white border border-red-300 text-red-700 px-4 py-2 rounded-lg hover:bg-red-50 transition-colors text-sm font-medium"
+                                                        >
+                                                            Return Items
+                                                        </button>
+                                                    )}
                                                 </td>
                                             </tr>
                                         ))
@@ -272,6 +676,7 @@ const Bills = () => {
                                 </tbody>
                             </table>
                         </div>
+                        <PaginationBar {...paginationProps} />
                     </div>
                 </div>
             </div>
@@ -294,9 +699,18 @@ const Bills = () => {
                                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
                                     </svg>
                                     <span className="text-sm font-medium">
-                                        Total: <span className="font-semibold">{bills.length}</span> bills
+                                        Total: <span className="font-semibold">{totalBills}</span> bills
                                     </span>
                                 </div>
+                                <button
+                                    onClick={() => setShowExport(true)}
+                                    className="bg-white border border-gray-300 text-gray-700 px-3 py-2 rounded-lg hover:bg-gray-50 transition-colors flex items-center text-sm font-medium shadow-sm hover:shadow-md w-full sm:w-auto justify-center"
+                                >
+                                    <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+                                    </svg>
+                                    Export
+                                </button>
                                 <button
                                     onClick={() => {
                                         fetchBills();
@@ -316,7 +730,10 @@ const Bills = () => {
 
                 {/* 🔧 MOBILE BILLS CONTENT WITH COMPREHENSIVE SAFE AREA */}
                 <div className="px-4 py-4 mobile-bills-container">
-                    <div className="space-y-4 mobile-bills-grid">
+                    <div className="mb-4">
+                        <BillFiltersPanel {...filtersPanelProps} showSort />
+                    </div>
+                    <div className={`space-y-4 mobile-bills-grid transition-opacity ${loading ? 'opacity-60' : ''}`}>
                         {bills.length > 0 ? (
                             bills.map((bill, index) => (
                                 <div 
@@ -332,18 +749,27 @@ const Bills = () => {
                                                 #{bill.id.substring(0, 8).toUpperCase()}
                                             </span>
                                             <div className="text-lg font-semibold text-gray-900 mt-2">
-                                                {toTitleCase(bill.customer_name)}
+                                                <CustomerLink bill={bill} />
                                             </div>
                                         </div>
                                         <div className="text-right">
                                             <div className="text-lg font-bold text-green-600">
-                                                ₹{parseFloat(bill.total_amount).toFixed(2)}
+                                                ₹{getBillTotals(bill).net.toFixed(2)}
                                             </div>
-                                            {bill.discount_percentage > 0 && (
+                                            <BillProfit bill={bill} />
+                                            {formatBillDiscount(bill) && (
                                                 <div className="text-xs text-green-500 bg-green-50 px-2 py-1 rounded-full mt-1">
-                                                    🎉 {bill.discount_percentage}% off
+                                                    🎉 {formatBillDiscount(bill)} off
+                                                </div>
+                                            )}
+                                            {formatBillPromotions(bill) && (
+                                                <div className="text-xs text-pink-600 bg-pink-50 px-2 py-1 rounded-full mt-1">
+                                                    🏷️ {formatBillPromotions(bill)}
                                                 </div>
                                             )}
+                                            <div className="mt-1">
+                                                <ReturnStatusBadge bill={bill} />
+                                            </div>
                                         </div>
                                     </div>
 
@@ -374,8 +800,11 @@ const Bills = () => {
                                                 <svg className="w-3 h-3 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M3 10h18M7 15h1m4 0h1m-7 4h12a3 3 0 003-3V8a3 3 0 00-3-3H6a3 3 0 00-3 3v8a3 3 0 003 3z" />
                                                 </svg>
-                                                {toTitleCase(bill.payment_method || 'Cash')}
+                                                {getPaymentMethodLabel(bill.payment_method || 'cash')}
                                             </p>
+                                            <div className="mt-1">
+                                                <TenderBreakdown bill={bill} />
+                                            </div>
                                         </div>
                                     </div>
 
@@ -415,6 +844,14 @@ const Bills = () => {
                                         </svg>
                                         View Invoice
                                     </button>
+                                    {bill.return_status !== RETURN_STATUS.FULL && (
+                                        <button
+                                            onClick={() => handleReturnItems(bill)}
+                                            className="w-full mt-2 bg-white border border-red-300 text-red-700 py-3 px-4 rounded-lg hover:bg-red-50 transition-colors text-sm font-medium"
+                                        >
+                                            Return Items
+                                        </button>
+                                    )}
                                 </div>
                             ))
                         ) : (
@@ -435,6 +872,11 @@ const Bills = () => {
                             </div>
                         )}
                     </div>
+                    {totalBills > 0 && (
+                        <div className="mt-4 rounded-lg shadow-md overflow-hidden">
+                            <PaginationBar {...paginationProps} />
+                        </div>
+                    )}
                 </div>
             </div>
 
@@ -445,6 +887,29 @@ const Bills = () => {
                     onClose={handleCloseBill}
                 />
             )}
+
+            {/* Spreadsheet Export Modal */}
+            {showExport && (
+                <ExportModal
+                    title="Export Bills"
+                    description={activeFilterCount > 0 ? 'Bills matching the current filters' : 'All bills in the chosen date range'}
+                    layouts={BILL_EXPORT_LAYOUT_OPTIONS}
+                    showDateRange
+                    initialDateFrom={filters.dateFrom}
+                    initialDateTo={filters.dateTo}
+                    onExport={handleExport}
+                    onClose={() => setShowExport(false)}
+                />
+            )}
+
+            {/* Return Items Modal */}
+            {returnBill && (
+                <ReturnItemsModal
+                    bill={returnBill}
+                    onClose={() => setReturnBill(null)}
+                    onReturned={(changes) => handleReturned(returnBill.id, changes)}
+                />
+            )}
         </div>
     );
 };
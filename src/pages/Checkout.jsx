@@ -1,7 +1,62 @@
-import React, { useState, useMemo, useEffect } from 'react';
-import { useLocation, useNavigate } from 'react-router-dom';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { billsAPI } from '../services/api';
 import useCartStore from '../stores/useCartStore';
+import useShopStore from '../stores/useShopStore';
+import PaymentTenders from '../components/PaymentTenders';
+import CustomerPhoneInput from '../components/CustomerPhoneInput';
+import LoyaltyPoints from '../components/LoyaltyPoints';
+import PromotionsPanel from '../components/PromotionsPanel';
+import CheckoutLineItem from '../components/CheckoutLineItem';
+import PriceOverrideModal from '../components/PriceOverrideModal';
+import useCustomerStore from '../stores/useCustomerStore';
+import usePromotionStore from '../stores/usePromotionStore';
+import {
+    INDIAN_STATES,
+    DEFAULT_PRICES_INCLUDE_TAX,
+    calculateGST,
+    getShopStateCode,
+    getStateName,
+    formatAmount,
+    roundToPaise
+} from '../utils/gst';
+import {
+    createTender,
+    validateTenders,
+    buildPaymentsPayload,
+    getBillPaymentMethod,
+    summarizeTenders,
+    POINTS_PAYMENT_METHOD
+} from '../utils/paymentMethods';
+import { DISCOUNT_TYPES, resolveDiscountAmount, buildDiscountPayload } from '../utils/billTotals';
+import { getCostPrice } from '../utils/profit';
+import { withShopDefaults } from '../utils/shopSettings';
+import { normalizePhone } from '../utils/customers';
+import {
+    buildLoyaltyPayload,
+    calculateEarnedPoints,
+    getLoyaltyConfig,
+    getMaxRedeemablePoints,
+    getPointsValue,
+    validateRedemption
+} from '../utils/loyalty';
+import { applyPromotions, getPromotionLabel } from '../utils/promotions';
+import {
+    applyLineAdjustments,
+    buildLineItemPayload,
+    createLineAdjustment,
+    isPriceOverrideEnabled,
+    validateCartLines
+} from '../utils/cartLines';
+import { createUpiReference, getUpiConfig } from '../utils/upi';
+import { TERMINAL } from '../utils/terminal';
+import { CART_MESSAGES, isForThisTerminal, openCartChannel } from '../utils/cartSync';
+import {
+    buildBillCompleteMessage,
+    buildCheckoutMessage,
+    buildCheckoutSummary,
+    getUpiPayment
+} from '../utils/customerDisplay';
 
 // toTitleCase function
 function toTitleCase(str) {
@@ -13,55 +68,264 @@ function toTitleCase(str) {
         .join(' ');
 }
 
+// Tax lines shown under the subtotal in both order summaries
+const TaxSummaryRows = ({ values, decimals = 2 }) => {
+    if (values.totalTax <= 0) return null;
+
+    const rows = values.interState
+        ? [{ label: 'IGST', amount: values.igst }]
+        : [{ label: 'CGST', amount: values.cgst }, { label: 'SGST', amount: values.sgst }];
+
+    return (
+        <>
+            <div className="flex justify-between text-gray-600">
+                <span className="text-xs">Taxable Value</span>
+                <span className="text-xs">₹{formatAmount(values.taxableValue, decimals)}</span>
+            </div>
+            {rows.map(row => (
+                <div key={row.label} className="flex justify-between text-gray-600">
+                    <span className="text-xs">{row.label}</span>
+                    <span className="text-xs">₹{formatAmount(row.amount, decimals)}</span>
+                </div>
+            ))}
+            {values.pricesIncludeTax && (
+                <p className="text-[11px] text-gray-500">Prices are inclusive of GST</p>
+            )}
+        </>
+    );
+};
+
+// Redeemed points in both order summaries: a discount line above the tax, or a payment
+// line under the total, depending on how the shop redeems them
+const LoyaltySummaryRows = ({ loyalty, position, decimals = 2 }) => {
+    if (loyalty.redeemValue <= 0 || loyalty.redeemMode !== position) return null;
+
+    if (position === 'discount') {
+        return (
+            <div className="flex justify-between text-amber-700">
+                <span className="font-medium text-sm">Loyalty Points ({loyalty.redeemPoints})</span>
+                <span className="font-semibold text-sm">-₹{formatAmount(loyalty.redeemValue, decimals)}</span>
+            </div>
+        );
+    }
+
+    return (
+        <>
+            <div className="flex justify-between text-amber-700">
+                <span className="font-medium text-sm">Paid by Points ({loyalty.redeemPoints})</span>
+                <span className="font-semibold text-sm">-₹{formatAmount(loyalty.redeemValue, decimals)}</span>
+            </div>
+            <div className="flex justify-between text-gray-800">
+                <span className="font-medium text-sm">Amount Due</span>
+                <span className="font-semibold text-sm">₹{formatAmount(loyalty.amountDue, decimals)}</span>
+            </div>
+        </>
+    );
+};
+
+// One line per promotion under the subtotal in both order summaries
+const PromotionSummaryRows = ({ applied, decimals = 2 }) => (
+    applied.map(entry => (
+        <div key={entry.promotion_id} className="flex justify-between gap-2 text-pink-700">
+            <span className="font-medium text-sm min-w-0 truncate">{getPromotionLabel(entry)}</span>
+            <span className="font-semibold text-sm flex-shrink-0">-₹{formatAmount(entry.amount, decimals)}</span>
+        </div>
+    ))
+);
+
 const Checkout = () => {
-    const location = useLocation();
     const navigate = useNavigate();
 
     // Get from Zustand store instead of cartManager
     const cart = useCartStore((state) => state.cart);
     const getCartItems = useCartStore((state) => state.getCartItems);
     const clearCart = useCartStore((state) => state.clearCart);
-    const setCart = useCartStore((state) => state.setCart);
+    const setCartQuantity = useCartStore((state) => state.setCartQuantity);
 
-    const stateData = location.state;
-    const cartFromState = stateData?.cart || cart;
+    // Lines come straight from the cart store, so quantity edits made here reach the other tabs
+    // and the customer display; once billed, the billed cart stays up until the page moves on
+    const [billedCart, setBilledCart] = useState(null);
+    const cartItems = useMemo(() => getCartItems(billedCart || cart), [billedCart, cart, getCartItems]);
 
-    const cartItems = useMemo(() => {
-        return stateData?.cartItems || getCartItems();
-    }, [stateData?.cartItems, getCartItems]);
+    // Per-line discounts and price overrides, see utils/cartLines
+    const [lineAdjustments, setLineAdjustments] = useState({});
+    const [overrideLineId, setOverrideLineId] = useState(null);
+    const adjustedItems = useMemo(() => applyLineAdjustments(cartItems, lineAdjustments), [cartItems, lineAdjustments]);
+    const lineErrors = useMemo(() => validateCartLines(adjustedItems), [adjustedItems]);
+    const hasLineErrors = Object.keys(lineErrors).length > 0;
 
     const [customerName, setCustomerName] = useState('');
     const [billerName, setBillerName] = useState('');
     const [customerPhone, setCustomerPhone] = useState('');
-    const [paymentMethod, setPaymentMethod] = useState('cash');
+    const [tenders, setTenders] = useState(() => [createTender('cash')]);
+    // Goes into the UPI QR and onto the bill, so the bank statement entry leads back to it
+    const [upiReference] = useState(() => createUpiReference(`T${TERMINAL.id}`));
+    const [paymentError, setPaymentError] = useState('');
     const [discountPercentage, setDiscountPercentage] = useState(0);
     const [manualDiscountAmount, setManualDiscountAmount] = useState(0);
-    const [discountType, setDiscountType] = useState('percentage'); // 'percentage' or 'amount'
+    const [discountType, setDiscountType] = useState(DISCOUNT_TYPES.PERCENTAGE);
+    const [customerStateCode, setCustomerStateCode] = useState('');
+    const [pointsToRedeem, setPointsToRedeem] = useState('');
+    const [couponCodes, setCouponCodes] = useState([]);
     const [loading, setLoading] = useState(false);
 
+    const shopSettings = useShopStore((state) => state.settings);
+    const fetchShopSettings = useShopStore((state) => state.fetchSettings);
+    const fetchCustomers = useCustomerStore((state) => state.fetchCustomers);
+    const getCustomer = useCustomerStore((state) => state.getCustomer);
+    const saveCustomer = useCustomerStore((state) => state.saveCustomer);
+    const recordCustomerBill = useCustomerStore((state) => state.recordBill);
+    const fetchLoyalty = useCustomerStore((state) => state.fetchLoyalty);
+    const recordLoyalty = useCustomerStore((state) => state.recordLoyalty);
+    const customerDigits = normalizePhone(customerPhone);
+    const loyaltyAccount = useCustomerStore((state) => state.loyaltyAccounts[customerDigits]);
+    const [loyaltyLoading, setLoyaltyLoading] = useState(false);
+    const promotions = usePromotionStore((state) => state.promotions);
+    const fetchPromotions = usePromotionStore((state) => state.fetchPromotions);
+    const recordPromotionUsage = usePromotionStore((state) => state.recordUsage);
+
+    const shopStateCode = getShopStateCode(shopSettings);
+    const pricesIncludeTax = shopSettings?.prices_include_tax ?? DEFAULT_PRICES_INCLUDE_TAX;
+    const loyaltyConfig = useMemo(() => getLoyaltyConfig(withShopDefaults(shopSettings)), [shopSettings]);
+    const showLoyalty = loyaltyConfig.enabled && customerDigits.length === 10;
+    const canOverridePrice = isPriceOverrideEnabled(shopSettings);
+
+    // Shop settings decide the home state for the CGST/SGST vs IGST split
+    useEffect(() => {
+        fetchShopSettings();
+    }, [fetchShopSettings]);
+
+    // Known customers for the phone lookup
+    useEffect(() => {
+        fetchCustomers();
+    }, [fetchCustomers]);
+
+    // Fresh promotions every visit, so validity and usage limits are current
+    useEffect(() => {
+        fetchPromotions();
+    }, [fetchPromotions]);
+
+    const promotionResult = useMemo(
+        () => applyPromotions(adjustedItems, promotions, { couponCodes }),
+        [adjustedItems, promotions, couponCodes]
+    );
+
+    // Points balance for the number entered; points picked for another number don't carry over
+    useEffect(() => {
+        setPointsToRedeem('');
+        if (!loyaltyConfig.enabled || customerDigits.length !== 10) return;
+        setLoyaltyLoading(true);
+        fetchLoyalty(customerDigits).finally(() => setLoyaltyLoading(false));
+    }, [customerDigits, loyaltyConfig.enabled, fetchLoyalty]);
+
+    const loyaltyBalance = showLoyalty ? loyaltyAccount?.balance || 0 : 0;
+    const redeemPoints = showLoyalty ? parseInt(pointsToRedeem, 10) || 0 : 0;
+    const redeemValue = getPointsValue(redeemPoints, loyaltyConfig);
+
+    const discountValue = discountType === DISCOUNT_TYPES.PERCENTAGE ? discountPercentage : manualDiscountAmount;
+
     const calculatedValues = useMemo(() => {
-        const subtotal = cartItems.reduce((sum, item) => {
+        const subtotal = adjustedItems.reduce((sum, item) => {
             const price = parseFloat(item.price) || 0;
             const quantity = parseInt(item.quantity, 10) || 0;
             return sum + (price * quantity);
         }, 0);
 
-        let discountAmount = 0;
-
-        if (discountType === 'percentage') {
-            discountAmount = (subtotal * discountPercentage) / 100;
-        } else {
-            discountAmount = Math.min(manualDiscountAmount, subtotal); // Can't discount more than subtotal
-        }
-
-        const total = Math.max(0, subtotal - discountAmount); // Ensure total is not negative
+        // Line discounts and promotions come off their own lines first, the manual discount
+        // works on what is left. Promotions already work on each line after its own discount,
+        // so their total, the per-line split and the itemised list on the bill all agree.
+        const lineDiscount = adjustedItems.reduce((sum, item) => sum + item.line_discount, 0);
+        const promotionDiscount = promotionResult.total;
+        const discountBase = Math.max(subtotal - lineDiscount - promotionDiscount, 0);
+        const discountAmount = resolveDiscountAmount(discountBase, discountType, discountValue);
+        // Points redeemed as a discount lower the taxable value along with the regular discount
+        const pointsDiscount = loyaltyConfig.redeemMode === 'discount'
+            ? Math.min(redeemValue, Math.max(discountBase - discountAmount, 0))
+            : 0;
+
+        const tax = calculateGST({
+            items: adjustedItems.map((item, index) => ({ ...item, promotion_discount: promotionResult.lineDiscounts[index] })),
+            discountAmount: discountAmount + pointsDiscount,
+            shopStateCode,
+            customerStateCode: customerStateCode || shopStateCode,
+            pricesIncludeTax
+        });
 
         return {
-            subtotal: Number(subtotal.toFixed(2)),
-            discountAmount: Number(discountAmount.toFixed(2)),
-            total: Number(total.toFixed(2))
+            subtotal: tax.subtotal,
+            lineDiscount: tax.lineDiscount,
+            promotionDiscount,
+            discountBase,
+            discountAmount,
+            pointsDiscount,
+            taxableValue: tax.taxableValue,
+            cgst: tax.cgst,
+            sgst: tax.sgst,
+            igst: tax.igst,
+            totalTax: tax.totalTax,
+            interState: tax.interState,
+            pricesIncludeTax,
+            lines: tax.lines,
+            total: Math.max(0, tax.total) // Ensure total is not negative
         };
-    }, [cartItems, discountPercentage, manualDiscountAmount, discountType]);
+    }, [adjustedItems, promotionResult, discountType, discountValue, shopStateCode, customerStateCode, pricesIncludeTax, loyaltyConfig.redeemMode, redeemValue]);
+
+    // A points tender leaves the rest of the total to the other payment methods
+    const loyalty = useMemo(() => {
+        const redeemableAmount = loyaltyConfig.redeemMode === 'discount'
+            ? calculatedValues.discountBase - calculatedValues.discountAmount
+            : calculatedValues.total;
+        const error = showLoyalty
+            ? validateRedemption(redeemPoints, { balance: loyaltyBalance, amount: redeemableAmount, config: loyaltyConfig })
+            : null;
+        const pointsTender = loyaltyConfig.redeemMode === 'tender' && !error ? redeemValue : 0;
+        const amountDue = roundToPaise(Math.max(calculatedValues.total - pointsTender, 0));
+        return {
+            error,
+            redeemMode: loyaltyConfig.redeemMode,
+            redeemPoints: error ? 0 : redeemPoints,
+            redeemValue: error ? 0 : redeemValue,
+            maxPoints: getMaxRedeemablePoints(loyaltyBalance, redeemableAmount, loyaltyConfig),
+            pointsTender,
+            amountDue,
+            // Points are earned on what the customer pays in money, not on the points themselves
+            earned: showLoyalty ? calculateEarnedPoints(amountDue, loyaltyConfig) : 0
+        };
+    }, [calculatedValues, loyaltyConfig, showLoyalty, loyaltyBalance, redeemPoints, redeemValue]);
+
+    // Customer display on this terminal: the latest summary goes out on every change and
+    // again whenever a display asks for it, e.g. after being opened or reloaded
+    const upiConfig = useMemo(() => getUpiConfig(withShopDefaults(shopSettings)), [shopSettings]);
+    const displayMessage = useMemo(() => buildCheckoutMessage(buildCheckoutSummary({
+        customerName,
+        values: calculatedValues,
+        promotions: promotionResult.applied,
+        loyalty,
+        upi: getUpiPayment({ tenders, amountDue: loyalty.amountDue, upiConfig, reference: upiReference })
+    })), [customerName, calculatedValues, promotionResult, loyalty, tenders, upiConfig, upiReference]);
+    const displayChannelRef = useRef(null);
+    const displayMessageRef = useRef(displayMessage);
+    const billCompletedRef = useRef(false);
+
+    useEffect(() => {
+        const channel = openCartChannel((message) => {
+            if (isForThisTerminal(message) && message.type === CART_MESSAGES.REQUEST) {
+                channel.post(displayMessageRef.current);
+            }
+        });
+        displayChannelRef.current = channel;
+        return () => {
+            // Leaving without billing takes the display back to the plain cart
+            if (!billCompletedRef.current) channel.post(buildCheckoutMessage(null));
+            channel.close();
+            displayChannelRef.current = null;
+        };
+    }, []);
+
+    useEffect(() => {
+        displayMessageRef.current = displayMessage;
+        if (!billCompletedRef.current) displayChannelRef.current?.post(displayMessage);
+    }, [displayMessage]);
 
     // Form validation
     const validateForm = () => {
@@ -83,7 +347,14 @@ const Checkout = () => {
             return false;
         }
 
-        if (!paymentMethod.trim()) {
+        if (loyalty.error || hasLineErrors) {
+            return false;
+        }
+
+        // Nothing is left to collect when points pay the whole bill
+        const tenderError = loyalty.amountDue > 0 ? validateTenders(tenders, loyalty.amountDue) : null;
+        setPaymentError(tenderError || '');
+        if (tenderError) {
             return false;
         }
 
@@ -96,18 +367,66 @@ const Checkout = () => {
         setter(titleCaseValue);
     };
 
+    const updateLineAdjustment = (productId, changes) => {
+        setLineAdjustments(prev => ({
+            ...prev,
+            [productId]: { ...(prev[productId] || createLineAdjustment()), ...changes }
+        }));
+    };
+
+    const handleRemoveLine = (productId) => {
+        setCartQuantity(productId, 0);
+        setLineAdjustments(prev => {
+            const next = { ...prev };
+            delete next[productId];
+            return next;
+        });
+    };
+
+    // null from the modal puts the line back on its list price
+    const handlePriceOverride = (override) => {
+        updateLineAdjustment(overrideLineId, override
+            ? {
+                overridePrice: override.price,
+                overrideReason: override.reason,
+                overrideApprovedBy: override.approvedBy,
+                overrideApprovalId: override.approvalId
+            }
+            : { overridePrice: null, overrideReason: '', overrideApprovedBy: '', overrideApprovalId: null });
+        setOverrideLineId(null);
+    };
+
+    const handleTendersChange = (nextTenders) => {
+        setTenders(nextTenders);
+        setPaymentError('');
+    };
+
     const handlePhoneChange = (value) => {
         // Remove all non-digits
         const digitsOnly = value.replace(/\D/g, '');
         // Limit to 10 digits
         const limitedDigits = digitsOnly.slice(0, 10);
         setCustomerPhone(limitedDigits);
+
+        // A fully typed number of a known customer fills in the rest, without overwriting a typed name
+        const customer = getCustomer(limitedDigits);
+        if (customer && !customerName.trim()) {
+            handleCustomerSelect(customer);
+        }
+    };
+
+    const handleCustomerSelect = (customer) => {
+        setCustomerPhone(customer.phone);
+        setCustomerName(toTitleCase(customer.name));
+        if (customer.state_code) {
+            setCustomerStateCode(customer.state_code);
+        }
     };
 
     const handleDiscountTypeChange = (type) => {
         setDiscountType(type);
 
-        if (type === 'percentage') {
+        if (type === DISCOUNT_TYPES.PERCENTAGE) {
             setManualDiscountAmount(0);
         } else {
             setDiscountPercentage(0);
@@ -120,7 +439,7 @@ const Checkout = () => {
 
     const handleManualAmountChange = (value) => {
         const numValue = parseFloat(value) || 0;
-        const maxDiscount = calculatedValues.subtotal;
+        const maxDiscount = calculatedValues.discountBase;
 
         if (numValue > maxDiscount) {
             setManualDiscountAmount(maxDiscount);
@@ -137,23 +456,75 @@ const Checkout = () => {
         setLoading(true);
 
         try {
+            const placeOfSupply = customerStateCode || shopStateCode;
+            const payments = [
+                ...(loyalty.pointsTender > 0
+                    ? [{ method: POINTS_PAYMENT_METHOD, amount: loyalty.pointsTender, points: loyalty.redeemPoints }]
+                    : []),
+                ...(loyalty.amountDue > 0 ? buildPaymentsPayload(tenders, loyalty.amountDue) : [])
+            ];
+            const tenderSummary = summarizeTenders(tenders, loyalty.amountDue);
+            // Only an already known customer is linked here, a new one is saved once the bill exists
+            const knownCustomer = getCustomer(customerPhone);
             const billData = {
+                ...(knownCustomer?.id ? { customer_id: knownCustomer.id } : {}),
                 customer_name: customerName,
                 phone_number: customerPhone,
                 billed_by: billerName,
-                payment_method: paymentMethod.toLowerCase(),
-                items: cartItems.map(item => ({
-                    product_id: item.id,
-                    quantity: parseInt(item.quantity, 10),
-                    unit_price: parseFloat(item.price),
-                    total_price: parseFloat(item.price) * parseInt(item.quantity, 10)
+                payment_method: getBillPaymentMethod(payments),
+                payments,
+                change_due: tenderSummary.change,
+                ...(upiConfig && payments.some(payment => payment.method === 'upi') ? { upi_reference: upiReference } : {}),
+                items: calculatedValues.lines.map(line => ({
+                    product_id: line.id,
+                    quantity: parseInt(line.quantity, 10),
+                    // Unit price after any override, line total after the line's own discount
+                    ...buildLineItemPayload(line),
+                    // Cost at the time of sale, so later cost changes don't rewrite past profit
+                    unit_cost: getCostPrice(line),
+                    hsn_code: line.hsn_code,
+                    gst_rate: line.gst_rate,
+                    promotion_discount: line.promotion_discount,
+                    taxable_value: line.taxable_value,
+                    cgst_amount: line.cgst_amount,
+                    sgst_amount: line.sgst_amount,
+                    igst_amount: line.igst_amount
                 })),
-                discount_percentage: discountType === 'percentage' ? discountPercentage : 0,
-                discount_amount: discountType === 'amount' ? manualDiscountAmount : 0,
-                total_amount: calculatedValues.total
+                // Applied promotions itemised with the lines each one discounted
+                promotions: promotionResult.applied,
+                promotion_discount: calculatedValues.promotionDiscount,
+                ...buildDiscountPayload(discountType, discountValue),
+                place_of_supply: placeOfSupply,
+                customer_state: getStateName(placeOfSupply),
+                prices_include_tax: pricesIncludeTax,
+                taxable_amount: calculatedValues.taxableValue,
+                cgst_amount: calculatedValues.cgst,
+                sgst_amount: calculatedValues.sgst,
+                igst_amount: calculatedValues.igst,
+                total_tax: calculatedValues.totalTax,
+                total_amount: calculatedValues.total,
+                ...(showLoyalty ? buildLoyaltyPayload({
+                    earned: loyalty.earned,
+                    redeemed: loyalty.redeemPoints,
+                    config: loyaltyConfig,
+                    balance: loyaltyBalance
+                }) : {})
             };
 
-            await billsAPI.create(billData);
+            const response = await billsAPI.create(billData);
+            billCompletedRef.current = true;
+            displayChannelRef.current?.post(buildBillCompleteMessage({
+                bill: { ...billData, ...response.data },
+                customerName,
+                change: tenderSummary.change,
+                pointsEarned: loyalty.earned
+            }));
+            // Saved after the bill so a failed checkout never creates or renames a customer
+            const customer = await saveCustomer({ name: customerName, phone: customerPhone, state_code: placeOfSupply });
+            recordCustomerBill({ created_at: new Date().toISOString(), ...billData, ...response.data }, customer);
+            recordLoyalty(customerPhone, loyalty.earned - loyalty.redeemPoints);
+            recordPromotionUsage(promotionResult.applied.map(entry => entry.promotion_id));
+            setBilledCart(cart);
             clearCart(); // Clear Zustand cart
             setTimeout(() => {
                 navigate('/', { replace: true });
@@ -166,13 +537,13 @@ const Checkout = () => {
         }
     };
 
+    // Edits made here are already in the cart
     const navigateBackToProducts = () => {
-        setCart(cartFromState);
         navigate('/');
     };
 
     // Redirect if no cart data
-    if (!cartFromState || !cartItems || cartItems.length === 0) {
+    if (!cartItems || cartItems.length === 0) {
         return (
             <div className="app-container flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100 p-4">
                 <div className="bg-white rounded-xl shadow-lg p-6 sm:p-8 text-center max-w-md mx-auto w-full">
@@ -234,17 +605,12 @@ const Checkout = () => {
                                             <label className="block text-sm font-medium text-gray-700 mb-1.5">
                                                 Phone Number <span className="text-red-500">*</span>
                                             </label>
-                                            <input
-                                                type="tel"
-                                                placeholder="Enter 10-digit phone number"
+                                            <CustomerPhoneInput
                                                 value={customerPhone}
-                                                onChange={(e) => handlePhoneChange(e.target.value)}
-                                                maxLength="10"
+                                                onChange={handlePhoneChange}
+                                                onSelect={handleCustomerSelect}
                                                 className="w-full px-3 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition-all text-sm"
                                             />
-                                            {customerPhone && customerPhone.length === 10 && (
-                                                <p className="text-xs text-green-600 mt-1">✓ Valid phone number</p>
-                                            )}
                                         </div>
 
                                         <div className="sm:col-span-2 md:col-span-1">
@@ -262,22 +628,22 @@ const Checkout = () => {
 
                                         <div className="sm:col-span-2 md:col-span-1">
                                             <label className="block text-sm font-medium text-gray-700 mb-1.5">
-                                                Payment Method <span className="text-red-500">*</span>
+                                                Customer State (Place of Supply)
                                             </label>
                                             <select
-                                                value={paymentMethod}
-                                                onChange={(e) => {
-                                                    setPaymentMethod(e.target.value);
-                                                }}
+                                                value={customerStateCode || shopStateCode}
+                                                onChange={(e) => setCustomerStateCode(e.target.value)}
                                                 className="w-full px-3 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition-all text-sm"
                                             >
-                                                <option value="">Select payment method</option>
-                                                <option value="cash">Cash</option>
-                                                <option value="card">Card</option>
-                                                <option value="upi">UPI</option>
-                                                <option value="net banking">Net Banking</option>
-                                                <option value="wallet">Digital Wallet</option>
+                                                {INDIAN_STATES.map(state => (
+                                                    <option key={state.code} value={state.code}>
+                                                        {state.code} - {state.name}
+                                                    </option>
+                                                ))}
                                             </select>
+                                            <p className="text-xs text-gray-500 mt-1">
+                                                {calculatedValues.interState ? 'Inter-state sale: IGST applies' : 'Intra-state sale: CGST + SGST apply'}
+                                            </p>
                                         </div>
                                     </div>
                                 </div>
@@ -293,14 +659,21 @@ const Checkout = () => {
                                         <h2 className="text-lg font-semibold text-gray-800">Apply Discount</h2>
                                     </div>
 
+                                        <PromotionsPanel
+                                            promotions={promotions}
+                                            couponCodes={couponCodes}
+                                            onCouponCodesChange={setCouponCodes}
+                                            result={promotionResult}
+                                        />
+
                                     <div className="space-y-4">
                                         <div>
                                             <label className="block text-sm font-medium text-gray-700 mb-2">Discount Type</label>
                                             <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
                                                 <button
                                                     type="button"
-                                                    onClick={() => handleDiscountTypeChange('percentage')}
-                                                    className={`p-3 rounded-lg border-2 text-sm font-medium transition-all ${discountType === 'percentage'
+                                                    onClick={() => handleDiscountTypeChange(DISCOUNT_TYPES.PERCENTAGE)}
+                                                    className={`p-3 rounded-lg border-2 text-sm font-medium transition-all ${discountType === DISCOUNT_TYPES.PERCENTAGE
                                                             ? 'border-blue-500 bg-blue-50 text-blue-700'
                                                             : 'border-gray-200 text-gray-600 hover:border-gray-300'
                                                         }`}
@@ -314,8 +687,8 @@ const Checkout = () => {
                                                 </button>
                                                 <button
                                                     type="button"
-                                                    onClick={() => handleDiscountTypeChange('amount')}
-                                                    className={`p-3 rounded-lg border-2 text-sm font-medium transition-all ${discountType === 'amount'
+                                                    onClick={() => handleDiscountTypeChange(DISCOUNT_TYPES.AMOUNT)}
+                                                    className={`p-3 rounded-lg border-2 text-sm font-medium transition-all ${discountType === DISCOUNT_TYPES.AMOUNT
                                                             ? 'border-green-500 bg-green-50 text-green-700'
                                                             : 'border-gray-200 text-gray-600 hover:border-gray-300'
                                                         }`}
@@ -331,13 +704,13 @@ const Checkout = () => {
                                         </div>
 
                                         {/* Percentage Discount */}
-                                        {discountType === 'percentage' && (
+                                        {discountType === DISCOUNT_TYPES.PERCENTAGE && (
                                             <div>
                                                 <label className="block text-sm font-medium text-gray-700 mb-2">
                                                     <span>Discount Percentage: {discountPercentage}%</span>
                                                     {discountPercentage > 0 && (
                                                         <span className="text-green-600 ml-2 block sm:inline">
-                                                            (Save ₹{((calculatedValues.subtotal * discountPercentage) / 100).toFixed(2)})
+                                                            (Save ₹{calculatedValues.discountAmount.toFixed(2)})
                                                         </span>
                                                     )}
                                                 </label>
@@ -358,7 +731,7 @@ const Checkout = () => {
                                         )}
 
                                         {/* Manual Amount Discount */}
-                                        {discountType === 'amount' && (
+                                        {discountType === DISCOUNT_TYPES.AMOUNT && (
                                             <div>
                                                 <label className="block text-sm font-medium text-gray-700 mb-2">
                                                     <span>Discount Amount</span>
@@ -375,7 +748,7 @@ const Checkout = () => {
                                                     <input
                                                         type="number"
                                                         min="0"
-                                                        max={calculatedValues.subtotal}
+                                                        max={calculatedValues.discountBase}
                                                         step="0.01"
                                                         value={manualDiscountAmount || ''}
                                                         onChange={(e) => handleManualAmountChange(e.target.value)}
@@ -384,13 +757,54 @@ const Checkout = () => {
                                                     />
                                                 </div>
                                                 <p className="text-xs text-gray-500 mt-1">
-                                                    Maximum discount: ₹{calculatedValues.subtotal.toFixed(2)}
+                                                    Maximum discount: ₹{calculatedValues.discountBase.toFixed(2)}
                                                 </p>
                                             </div>
                                         )}
                                     </div>
                                 </div>
 
+                                {/* Payment Section */}
+                                <div className="bg-white rounded-lg shadow-md p-5">
+                                    <div className="flex items-center mb-4">
+                                        <div className="bg-purple-100 rounded-full p-2 mr-3 flex-shrink-0">
+                                            <svg className="w-5 h-5 text-purple-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M3 10h18M7 15h1m4 0h1m-7 4h12a3 3 0 003-3V8a3 3 0 00-3-3H6a3 3 0 00-3 3v8a3 3 0 003 3z" />
+                                            </svg>
+                                        </div>
+                                        <h2 className="text-lg font-semibold text-gray-800">Payment</h2>
+                                    </div>
+
+                                    {showLoyalty && (
+                                        <LoyaltyPoints
+                                            config={loyaltyConfig}
+                                            account={loyaltyAccount}
+                                            loading={loyaltyLoading}
+                                            points={pointsToRedeem}
+                                            onPointsChange={setPointsToRedeem}
+                                            maxPoints={loyalty.maxPoints}
+                                            pointsValue={loyalty.redeemValue}
+                                            earnedPoints={loyalty.earned}
+                                            error={pointsToRedeem !== '' ? loyalty.error : null}
+                                        />
+                                    )}
+
+                                    {loyalty.amountDue > 0 ? (
+                                        <PaymentTenders
+                                            tenders={tenders}
+                                            total={loyalty.amountDue}
+                                            onChange={handleTendersChange}
+                                            error={paymentError}
+                                            upiConfig={upiConfig}
+                                            upiReference={upiReference}
+                                        />
+                                    ) : (
+                                        <p className="text-sm text-green-700 bg-green-50 border border-green-200 rounded-lg p-3">
+                                            Paid in full by loyalty points
+                                        </p>
+                                    )}
+                                </div>
+
                                 {/* Action Buttons */}
                                 <div className="pt-4 pb-8">
                                     <div className="flex flex-col sm:flex-row gap-4">
@@ -406,7 +820,7 @@ const Checkout = () => {
 
                                         <button
                                             onClick={handleCheckout}
-                                            disabled={loading}
+                                            disabled={loading || hasLineErrors || Boolean(billedCart)}
                                             className="flex-1 bg-gradient-to-r from-blue-600 to-indigo-600 text-white py-3 px-6 rounded-lg hover:from-blue-700 hover:to-indigo-700 transition-all duration-200 transform disabled:opacity-50 disabled:cursor-not-allowed font-medium flex items-center justify-center text-sm shadow-lg"
                                         >
                                             {loading ? (
@@ -421,8 +835,7 @@ const Checkout = () => {
                                                 <>
                                                     🛒
                                                     <span className="ml-2">
-                                                        Place Order • ₹{calculatedValues.total.toFixed(0)}
-                                                        .{(calculatedValues.total % 1).toFixed(2).slice(2)}
+                                                        Place Order • ₹{formatAmount(calculatedValues.total)}
                                                     </span>
                                                 </>
                                             )}
@@ -455,41 +868,18 @@ const Checkout = () => {
                                     <div className="overflow-y-auto" style={{ maxHeight: 'calc(85vh - 160px)' }}>
                                         <div className="p-4">
                                             <div className="space-y-2.5">
-                                                {cartItems.map(item => {
-                                                    const itemPrice = parseFloat(item.price) || 0;
-                                                    const itemQuantity = parseInt(item.quantity, 10) || 0;
-                                                    const itemTotal = itemPrice * itemQuantity;
-
-                                                    return (
-                                                        <div
-                                                            key={item.id}
-                                                            className="bg-gray-50 rounded-lg p-3 border border-gray-100 hover:shadow-sm transition-shadow"
-                                                        >
-                                                            <div className="flex justify-between items-start">
-                                                                <div className="flex-1 pr-3">
-                                                                    <h3 className="font-semibold text-gray-800 text-sm mb-1 leading-tight">
-                                                                        {toTitleCase(item.name)}
-                                                                    </h3>
-                                                                    <p className="text-xs text-gray-600 mb-2">
-                                                                        {toTitleCase(item.brand) || 'No Brand'} • {toTitleCase(item.category)}
-                                                                    </p>
-                                                                    <div className="flex items-center space-x-2">
-                                                                        <span className="text-xs text-blue-600 font-medium">
-                                                                            ₹{itemPrice.toFixed(0)}.{(itemPrice % 1).toFixed(2).slice(2)}
-                                                                        </span>
-                                                                        <span className="text-xs text-gray-400">×</span>
-                                                                        <span className="text-xs text-blue-600 font-medium">
-                                                                            {itemQuantity}
-                                                                        </span>
-                                                                    </div>
-                                                                </div>
-                                                                <div className="text-sm font-bold text-gray-800 flex-shrink-0">
-                                                                    ₹{itemTotal.toFixed(0)}.{(itemTotal % 1).toFixed(2).slice(2)}
-                                                                </div>
-                                                            </div>
-                                                        </div>
-                                                    );
-                                                })}
+                                                {adjustedItems.map(line => (
+                                                    <CheckoutLineItem
+                                                        key={line.id}
+                                                        line={line}
+                                                        discountInput={lineAdjustments[line.id]?.discountValue ?? ''}
+                                                        error={lineErrors[line.id]}
+                                                        onQuantityChange={(quantity) => setCartQuantity(line.id, quantity)}
+                                                        onRemove={() => handleRemoveLine(line.id)}
+                                                        onDiscountChange={(changes) => updateLineAdjustment(line.id, changes)}
+                                                        onOverrideClick={canOverridePrice ? () => setOverrideLineId(line.id) : undefined}
+                                                    />
+                                                ))}
                                             </div>
                                         </div>
                                     </div>
@@ -500,30 +890,47 @@ const Checkout = () => {
                                             <div className="flex justify-between text-gray-700">
                                                 <span className="font-medium text-sm">Subtotal</span>
                                                 <span className="font-semibold text-sm">
-                                                    ₹{calculatedValues.subtotal.toFixed(0)}.{(calculatedValues.subtotal % 1).toFixed(2).slice(2)}
+                                                    ₹{formatAmount(calculatedValues.subtotal)}
                                                 </span>
                                             </div>
 
+                                            {calculatedValues.lineDiscount > 0 && (
+                                                <div className="flex justify-between text-green-600">
+                                                    <span className="font-medium text-sm">Item Discounts</span>
+                                                    <span className="font-semibold text-sm">
+                                                        -₹{formatAmount(calculatedValues.lineDiscount)}
+                                                    </span>
+                                                </div>
+                                            )}
+
+                                            <PromotionSummaryRows applied={promotionResult.applied} />
+
                                             {calculatedValues.discountAmount > 0 && (
                                                 <div className="flex justify-between text-green-600">
                                                     <span className="font-medium text-sm">
-                                                        Discount {discountType === 'percentage'
+                                                        Discount {discountType === DISCOUNT_TYPES.PERCENTAGE
                                                             ? `(${discountPercentage}%)`
                                                             : `(₹${manualDiscountAmount.toFixed(0)})`
                                                         }
                                                     </span>
                                                     <span className="font-semibold text-sm">
-                                                        -₹{calculatedValues.discountAmount.toFixed(0)}.{(calculatedValues.discountAmount % 1).toFixed(2).slice(2)}
+                                                        -₹{formatAmount(calculatedValues.discountAmount)}
                                                     </span>
                                                 </div>
                                             )}
 
+                                            <LoyaltySummaryRows loyalty={loyalty} position="discount" />
+
+                                            <TaxSummaryRows values={calculatedValues} />
+
                                             <div className="border-t border-gray-300 pt-2.5 flex justify-between text-lg font-bold text-gray-800">
                                                 <span>Total</span>
                                                 <span className="text-blue-600">
-                                                    ₹{calculatedValues.total.toFixed(0)}.{(calculatedValues.total % 1).toFixed(2).slice(2)}
+                                                    ₹{formatAmount(calculatedValues.total)}
                                                 </span>
                                             </div>
+
+                                            <LoyaltySummaryRows loyalty={loyalty} position="tender" />
                                         </div>
                                     </div>
                                 </div>
@@ -569,44 +976,22 @@ const Checkout = () => {
 
                                     {/* Mobile Cart Items */}
                                     <div className="p-4">
-                                        <div className="space-y-2.5 max-h-40 overflow-y-auto" style={{ 
+                                        <div className="space-y-2.5 max-h-96 overflow-y-auto" style={{ 
                                             WebkitOverflowScrolling: 'touch' 
                                         }}>
-                                            {cartItems.map(item => {
-                                                const itemPrice = parseFloat(item.price) || 0;
-                                                const itemQuantity = parseInt(item.quantity, 10) || 0;
-                                                const itemTotal = itemPrice * itemQuantity;
-
-                                                return (
-                                                    <div
-                                                        key={item.id}
-                                                        className="bg-gray-50 rounded-lg p-3 border border-gray-100"
-                                                    >
-                                                        <div className="flex justify-between items-start">
-                                                            <div className="flex-1 pr-3">
-                                                                <h3 className="font-semibold text-gray-800 text-sm mb-1 leading-tight">
-                                                                    {toTitleCase(item.name)}
-                                                                </h3>
-                                                                <p className="text-xs text-gray-600 mb-2">
-                                                                    {toTitleCase(item.brand) || 'No Brand'} • {toTitleCase(item.category)}
-                                                                </p>
-                                                                <div className="flex items-center space-x-2">
-                                                                    <span className="text-xs text-blue-600 font-medium">
-                                                                        ₹{itemPrice.toFixed(0)}
-                                                                    </span>
-                                                                    <span className="text-xs text-gray-400">×</span>
-                                                                    <span className="text-xs text-blue-600 font-medium">
-                                                                        {itemQuantity}
-                                                                    </span>
-                                                                </div>
-                                                            </div>
-                                                            <div className="text-sm font-bold text-gray-800 flex-shrink-0">
-                                                                ₹{itemTotal.toFixed(0)}
-                                                            </div>
-                                                        </div>
-                                                    </div>
-                                                );
-                                            })}
+                                            {adjustedItems.map(line => (
+                                                <CheckoutLineItem
+                                                    key={line.id}
+                                                    line={line}
+                                                    discountInput={lineAdjustments[line.id]?.discountValue ?? ''}
+                                                    error={lineErrors[line.id]}
+                                                    decimals={0}
+                                                    onQuantityChange={(quantity) => setCartQuantity(line.id, quantity)}
+                                                    onRemove={() => handleRemoveLine(line.id)}
+                                                    onDiscountChange={(changes) => updateLineAdjustment(line.id, changes)}
+                                                    onOverrideClick={canOverridePrice ? () => setOverrideLineId(line.id) : undefined}
+                                                />
+                                            ))}
                                         </div>
                                     </div>
 
@@ -620,10 +1005,21 @@ const Checkout = () => {
                                                 </span>
                                             </div>
 
+                                            {calculatedValues.lineDiscount > 0 && (
+                                                <div className="flex justify-between text-green-600">
+                                                    <span className="font-medium text-sm">Item Discounts</span>
+                                                    <span className="font-semibold text-sm">
+                                                        -₹{calculatedValues.lineDiscount.toFixed(0)}
+                                                    </span>
+                                                </div>
+                                            )}
+
+                                            <PromotionSummaryRows applied={promotionResult.applied} decimals={0} />
+
                                             {calculatedValues.discountAmount > 0 && (
                                                 <div className="flex justify-between text-green-600">
                                                     <span className="font-medium text-sm">
-                                                        Discount {discountType === 'percentage'
+                                                        Discount {discountType === DISCOUNT_TYPES.PERCENTAGE
                                                             ? `(${discountPercentage}%)`
                                                             : `(₹${manualDiscountAmount.toFixed(0)})`
                                                         }
@@ -634,12 +1030,18 @@ const Checkout = () => {
                                                 </div>
                                             )}
 
+                                            <LoyaltySummaryRows loyalty={loyalty} position="discount" decimals={0} />
+
+                                            <TaxSummaryRows values={calculatedValues} decimals={0} />
+
                                             <div className="border-t border-gray-300 pt-2.5 flex justify-between text-base font-bold text-gray-800">
                                                 <span>Total</span>
                                                 <span className="text-blue-600">
                                                     ₹{calculatedValues.total.toFixed(0)}
                                                 </span>
                                             </div>
+
+                                            <LoyaltySummaryRows loyalty={loyalty} position="tender" decimals={0} />
                                         </div>
                                     </div>
                                 </div>
@@ -677,17 +1079,12 @@ const Checkout = () => {
                                             <label className="block text-sm font-medium text-gray-700 mb-1.5">
                                                 Phone Number <span className="text-red-500">*</span>
                                             </label>
-                                            <input
-                                                type="tel"
-                                                placeholder="Enter 10-digit phone number"
+                                            <CustomerPhoneInput
                                                 value={customerPhone}
-                                                onChange={(e) => handlePhoneChange(e.target.value)}
-                                                maxLength="10"
+                                                onChange={handlePhoneChange}
+                                                onSelect={handleCustomerSelect}
                                                 className="w-full px-3 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition-all text-sm"
                                             />
-                                            {customerPhone && customerPhone.length === 10 && (
-                                                <p className="text-xs text-green-600 mt-1">✓ Valid phone number</p>
-                                            )}
                                         </div>
 
                                         <div>
@@ -705,22 +1102,22 @@ const Checkout = () => {
 
                                         <div>
                                             <label className="block text-sm font-medium text-gray-700 mb-1.5">
-                                                Payment Method <span className="text-red-500">*</span>
+                                                Customer State (Place of Supply)
                                             </label>
                                             <select
-                                                value={paymentMethod}
-                                                onChange={(e) => {
-                                                    setPaymentMethod(e.target.value);
-                                                }}
+                                                value={customerStateCode || shopStateCode}
+                                                onChange={(e) => setCustomerStateCode(e.target.value)}
                                                 className="w-full px-3 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition-all text-sm"
                                             >
-                                                <option value="">Select payment method</option>
-                                                <option value="cash">Cash</option>
-                                                <option value="card">Card</option>
-                                                <option value="upi">UPI</option>
-                                                <option value="net banking">Net Banking</option>
-                                                <option value="wallet">Digital Wallet</option>
+                                                {INDIAN_STATES.map(state => (
+                                                    <option key={state.code} value={state.code}>
+                                                        {state.name}
+                                                    </option>
+                                                ))}
                                             </select>
+                                            <p className="text-xs text-gray-500 mt-1">
+                                                {calculatedValues.interState ? 'IGST applies' : 'CGST + SGST apply'}
+                                            </p>
                                         </div>
                                     </div>
                                 </div>
@@ -736,14 +1133,21 @@ const Checkout = () => {
                                         <h2 className="text-base font-semibold text-gray-800">Apply Discount</h2>
                                     </div>
 
+                                        <PromotionsPanel
+                                            promotions={promotions}
+                                            couponCodes={couponCodes}
+                                            onCouponCodesChange={setCouponCodes}
+                                            result={promotionResult}
+                                        />
+
                                     <div className="space-y-3">
                                         <div>
                                             <label className="block text-sm font-medium text-gray-700 mb-2">Discount Type</label>
                                             <div className="grid grid-cols-2 gap-2">
                                                 <button
                                                     type="button"
-                                                    onClick={() => handleDiscountTypeChange('percentage')}
-                                                    className={`p-2.5 rounded-lg border-2 text-sm font-medium transition-all ${discountType === 'percentage'
+                                                    onClick={() => handleDiscountTypeChange(DISCOUNT_TYPES.PERCENTAGE)}
+                                                    className={`p-2.5 rounded-lg border-2 text-sm font-medium transition-all ${discountType === DISCOUNT_TYPES.PERCENTAGE
                                                             ? 'border-blue-500 bg-blue-50 text-blue-700'
                                                             : 'border-gray-200 text-gray-600 hover:border-gray-300'
                                                         }`}
@@ -757,8 +1161,8 @@ const Checkout = () => {
                                                 </button>
                                                 <button
                                                     type="button"
-                                                    onClick={() => handleDiscountTypeChange('amount')}
-                                                    className={`p-2.5 rounded-lg border-2 text-sm font-medium transition-all ${discountType === 'amount'
+                                                    onClick={() => handleDiscountTypeChange(DISCOUNT_TYPES.AMOUNT)}
+                                                    className={`p-2.5 rounded-lg border-2 text-sm font-medium transition-all ${discountType === DISCOUNT_TYPES.AMOUNT
                                                             ? 'border-green-500 bg-green-50 text-green-700'
                                                             : 'border-gray-200 text-gray-600 hover:border-gray-300'
                                                         }`}
@@ -774,13 +1178,13 @@ const Checkout = () => {
                                         </div>
 
                                         {/* Mobile Percentage Discount */}
-                                        {discountType === 'percentage' && (
+                                        {discountType === DISCOUNT_TYPES.PERCENTAGE && (
                                             <div>
                                                 <label className="block text-sm font-medium text-gray-700 mb-2">
                                                     <span>Discount: {discountPercentage}%</span>
                                                     {discountPercentage > 0 && (
                                                         <span className="text-green-600 ml-2 block">
-                                                            (Save ₹{((calculatedValues.subtotal * discountPercentage) / 100).toFixed(0)})
+                                                            (Save ₹{calculatedValues.discountAmount.toFixed(0)})
                                                         </span>
                                                     )}
                                                 </label>
@@ -801,7 +1205,7 @@ const Checkout = () => {
                                         )}
 
                                         {/* Mobile Manual Amount Discount */}
-                                        {discountType === 'amount' && (
+                                        {discountType === DISCOUNT_TYPES.AMOUNT && (
                                             <div>
                                                 <label className="block text-sm font-medium text-gray-700 mb-2">
                                                     <span>Discount Amount</span>
@@ -818,7 +1222,7 @@ const Checkout = () => {
                                                     <input
                                                         type="number"
                                                         min="0"
-                                                        max={calculatedValues.subtotal}
+                                                        max={calculatedValues.discountBase}
                                                         step="0.01"
                                                         value={manualDiscountAmount || ''}
                                                         onChange={(e) => handleManualAmountChange(e.target.value)}
@@ -827,13 +1231,54 @@ const Checkout = () => {
                                                     />
                                                 </div>
                                                 <p className="text-xs text-gray-500 mt-1">
-                                                    Max: ₹{calculatedValues.subtotal.toFixed(0)}
+                                                    Max: ₹{calculatedValues.discountBase.toFixed(0)}
                                                 </p>
                                             </div>
                                         )}
                                     </div>
                                 </div>
 
+                                {/* Mobile Payment Section */}
+                                <div className="bg-white rounded-lg shadow-md p-4">
+                                    <div className="flex items-center mb-4">
+                                        <div className="bg-purple-100 rounded-full p-2 mr-3 flex-shrink-0">
+                                            <svg className="w-4 h-4 text-purple-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M3 10h18M7 15h1m4 0h1m-7 4h12a3 3 0 003-3V8a3 3 0 00-3-3H6a3 3 0 00-3 3v8a3 3 0 003 3z" />
+                                            </svg>
+                                        </div>
+                                        <h2 className="text-base font-semibold text-gray-800">Payment</h2>
+                                    </div>
+
+                                    {showLoyalty && (
+                                        <LoyaltyPoints
+                                            config={loyaltyConfig}
+                                            account={loyaltyAccount}
+                                            loading={loyaltyLoading}
+                                            points={pointsToRedeem}
+                                            onPointsChange={setPointsToRedeem}
+                                            maxPoints={loyalty.maxPoints}
+                                            pointsValue={loyalty.redeemValue}
+                                            earnedPoints={loyalty.earned}
+                                            error={pointsToRedeem !== '' ? loyalty.error : null}
+                                        />
+                                    )}
+
+                                    {loyalty.amountDue > 0 ? (
+                                        <PaymentTenders
+                                            tenders={tenders}
+                                            total={loyalty.amountDue}
+                                            onChange={handleTendersChange}
+                                            error={paymentError}
+                                            upiConfig={upiConfig}
+                                            upiReference={upiReference}
+                                        />
+                                    ) : (
+                                        <p className="text-sm text-green-700 bg-green-50 border border-green-200 rounded-lg p-3">
+                                            Paid in full by loyalty points
+                                        </p>
+                                    )}
+                                </div>
+
                                 {/* Mobile Action Buttons with Safe Area Bottom Padding */}
                                 <div className="pt-4 safe-bottom">
                                     <div className="flex flex-col gap-3">
@@ -849,7 +1294,7 @@ const Checkout = () => {
 
                                         <button
                                             onClick={handleCheckout}
-                                            disabled={loading}
+                                            disabled={loading || hasLineErrors || Boolean(billedCart)}
                                             className="w-full bg-gradient-to-r from-blue-600 to-indigo-600 text-white py-3 px-6 rounded-lg hover:from-blue-700 hover:to-indigo-700 transition-all duration-200 transform disabled:opacity-50 disabled:cursor-not-allowed font-medium flex items-center justify-center text-sm shadow-lg"
                                         >
                                             {loading ? (
@@ -876,6 +1321,14 @@ const Checkout = () => {
                     </div>
                 </div>
             </div>
+
+            {overrideLineId && adjustedItems.some(line => line.id === overrideLineId) && (
+                <PriceOverrideModal
+                    line={adjustedItems.find(line => line.id === overrideLineId)}
+                    onApply={handlePriceOverride}
+                    onClose={() => setOverrideLineId(null)}
+                />
+            )}
         </div>
     );
 };
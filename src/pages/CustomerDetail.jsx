@@ -0,0 +1,289 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { billsAPI } from '../services/api';
+import BillPDF from '../components/BillPDF';
+import useCustomerStore from '../stores/useCustomerStore';
+import useShopStore from '../stores/useShopStore';
+import { DEFAULT_BILL_FILTERS, fetchAllBills } from '../utils/billFilters';
+import { getBillTotals } from '../utils/billTotals';
+import { getPaymentMethodLabel } from '../utils/paymentMethods';
+import { getReturnStatusLabel } from '../utils/returns';
+import { getTopProducts } from '../utils/salesAnalytics';
+import {
+    buildCustomersFromBills,
+    formatLastVisit,
+    getAverageBill,
+    getCustomerBills,
+    normalizePhone
+} from '../utils/customers';
+import { getLoyaltyConfig, getLoyaltyEntryLabel } from '../utils/loyalty';
+
+function toTitleCase(str) {
+    if (!str) return '';
+    return str
+        .toLowerCase()
+        .split(' ')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+const formatCurrency = (amount) => `₹${(parseFloat(amount) || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+
+const SummaryCard = ({ label, value, detail, tone }) => (
+    <div className={`p-3 sm:p-4 rounded-xl border min-w-0 ${tone}`}>
+        <div className="text-xs font-semibold uppercase tracking-wider opacity-80">{label}</div>
+        <div className="text-lg sm:text-2xl font-bold mt-1 break-words">{value}</div>
+        {detail && <div className="text-xs mt-1 opacity-80 break-words">{detail}</div>}
+    </div>
+);
+
+const CustomerDetail = () => {
+    const { phone: phoneParam } = useParams();
+    const phone = normalizePhone(phoneParam);
+    const storedCustomer = useCustomerStore((state) => state.getCustomer(phone));
+    const fetchCustomers = useCustomerStore((state) => state.fetchCustomers);
+    const fetchLoyalty = useCustomerStore((state) => state.fetchLoyalty);
+    const loyaltyAccount = useCustomerStore((state) => state.loyaltyAccounts[phone]);
+    const shopSettings = useShopStore((state) => state.settings);
+    const fetchShopSettings = useShopStore((state) => state.fetchSettings);
+    const loyaltyConfig = getLoyaltyConfig(shopSettings);
+
+    const [bills, setBills] = useState([]);
+    const [selectedBill, setSelectedBill] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const fetchBills = useCallback(async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            // The server searches by phone digits; the exact match is made here
+            const result = await fetchAllBills(billsAPI.getAll, {
+                filters: { ...DEFAULT_BILL_FILTERS, search: phone }
+            });
+            setBills(getCustomerBills(result, phone));
+        } catch (error) {
+            console.error('Error fetching customer bills:', error);
+            const errorMessage = error.response?.data?.error || error.message || 'Unknown error occurred';
+            setError(`Failed to load bills: ${errorMessage}`);
+        } finally {
+            setLoading(false);
+        }
+    }, [phone]);
+
+    useEffect(() => {
+        fetchBills();
+        fetchCustomers();
+    }, [fetchBills, fetchCustomers]);
+
+    useEffect(() => {
+        fetchShopSettings();
+    }, [fetchShopSettings]);
+
+    useEffect(() => {
+        if (loyaltyConfig.enabled) fetchLoyalty(phone);
+    }, [loyaltyConfig.enabled, phone, fetchLoyalty]);
+
+    // The bills are the full history, so their totals are the ones to show once loaded
+    const customer = useMemo(() => {
+        const fromBills = buildCustomersFromBills(bills)[0];
+        if (!fromBills) return storedCustomer;
+        return { ...storedCustomer, ...fromBills, name: storedCustomer?.name || fromBills.name };
+    }, [bills, storedCustomer]);
+
+    const favourites = useMemo(() => getTopProducts(bills, { by: 'quantity', limit: 5 }), [bills]);
+    const itemsBought = bills.reduce((sum, bill) => sum + (bill.bill_items || [])
+        .reduce((itemSum, item) => itemSum + (parseInt(item?.quantity, 10) || 0), 0), 0);
+
+    return (
+        <div className="app-container bg-gray-50">
+            <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 space-y-4 sm:space-y-6 mobile-content-spacing">
+                {/* Header */}
+                <div className="bg-white rounded-lg shadow-md p-4 sm:p-6">
+                    <Link to="/customers" className="text-sm text-blue-600 hover:text-blue-800 font-medium">
+                        ← All customers
+                    </Link>
+                    <div className="flex flex-col sm:flex-row sm:items-end justify-between gap-3 mt-2">
+                        <div>
+                            <h1 className="text-xl sm:text-2xl lg:text-3xl font-bold text-gray-900">
+                                {toTitleCase(customer?.name) || 'Customer'}
+                            </h1>
+                            <p className="text-sm text-gray-600 mt-1 font-mono">{phone}</p>
+                            {loyaltyConfig.enabled && loyaltyAccount && (
+                                <p className="text-sm text-amber-700 font-medium">
+                                    {loyaltyAccount.balance.toLocaleString('en-IN')} loyalty points
+                                    {' '}(worth {formatCurrency(loyaltyAccount.balance * loyaltyConfig.pointValue)})
+                                </p>
+                            )}
+                            {customer?.email && <p className="text-sm text-gray-600">{customer.email.toLowerCase()}</p>}
+                        </div>
+                        <p className="text-sm text-gray-600">
+                            {customer?.first_visit_at
+                                ? `Customer since ${new Date(customer.first_visit_at).toLocaleDateString('en-IN')}`
+                                : ''}
+                        </p>
+                    </div>
+                </div>
+
+                {error && (
+                    <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+                        <span className="text-sm">{error}</span>
+                        <button onClick={fetchBills} className="text-sm font-medium text-red-700 underline">Try again</button>
+                    </div>
+                )}
+
+                {/* Summary */}
+                <div className={`grid grid-cols-2 md:grid-cols-4 gap-3 sm:gap-4 ${loading ? 'opacity-60' : ''}`}>
+                    <SummaryCard
+                        label="Lifetime Spend"
+                        value={formatCurrency(customer?.total_spent)}
+                        detail="After refunds"
+                        tone="bg-blue-50 border-blue-100 text-blue-900"
+                    />
+                    <SummaryCard
+                        label="Visits"
+                        value={(customer?.bill_count || 0).toLocaleString('en-IN')}
+                        detail={`${itemsBought.toLocaleString('en-IN')} items bought`}
+                        tone="bg-green-50 border-green-100 text-green-900"
+                    />
+                    <SummaryCard
+                        label="Average Bill"
+                        value={formatCurrency(getAverageBill(customer))}
+                        tone="bg-indigo-50 border-indigo-100 text-indigo-900"
+                    />
+                    <SummaryCard
+                        label="Last Visit"
+                        value={formatLastVisit(customer?.last_visit_at)}
+                        detail={customer?.last_visit_at ? new Date(customer.last_visit_at).toLocaleDateString('en-IN') : null}
+                        tone="bg-purple-50 border-purple-100 text-purple-900"
+                    />
+                </div>
+
+                <div className="grid grid-cols-1 lg:grid-cols-[1fr_320px] gap-4 sm:gap-6">
+                    {/* Bills */}
+                    <div className="bg-white rounded-lg shadow-md p-4 sm:p-6 min-w-0">
+                        <h2 className="text-base sm:text-lg font-semibold text-gray-800 mb-4">Bills</h2>
+                        {loading ? (
+                            <div className="text-center py-12">
+                                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+                                <p className="mt-4 text-gray-600">Loading bills...</p>
+                            </div>
+                        ) : bills.length === 0 ? (
+                            <p className="text-sm text-gray-500 text-center py-8">No bills for this phone number</p>
+                        ) : (
+                            <div className="overflow-x-auto">
+                                <table className="min-w-full text-sm">
+                                    <thead>
+                                        <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider border-b border-gray-200">
+                                            <th className="py-2 pr-3">Bill</th>
+                                            <th className="py-2 px-3 hidden sm:table-cell">Items</th>
+                                            <th className="py-2 px-3 text-right">Amount</th>
+                                            <th className="py-2 pl-3 text-right"></th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-gray-100">
+                                        {bills.map(bill => {
+                                            const items = bill.bill_items || [];
+                                            const returnLabel = getReturnStatusLabel(bill.return_status);
+                                            return (
+                                                <tr key={bill.id}>
+                                                    <td className="py-3 pr-3">
+                                                        <span className="font-mono text-xs font-semibold text-blue-800">
+                                                            #{String(bill.id).substring(0, 8).toUpperCase()}
+                                                        </span>
+                                                        <span className="block text-xs text-gray-500">
+                                                            {new Date(bill.created_at).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })}
+                                                        </span>
+                                                        <span className="block text-xs text-gray-500">
+                                                            {getPaymentMethodLabel(bill.payment_method || 'cash')} • {toTitleCase(bill.billed_by) || 'System Admin'}
+                                                        </span>
+                                                    </td>
+                                                    <td className="py-3 px-3 text-gray-700 hidden sm:table-cell">
+                                                        <span className="line-clamp-2">
+                                                            {items.map(item => `${toTitleCase((item.product || item.products)?.name || 'Item')} × ${item.quantity}`).join(', ')}
+                                                        </span>
+                                                    </td>
+                                                    <td className="py-3 px-3 text-right whitespace-nowrap">
+                                                        <span className="font-semibold text-gray-900">{formatCurrency(getBillTotals(bill).net)}</span>
+                                                        {returnLabel && <span className="block text-xs text-red-600">{returnLabel}</span>}
+                                                    </td>
+                                                    <td className="py-3 pl-3 text-right">
+                                                        <button
+                                                            onClick={() => setSelectedBill(bill)}
+                                                            className="bg-blue-600 text-white px-3 py-1.5 rounded text-xs hover:bg-blue-700"
+                                                        >
+                                                            Invoice
+                                                        </button>
+                                                    </td>
+                                                </tr>
+                                            );
+                                        })}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </div>
+
+                    <div className="space-y-4 sm:space-y-6 min-w-0 self-start">
+                        {/* Favourite products */}
+                        <div className="bg-white rounded-lg shadow-md p-4 sm:p-6">
+                            <h2 className="text-base sm:text-lg font-semibold text-gray-800 mb-4">Buys Most Often</h2>
+                            {favourites.length === 0 ? (
+                                <p className="text-sm text-gray-500">Nothing yet</p>
+                            ) : (
+                                <ul className="space-y-2">
+                                    {favourites.map(product => (
+                                        <li key={product.key} className="flex justify-between gap-3 text-sm">
+                                            <span className="text-gray-900 line-clamp-1">{product.label}</span>
+                                            <span className="text-gray-500 flex-shrink-0">{product.quantity} bought</span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+
+                        {/* Loyalty points ledger */}
+                        {loyaltyConfig.enabled && (
+                            <div className="bg-white rounded-lg shadow-md p-4 sm:p-6">
+                                <h2 className="text-base sm:text-lg font-semibold text-gray-800 mb-4">Loyalty Points</h2>
+                                {!loyaltyAccount || loyaltyAccount.entries.length === 0 ? (
+                                    <p className="text-sm text-gray-500">No points yet</p>
+                                ) : (
+                                    <ul className="divide-y divide-gray-100">
+                                        {loyaltyAccount.entries.slice(0, 20).map((entry, index) => (
+                                            <li key={`${entry.bill_id || entry.return_id || ''}-${entry.type}-${index}`} className="flex justify-between gap-3 py-2 text-sm">
+                                                <span className="min-w-0">
+                                                    <span className="block text-gray-900">{getLoyaltyEntryLabel(entry.type)}</span>
+                                                    <span className="block text-xs text-gray-500">
+                                                        {entry.created_at ? new Date(entry.created_at).toLocaleDateString('en-IN') : ''}
+                                                        {entry.bill_id && ` • #${String(entry.bill_id).substring(0, 8).toUpperCase()}`}
+                                                    </span>
+                                                </span>
+                                                <span className="text-right flex-shrink-0">
+                                                    <span className={`block font-semibold ${entry.points < 0 ? 'text-red-600' : 'text-green-700'}`}>
+                                                        {entry.points > 0 ? '+' : ''}{entry.points}
+                                                    </span>
+                                                    {entry.balance !== undefined && <span className="block text-xs text-gray-500">Bal. {entry.balance}</span>}
+                                                </span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </div>
+                        )}
+                    </div>
+                </div>
+            </div>
+
+            {/* Bill PDF Modal */}
+            {selectedBill && (
+                <BillPDF
+                    bill={selectedBill}
+                    onClose={() => setSelectedBill(null)}
+                />
+            )}
+        </div>
+    );
+};
+
+export default CustomerDetail;
@@ -0,0 +1,192 @@
+import React, { useState, useEffect, useRef } from 'react';
+import useShopStore from '../stores/useShopStore';
+import UpiQrCode from '../components/UpiQrCode';
+import { CART_MESSAGES, buildCartRequest, isForThisTerminal, openCartChannel } from '../utils/cartSync';
+import { TERMINAL } from '../utils/terminal';
+
+const formatCurrency = (amount) => `₹${(parseFloat(amount) || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// How long the thank-you screen stays up before the display goes back to the cart
+const THANK_YOU_MS = 8000;
+
+const TotalRow = ({ label, amount, negative = false, className = '' }) => (
+    <div className={`flex justify-between items-baseline gap-4 ${className}`}>
+        <span>{label}</span>
+        <span className="font-semibold">{negative ? '-' : ''}{formatCurrency(amount)}</span>
+    </div>
+);
+
+// Second monitor facing the customer. Opened from the navbar as a shared tab on the cashier's
+// terminal, it only listens: cart updates from the cart, the totals and UPI QR from checkout.
+const CustomerDisplay = () => {
+    const shopSettings = useShopStore((state) => state.settings);
+    const fetchSettings = useShopStore((state) => state.fetchSettings);
+
+    const [items, setItems] = useState([]);
+    const [cartTotal, setCartTotal] = useState(0);
+    const [checkout, setCheckout] = useState(null);
+    const [thankYou, setThankYou] = useState(null);
+    const thankYouTimerRef = useRef(null);
+
+    useEffect(() => {
+        fetchSettings();
+    }, [fetchSettings]);
+
+    useEffect(() => {
+        const channel = openCartChannel((message) => {
+            if (!isForThisTerminal(message)) return;
+
+            if (message.type === CART_MESSAGES.UPDATE) {
+                setItems(message.items || []);
+                setCartTotal(message.total || 0);
+            } else if (message.type === CART_MESSAGES.CHECKOUT) {
+                setCheckout(message.checkout);
+            } else if (message.type === CART_MESSAGES.BILL_COMPLETE) {
+                // 🔑 CRITICAL: The emptied cart arrives right after the bill, the timer alone
+                // decides when the thank-you screen goes away
+                setThankYou(message);
+                setCheckout(null);
+                clearTimeout(thankYouTimerRef.current);
+                thankYouTimerRef.current = setTimeout(() => setThankYou(null), THANK_YOU_MS);
+            }
+        });
+
+        // Catch up with the cashier's tab, whose cart or checkout may already be in progress
+        channel.post(buildCartRequest());
+
+        return () => {
+            clearTimeout(thankYouTimerRef.current);
+            channel.close();
+        };
+    }, []);
+
+    const shopName = shopSettings?.shop_name || 'our store';
+    // Checkout's lines are the same cart, but arrive together with its totals
+    const lines = checkout ? checkout.lines : items;
+    const itemCount = lines.reduce((sum, line) => sum + (parseInt(line.quantity, 10) || 0), 0);
+
+    if (thankYou) {
+        return (
+            <div className="min-h-screen bg-green-600 text-white flex flex-col items-center justify-center text-center px-8">
+                <div className="text-8xl mb-6">🙏</div>
+                <h1 className="text-5xl sm:text-6xl font-bold mb-4">
+                    Thank you{thankYou.customerName ? `, ${thankYou.customerName}` : ''}!
+                </h1>
+                <p className="text-3xl mb-8">Paid {formatCurrency(thankYou.total)}</p>
+                {thankYou.change > 0 && (
+                    <p className="text-2xl mb-4">Your change: {formatCurrency(thankYou.change)}</p>
+                )}
+                {thankYou.pointsEarned > 0 && (
+                    <p className="text-2xl mb-4">You earned {thankYou.pointsEarned} loyalty points</p>
+                )}
+                <p className="text-xl text-green-100 mt-6">Please visit {shopName} again</p>
+            </div>
+        );
+    }
+
+    if (lines.length === 0) {
+        return (
+            <div className="min-h-screen bg-gray-900 text-white flex flex-col items-center justify-center text-center px-8">
+                <h1 className="text-5xl sm:text-6xl font-bold mb-4">Welcome to {shopName}</h1>
+                <p className="text-2xl text-gray-300">Your items will appear here as they are billed</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="min-h-screen bg-gray-50 flex flex-col">
+            <header className="bg-gray-900 text-white px-8 py-5 flex justify-between items-center">
+                <h1 className="text-3xl font-bold">{shopName}</h1>
+                <span className="text-xl text-gray-300">
+                    {checkout?.customerName ? `Welcome, ${checkout.customerName}` : `Counter ${TERMINAL.id}`}
+                </span>
+            </header>
+
+            <div className="flex-1 grid grid-cols-1 lg:grid-cols-3 gap-6 p-6 sm:p-8">
+                {/* Items */}
+                <div className="lg:col-span-2 bg-white rounded-lg shadow-sm border overflow-hidden">
+                    <div className="px-6 py-4 border-b text-2xl font-semibold text-gray-900">
+                        Your items ({itemCount})
+                    </div>
+                    <ul className="divide-y">
+                        {lines.map(line => (
+                            <li key={line.id} className="px-6 py-4 flex justify-between items-center gap-6">
+                                <div className="min-w-0">
+                                    <p className="text-2xl font-medium text-gray-900 truncate">{line.name}</p>
+                                    <p className="text-xl text-gray-500">
+                                        {line.quantity} × {formatCurrency(line.price)}
+                                    </p>
+                                </div>
+                                <span className="text-2xl font-semibold text-gray-900 flex-shrink-0">
+                                    {formatCurrency((parseFloat(line.price) || 0) * (parseInt(line.quantity, 10) || 0))}
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+
+                {/* Totals and payment */}
+                <div className="space-y-6">
+                    <div className="bg-white rounded-lg shadow-sm border p-6 space-y-3 text-xl text-gray-700">
+                        {checkout ? (
+                            <>
+                                <TotalRow label="Subtotal" amount={checkout.subtotal} />
+                                {checkout.lineDiscount > 0 && (
+                                    <TotalRow label="Item discounts" amount={checkout.lineDiscount} negative className="text-green-700" />
+                                )}
+                                {checkout.promotions.map((promotion, index) => (
+                                    <TotalRow
+                                        key={`${promotion.label}-${index}`}
+                                        label={promotion.label}
+                                        amount={promotion.amount}
+                                        negative
+                                        className="text-pink-700"
+                                    />
+                                ))}
+                                {checkout.discount > 0 && (
+                                    <TotalRow label="Discount" amount={checkout.discount} negative className="text-green-700" />
+                                )}
+                                {checkout.pointsDiscount > 0 && (
+                                    <TotalRow label="Points redeemed" amount={checkout.pointsDiscount} negative className="text-purple-700" />
+                                )}
+                                {!checkout.pricesIncludeTax && checkout.tax > 0 && (
+                                    <TotalRow label="GST" amount={checkout.tax} />
+                                )}
+                                <div className="border-t pt-4 flex justify-between items-baseline gap-4 text-gray-900">
+                                    <span className="text-3xl font-bold">Total</span>
+                                    <span className="text-4xl font-bold">{formatCurrency(checkout.total)}</span>
+                                </div>
+                                {checkout.pricesIncludeTax && checkout.tax > 0 && (
+                                    <p className="text-base text-gray-500 text-right">Includes GST of {formatCurrency(checkout.tax)}</p>
+                                )}
+                                {checkout.pointsTender > 0 && (
+                                    <>
+                                        <TotalRow label="Paid with points" amount={checkout.pointsTender} negative className="text-purple-700" />
+                                        <TotalRow label="To pay" amount={checkout.amountDue} className="text-2xl text-gray-900" />
+                                    </>
+                                )}
+                            </>
+                        ) : (
+                            <div className="flex justify-between items-baseline gap-4 text-gray-900">
+                                <span className="text-3xl font-bold">Total</span>
+                                <span className="text-4xl font-bold">{formatCurrency(cartTotal)}</span>
+                            </div>
+                        )}
+                    </div>
+
+                    {checkout?.upi && (
+                        <div className="bg-white rounded-lg shadow-sm border p-6 flex flex-col items-center text-center">
+                            <p className="text-2xl font-semibold text-gray-900 mb-4">Scan to pay with UPI</p>
+                            <UpiQrCode uri={checkout.upi.uri} size={280} />
+                            <p className="text-3xl font-bold text-gray-900 mt-4">{formatCurrency(checkout.upi.amount)}</p>
+                            <p className="text-lg text-gray-500 mt-1">{checkout.upi.payeeName || checkout.upi.upiId}</p>
+                            <p className="text-base text-gray-400">{checkout.upi.upiId}</p>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CustomerDisplay;
@@ -0,0 +1,197 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import useCustomerStore from '../stores/useCustomerStore';
+import {
+    CUSTOMER_SORTS,
+    formatLastVisit,
+    getAverageBill,
+    matchesCustomerSearch,
+    sortCustomers
+} from '../utils/customers';
+
+function toTitleCase(str) {
+    if (!str) return '';
+    return str
+        .toLowerCase()
+        .split(' ')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+const formatCurrency = (amount) => `₹${(parseFloat(amount) || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+
+const SummaryCard = ({ label, value, detail, tone }) => (
+    <div className={`p-3 sm:p-4 rounded-xl border min-w-0 ${tone}`}>
+        <div className="text-xs font-semibold uppercase tracking-wider opacity-80">{label}</div>
+        <div className="text-lg sm:text-2xl font-bold mt-1 break-words">{value}</div>
+        {detail && <div className="text-xs mt-1 opacity-80 break-words">{detail}</div>}
+    </div>
+);
+
+const Customers = () => {
+    const customers = useCustomerStore((state) => state.customers);
+    const loading = useCustomerStore((state) => state.loading);
+    const error = useCustomerStore((state) => state.error);
+    const fetchCustomers = useCustomerStore((state) => state.fetchCustomers);
+
+    const [search, setSearch] = useState('');
+    const [sortBy, setSortBy] = useState('last_visit');
+
+    useEffect(() => {
+        fetchCustomers(true);
+    }, [fetchCustomers]);
+
+    const visibleCustomers = useMemo(
+        () => sortCustomers(customers.filter(customer => matchesCustomerSearch(customer, search)), sortBy),
+        [customers, search, sortBy]
+    );
+
+    const stats = useMemo(() => {
+        const repeat = customers.filter(customer => customer.bill_count > 1);
+        const totalSpent = customers.reduce((sum, customer) => sum + customer.total_spent, 0);
+        const repeatSpent = repeat.reduce((sum, customer) => sum + customer.total_spent, 0);
+        return {
+            repeatCount: repeat.length,
+            repeatShare: totalSpent > 0 ? (repeatSpent / totalSpent) * 100 : 0,
+            averageSpend: customers.length > 0 ? totalSpent / customers.length : 0
+        };
+    }, [customers]);
+
+    const showInitialLoading = loading && customers.length === 0;
+
+    return (
+        <div className="app-container bg-gray-50">
+            <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 space-y-4 sm:space-y-6 mobile-content-spacing">
+                {/* Header */}
+                <div className="bg-white rounded-lg shadow-md p-4 sm:p-6">
+                    <div className="flex flex-col lg:flex-row lg:items-end justify-between gap-4">
+                        <div>
+                            <h1 className="text-xl sm:text-2xl lg:text-3xl font-bold text-gray-900">Customers</h1>
+                            <p className="text-sm text-gray-600 mt-1">
+                                {loading ? 'Refreshing...' : `${customers.length} customers, ${stats.repeatCount} of them came back more than once`}
+                            </p>
+                        </div>
+                        <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+                            <input
+                                type="search"
+                                placeholder="Search name or phone"
+                                value={search}
+                                onChange={(e) => setSearch(e.target.value)}
+                                className="w-full sm:w-64 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+                            />
+                            <button
+                                onClick={() => fetchCustomers(true)}
+                                disabled={loading}
+                                className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 transition-colors flex items-center justify-center text-sm font-medium shadow-sm"
+                            >
+                                <svg className={`w-4 h-4 mr-2 ${loading ? 'animate-spin' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                                </svg>
+                                Refresh
+                            </button>
+                        </div>
+                    </div>
+                    <div className="flex flex-wrap items-center gap-2 mt-4">
+                        <span className="text-xs font-medium text-gray-600">Sort by</span>
+                        {CUSTOMER_SORTS.map(option => (
+                            <button
+                                key={option.value}
+                                onClick={() => setSortBy(option.value)}
+                                className={`px-3 py-1 text-xs sm:text-sm font-medium rounded-full transition-colors ${sortBy === option.value
+                                    ? 'bg-blue-600 text-white'
+                                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                                    }`}
+                            >
+                                {option.label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
+                {error && (
+                    <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+                        <span className="text-sm">Failed to load customers: {error}</span>
+                        <button onClick={() => fetchCustomers(true)} className="text-sm font-medium text-red-700 underline">Try again</button>
+                    </div>
+                )}
+
+                {/* Summary */}
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3 sm:gap-4">
+                    <SummaryCard
+                        label="Customers"
+                        value={customers.length.toLocaleString('en-IN')}
+                        tone="bg-blue-50 border-blue-100 text-blue-900"
+                    />
+                    <SummaryCard
+                        label="Repeat Customers"
+                        value={stats.repeatCount.toLocaleString('en-IN')}
+                        detail="Two or more visits"
+                        tone="bg-green-50 border-green-100 text-green-900"
+                    />
+                    <SummaryCard
+                        label="Repeat Share"
+                        value={`${stats.repeatShare.toFixed(1)}%`}
+                        detail="Of lifetime spend"
+                        tone="bg-indigo-50 border-indigo-100 text-indigo-900"
+                    />
+                    <SummaryCard
+                        label="Average Spend"
+                        value={formatCurrency(stats.averageSpend)}
+                        detail="Per customer, lifetime"
+                        tone="bg-purple-50 border-purple-100 text-purple-900"
+                    />
+                </div>
+
+                {/* Customer list */}
+                <div className="bg-white rounded-lg shadow-md overflow-hidden">
+                    {showInitialLoading ? (
+                        <div className="text-center py-16">
+                            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+                            <p className="mt-4 text-gray-600">Loading customers...</p>
+                        </div>
+                    ) : visibleCustomers.length === 0 ? (
+                        <div className="text-center py-12 text-gray-500">
+                            <div className="text-4xl mb-2">👥</div>
+                            <p className="text-sm">{customers.length === 0 ? 'Customers appear here after their first bill' : 'No customers match this search'}</p>
+                        </div>
+                    ) : (
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full text-sm">
+                                <thead className="bg-gray-50">
+                                    <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        <th className="px-4 py-3">Customer</th>
+                                        <th className="px-4 py-3 text-right">Visits</th>
+                                        <th className="px-4 py-3 text-right">Lifetime Spend</th>
+                                        <th className="px-4 py-3 text-right hidden md:table-cell">Avg Bill</th>
+                                        <th className="px-4 py-3 text-right hidden sm:table-cell">Last Visit</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-100">
+                                    {visibleCustomers.map(customer => (
+                                        <tr key={customer.phone} className="hover:bg-gray-50">
+                                            <td className="px-4 py-3">
+                                                <Link to={`/customers/${customer.phone}`} className="block">
+                                                    <span className="block font-medium text-blue-700 hover:text-blue-900">
+                                                        {toTitleCase(customer.name) || 'Unnamed'}
+                                                    </span>
+                                                    <span className="block text-xs text-gray-500 font-mono">{customer.phone}</span>
+                                                    <span className="block text-xs text-gray-400 sm:hidden">{formatLastVisit(customer.last_visit_at)}</span>
+                                                </Link>
+                                            </td>
+                                            <td className="px-4 py-3 text-right text-gray-700">{customer.bill_count}</td>
+                                            <td className="px-4 py-3 text-right font-semibold text-gray-900">{formatCurrency(customer.total_spent)}</td>
+                                            <td className="px-4 py-3 text-right text-gray-700 hidden md:table-cell">{formatCurrency(getAverageBill(customer))}</td>
+                                            <td className="px-4 py-3 text-right text-gray-700 hidden sm:table-cell">{formatLastVisit(customer.last_visit_at)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default Customers;
@@ -1,7 +1,29 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Link } from 'react-router-dom';
 import { productsAPI, inventoryAPI, billsAPI } from '../services/api';
 import InventoryForm from '../components/InventoryForm';
+import PrintLabelsModal from '../components/PrintLabelsModal';
+import ProductImportModal from '../components/ProductImportModal';
+import ExportModal from '../components/ExportModal';
+import StockAdjustModal from '../components/StockAdjustModal';
+import StockLedgerModal from '../components/StockLedgerModal';
 import Alert from '../components/Alert';
+import { exportTable } from '../utils/spreadsheet';
+import { PRODUCT_EXPORT_COLUMNS, toProductExportRows } from '../utils/exportData';
+import { DEFAULT_BILL_FILTERS, fetchAllBills } from '../utils/billFilters';
+import { sumBillTotals } from '../utils/billTotals';
+import {
+    STOCK_STATUSES,
+    countByStockStatus,
+    formatSalesVelocity,
+    getReorderLevel,
+    getStockStatus,
+    getStockStatusKey,
+    needsReorder
+} from '../utils/stockStatus';
+import { formatMarginPercent, getMarginClass, getProductMargin } from '../utils/profit';
+import useReorderStore from '../stores/useReorderStore';
+import useShopStore from '../stores/useShopStore';
 
 // toTitleCase function - moved outside component to prevent recreation
 const toTitleCase = (str) => {
@@ -92,23 +114,120 @@ const ProductImage = React.memo(({ product, size = 'medium' }) => {
 
 ProductImage.displayName = 'ProductImage';
 
-// Stock status calculation - memoized
-const getStockStatus = (stockQuantity) => {
-    if (stockQuantity > 10) return { class: 'bg-green-100 text-green-800', text: 'In Stock' };
-    if (stockQuantity > 0) return { class: 'bg-yellow-100 text-yellow-800', text: 'Low Stock' };
-    return { class: 'bg-red-100 text-red-800', text: 'Out of Stock' };
+// Same bands as getStockStatus and the statistics cards, each product uses its own reorder level
+const STOCK_FILTERS = [
+    { value: '', label: 'All Stock' },
+    { value: STOCK_STATUSES.IN, label: 'In Stock (above reorder level)' },
+    { value: STOCK_STATUSES.LOW, label: 'Low Stock (at or below reorder level)' },
+    { value: STOCK_STATUSES.OUT, label: 'Out of Stock' },
+    { value: 'reorder', label: 'Reorder Needed (low or out)' }
+];
+
+const matchesStockFilter = (product, stockFilter) => {
+    if (!stockFilter) return true;
+    if (stockFilter === 'reorder') return needsReorder(product);
+    return getStockStatusKey(product) === stockFilter;
+};
+
+// Products at or below their reorder level with a suggested order from recent sales
+const ReorderPanel = React.memo(({ items, onShowAll }) => {
+    const [expanded, setExpanded] = useState(false);
+
+    if (items.length === 0) return null;
+
+    const outCount = items.filter(item => item.stock <= 0).length;
+
+    return (
+        <div className="mb-3 border border-orange-200 bg-orange-50 rounded-lg">
+            <div className="flex flex-wrap items-center justify-between gap-2 px-3 py-2">
+                <div className="text-sm text-orange-900">
+                    <span className="font-semibold">Reorder needed: {items.length} product{items.length === 1 ? '' : 's'}</span>
+                    {outCount > 0 && <span className="ml-1 text-red-700">({outCount} out of stock)</span>}
+                </div>
+                <div className="flex items-center gap-3 text-sm">
+                    <button onClick={onShowAll} className="text-blue-600 hover:text-blue-800 font-medium">
+                        Filter list
+                    </button>
+                    <Link to="/purchases?reorder=1" className="text-green-700 hover:text-green-900 font-medium">
+                        Create PO
+                    </Link>
+                    <button onClick={() => setExpanded(prev => !prev)} className="text-orange-800 hover:text-orange-900 font-medium">
+                        {expanded ? 'Hide' : 'Show suggestions'}
+                    </button>
+                </div>
+            </div>
+            {expanded && (
+                <div className="border-t border-orange-200 max-h-64 overflow-y-auto">
+                    <table className="w-full text-sm">
+                        <thead className="bg-orange-100 text-orange-900 text-xs uppercase sticky top-0">
+                            <tr>
+                                <th className="px-3 py-2 text-left font-semibold">Product</th>
+                                <th className="px-3 py-2 text-right font-semibold">Stock</th>
+                                <th className="px-3 py-2 text-right font-semibold hidden sm:table-cell">Reorder At</th>
+                                <th className="px-3 py-2 text-right font-semibold hidden sm:table-cell">Selling</th>
+                                <th className="px-3 py-2 text-right font-semibold hidden sm:table-cell">Days Left</th>
+                                <th className="px-3 py-2 text-right font-semibold">Order</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-orange-100">
+                            {items.map(item => (
+                                <tr key={item.product.id} className="bg-white">
+                                    <td className="px-3 py-2">
+                                        <div className="font-medium text-gray-900 line-clamp-1">{toTitleCase(item.product.name)}</div>
+                                        <div className="text-xs text-gray-500">{item.product.sku?.toUpperCase() || 'N/A'}</div>
+                                    </td>
+                                    <td className={`px-3 py-2 text-right font-semibold ${item.stock <= 0 ? 'text-red-600' : 'text-yellow-700'}`}>
+                                        {item.stock}
+                                    </td>
+                                    <td className="px-3 py-2 text-right text-gray-600 hidden sm:table-cell">{item.reorderLevel}</td>
+                                    <td className="px-3 py-2 text-right text-gray-600 hidden sm:table-cell">{formatSalesVelocity(item.velocity)}</td>
+                                    <td className="px-3 py-2 text-right text-gray-600 hidden sm:table-cell">{item.daysLeft ?? '—'}</td>
+                                    <td className="px-3 py-2 text-right font-bold text-gray-900">{item.suggestedQuantity}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+});
+
+ReorderPanel.displayName = 'ReorderPanel';
+
+// Margin on the pre-tax selling price, or a nudge to fill in the cost price
+const MarginText = ({ product, pricesIncludeTax, className = '' }) => {
+    const margin = getProductMargin(product, pricesIncludeTax);
+    if (!margin) {
+        return <div className={`text-xs text-gray-400 ${className}`}>No cost price</div>;
+    }
+    return (
+        <div className={`text-xs font-medium ${getMarginClass(margin.percent)} ${className}`}>
+            {formatMarginPercent(margin.percent)} margin
+        </div>
+    );
 };
 
 // Mobile Product Card Component
-const ProductCard = React.memo(({ product, onEdit, onDelete }) => {
-    const stockStatus = useMemo(() => getStockStatus(product.stock_quantity), [product.stock_quantity]);
+const ProductCard = React.memo(({ product, pricesIncludeTax, selected, onToggleSelect, onEdit, onDelete, onAdjust, onHistory }) => {
+    const stockStatus = useMemo(() => getStockStatus(product), [product]);
     const handleEdit = useCallback(() => onEdit(product), [onEdit, product]);
     const handleDelete = useCallback(() => onDelete(product.id, product.name), [onDelete, product.id, product.name]);
+    const handleAdjust = useCallback(() => onAdjust(product), [onAdjust, product]);
+    const handleHistory = useCallback(() => onHistory(product), [onHistory, product]);
+    const handleToggleSelect = useCallback(() => onToggleSelect(product.id), [onToggleSelect, product.id]);
 
     return (
-        <div className="bg-white border border-gray-200 rounded-xl p-3 xs:p-4 shadow-sm hover:shadow-md transition-all flex-shrink-0">
+        <div className={`bg-white border rounded-xl p-3 xs:p-4 shadow-sm hover:shadow-md transition-all flex-shrink-0 ${selected ? 'border-blue-400 ring-1 ring-blue-200' : 'border-gray-200'}`}>
             {/* Card Header */}
             <div className="flex items-start space-x-3 mb-3">
+                <input
+                    type="checkbox"
+                    checked={selected}
+                    onChange={handleToggleSelect}
+                    className="mt-1 h-4 w-4 text-blue-600 border-gray-300 rounded flex-shrink-0"
+                    aria-label={`Select ${toTitleCase(product.name)}`}
+                />
                 <ProductImage product={product} size="medium" />
                 <div className="flex-1 min-w-0">
                     <h3 className="font-semibold text-gray-900 text-sm xs:text-base line-clamp-2 leading-tight">
@@ -120,6 +239,7 @@ const ProductCard = React.memo(({ product, onEdit, onDelete }) => {
                     <p className="text-base xs:text-lg font-bold text-green-600 mt-1 break-words">
                         ₹{parseFloat(product.price).toLocaleString('en-IN')}
                     </p>
+                    <MarginText product={product} pricesIncludeTax={pricesIncludeTax} />
                 </div>
             </div>
 
@@ -150,6 +270,26 @@ const ProductCard = React.memo(({ product, onEdit, onDelete }) => {
             </div>
 
             {/* Card Actions */}
+            <div className="flex space-x-2 mb-2">
+                <button
+                    onClick={handleAdjust}
+                    className="flex-1 bg-white border border-gray-300 text-gray-700 py-1.5 xs:py-2 px-2 xs:px-3 rounded-lg hover:bg-gray-50 transition-colors inline-flex items-center justify-center text-xs"
+                >
+                    <svg className="w-3 h-3 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M7 16V4m0 0L3 8m4-4l4 4m6 0v12m0 0l4-4m-4 4l-4-4" />
+                    </svg>
+                    Adjust Stock
+                </button>
+                <button
+                    onClick={handleHistory}
+                    className="flex-1 bg-white border border-gray-300 text-gray-700 py-1.5 xs:py-2 px-2 xs:px-3 rounded-lg hover:bg-gray-50 transition-colors inline-flex items-center justify-center text-xs"
+                >
+                    <svg className="w-3 h-3 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                    </svg>
+                    History
+                </button>
+            </div>
             <div className="flex space-x-2">
                 <button
                     onClick={handleEdit}
@@ -177,13 +317,27 @@ const ProductCard = React.memo(({ product, onEdit, onDelete }) => {
 ProductCard.displayName = 'ProductCard';
 
 // Desktop Product Row Component - FIXED COLUMN WIDTHS for alignment
-const ProductRow = React.memo(({ product, onEdit, onDelete }) => {
-    const stockStatus = useMemo(() => getStockStatus(product.stock_quantity), [product.stock_quantity]);
+const ProductRow = React.memo(({ product, pricesIncludeTax, selected, onToggleSelect, onEdit, onDelete, onAdjust, onHistory }) => {
+    const stockStatus = useMemo(() => getStockStatus(product), [product]);
     const handleEdit = useCallback(() => onEdit(product), [onEdit, product]);
     const handleDelete = useCallback(() => onDelete(product.id, product.name), [onDelete, product.id, product.name]);
+    const handleAdjust = useCallback(() => onAdjust(product), [onAdjust, product]);
+    const handleHistory = useCallback(() => onHistory(product), [onHistory, product]);
+    const handleToggleSelect = useCallback(() => onToggleSelect(product.id), [onToggleSelect, product.id]);
 
     return (
-        <tr className="hover:bg-gray-50 transition-colors">
+        <tr className={`${selected ? 'bg-blue-50' : 'hover:bg-gray-50'} transition-colors`}>
+            {/* Select Column - Fixed Width */}
+            <td className="pl-4 xl:pl-6 py-4 w-12">
+                <input
+                    type="checkbox"
+                    checked={selected}
+                    onChange={handleToggleSelect}
+                    className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                    aria-label={`Select ${toTitleCase(product.name)}`}
+                />
+            </td>
+
             {/* Product Details Column - Fixed Width */}
             <td className="px-4 xl:px-6 py-4 w-1/4">
                 <div className="flex items-center">
@@ -216,6 +370,7 @@ const ProductRow = React.memo(({ product, onEdit, onDelete }) => {
                 <div className="text-sm font-bold text-green-600 break-words">
                     ₹{parseFloat(product.price).toLocaleString('en-IN')}
                 </div>
+                <MarginText product={product} pricesIncludeTax={pricesIncludeTax} className="mt-1" />
             </td>
 
             {/* Stock Status Column - Fixed Width */}
@@ -223,6 +378,7 @@ const ProductRow = React.memo(({ product, onEdit, onDelete }) => {
                 <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${stockStatus.class} whitespace-nowrap`}>
                     {product.stock_quantity} • {stockStatus.text}
                 </span>
+                <div className="text-xs text-gray-500 mt-1">Reorder at {getReorderLevel(product)}</div>
             </td>
 
             {/* SKU Column - Fixed Width */}
@@ -234,7 +390,27 @@ const ProductRow = React.memo(({ product, onEdit, onDelete }) => {
 
             {/* Actions Column - Fixed Width */}
             <td className="px-4 xl:px-6 py-4 w-1/6">
-                <div className="flex space-x-2">
+                <div className="flex flex-wrap gap-2">
+                    <button
+                        onClick={handleAdjust}
+                        className="bg-white border border-gray-300 text-gray-700 px-3 py-1 rounded hover:bg-gray-50 transition-colors inline-flex items-center text-xs"
+                        title="Adjust stock with a reason"
+                    >
+                        <svg className="w-3 h-3 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M7 16V4m0 0L3 8m4-4l4 4m6 0v12m0 0l4-4m-4 4l-4-4" />
+                        </svg>
+                        Adjust
+                    </button>
+                    <button
+                        onClick={handleHistory}
+                        className="bg-white border border-gray-300 text-gray-700 px-3 py-1 rounded hover:bg-gray-50 transition-colors inline-flex items-center text-xs"
+                        title="Stock movement history"
+                    >
+                        <svg className="w-3 h-3 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                        </svg>
+                        History
+                    </button>
                     <button
                         onClick={handleEdit}
                         className="bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700 transition-colors inline-flex items-center text-xs"
@@ -263,9 +439,22 @@ ProductRow.displayName = 'ProductRow';
 
 const Inventory = () => {
     const [products, setProducts] = useState([]);
-    const [salesData, setSalesData] = useState({ totalSales: 0, actualSales: 0 });
+    const [salesData, setSalesData] = useState(() => sumBillTotals([]));
     const [showForm, setShowForm] = useState(false);
     const [editingProduct, setEditingProduct] = useState(null);
+    const [selectedIds, setSelectedIds] = useState(() => new Set());
+    const [showLabels, setShowLabels] = useState(false);
+    const [showImport, setShowImport] = useState(false);
+    const [showExport, setShowExport] = useState(false);
+    const [adjustingProduct, setAdjustingProduct] = useState(null);
+    const [historyProduct, setHistoryProduct] = useState(null);
+    const reorderItems = useReorderStore((state) => state.items);
+    const fetchReorderList = useReorderStore((state) => state.fetchReorderList);
+    const setReorderProducts = useReorderStore((state) => state.setProducts);
+    const pricesIncludeTax = useShopStore((state) => state.settings?.prices_include_tax);
+    const [searchTerm, setSearchTerm] = useState('');
+    const [categoryFilter, setCategoryFilter] = useState('');
+    const [stockFilter, setStockFilter] = useState('');
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
 
@@ -299,19 +488,12 @@ const Inventory = () => {
     // Fetch sales data from bills API - memoized
     const fetchSalesData = useCallback(async () => {
         try {
-            const response = await billsAPI.getAll();
-            const bills = response.data || [];
-
-            const totalSales = bills.reduce((sum, bill) => sum + parseFloat(bill.total_amount || 0), 0);
-            const actualSales = bills.reduce((sum, bill) => {
-                const discountAmount = (parseFloat(bill.total_amount || 0) * parseFloat(bill.discount_percentage || 0)) / 100;
-                return sum + (parseFloat(bill.total_amount || 0) - discountAmount);
-            }, 0);
-
-            setSalesData({ totalSales, actualSales });
+            // total_amount is already net of the discount, so it is summed as is
+            const bills = await fetchAllBills(billsAPI.getAll, { filters: DEFAULT_BILL_FILTERS });
+            setSalesData(sumBillTotals(bills));
         } catch (error) {
             console.error('Error fetching sales data:', error);
-            setSalesData({ totalSales: 0, actualSales: 0 });
+            setSalesData(sumBillTotals([]));
         }
     }, []);
 
@@ -342,6 +524,18 @@ const Inventory = () => {
         fetchProducts();
     }, []);
 
+    // Sales velocity for the reorder suggestions, throttled in the store
+    useEffect(() => {
+        fetchReorderList();
+    }, [fetchReorderList]);
+
+    // Keep the Navbar badge in step with edits and adjustments made here
+    useEffect(() => {
+        if (!loading) {
+            setReorderProducts(products);
+        }
+    }, [products, loading, setReorderProducts]);
+
     // Event handlers - memoized
     const handleAddProduct = useCallback(() => {
         setEditingProduct(null);
@@ -380,6 +574,118 @@ const Inventory = () => {
         fetchProducts(); // Refresh the list after form closes
     }, [fetchProducts, showAlert]);
 
+    const handleAdjustStock = useCallback((product) => {
+        setHistoryProduct(null);
+        setAdjustingProduct(product);
+    }, []);
+
+    const handleShowHistory = useCallback((product) => {
+        setHistoryProduct(product);
+    }, []);
+
+    // The list is patched straight away and then refetched, a sale may have landed meanwhile
+    const handleStockAdjusted = useCallback((updatedProduct, change) => {
+        setAdjustingProduct(null);
+        setProducts(prev => prev.map(product => (product.id === updatedProduct.id ? updatedProduct : product)));
+        showAlert('success', `Stock for "${toTitleCase(updatedProduct.name)}" ${change > 0 ? 'increased' : 'reduced'} by ${Math.abs(change)}`);
+        fetchProducts();
+    }, [fetchProducts, showAlert]);
+
+    const handleToggleSelect = useCallback((productId) => {
+        setSelectedIds(prev => {
+            const next = new Set(prev);
+            if (next.has(productId)) {
+                next.delete(productId);
+            } else {
+                next.add(productId);
+            }
+            return next;
+        });
+    }, []);
+
+    const categories = useMemo(
+        () => [...new Set(products.map(product => product.category).filter(Boolean))].sort(),
+        [products]
+    );
+
+    // The table, cards, select-all and the export all work on this list
+    const filteredProducts = useMemo(() => {
+        const term = searchTerm.trim().toLowerCase();
+        return products.filter(product => {
+            const matchesSearch = !term ||
+                product.name?.toLowerCase().includes(term) ||
+                product.brand?.toLowerCase().includes(term) ||
+                (product.sku && String(product.sku).toLowerCase().includes(term)) ||
+                (product.barcode && String(product.barcode).toLowerCase().includes(term));
+            const matchesCategory = categoryFilter === '' || product.category === categoryFilter;
+            return matchesSearch && matchesCategory && matchesStockFilter(product, stockFilter);
+        });
+    }, [products, searchTerm, categoryFilter, stockFilter]);
+
+    const hasActiveFilters = searchTerm.trim() !== '' || categoryFilter !== '' || stockFilter !== '';
+
+    const handleShowReorder = useCallback(() => {
+        setSearchTerm('');
+        setCategoryFilter('');
+        setStockFilter('reorder');
+    }, []);
+
+    const handleClearFilters = useCallback(() => {
+        setSearchTerm('');
+        setCategoryFilter('');
+        setStockFilter('');
+    }, []);
+
+    // Deleted products drop out here, so a stale id never reaches the label sheet
+    const selectedProducts = useMemo(
+        () => products.filter(product => selectedIds.has(product.id)),
+        [products, selectedIds]
+    );
+    const allSelected = filteredProducts.length > 0 && filteredProducts.every(product => selectedIds.has(product.id));
+
+    // Select-all only touches the rows on screen, selections hidden by a filter are kept
+    const handleToggleSelectAll = useCallback(() => {
+        setSelectedIds(prev => {
+            const next = new Set(prev);
+            filteredProducts.forEach(product => {
+                if (allSelected) {
+                    next.delete(product.id);
+                } else {
+                    next.add(product.id);
+                }
+            });
+            return next;
+        });
+    }, [allSelected, filteredProducts]);
+
+    const handlePrintLabels = useCallback(() => {
+        if (selectedProducts.length === 0) {
+            showAlert('info', 'Select the products to print labels for');
+            return;
+        }
+        setShowLabels(true);
+    }, [selectedProducts.length, showAlert]);
+
+    const handleImportClose = useCallback((imported) => {
+        setShowImport(false);
+        if (imported) {
+            showAlert('success', 'Import finished, refreshing inventory');
+            fetchProducts();
+        }
+    }, [fetchProducts, showAlert]);
+
+    const handleExport = useCallback(async ({ format }) => {
+        if (filteredProducts.length === 0) return 0;
+        await exportTable({
+            columns: PRODUCT_EXPORT_COLUMNS,
+            rows: toProductExportRows(filteredProducts, { pricesIncludeTax }),
+            format,
+            fileName: `inventory-${new Date().toISOString().slice(0, 10)}`,
+            sheetName: 'Inventory'
+        });
+        return filteredProducts.length;
+    }, [filteredProducts, pricesIncludeTax]);
+
     const handleRetry = useCallback(() => {
         fetchProducts();
     }, [fetchProducts, showAlert]);
@@ -391,9 +697,10 @@ const Inventory = () => {
     // FIXED: Calculate statistics with TOTAL STOCK calculation - memoized to prevent recalculation
     const statistics = useMemo(() => {
         const totalInventoryValue = calculateInventoryValue(products);
-        const inStockCount = products.filter(p => (p.stock_quantity || 0) > 10).length;
-        const lowStockCount = products.filter(p => (p.stock_quantity || 0) > 0 && (p.stock_quantity || 0) <= 10).length;
-        const outOfStockCount = products.filter(p => (p.stock_quantity || 0) === 0).length;
+        const statusCounts = countByStockStatus(products);
+        const inStockCount = statusCounts[STOCK_STATUSES.IN];
+        const lowStockCount = statusCounts[STOCK_STATUSES.LOW];
+        const outOfStockCount = statusCounts[STOCK_STATUSES.OUT];
 
         // NEW: Calculate total stock quantity across all products
         const totalStockQuantity = products.reduce((total, product) => {
@@ -471,6 +778,40 @@ const Inventory = () => {
                                 </p>
                             </div>
                             <div className="flex items-center gap-3 w-full sm:w-auto">
+                                {/* Import Button */}
+                                <button
+                                    onClick={() => setShowImport(true)}
+                                    className="flex-1 sm:flex-none inline-flex items-center justify-center px-5 py-2.5 sm:px-6 sm:py-3 text-sm sm:text-base font-medium text-gray-700 bg-white border-2 border-gray-200 rounded-lg shadow-md hover:shadow-lg hover:border-gray-300 hover:bg-gray-50 active:scale-98 transition-all duration-150 focus:outline-none focus:ring-3 focus:ring-gray-200 min-w-[120px]"
+                                >
+                                    <svg className="w-4 h-4 sm:w-5 sm:h-5 mr-2 text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+                                    </svg>
+                                    Import
+                                </button>
+
+                                {/* Export Button */}
+                                <button
+                                    onClick={() => setShowExport(true)}
+                                    disabled={products.length === 0}
+                                    className="flex-1 sm:flex-none inline-flex items-center justify-center px-5 py-2.5 sm:px-6 sm:py-3 text-sm sm:text-base font-medium text-gray-700 bg-white border-2 border-gray-200 rounded-lg shadow-md hover:shadow-lg hover:border-gray-300 hover:bg-gray-50 active:scale-98 transition-all duration-150 focus:outline-none focus:ring-3 focus:ring-gray-200 disabled:opacity-50 disabled:cursor-not-allowed min-w-[120px]"
+                                >
+                                    <svg className="w-4 h-4 sm:w-5 sm:h-5 mr-2 text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+                                    </svg>
+                                    Export{hasActiveFilters && ` (${filteredProducts.length})`}
+                                </button>
+
+                                {/* Print Labels Button */}
+                                <button
+                                    onClick={handlePrintLabels}
+                                    className="flex-1 sm:flex-none inline-flex items-center justify-center px-5 py-2.5 sm:px-6 sm:py-3 text-sm sm:text-base font-medium text-blue-700 bg-white border-2 border-blue-200 rounded-lg shadow-md hover:shadow-lg hover:border-blue-300 hover:bg-blue-50 active:scale-98 transition-all duration-150 focus:outline-none focus:ring-3 focus:ring-blue-200 min-w-[140px]"
+                                >
+                                    <svg className="w-4 h-4 sm:w-5 sm:h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" />
+                                    </svg>
+                                    Print Labels{selectedProducts.length > 0 && ` (${selectedProducts.length})`}
+                                </button>
+
                                 {/* Refresh Button - Enhanced */}
                                 <button
                                     onClick={handleRefresh}
@@ -522,7 +863,7 @@ const Inventory = () => {
                                         {statistics.inStockCount}
                                     </div>
                                     <div className="text-green-600 text-xs font-medium">
-                                        &gt; 10 stock items
+                                        Above reorder level
                                     </div>
                                 </div>
                             </div>
@@ -537,7 +878,7 @@ const Inventory = () => {
                                         {statistics.lowStockCount}
                                     </div>
                                     <div className="text-yellow-600 text-xs font-medium">
-                                        1-10 stock items
+                                        At or below reorder level
                                     </div>
                                 </div>
                             </div>
@@ -579,11 +920,14 @@ const Inventory = () => {
                                 </div>
                                 <div className="flex-1 flex flex-col justify-center">
                                     <div className="text-indigo-900 text-lg xs:text-xl sm:text-2xl font-bold leading-tight mb-1 break-words">
-                                        ₹{salesData.totalSales.toLocaleString('en-IN')}
+                                        ₹{salesData.net.toLocaleString('en-IN')}
                                     </div>
                                     <div className="text-indigo-500 text-xs break-words">
-                                        Actual: ₹{salesData.actualSales.toLocaleString('en-IN')}
+                                        After refunds: ₹{salesData.netAfterRefunds.toLocaleString('en-IN')}
                                     </div>
+                                    <Link to="/reports" className="text-indigo-700 hover:text-indigo-900 text-xs font-medium mt-1">
+                                        View sales reports →
+                                    </Link>
                                 </div>
                             </div>
                         </div>
@@ -593,12 +937,66 @@ const Inventory = () => {
                 {/* Desktop: Table Content */}
                 {products.length > 0 ? (
                     <div className="px-2 xs:px-4 sm:px-6 lg:px-8 py-3 xs:py-4 sm:py-6 flex-shrink-0">
+                        <ReorderPanel items={reorderItems} onShowAll={handleShowReorder} />
+
+                        {/* Search & Filters */}
+                        <div className="flex items-center gap-3 mb-3">
+                            <div className="flex-1 relative">
+                                <input
+                                    type="text"
+                                    placeholder="Search by name, brand, SKU or barcode..."
+                                    value={searchTerm}
+                                    onChange={(e) => setSearchTerm(e.target.value)}
+                                    className="w-full px-4 py-2.5 pl-11 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+                                />
+                                <svg className="absolute left-3.5 top-3 h-4 w-4 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+                                </svg>
+                            </div>
+                            <select
+                                value={categoryFilter}
+                                onChange={(e) => setCategoryFilter(e.target.value)}
+                                className="px-3 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm min-w-48"
+                            >
+                                <option value="">All Categories</option>
+                                {categories.map(category => (
+                                    <option key={category} value={category}>{toTitleCase(category)}</option>
+                                ))}
+                            </select>
+                            <select
+                                value={stockFilter}
+                                onChange={(e) => setStockFilter(e.target.value)}
+                                className="px-3 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm min-w-40"
+                            >
+                                {STOCK_FILTERS.map(option => (
+                                    <option key={option.value} value={option.value}>{option.label}</option>
+                                ))}
+                            </select>
+                            {hasActiveFilters && (
+                                <button
+                                    onClick={handleClearFilters}
+                                    className="px-3 py-2.5 text-sm text-blue-600 hover:text-blue-800 whitespace-nowrap"
+                                >
+                                    Clear ({filteredProducts.length} of {products.length})
+                                </button>
+                            )}
+                        </div>
+
                         <div className="bg-white rounded-lg shadow-md overflow-hidden" style={{ height: '50vh' }}>
                             {/* Fixed Table Header */}
                             <div className="bg-gray-50 border-b border-gray-200 sticky top-0 z-10">
                                 <table className="min-w-full table-fixed">
                                     <thead>
                                         <tr>
+                                            <th className="pl-4 xl:pl-6 py-3 text-left w-12">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={allSelected}
+                                                    onChange={handleToggleSelectAll}
+                                                    className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                                                    aria-label="Select all products"
+                                                />
+                                            </th>
                                             <th className="px-4 xl:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider w-1/4">
                                                 Product Details
                                             </th>
@@ -626,14 +1024,26 @@ const Inventory = () => {
                             <div className="overflow-y-auto" style={{ height: 'calc(50vh - 60px)' }}>
                                 <table className="min-w-full table-fixed">
                                     <tbody className="bg-white divide-y divide-gray-200">
-                                        {products.map((product) => (
+                                        {filteredProducts.map((product) => (
                                             <ProductRow
                                                 key={product.id}
                                                 product={product}
+                                                pricesIncludeTax={pricesIncludeTax}
+                                                selected={selectedIds.has(product.id)}
+                                                onToggleSelect={handleToggleSelect}
                                                 onEdit={handleEditProduct}
                                                 onDelete={handleDeleteProduct}
+                                                onAdjust={handleAdjustStock}
+                                                onHistory={handleShowHistory}
                                             />
                                         ))}
+                                        {filteredProducts.length === 0 && (
+                                            <tr>
+                                                <td colSpan={7} className="px-6 py-12 text-center text-sm text-gray-500">
+                                                    No products match these filters
+                                                </td>
+                                            </tr>
+                                        )}
                                     </tbody>
                                 </table>
                             </div>
@@ -680,6 +1090,25 @@ const Inventory = () => {
                                 </p>
                             </div>
                             <div className="flex items-center space-x-2 w-full sm:w-auto flex-shrink-0">
+                                <button
+                                    onClick={() => setShowImport(true)}
+                                    className="flex-1 sm:flex-none bg-gray-100 text-gray-700 px-3 xs:px-4 py-2 rounded-lg hover:bg-gray-200 transition-colors flex items-center justify-center text-xs xs:text-sm whitespace-nowrap"
+                                >
+                                    <svg className="w-3 h-3 xs:w-4 xs:h-4 mr-1 xs:mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+                                    </svg>
+                                    <span className="hidden xs:inline">Import</span>
+                                </button>
+                                <button
+                                    onClick={() => setShowExport(true)}
+                                    disabled={products.length === 0}
+                                    className="flex-1 sm:flex-none bg-gray-100 text-gray-700 px-3 xs:px-4 py-2 rounded-lg hover:bg-gray-200 disabled:opacity-50 transition-colors flex items-center justify-center text-xs xs:text-sm whitespace-nowrap"
+                                >
+                                    <svg className="w-3 h-3 xs:w-4 xs:h-4 mr-1 xs:mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+                                    </svg>
+                                    <span className="hidden xs:inline">Export</span>
+                                </button>
                                 <button
                                     onClick={handleRefresh}
                                     className="flex-1 sm:flex-none bg-gray-100 text-gray-700 px-3 xs:px-4 py-2 rounded-lg hover:bg-gray-200 transition-colors flex items-center justify-center text-xs xs:text-sm whitespace-nowrap"
@@ -732,7 +1161,7 @@ const Inventory = () => {
                                         {statistics.inStockCount}
                                     </div>
                                     <div className="text-green-600 text-xs font-medium mb-1">
-                                        Products &gt; 10 units
+                                        Above reorder level
                                     </div>
                                 </div>
                                 <div className="text-green-500 text-xs leading-tight">
@@ -750,7 +1179,7 @@ const Inventory = () => {
                                         {statistics.lowStockCount}
                                     </div>
                                     <div className="text-yellow-600 text-xs font-medium mb-1">
-                                        Products 1-10 units
+                                        At or below reorder level
                                     </div>
                                 </div>
                                 <div className="text-yellow-500 text-xs leading-tight">
@@ -801,15 +1230,18 @@ const Inventory = () => {
                                 </div>
                                 <div className="flex-1 flex flex-col justify-center">
                                     <div className="text-indigo-900 text-lg xs:text-xl sm:text-2xl font-bold leading-tight mb-1 break-words">
-                                        ₹{salesData.totalSales.toLocaleString('en-IN')}
+                                        ₹{salesData.net.toLocaleString('en-IN')}
                                     </div>
                                     <div className="text-indigo-600 text-xs font-medium mb-1">
-                                        Revenue generated
+                                        After ₹{salesData.totalDiscount.toLocaleString('en-IN')} discounts
                                     </div>
                                 </div>
                                 <div className="text-indigo-500 text-xs leading-tight break-words">
-                                    Net: ₹{salesData.actualSales.toLocaleString('en-IN')}
+                                    After refunds: ₹{salesData.netAfterRefunds.toLocaleString('en-IN')}
                                 </div>
+                                <Link to="/reports" className="text-indigo-700 hover:text-indigo-900 text-xs font-medium mt-1">
+                                    View sales reports →
+                                </Link>
                             </div>
                         </div>
                     </div>
@@ -818,16 +1250,94 @@ const Inventory = () => {
                 {/* Content Area - Mobile/Tablet with ENHANCED bottom spacing */}
                 {products.length > 0 ? (
                     <div className="px-2 xs:px-4 sm:px-6 py-3 xs:py-4 sm:py-6 mobile-content-spacing">
+                        <ReorderPanel items={reorderItems} onShowAll={handleShowReorder} />
+
+                        {/* Search & Filters */}
+                        <div className="space-y-2 mb-3 xs:mb-4">
+                            <div className="relative">
+                                <input
+                                    type="text"
+                                    placeholder="Search name, brand, SKU or barcode..."
+                                    value={searchTerm}
+                                    onChange={(e) => setSearchTerm(e.target.value)}
+                                    className="w-full px-4 py-2.5 pl-10 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+                                />
+                                <svg className="absolute left-3 top-3 h-4 w-4 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+                                </svg>
+                            </div>
+                            <div className="flex gap-2">
+                                <select
+                                    value={categoryFilter}
+                                    onChange={(e) => setCategoryFilter(e.target.value)}
+                                    className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-xs xs:text-sm"
+                                >
+                                    <option value="">All Categories</option>
+                                    {categories.map(category => (
+                                        <option key={category} value={category}>{toTitleCase(category)}</option>
+                                    ))}
+                                </select>
+                                <select
+                                    value={stockFilter}
+                                    onChange={(e) => setStockFilter(e.target.value)}
+                                    className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-xs xs:text-sm"
+                                >
+                                    {STOCK_FILTERS.map(option => (
+                                        <option key={option.value} value={option.value}>{option.label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            {hasActiveFilters && (
+                                <div className="flex items-center justify-between text-xs text-gray-600">
+                                    <span>Showing {filteredProducts.length} of {products.length} products</span>
+                                    <button onClick={handleClearFilters} className="text-blue-600 hover:text-blue-800">
+                                        Clear filters
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+
+                        {/* Label selection bar */}
+                        <div className="flex items-center justify-between gap-3 mb-3 xs:mb-4">
+                            <label className="inline-flex items-center gap-2 text-xs xs:text-sm text-gray-700">
+                                <input
+                                    type="checkbox"
+                                    checked={allSelected}
+                                    onChange={handleToggleSelectAll}
+                                    className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                                />
+                                Select all
+                            </label>
+                            <button
+                                onClick={handlePrintLabels}
+                                className="bg-white border border-blue-200 text-blue-700 px-3 xs:px-4 py-2 rounded-lg hover:bg-blue-50 transition-colors flex items-center justify-center text-xs xs:text-sm whitespace-nowrap"
+                            >
+                                <svg className="w-3 h-3 xs:w-4 xs:h-4 mr-1 xs:mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" />
+                                </svg>
+                                Print Labels{selectedProducts.length > 0 && ` (${selectedProducts.length})`}
+                            </button>
+                        </div>
                         <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 xs:gap-4 mobile-content-spacing">
-                            {products.map((product) => (
+                            {filteredProducts.map((product) => (
                                 <ProductCard
                                     key={product.id}
                                     product={product}
+                                    pricesIncludeTax={pricesIncludeTax}
+                                    selected={selectedIds.has(product.id)}
+                                    onToggleSelect={handleToggleSelect}
                                     onEdit={handleEditProduct}
                                     onDelete={handleDeleteProduct}
+                                    onAdjust={handleAdjustStock}
+                                    onHistory={handleShowHistory}
                                 />
                             ))}
                         </div>
+                        {filteredProducts.length === 0 && (
+                            <div className="bg-white rounded-lg border border-gray-200 p-6 text-center text-sm text-gray-500">
+                                No products match these filters
+                            </div>
+                        )}
                     </div>
                 ) : (
                     // Mobile Empty State with proper spacing
@@ -862,6 +1372,50 @@ const Inventory = () => {
                     onClose={handleFormClose}
                 />
             )}
+
+            {/* Spreadsheet Import Modal */}
+            {showImport && (
+                <ProductImportModal
+                    products={products}
+                    onClose={handleImportClose}
+                />
+            )}
+
+            {/* Spreadsheet Export Modal */}
+            {showExport && (
+                <ExportModal
+                    title="Export Inventory"
+                    description={`${filteredProducts.length} ${hasActiveFilters ? 'filtered ' : ''}products with stock value`}
+                    onExport={handleExport}
+                    onClose={() => setShowExport(false)}
+                />
+            )}
+
+            {/* Stock Adjustment Modal */}
+            {adjustingProduct && (
+                <StockAdjustModal
+                    product={adjustingProduct}
+                    onClose={() => setAdjustingProduct(null)}
+                    onAdjusted={handleStockAdjusted}
+                />
+            )}
+
+            {/* Stock History Modal */}
+            {historyProduct && (
+                <StockLedgerModal
+                    product={historyProduct}
+                    onClose={() => setHistoryProduct(null)}
+                    onAdjust={handleAdjustStock}
+                />
+            )}
+
+            {/* Label Printing Modal */}
+            {showLabels && (
+                <PrintLabelsModal
+                    products={selectedProducts}
+                    onClose={() => setShowLabels(false)}
+                />
+            )}
         </div>
     );
 };
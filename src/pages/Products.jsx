@@ -1,9 +1,15 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { createPortal } from 'react-dom';
 import { productsAPI } from '../services/api';
 import ProductCard from '../components/ProductCard';
+import InventoryForm from '../components/InventoryForm';
+import CameraScanner from '../components/CameraScanner';
+import HeldCartsDrawer from '../components/HeldCartsDrawer';
 import { useNavigate } from 'react-router-dom';
 import useCartStore from '../stores/useCartStore';
 import ErrorPortal from '../components/ErrorPortal';
+import useBarcodeScanner from '../hooks/useBarcodeScanner';
+import { findProductByCode, isRetailBarcode, isCameraScanSupported, playScanTone } from '../utils/scanner';
 
 // toTitleCase function
 function toTitleCase(str) {
@@ -15,12 +21,82 @@ function toTitleCase(str) {
         .join(' ');
 }
 
+const SCAN_FEEDBACK_STYLES = {
+    success: 'bg-green-50 border-green-300 text-green-800',
+    warning: 'bg-yellow-50 border-yellow-300 text-yellow-800',
+    error: 'bg-red-50 border-red-300 text-red-800'
+};
+
+// Result of the last scan, shown under the search bar
+const ScanFeedback = ({ feedback }) => {
+    if (!feedback) return null;
+    return (
+        <div
+            className={`border rounded-lg px-4 py-2 text-sm font-medium flex items-center gap-2 ${SCAN_FEEDBACK_STYLES[feedback.status]}`}
+            role="status"
+        >
+            <span>{feedback.status === 'success' ? '✓' : '!'}</span>
+            <span className="truncate">{feedback.message}</span>
+        </div>
+    );
+};
+
+// Prompt shown when a scanned code matches no product
+const ScanNotFoundPrompt = ({ code, onCreate, onDismiss }) => createPortal(
+    <div
+        style={{
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            zIndex: 99999,
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            backgroundColor: 'rgba(0, 0, 0, 0.5)',
+            padding: '16px'
+        }}
+        onClick={(e) => {
+            if (e.target === e.currentTarget) onDismiss();
+        }}
+    >
+        <div className="bg-white rounded-lg shadow-2xl w-full p-6" style={{ maxWidth: '420px' }}>
+            <h2 className="text-lg font-semibold text-gray-900">Product not found</h2>
+            <p className="text-sm text-gray-600 mt-2">
+                No product has the barcode or SKU <span className="font-mono font-semibold text-gray-900">{code}</span>.
+                Add it to the inventory now?
+            </p>
+            <div className="flex flex-col sm:flex-row gap-3 mt-6">
+                <button
+                    onClick={onCreate}
+                    className="flex-1 bg-blue-600 text-white py-2.5 px-4 rounded-lg hover:bg-blue-700 transition-colors font-medium"
+                >
+                    Create Product
+                </button>
+                <button
+                    onClick={onDismiss}
+                    className="flex-1 bg-gray-300 text-gray-700 py-2.5 px-4 rounded-lg hover:bg-gray-400 transition-colors font-medium"
+                >
+                    Cancel
+                </button>
+            </div>
+        </div>
+    </div>,
+    document.body
+);
+
 const Products = () => {
     const [products, setProducts] = useState([]);
     const [loading, setLoading] = useState(true);
     const [searchTerm, setSearchTerm] = useState('');
     const [selectedCategory, setSelectedCategory] = useState('');
     const [error, setError] = useState(null);
+    const [scanFeedback, setScanFeedback] = useState(null);
+    const [missingCode, setMissingCode] = useState(null);
+    const [newProductCode, setNewProductCode] = useState(null);
+    const [showCamera, setShowCamera] = useState(false);
+    const [showHeldCarts, setShowHeldCarts] = useState(false);
 
     const navigate = useNavigate();
     const hasFetched = useRef(false);
@@ -29,10 +105,13 @@ const Products = () => {
     const cart = useCartStore((state) => state.cart);
     const setCart = useCartStore((state) => state.setCart);
     const setProductsInStore = useCartStore((state) => state.setProducts);
+    const addToCart = useCartStore((state) => state.addToCart);
     const clearCart = useCartStore((state) => state.clearCart);
     const getTotalItems = useCartStore((state) => state.getTotalItems);
     const getTotalValue = useCartStore((state) => state.getTotalValue);
     const getCartItems = useCartStore((state) => state.getCartItems);
+    const heldCarts = useCartStore((state) => state.heldCarts);
+    const pruneHeldCarts = useCartStore((state) => state.pruneHeldCarts);
 
     // Get totals
     const totalCartItems = getTotalItems();
@@ -45,6 +124,25 @@ const Products = () => {
         cart
     });
 
+    const loadProducts = useCallback(async () => {
+        const response = await productsAPI.getAll();
+        const fetchedProducts = response.data || [];
+
+        const productsWithNumbers = fetchedProducts.map(product => ({
+            ...product,
+            id: String(product.id),
+            price: parseFloat(product.price) || 0,
+            image_url: product.image_url && !product.image_url.startsWith('http')
+                ? `https://inventory-management-backend-qqqj.onrender.com/${product.image_url}`
+                : product.image_url
+        }));
+
+        console.log('Fetched products:', productsWithNumbers.length);
+        setProducts(productsWithNumbers);
+        setProductsInStore(productsWithNumbers);
+        return productsWithNumbers;
+    }, [setProductsInStore]);
+
     // Fetch products only once
     useEffect(() => {
         if (hasFetched.current) return;
@@ -54,22 +152,7 @@ const Products = () => {
             try {
                 setLoading(true);
                 setError(null);
-
-                const response = await productsAPI.getAll();
-                const fetchedProducts = response.data || [];
-
-                const productsWithNumbers = fetchedProducts.map(product => ({
-                    ...product,
-                    id: String(product.id),
-                    price: parseFloat(product.price) || 0,
-                    image_url: product.image_url && !product.image_url.startsWith('http')
-                        ? `https://inventory-management-backend-qqqj.onrender.com/${product.image_url}`
-                        : product.image_url
-                }));
-
-                console.log('Fetched products:', productsWithNumbers.length);
-                setProducts(productsWithNumbers);
-                setProductsInStore(productsWithNumbers);
+                await loadProducts();
             } catch (error) {
                 console.error('Error fetching products:', error);
                 const errorMessage = error.response?.data?.error || error.message || 'Unknown error occurred';
@@ -80,7 +163,86 @@ const Products = () => {
         };
 
         fetchProducts();
-    }, [setProductsInStore]);
+    }, [loadProducts]);
+
+    // Scan results fade after a few seconds so the next scan stands out
+    useEffect(() => {
+        if (!scanFeedback) return undefined;
+        const timer = setTimeout(() => setScanFeedback(null), 3000);
+        return () => clearTimeout(timer);
+    }, [scanFeedback]);
+
+    const showScanFeedback = useCallback((status, message) => {
+        playScanTone(status === 'success');
+        setScanFeedback({ id: Date.now(), status, message });
+    }, []);
+
+    // Same stock limit as the + button on ProductCard
+    const addScannedProduct = useCallback((product) => {
+        const inCart = parseInt(useCartStore.getState().cart[product.id], 10) || 0;
+        const stock = parseInt(product.stock_quantity, 10) || 0;
+
+        if (stock <= 0) {
+            showScanFeedback('warning', `${toTitleCase(product.name)} is out of stock`);
+            return;
+        }
+        if (inCart >= stock) {
+            showScanFeedback('warning', `Only ${stock} of ${toTitleCase(product.name)} in stock`);
+            return;
+        }
+
+        addToCart(product);
+        showScanFeedback('success', `Added ${toTitleCase(product.name)} (${inCart + 1} in cart)`);
+    }, [addToCart, showScanFeedback]);
+
+    const handleScan = useCallback((code) => {
+        // A scan into the search box types the code there too, drop it again
+        setSearchTerm(prev => (prev.endsWith(code) ? prev.slice(0, -code.length) : prev));
+
+        const product = findProductByCode(products, code);
+        if (product) {
+            setMissingCode(null);
+            addScannedProduct(product);
+            return;
+        }
+
+        showScanFeedback('error', `No product found for ${code}`);
+        setMissingCode(code);
+    }, [products, addScannedProduct, showScanFeedback]);
+
+    useBarcodeScanner(handleScan, { enabled: !loading && !newProductCode });
+
+    const handleCreateFromScan = () => {
+        setShowCamera(false);
+        setNewProductCode(missingCode);
+        setMissingCode(null);
+    };
+
+    // Add the new product straight to the cart once it has been saved
+    const handleNewProductClose = async () => {
+        const code = newProductCode;
+        setNewProductCode(null);
+        try {
+            const refreshed = await loadProducts();
+            const product = findProductByCode(refreshed, code);
+            if (product) {
+                addScannedProduct(product);
+            }
+        } catch (error) {
+            console.error('Error refreshing products:', error);
+            const errorMessage = error.response?.data?.error || error.message || 'Unknown error occurred';
+            setError(`Failed to load products: ${errorMessage}`);
+        }
+    };
+
+    const newProductValues = useMemo(() => {
+        if (!newProductCode) return null;
+        return isRetailBarcode(newProductCode)
+            ? { barcode: newProductCode }
+            : { sku: newProductCode };
+    }, [newProductCode]);
+
+    const cameraSupported = isCameraScanSupported();
 
     const handleCheckout = () => {
         if (totalCartItems === 0) {
@@ -103,6 +265,11 @@ const Products = () => {
         clearCart();
     };
 
+    // Held carts that expired since the last visit disappear from the count
+    useEffect(() => {
+        pruneHeldCarts();
+    }, [pruneHeldCarts]);
+
     const handleClearSearch = () => {
         setSearchTerm('');
     };
@@ -121,7 +288,9 @@ const Products = () => {
     const filteredProducts = products.filter(product => {
         const matchesSearch = product.name?.toLowerCase().includes(searchTerm.toLowerCase()) ||
             product.category?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-            (product.brand && product.brand.toLowerCase().includes(searchTerm.toLowerCase()));
+            (product.brand && product.brand.toLowerCase().includes(searchTerm.toLowerCase())) ||
+            (product.sku && String(product.sku).toLowerCase().includes(searchTerm.toLowerCase())) ||
+            (product.barcode && String(product.barcode).includes(searchTerm.trim()));
         const matchesCategory = selectedCategory === '' || product.category === selectedCategory;
         return matchesSearch && matchesCategory;
     });
@@ -233,7 +402,15 @@ const Products = () => {
                                         </p>
                                     </div>
 
-                                    {/* Cart Summary & Checkout Button */}
+                                    {/* Held carts, Cart Summary & Checkout Button */}
+                                    {heldCarts.length > 0 && totalCartItems === 0 && (
+                                        <button
+                                            onClick={() => setShowHeldCarts(true)}
+                                            className="bg-yellow-50 border border-yellow-300 text-yellow-800 px-4 py-2 sm:px-5 sm:py-3 rounded-lg hover:bg-yellow-100 transition-colors text-sm sm:text-base font-medium"
+                                        >
+                                            ⏸️ {heldCarts.length} held cart{heldCarts.length === 1 ? '' : 's'}
+                                        </button>
+                                    )}
                                     {totalCartItems > 0 && (
                                         <div className="flex flex-col sm:flex-row items-stretch sm:items-center gap-2 sm:gap-3 w-full sm:w-auto">
                                             <div className="bg-blue-50 border border-blue-200 text-blue-800 px-4 py-2 sm:px-5 sm:py-3 rounded-lg flex items-center justify-between sm:justify-start space-x-3 flex-1 sm:flex-none">
@@ -242,6 +419,13 @@ const Products = () => {
                                                     <span className="mx-2">items •</span>
                                                     <span className="font-bold">₹{totalCartValue.toFixed(0)}</span>
                                                 </div>
+                                                <button
+                                                    onClick={() => setShowHeldCarts(true)}
+                                                    className="bg-yellow-500 text-white px-2 py-1 sm:px-3 sm:py-1.5 rounded text-xs sm:text-sm hover:bg-yellow-600 transition-colors flex-shrink-0"
+                                                    title="Hold this cart and serve another customer"
+                                                >
+                                                    Hold{heldCarts.length > 0 && ` (${heldCarts.length})`}
+                                                </button>
                                                 <button
                                                     onClick={handleClearCart}
                                                     className="bg-red-500 text-white px-2 py-1 sm:px-3 sm:py-1.5 rounded text-xs sm:text-sm hover:bg-red-600 transition-colors flex-shrink-0"
@@ -275,8 +459,9 @@ const Products = () => {
                                     <div className="flex-1 relative">
                                         <input
                                             type="text"
-                                            placeholder="Search products by name, brand, or category..."
+                                            placeholder="Search by name, brand, category or SKU, or scan a barcode..."
                                             value={searchTerm}
+                                            data-barcode-scan
                                             onChange={(e) => handleSearchChange(e.target.value)}
                                             className="w-full px-4 py-2.5 sm:py-3 pl-11 pr-10 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm sm:text-base"
                                         />
@@ -307,6 +492,19 @@ const Products = () => {
                                                 </option>
                                             ))}
                                         </select>
+                                        {cameraSupported && (
+                                            <button
+                                                onClick={() => setShowCamera(true)}
+                                                className="px-3 py-2.5 sm:px-4 sm:py-3 bg-blue-50 text-blue-700 rounded-lg hover:bg-blue-100 transition-colors flex items-center justify-center flex-shrink-0"
+                                                title="Scan barcode with camera"
+                                            >
+                                                <svg className="w-4 h-4 sm:w-5 sm:h-5 sm:mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M3 9a2 2 0 012-2h.93a2 2 0 001.664-.89l.812-1.22A2 2 0 0110.07 4h3.86a2 2 0 011.664.89l.812 1.22A2 2 0 0018.07 7H19a2 2 0 012 2v9a2 2 0 01-2 2H5a2 2 0 01-2-2V9z" />
+                                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 13a3 3 0 11-6 0 3 3 0 016 0z" />
+                                                </svg>
+                                                <span className="hidden sm:inline">Scan</span>
+                                            </button>
+                                        )}
                                         <button
                                             onClick={() => window.location.reload()}
                                             className="px-3 py-2.5 sm:px-4 sm:py-3 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors flex items-center justify-center flex-shrink-0"
@@ -318,6 +516,7 @@ const Products = () => {
                                         </button>
                                     </div>
                                 </div>
+                                <ScanFeedback feedback={scanFeedback} />
                             </div>
                         </div>
                     </div>
@@ -379,6 +578,14 @@ const Products = () => {
                                     </div>
 
                                     {/* Mobile Cart */}
+                                    {heldCarts.length > 0 && totalCartItems === 0 && (
+                                        <button
+                                            onClick={() => setShowHeldCarts(true)}
+                                            className="bg-yellow-50 border border-yellow-300 text-yellow-800 px-4 py-2 rounded-lg hover:bg-yellow-100 transition-colors text-sm font-medium w-full"
+                                        >
+                                            ⏸️ {heldCarts.length} held cart{heldCarts.length === 1 ? '' : 's'}
+                                        </button>
+                                    )}
                                     {totalCartItems > 0 && (
                                         <div className="flex flex-col space-y-2 w-full">
                                             <div className="bg-blue-50 border border-blue-200 text-blue-800 px-4 py-2 rounded-lg flex items-center justify-between">
@@ -387,14 +594,22 @@ const Products = () => {
                                                     <span className="mx-2">items •</span>
                                                     <span className="font-bold">₹{totalCartValue.toFixed(0)}</span>
                                                 </div>
-                                                <button
-                                                    onClick={handleClearCart}
-                                                    className="bg-red-500 text-white px-2 py-1 rounded text-xs hover:bg-red-600 transition-colors"
-                                                >
-                                                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                                                    </svg>
-                                                </button>
+                                                <div className="flex items-center gap-2">
+                                                    <button
+                                                        onClick={() => setShowHeldCarts(true)}
+                                                        className="bg-yellow-500 text-white px-2 py-1 rounded text-xs hover:bg-yellow-600 transition-colors"
+                                                    >
+                                                        Hold{heldCarts.length > 0 && ` (${heldCarts.length})`}
+                                                    </button>
+                                                    <button
+                                                        onClick={handleClearCart}
+                                                        className="bg-red-500 text-white px-2 py-1 rounded text-xs hover:bg-red-600 transition-colors"
+                                                    >
+                                                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                                                        </svg>
+                                                    </button>
+                                                </div>
                                             </div>
                                             <button
                                                 onClick={handleCheckout}
@@ -417,8 +632,9 @@ const Products = () => {
                                     <div className="relative">
                                         <input
                                             type="text"
-                                            placeholder="Search products..."
+                                            placeholder="Search or scan..."
                                             value={searchTerm}
+                                            data-barcode-scan
                                             onChange={(e) => handleSearchChange(e.target.value)}
                                             className="w-full px-4 py-3 pl-11 pr-10 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
                                         />
@@ -449,6 +665,18 @@ const Products = () => {
                                                 </option>
                                             ))}
                                         </select>
+                                        {cameraSupported && (
+                                            <button
+                                                onClick={() => setShowCamera(true)}
+                                                className="px-3 py-3 bg-blue-50 text-blue-700 rounded-lg hover:bg-blue-100 transition-colors flex items-center justify-center flex-shrink-0"
+                                                aria-label="Scan barcode with camera"
+                                            >
+                                                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M3 9a2 2 0 012-2h.93a2 2 0 001.664-.89l.812-1.22A2 2 0 0110.07 4h3.86a2 2 0 011.664.89l.812 1.22A2 2 0 0018.07 7H19a2 2 0 012 2v9a2 2 0 01-2 2H5a2 2 0 01-2-2V9z" />
+                                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 13a3 3 0 11-6 0 3 3 0 016 0z" />
+                                                </svg>
+                                            </button>
+                                        )}
                                         <button
                                             onClick={() => window.location.reload()}
                                             className="px-3 py-3 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors flex items-center justify-center flex-shrink-0"
@@ -459,6 +687,7 @@ const Products = () => {
                                         </button>
                                     </div>
                                 </div>
+                                <ScanFeedback feedback={scanFeedback} />
                             </div>
                         </div>
                     </div>
@@ -489,6 +718,35 @@ const Products = () => {
                     </div>
                 </div>
             </div>
+
+            {missingCode && (
+                <ScanNotFoundPrompt
+                    code={missingCode}
+                    onCreate={handleCreateFromScan}
+                    onDismiss={() => setMissingCode(null)}
+                />
+            )}
+
+            {newProductCode && (
+                <InventoryForm
+                    initialValues={newProductValues}
+                    onClose={handleNewProductClose}
+                />
+            )}
+
+            {showHeldCarts && (
+                <HeldCartsDrawer
+                    onClose={() => setShowHeldCarts(false)}
+                    onResumed={() => setShowHeldCarts(false)}
+                />
+            )}
+
+            {showCamera && (
+                <CameraScanner
+                    onDetected={handleScan}
+                    onClose={() => setShowCamera(false)}
+                />
+            )}
         </>
     );
 };
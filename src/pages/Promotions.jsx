@@ -0,0 +1,249 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { promotionsAPI } from '../services/api';
+import usePromotionStore from '../stores/usePromotionStore';
+import Alert from '../components/Alert';
+import PromotionModal from '../components/PromotionModal';
+import {
+    PROMOTION_STATUS,
+    PROMOTION_STATUS_LABELS,
+    PROMOTION_TYPE_OPTIONS,
+    STACKING,
+    describePromotion,
+    getPromotionStatus
+} from '../utils/promotions';
+
+const STATUS_BADGES = {
+    [PROMOTION_STATUS.ACTIVE]: 'bg-green-100 text-green-800',
+    [PROMOTION_STATUS.SCHEDULED]: 'bg-blue-100 text-blue-800',
+    [PROMOTION_STATUS.EXPIRED]: 'bg-gray-100 text-gray-800',
+    [PROMOTION_STATUS.USED_UP]: 'bg-yellow-100 text-yellow-800',
+    [PROMOTION_STATUS.PAUSED]: 'bg-red-100 text-red-800'
+};
+
+const getTypeLabel = (type) => PROMOTION_TYPE_OPTIONS.find(option => option.value === type)?.label || type;
+
+const formatDate = (dateKey) => new Date(`${dateKey}T00:00:00`).toLocaleDateString('en-IN');
+
+const formatValidity = (promotion) => {
+    if (promotion.starts_at && promotion.ends_at) return `${formatDate(promotion.starts_at)} to ${formatDate(promotion.ends_at)}`;
+    if (promotion.starts_at) return `From ${formatDate(promotion.starts_at)}`;
+    if (promotion.ends_at) return `Until ${formatDate(promotion.ends_at)}`;
+    return 'No end date';
+};
+
+const Promotions = () => {
+    const promotions = usePromotionStore((state) => state.promotions);
+    const loading = usePromotionStore((state) => state.loading);
+    const error = usePromotionStore((state) => state.error);
+    const fetchPromotions = usePromotionStore((state) => state.fetchPromotions);
+    const upsertPromotion = usePromotionStore((state) => state.upsertPromotion);
+    const removePromotion = usePromotionStore((state) => state.removePromotion);
+
+    const [statusFilter, setStatusFilter] = useState('');
+    // null when closed, {} for a new promotion, { promotion } when editing
+    const [modal, setModal] = useState(null);
+
+    // Alert state
+    const [alert, setAlert] = useState({
+        isOpen: false,
+        severity: 'info',
+        message: ''
+    });
+
+    const showAlert = useCallback((severity, message) => {
+        setAlert({
+            isOpen: true,
+            severity,
+            message
+        });
+    }, []);
+
+    const closeAlert = () => {
+        setAlert(prev => ({ ...prev, isOpen: false }));
+    };
+
+    useEffect(() => {
+        fetchPromotions();
+    }, [fetchPromotions]);
+
+    const withStatus = useMemo(() => {
+        const now = new Date();
+        return promotions.map(promotion => ({ promotion, status: getPromotionStatus(promotion, now) }));
+    }, [promotions]);
+
+    const visiblePromotions = statusFilter
+        ? withStatus.filter(entry => entry.status === statusFilter)
+        : withStatus;
+
+    const activeCount = withStatus.filter(entry => entry.status === PROMOTION_STATUS.ACTIVE).length;
+    const couponCount = promotions.filter(promotion => promotion.code).length;
+
+    const handleSaved = (savedPromotion) => {
+        setModal(null);
+        upsertPromotion(savedPromotion);
+        showAlert('success', `Promotion "${savedPromotion.name}" saved`);
+    };
+
+    const handleToggleActive = async (promotion) => {
+        const updated = { ...promotion, active: !promotion.active };
+        try {
+            await promotionsAPI.update(promotion.id, updated);
+            upsertPromotion(updated);
+            showAlert('success', `"${promotion.name}" ${updated.active ? 'activated' : 'paused'}`);
+        } catch (error) {
+            console.error('Error updating promotion:', error);
+            const errorMessage = error.response?.data?.error || error.message || 'Unknown error occurred';
+            showAlert('error', `Failed to update promotion: ${errorMessage}`);
+        }
+    };
+
+    const handleDelete = async (promotion) => {
+        const confirmMessage = promotion.usage_count > 0
+            ? `"${promotion.name}" has been used on ${promotion.usage_count} bills. Delete it anyway? The bills keep their discount.`
+            : `Delete promotion "${promotion.name}"?`;
+        if (!window.confirm(confirmMessage)) return;
+
+        try {
+            await promotionsAPI.delete(promotion.id);
+            removePromotion(promotion.id);
+            showAlert('success', `Promotion "${promotion.name}" deleted`);
+        } catch (error) {
+            console.error('Error deleting promotion:', error);
+            const errorMessage = error.response?.data?.error || error.message || 'Unknown error occurred';
+            showAlert('error', `Failed to delete promotion: ${errorMessage}`);
+        }
+    };
+
+    const showInitialLoading = loading && promotions.length === 0;
+
+    return (
+        <div className="app-container bg-gray-50">
+            <Alert
+                isOpen={alert.isOpen}
+                severity={alert.severity}
+                message={alert.message}
+                onClose={closeAlert}
+                position="top"
+                duration={4000}
+            />
+
+            <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 space-y-4 sm:space-y-6 mobile-content-spacing">
+                {/* Header */}
+                <div className="bg-white rounded-lg shadow-md p-4 sm:p-6">
+                    <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+                        <div>
+                            <h1 className="text-xl sm:text-2xl lg:text-3xl font-bold text-gray-900">Promotions</h1>
+                            <p className="text-sm text-gray-600 mt-1">
+                                {activeCount} running now • {couponCount} coupon code{couponCount === 1 ? '' : 's'} • {promotions.length - couponCount} automatic
+                            </p>
+                        </div>
+                        <button
+                            onClick={() => setModal({})}
+                            className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors text-sm font-medium shadow-sm"
+                        >
+                            New Promotion
+                        </button>
+                    </div>
+
+                    <div className="flex flex-wrap gap-2 mt-4">
+                        {[['', 'All'], ...Object.entries(PROMOTION_STATUS_LABELS)].map(([value, label]) => (
+                            <button
+                                key={value || 'all'}
+                                onClick={() => setStatusFilter(value)}
+                                className={`px-3 py-1 text-xs sm:text-sm font-medium rounded-full transition-colors ${statusFilter === value
+                                    ? 'bg-blue-600 text-white'
+                                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                                    }`}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
+                {error && (
+                    <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+                        <span className="text-sm">Failed to load promotions: {error}</span>
+                        <button onClick={fetchPromotions} className="text-sm font-medium text-red-700 underline">Try again</button>
+                    </div>
+                )}
+
+                <div className="bg-white rounded-lg shadow-md overflow-hidden">
+                    {showInitialLoading ? (
+                        <div className="text-center py-16">
+                            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+                            <p className="mt-4 text-gray-600">Loading promotions...</p>
+                        </div>
+                    ) : visiblePromotions.length === 0 ? (
+                        <div className="text-center py-12 text-gray-500">
+                            <div className="text-4xl mb-2">🏷️</div>
+                            <p className="text-sm">{promotions.length === 0 ? 'No promotions yet' : 'No promotions with this status'}</p>
+                        </div>
+                    ) : (
+                        <div className="divide-y divide-gray-200">
+                            {visiblePromotions.map(({ promotion, status }) => (
+                                <div key={promotion.id} className="p-3 sm:p-4 flex flex-col lg:flex-row lg:items-center gap-3">
+                                    <div className="flex-1 min-w-0">
+                                        <div className="flex flex-wrap items-center gap-2">
+                                            <span className="font-semibold text-gray-900">{promotion.name}</span>
+                                            {promotion.code && (
+                                                <span className="font-mono text-xs bg-gray-100 text-gray-800 px-2 py-0.5 rounded">{promotion.code}</span>
+                                            )}
+                                            <span className={`inline-flex px-2 py-0.5 text-xs font-semibold rounded-full ${STATUS_BADGES[status]}`}>
+                                                {PROMOTION_STATUS_LABELS[status]}
+                                            </span>
+                                            {promotion.stacking === STACKING.EXCLUSIVE && (
+                                                <span className="inline-flex px-2 py-0.5 text-xs font-semibold rounded-full bg-purple-100 text-purple-800">
+                                                    Exclusive
+                                                </span>
+                                            )}
+                                        </div>
+                                        <p className="text-sm text-gray-600">
+                                            {getTypeLabel(promotion.type)} • {describePromotion(promotion)}
+                                        </p>
+                                        <p className="text-xs text-gray-500">
+                                            {formatValidity(promotion)} • Used {promotion.usage_count}
+                                            {promotion.usage_limit ? ` of ${promotion.usage_limit}` : ''} time{promotion.usage_count === 1 && !promotion.usage_limit ? '' : 's'}
+                                            {!promotion.code && ' • Applied automatically'}
+                                        </p>
+                                    </div>
+                                    <div className="flex flex-wrap gap-2">
+                                        <button
+                                            onClick={() => setModal({ promotion })}
+                                            className="bg-white border border-gray-300 text-gray-700 px-3 py-1.5 rounded text-xs hover:bg-gray-50"
+                                        >
+                                            Edit
+                                        </button>
+                                        <button
+                                            onClick={() => handleToggleActive(promotion)}
+                                            className="bg-white border border-gray-300 text-gray-700 px-3 py-1.5 rounded text-xs hover:bg-gray-50"
+                                        >
+                                            {promotion.active ? 'Pause' : 'Activate'}
+                                        </button>
+                                        <button
+                                            onClick={() => handleDelete(promotion)}
+                                            className="bg-white border border-red-300 text-red-700 px-3 py-1.5 rounded text-xs hover:bg-red-50"
+                                        >
+                                            Delete
+                                        </button>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            {modal && (
+                <PromotionModal
+                    promotion={modal.promotion}
+                    promotions={promotions}
+                    onClose={() => setModal(null)}
+                    onSaved={handleSaved}
+                />
+            )}
+        </div>
+    );
+};
+
+export default Promotions;
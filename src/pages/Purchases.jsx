@@ -0,0 +1,483 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { suppliersAPI, purchaseOrdersAPI } from '../services/api';
+import useShopStore from '../stores/useShopStore';
+import useReorderStore from '../stores/useReorderStore';
+import Alert from '../components/Alert';
+import SupplierModal from '../components/SupplierModal';
+import PurchaseOrderModal from '../components/PurchaseOrderModal';
+import ReceiveGoodsModal from '../components/ReceiveGoodsModal';
+import {
+    PO_STATUS,
+    PO_STATUS_LABELS,
+    calculatePOTotals,
+    canReceivePO,
+    getPONumber,
+    getPOStatusLabel,
+    getReceivableLines
+} from '../utils/purchaseOrders';
+import { buildPurchaseOrderPDF } from '../utils/purchaseOrderPdf';
+
+function toTitleCase(str) {
+    if (!str) return '';
+    return str
+        .toLowerCase()
+        .split(' ')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+const formatCurrency = (amount) => `₹${(parseFloat(amount) || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+
+const STATUS_BADGES = {
+    [PO_STATUS.DRAFT]: 'bg-gray-100 text-gray-800',
+    [PO_STATUS.ORDERED]: 'bg-blue-100 text-blue-800',
+    [PO_STATUS.PARTIAL]: 'bg-yellow-100 text-yellow-800',
+    [PO_STATUS.RECEIVED]: 'bg-green-100 text-green-800',
+    [PO_STATUS.CANCELLED]: 'bg-red-100 text-red-800'
+};
+
+const TABS = [
+    { value: 'orders', label: 'Purchase Orders' },
+    { value: 'suppliers', label: 'Suppliers' }
+];
+
+const toList = (data, key) => (Array.isArray(data) ? data : data?.[key] || []);
+
+const Purchases = () => {
+    const shopSettings = useShopStore((state) => state.settings);
+    const fetchShopSettings = useShopStore((state) => state.fetchSettings);
+    const fetchReorderList = useReorderStore((state) => state.fetchReorderList);
+    const [searchParams, setSearchParams] = useSearchParams();
+
+    const [tab, setTab] = useState('orders');
+    const [orders, setOrders] = useState([]);
+    const [suppliers, setSuppliers] = useState([]);
+    const [statusFilter, setStatusFilter] = useState('');
+    const [expandedId, setExpandedId] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // Modals: a PO being created or edited, one being received, a supplier being edited
+    const [orderModal, setOrderModal] = useState(null);
+    const [receivingOrder, setReceivingOrder] = useState(null);
+    const [supplierModal, setSupplierModal] = useState(null);
+
+    // Alert state
+    const [alert, setAlert] = useState({
+        isOpen: false,
+        severity: 'info',
+        message: ''
+    });
+
+    const showAlert = useCallback((severity, message) => {
+        setAlert({
+            isOpen: true,
+            severity,
+            message
+        });
+    }, []);
+
+    const closeAlert = useCallback(() => {
+        setAlert(prev => ({ ...prev, isOpen: false }));
+    }, []);
+
+    const fetchData = useCallback(async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            const [suppliersResponse, ordersResponse] = await Promise.all([
+                suppliersAPI.getAll(),
+                purchaseOrdersAPI.getAll()
+            ]);
+            setSuppliers(toList(suppliersResponse.data, 'suppliers'));
+            setOrders(toList(ordersResponse.data, 'purchase_orders')
+                .sort((a, b) => new Date(b.created_at) - new Date(a.created_at)));
+        } catch (error) {
+            console.error('Error fetching purchases:', error);
+            const errorMessage = error.response?.data?.error || error.message || 'Unknown error occurred';
+            setError(`Failed to load purchase orders: ${errorMessage}`);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchData();
+        fetchShopSettings();
+    }, [fetchData, fetchShopSettings]);
+
+    // Inventory's reorder panel links here with ?reorder=1 to start a PO from low-stock items
+    useEffect(() => {
+        if (searchParams.get('reorder')) {
+            setOrderModal({ prefillReorder: true });
+            setSearchParams({}, { replace: true });
+        }
+    }, [searchParams, setSearchParams]);
+
+    const suppliersById = useMemo(
+        () => Object.fromEntries(suppliers.map(supplier => [String(supplier.id), supplier])),
+        [suppliers]
+    );
+
+    const getSupplier = useCallback(
+        (order) => suppliersById[String(order.supplier_id)] || order.supplier || null,
+        [suppliersById]
+    );
+
+    const visibleOrders = useMemo(
+        () => orders.filter(order => !statusFilter || order.status === statusFilter),
+        [orders, statusFilter]
+    );
+
+    const openOrders = orders.filter(canReceivePO);
+    const outstandingValue = openOrders.reduce((sum, order) => sum + getReceivableLines(order)
+        .reduce((lineSum, line) => lineSum + line.remaining * (parseFloat(line.unit_cost) || 0), 0), 0);
+
+    const handleOrderSaved = (savedOrder) => {
+        setOrderModal(null);
+        showAlert('success', savedOrder.status === PO_STATUS.DRAFT
+            ? `Draft ${getPONumber(savedOrder)} saved`
+            : `Purchase order ${getPONumber(savedOrder)} placed`);
+        fetchData();
+    };
+
+    const handleReceived = (status) => {
+        showAlert('success', status === PO_STATUS.RECEIVED ? 'Order fully received, stock updated' : 'Delivery recorded, stock updated');
+        fetchData();
+        fetchReorderList(true);
+    };
+
+    const handleStatusChange = async (order, status) => {
+        if (status === PO_STATUS.CANCELLED && !window.confirm(`Cancel purchase order ${getPONumber(order)}?`)) {
+            return;
+        }
+        try {
+            await purchaseOrdersAPI.update(order.id, { ...order, status });
+            showAlert('success', `${getPONumber(order)} marked as ${getPOStatusLabel(status).toLowerCase()}`);
+            fetchData();
+        } catch (error) {
+            console.error('Error updating purchase order:', error);
+            const errorMessage = error.response?.data?.error || error.message || 'Unknown error occurred';
+            showAlert('error', `Failed to update purchase order: ${errorMessage}`);
+        }
+    };
+
+    const handleDownloadPDF = async (order) => {
+        try {
+            const doc = await buildPurchaseOrderPDF({ purchaseOrder: order, supplier: getSupplier(order), shopSettings });
+            doc.save(`purchase-order-${getPONumber(order)}.pdf`);
+        } catch (error) {
+            console.error('Purchase order PDF error:', error);
+            showAlert('error', 'Failed to generate purchase order PDF');
+        }
+    };
+
+    const handleSupplierSaved = (savedSupplier) => {
+        setSupplierModal(null);
+        showAlert('success', `Supplier "${toTitleCase(savedSupplier.name)}" saved`);
+        fetchData();
+    };
+
+    const handleDeleteSupplier = async (supplier) => {
+        const hasOrders = orders.some(order => String(order.supplier_id) === String(supplier.id));
+        const confirmMessage = hasOrders
+            ? `"${toTitleCase(supplier.name)}" has purchase orders. Delete the supplier anyway?`
+            : `Delete supplier "${toTitleCase(supplier.name)}"?`;
+        if (!window.confirm(confirmMessage)) return;
+
+        try {
+            await suppliersAPI.delete(supplier.id);
+            showAlert('success', `Supplier "${toTitleCase(supplier.name)}" deleted`);
+            fetchData();
+        } catch (error) {
+            console.error('Error deleting supplier:', error);
+            const errorMessage = error.response?.data?.error || error.message || 'Unknown error occurred';
+            showAlert('error', `Failed to delete supplier: ${errorMessage}`);
+        }
+    };
+
+    return (
+        <div className="app-container bg-gray-50">
+            <Alert
+                isOpen={alert.isOpen}
+                severity={alert.severity}
+                message={alert.message}
+                onClose={closeAlert}
+                position="top"
+                duration={4000}
+            />
+
+            <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 space-y-4 sm:space-y-6 mobile-content-spacing">
+                {/* Header */}
+                <div className="bg-white rounded-lg shadow-md p-4 sm:p-6">
+                    <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+                        <div>
+                            <h1 className="text-xl sm:text-2xl lg:text-3xl font-bold text-gray-900">Purchases</h1>
+                            <p className="text-sm text-gray-600 mt-1">
+                                {openOrders.length} open order{openOrders.length === 1 ? '' : 's'} • {formatCurrency(outstandingValue)} still to arrive • {suppliers.length} supplier{suppliers.length === 1 ? '' : 's'}
+                            </p>
+                        </div>
+                        <div className="flex flex-col sm:flex-row gap-2">
+                            <button
+                                onClick={() => setSupplierModal({})}
+                                className="bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors text-sm font-medium shadow-sm"
+                            >
+                                Add Supplier
+                            </button>
+                            <button
+                                onClick={() => setOrderModal({})}
+                                className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors text-sm font-medium shadow-sm"
+                            >
+                                New Purchase Order
+                            </button>
+                        </div>
+                    </div>
+
+                    <div className="flex gap-2 mt-4 border-b border-gray-200">
+                        {TABS.map(option => (
+                            <button
+                                key={option.value}
+                                onClick={() => setTab(option.value)}
+                                className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px transition-colors ${tab === option.value
+                                    ? 'border-green-600 text-green-700'
+                                    : 'border-transparent text-gray-600 hover:text-gray-900'
+                                    }`}
+                            >
+                                {option.label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
+                {error && (
+                    <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+                        <span className="text-sm">{error}</span>
+                        <button onClick={fetchData} className="text-sm font-medium text-red-700 underline">Try again</button>
+                    </div>
+                )}
+
+                {loading ? (
+                    <div className="text-center py-16">
+                        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+                        <p className="mt-4 text-gray-600">Loading purchases...</p>
+                    </div>
+                ) : tab === 'orders' ? (
+                    <div className="bg-white rounded-lg shadow-md p-4 sm:p-6 space-y-4">
+                        <div className="flex flex-wrap gap-2">
+                            {[['', 'All'], ...Object.entries(PO_STATUS_LABELS)].map(([value, label]) => (
+                                <button
+                                    key={value || 'all'}
+                                    onClick={() => setStatusFilter(value)}
+                                    className={`px-3 py-1 text-xs sm:text-sm font-medium rounded-full transition-colors ${statusFilter === value
+                                        ? 'bg-blue-600 text-white'
+                                        : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                                        }`}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+
+                        {visibleOrders.length === 0 ? (
+                            <div className="text-center py-12 text-gray-500">
+                                <div className="text-4xl mb-2">📦</div>
+                                <p className="text-sm">{orders.length === 0 ? 'No purchase orders yet' : 'No purchase orders with this status'}</p>
+                            </div>
+                        ) : (
+                            <div className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+                                {visibleOrders.map(order => {
+                                    const supplier = getSupplier(order);
+                                    const lines = getReceivableLines(order);
+                                    const totals = calculatePOTotals(order.items);
+                                    const received = lines.reduce((sum, line) => sum + line.received, 0);
+                                    const expanded = expandedId === order.id;
+                                    return (
+                                        <div key={order.id} className="p-3 sm:p-4">
+                                            <div className="flex flex-col lg:flex-row lg:items-center gap-3">
+                                                <button
+                                                    onClick={() => setExpandedId(expanded ? null : order.id)}
+                                                    className="flex-1 min-w-0 text-left"
+                                                >
+                                                    <div className="flex flex-wrap items-center gap-2">
+                                                        <span className="font-semibold text-gray-900">{getPONumber(order)}</span>
+                                                        <span className={`inline-flex px-2 py-0.5 text-xs font-semibold rounded-full ${STATUS_BADGES[order.status] || STATUS_BADGES[PO_STATUS.DRAFT]}`}>
+                                                            {getPOStatusLabel(order.status)}
+                                                        </span>
+                                                    </div>
+                                                    <p className="text-sm text-gray-600 truncate">
+                                                        {toTitleCase(supplier?.name) || 'Unknown supplier'} • {new Date(order.created_at).toLocaleDateString('en-IN')}
+                                                        {order.expected_date && ` • Expected ${new Date(order.expected_date).toLocaleDateString('en-IN')}`}
+                                                    </p>
+                                                    <p className="text-xs text-gray-500">
+                                                        {lines.length} products • {received} of {totals.quantity} units received • {formatCurrency(totals.amount)}
+                                                    </p>
+                                                </button>
+                                                <div className="flex flex-wrap gap-2">
+                                                    <button
+                                                        onClick={() => handleDownloadPDF(order)}
+                                                        className="bg-white border border-gray-300 text-gray-700 px-3 py-1.5 rounded text-xs hover:bg-gray-50"
+                                                    >
+                                                        PDF
+                                                    </button>
+                                                    {order.status === PO_STATUS.DRAFT && (
+                                                        <>
+                                                            <button
+                                                                onClick={() => setOrderModal({ purchaseOrder: order })}
+                                                                className="bg-white border border-gray-300 text-gray-700 px-3 py-1.5 rounded text-xs hover:bg-gray-50"
+                                                            >
+                                                                Edit
+                                                            </button>
+                                                            <button
+                                                                onClick={() => handleStatusChange(order, PO_STATUS.ORDERED)}
+                                                                className="bg-blue-600 text-white px-3 py-1.5 rounded text-xs hover:bg-blue-700"
+                                                            >
+                                                                Place Order
+                                                            </button>
+                                                        </>
+                                                    )}
+                                                    {canReceivePO(order) && (
+                                                        <button
+                                                            onClick={() => setReceivingOrder(order)}
+                                                            className="bg-green-600 text-white px-3 py-1.5 rounded text-xs hover:bg-green-700"
+                                                        >
+                                                            Receive Goods
+                                                        </button>
+                                                    )}
+                                                    {[PO_STATUS.DRAFT, PO_STATUS.ORDERED].includes(order.status) && received === 0 && (
+                                                        <button
+                                                            onClick={() => handleStatusChange(order, PO_STATUS.CANCELLED)}
+                                                            className="bg-white border border-red-300 text-red-700 px-3 py-1.5 rounded text-xs hover:bg-red-50"
+                                                        >
+                                                            Cancel
+                                                        </button>
+                                                    )}
+                                                </div>
+                                            </div>
+
+                                            {expanded && (
+                                                <div className="mt-3 overflow-x-auto">
+                                                    <table className="w-full text-sm">
+                                                        <thead className="bg-gray-50 text-xs uppercase text-gray-600">
+                                                            <tr>
+                                                                <th className="px-3 py-2 text-left font-semibold">Product</th>
+                                                                <th className="px-3 py-2 text-right font-semibold">Ordered</th>
+                                                                <th className="px-3 py-2 text-right font-semibold">Received</th>
+                                                                <th className="px-3 py-2 text-right font-semibold">Unit Cost</th>
+                                                            </tr>
+                                                        </thead>
+                                                        <tbody className="divide-y divide-gray-100">
+                                                            {lines.map(line => (
+                                                                <tr key={line.product_id}>
+                                                                    <td className="px-3 py-2">
+                                                                        {toTitleCase(line.name)}
+                                                                        {line.sku && <span className="ml-1 text-xs text-gray-500">{String(line.sku).toUpperCase()}</span>}
+                                                                    </td>
+                                                                    <td className="px-3 py-2 text-right">{line.ordered}</td>
+                                                                    <td className={`px-3 py-2 text-right ${line.remaining === 0 ? 'text-green-700' : 'text-gray-900'}`}>{line.received}</td>
+                                                                    <td className="px-3 py-2 text-right">{line.unit_cost !== null && line.unit_cost !== '' && line.unit_cost !== undefined ? formatCurrency(line.unit_cost) : '—'}</td>
+                                                                </tr>
+                                                            ))}
+                                                        </tbody>
+                                                    </table>
+                                                    {(order.receipts || []).length > 0 && (
+                                                        <div className="mt-3 space-y-1 text-xs text-gray-600">
+                                                            {order.receipts.map((receipt, index) => (
+                                                                <p key={receipt.id || index}>
+                                                                    Delivery {index + 1}: {new Date(receipt.created_at || receipt.received_at).toLocaleDateString('en-IN')}
+                                                                    {' • '}{(receipt.items || []).reduce((sum, item) => sum + (parseInt(item.quantity, 10) || 0), 0)} units
+                                                                    {receipt.supplier_invoice && ` • Invoice ${receipt.supplier_invoice}`}
+                                                                    {receipt.received_by && ` • by ${toTitleCase(receipt.received_by)}`}
+                                                                </p>
+                                                            ))}
+                                                        </div>
+                                                    )}
+                                                    {order.notes && <p className="mt-2 text-xs text-gray-500">Notes: {order.notes}</p>}
+                                                </div>
+                                            )}
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        )}
+                    </div>
+                ) : (
+                    <div className="bg-white rounded-lg shadow-md p-4 sm:p-6">
+                        {suppliers.length === 0 ? (
+                            <div className="text-center py-12 text-gray-500">
+                                <div className="text-4xl mb-2">🏭</div>
+                                <p className="text-sm">No suppliers yet</p>
+                            </div>
+                        ) : (
+                            <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+                                {suppliers.map(supplier => {
+                                    const supplierOrders = orders.filter(order => String(order.supplier_id) === String(supplier.id));
+                                    return (
+                                        <div key={supplier.id} className="border border-gray-200 rounded-lg p-4 flex flex-col gap-2">
+                                            <div>
+                                                <h3 className="font-semibold text-gray-900">{toTitleCase(supplier.name)}</h3>
+                                                {supplier.contact_person && <p className="text-sm text-gray-600">{toTitleCase(supplier.contact_person)}</p>}
+                                            </div>
+                                            <div className="text-xs text-gray-500 space-y-0.5">
+                                                {supplier.phone && <p>📞 {supplier.phone}</p>}
+                                                {supplier.email && <p>✉️ {supplier.email}</p>}
+                                                {supplier.gst_number && <p className="font-mono">GSTIN {supplier.gst_number}</p>}
+                                                <p>{supplierOrders.length} purchase order{supplierOrders.length === 1 ? '' : 's'}</p>
+                                            </div>
+                                            <div className="flex gap-2 mt-auto pt-2">
+                                                <button
+                                                    onClick={() => setSupplierModal({ supplier })}
+                                                    className="flex-1 bg-blue-600 text-white py-1.5 rounded text-xs hover:bg-blue-700"
+                                                >
+                                                    Edit
+                                                </button>
+                                                <button
+                                                    onClick={() => handleDeleteSupplier(supplier)}
+                                                    className="flex-1 bg-red-600 text-white py-1.5 rounded text-xs hover:bg-red-700"
+                                                >
+                                                    Delete
+                                                </button>
+                                            </div>
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        )}
+                    </div>
+                )}
+            </div>
+
+            {/* Purchase Order Modal */}
+            {orderModal && (
+                <PurchaseOrderModal
+                    purchaseOrder={orderModal.purchaseOrder}
+                    prefillReorder={orderModal.prefillReorder}
+                    suppliers={suppliers}
+                    onClose={() => setOrderModal(null)}
+                    onSaved={handleOrderSaved}
+                />
+            )}
+
+            {/* Receive Goods Modal */}
+            {receivingOrder && (
+                <ReceiveGoodsModal
+                    purchaseOrder={receivingOrder}
+                    supplierName={getSupplier(receivingOrder)?.name}
+                    onClose={() => setReceivingOrder(null)}
+                    onReceived={handleReceived}
+                />
+            )}
+
+            {/* Supplier Modal */}
+            {supplierModal && (
+                <SupplierModal
+                    supplier={supplierModal.supplier}
+                    onClose={() => setSupplierModal(null)}
+                    onSaved={handleSupplierSaved}
+                />
+            )}
+        </div>
+    );
+};
+
+export default Purchases;
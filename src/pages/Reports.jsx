@@ -0,0 +1,473 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { billsAPI, returnsAPI } from '../services/api';
+import { DEFAULT_BILL_FILTERS, fetchAllBills, getDateRangePresets } from '../utils/billFilters';
+import {
+    REPORT_GRANULARITIES,
+    WEEKDAY_LABELS,
+    buildSalesReport,
+    suggestGranularity
+} from '../utils/salesAnalytics';
+import { formatMarginPercent, getMarginClass } from '../utils/profit';
+import { BarList, ColumnChart, DonutChart, Heatmap } from '../components/SalesCharts';
+
+const formatCurrency = (amount) => `₹${(parseFloat(amount) || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+
+// Whole rupees for chart labels and legends
+const formatRupees = (amount) => `₹${Math.round(amount).toLocaleString('en-IN')}`;
+
+const formatHour = (hour) => {
+    if (hour === 0) return '12a';
+    if (hour === 12) return '12p';
+    return hour < 12 ? `${hour}a` : `${hour - 12}p`;
+};
+
+const DEFAULT_PRESET = 'This Month';
+
+const SERIES_METRICS = [
+    { value: 'revenue', label: 'Revenue' },
+    { value: 'profit', label: 'Profit' }
+];
+
+// Rows shown in the profitability table before "show all"
+const PROFIT_ROWS = 15;
+
+const SummaryCard = ({ label, value, detail, tone }) => (
+    <div className={`p-3 sm:p-4 rounded-xl border min-w-0 ${tone}`}>
+        <div className="text-xs font-semibold uppercase tracking-wider opacity-80">{label}</div>
+        <div className="text-lg sm:text-2xl font-bold mt-1 break-words">{value}</div>
+        {detail && <div className="text-xs mt-1 opacity-80 break-words">{detail}</div>}
+    </div>
+);
+
+const Panel = ({ title, actions, children, className = '' }) => (
+    <div className={`bg-white rounded-lg shadow-md p-4 sm:p-6 min-w-0 ${className}`}>
+        <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+            <h2 className="text-base sm:text-lg font-semibold text-gray-800">{title}</h2>
+            {actions}
+        </div>
+        {children}
+    </div>
+);
+
+const ToggleGroup = ({ options, value, onChange }) => (
+    <div className="inline-flex rounded-lg bg-gray-100 p-0.5">
+        {options.map(option => (
+            <button
+                key={option.value}
+                onClick={() => onChange(option.value)}
+                className={`px-3 py-1 text-xs sm:text-sm rounded-md font-medium transition-colors ${value === option.value
+                    ? 'bg-white text-gray-900 shadow-sm'
+                    : 'text-gray-600 hover:text-gray-900'
+                    }`}
+            >
+                {option.label}
+            </button>
+        ))}
+    </div>
+);
+
+const Reports = () => {
+    const initialRange = getDateRangePresets().find(preset => preset.label === DEFAULT_PRESET);
+    const [dateFrom, setDateFrom] = useState(initialRange.from);
+    const [dateTo, setDateTo] = useState(initialRange.to);
+    const [granularity, setGranularity] = useState(() => suggestGranularity(initialRange.from, initialRange.to));
+    const [topProductsBy, setTopProductsBy] = useState('revenue');
+    const [breakdownBy, setBreakdownBy] = useState('category');
+    const [seriesMetric, setSeriesMetric] = useState('revenue');
+    const [profitBy, setProfitBy] = useState('category');
+    const [showAllProfit, setShowAllProfit] = useState(false);
+    const [bills, setBills] = useState([]);
+    const [returns, setReturns] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [returnsWarning, setReturnsWarning] = useState(null);
+
+    const fetchReport = useCallback(async () => {
+        if (dateFrom && dateTo && dateFrom > dateTo) return;
+        // Credit notes take returned units out of profit. A return always comes after its bill, so
+        // returns from the start date on cover every bill in the range, including ones returned later.
+        // Profit without them is still worth showing, so a failure here only warns.
+        const loadReturns = async () => {
+            try {
+                const response = await returnsAPI.getAll(dateFrom ? { from: dateFrom } : {});
+                setReturnsWarning(null);
+                return Array.isArray(response.data) ? response.data : response.data?.returns || [];
+            } catch (error) {
+                console.error('Error fetching returns for sales report:', error);
+                const errorMessage = error.response?.data?.error || error.message || 'Unknown error occurred';
+                setReturnsWarning(`Returns could not be loaded (${errorMessage}), profit includes returned items`);
+                return [];
+            }
+        };
+
+        try {
+            setLoading(true);
+            setError(null);
+            const [result, returnList] = await Promise.all([
+                fetchAllBills(billsAPI.getAll, {
+                    filters: { ...DEFAULT_BILL_FILTERS, dateFrom, dateTo }
+                }),
+                loadReturns()
+            ]);
+            const billIds = new Set(result.map(bill => String(bill.id)));
+            setBills(result);
+            setReturns(returnList.filter(creditNote => billIds.has(String(creditNote?.bill_id ?? ''))));
+        } catch (error) {
+            console.error('Error fetching sales report:', error);
+            const errorMessage = error.response?.data?.error || error.message || 'Unknown error occurred';
+            setError(`Failed to load sales: ${errorMessage}`);
+        } finally {
+            setLoading(false);
+        }
+    }, [dateFrom, dateTo]);
+
+    useEffect(() => {
+        fetchReport();
+    }, [fetchReport]);
+
+    const report = useMemo(
+        () => buildSalesReport(bills, { granularity, dateFrom, dateTo, returns }),
+        [bills, granularity, dateFrom, dateTo, returns]
+    );
+
+    const handlePreset = (preset) => {
+        setDateFrom(preset.from);
+        setDateTo(preset.to);
+        setGranularity(suggestGranularity(preset.from, preset.to));
+    };
+
+    const activePreset = getDateRangePresets().find(preset => preset.from === dateFrom && preset.to === dateTo);
+    const { summary } = report;
+    const topProducts = topProductsBy === 'revenue' ? report.topByRevenue : report.topByQuantity;
+    const breakdown = breakdownBy === 'category' ? report.categories : report.brands;
+    const { profit } = report;
+    const profitRows = profitBy === 'category' ? report.profitByCategory : report.profitByProduct;
+    const visibleProfitRows = showAllProfit ? profitRows : profitRows.slice(0, PROFIT_ROWS);
+
+    return (
+        <div className="app-container bg-gray-50">
+            <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 space-y-4 sm:space-y-6 mobile-content-spacing">
+                {/* Header & Date Range */}
+                <div className="bg-white rounded-lg shadow-md p-4 sm:p-6">
+                    <div className="flex flex-col lg:flex-row lg:items-end justify-between gap-4">
+                        <div>
+                            <h1 className="text-xl sm:text-2xl lg:text-3xl font-bold text-gray-900">Sales Reports</h1>
+                            <p className="text-sm text-gray-600 mt-1">
+                                {loading ? 'Loading bills...' : `${summary.billCount} bills between ${dateFrom || 'the first sale'} and ${dateTo || 'today'}`}
+                            </p>
+                        </div>
+                        <div className="flex flex-col sm:flex-row sm:items-end gap-3">
+                            <div className="grid grid-cols-2 gap-3">
+                                <label className="block">
+                                    <span className="block text-xs font-medium text-gray-600 mb-1">From</span>
+                                    <input
+                                        type="date"
+                                        value={dateFrom}
+                                        max={dateTo || undefined}
+                                        onChange={(e) => setDateFrom(e.target.value)}
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+                                    />
+                                </label>
+                                <label className="block">
+                                    <span className="block text-xs font-medium text-gray-600 mb-1">To</span>
+                                    <input
+                                        type="date"
+                                        value={dateTo}
+                                        min={dateFrom || undefined}
+                                        onChange={(e) => setDateTo(e.target.value)}
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+                                    />
+                                </label>
+                            </div>
+                            <button
+                                onClick={fetchReport}
+                                disabled={loading}
+                                className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 transition-colors flex items-center justify-center text-sm font-medium shadow-sm"
+                            >
+                                <svg className={`w-4 h-4 mr-2 ${loading ? 'animate-spin' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                                </svg>
+                                Refresh
+                            </button>
+                        </div>
+                    </div>
+                    <div className="flex flex-wrap gap-2 mt-4">
+                        {getDateRangePresets().map(preset => (
+                            <button
+                                key={preset.label}
+                                onClick={() => handlePreset(preset)}
+                                className={`px-3 py-1 text-xs sm:text-sm font-medium rounded-full transition-colors ${activePreset?.label === preset.label
+                                    ? 'bg-blue-600 text-white'
+                                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                                    }`}
+                            >
+                                {preset.label}
+                            </button>
+                        ))}
+                    </div>
+                    {dateFrom && dateTo && dateFrom > dateTo && (
+                        <p className="text-xs text-red-600 mt-2">The start date must be before the end date</p>
+                    )}
+                </div>
+
+                {error && (
+                    <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+                        <span className="text-sm">{error}</span>
+                        <button onClick={fetchReport} className="text-sm font-medium text-red-700 underline">Try again</button>
+                    </div>
+                )}
+
+                {returnsWarning && !error && (
+                    <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+                        <span className="text-sm">{returnsWarning}</span>
+                        <button onClick={fetchReport} className="text-sm font-medium text-yellow-800 underline">Try again</button>
+                    </div>
+                )}
+
+                {/* Summary */}
+                <div className={`grid grid-cols-2 md:grid-cols-4 gap-3 sm:gap-4 ${loading ? 'opacity-60' : ''}`}>
+                    <SummaryCard
+                        label="Revenue"
+                        value={formatCurrency(summary.revenue)}
+                        detail={`Tax ${formatCurrency(summary.tax)}`}
+                        tone="bg-blue-50 border-blue-100 text-blue-900"
+                    />
+                    <SummaryCard
+                        label="Bills"
+                        value={summary.billCount.toLocaleString('en-IN')}
+                        detail={`${summary.itemsSold.toLocaleString('en-IN')} items sold`}
+                        tone="bg-green-50 border-green-100 text-green-900"
+                    />
+                    <SummaryCard
+                        label="Average Bill"
+                        value={formatCurrency(summary.averageBill)}
+                        detail={`${summary.averageItems.toFixed(1)} items per bill`}
+                        tone="bg-indigo-50 border-indigo-100 text-indigo-900"
+                    />
+                    <SummaryCard
+                        label="Discounts"
+                        value={formatCurrency(summary.discount)}
+                        detail="Given at checkout"
+                        tone="bg-yellow-50 border-yellow-100 text-yellow-900"
+                    />
+                    <SummaryCard
+                        label="Refunds"
+                        value={formatCurrency(summary.refunded)}
+                        detail="Credit notes issued"
+                        tone="bg-red-50 border-red-100 text-red-900"
+                    />
+                    <SummaryCard
+                        label="Net Revenue"
+                        value={formatCurrency(summary.netRevenue)}
+                        detail="Revenue less refunds"
+                        tone="bg-purple-50 border-purple-100 text-purple-900"
+                    />
+                    <SummaryCard
+                        label="Gross Profit"
+                        value={formatCurrency(profit.profit)}
+                        detail={`${formatMarginPercent(profit.margin)} margin after returns`}
+                        tone="bg-emerald-50 border-emerald-100 text-emerald-900"
+                    />
+                    <SummaryCard
+                        label="Cost of Goods"
+                        value={formatCurrency(profit.cost)}
+                        detail={profit.uncostedSales > 0
+                            ? `${formatCurrency(profit.uncostedSales)} of sales has no cost price`
+                            : 'All sales costed'}
+                        tone="bg-gray-50 border-gray-200 text-gray-900"
+                    />
+                </div>
+
+                {/* Revenue or profit over time */}
+                <Panel
+                    title={seriesMetric === 'revenue' ? 'Revenue' : 'Gross Profit'}
+                    actions={(
+                        <div className="flex flex-wrap gap-2">
+                            <ToggleGroup options={SERIES_METRICS} value={seriesMetric} onChange={setSeriesMetric} />
+                            <ToggleGroup options={REPORT_GRANULARITIES} value={granularity} onChange={setGranularity} />
+                        </div>
+                    )}
+                >
+                    <ColumnChart
+                        data={report.revenueSeries.map(point => ({
+                            key: point.key,
+                            label: point.label,
+                            value: Math.max(point[seriesMetric], 0),
+                            detail: seriesMetric === 'revenue'
+                                ? `${point.bills} bills`
+                                : `${formatRupees(point.profit)} on ${formatRupees(point.revenue)} revenue`
+                        }))}
+                        formatValue={formatRupees}
+                    />
+                </Panel>
+
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 sm:gap-6">
+                    <Panel
+                        title="Top Products"
+                        actions={(
+                            <ToggleGroup
+                                options={[{ value: 'revenue', label: 'Revenue' }, { value: 'quantity', label: 'Quantity' }]}
+                                value={topProductsBy}
+                                onChange={setTopProductsBy}
+                            />
+                        )}
+                    >
+                        <BarList
+                            items={topProducts.map(product => ({
+                                key: product.key,
+                                label: product.label,
+                                value: product[topProductsBy],
+                                detail: topProductsBy === 'revenue' ? `${product.quantity} sold` : formatRupees(product.revenue)
+                            }))}
+                            formatValue={topProductsBy === 'revenue' ? formatRupees : (value) => `${value} units`}
+                        />
+                    </Panel>
+
+                    <Panel title="Payment Methods">
+                        <DonutChart
+                            items={report.paymentMix.map(method => ({ key: method.key, label: `${method.label} (${method.count})`, value: method.amount }))}
+                            formatValue={formatRupees}
+                            centerLabel={formatRupees(report.paymentMix.reduce((sum, method) => sum + method.amount, 0))}
+                        />
+                    </Panel>
+                </div>
+
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 sm:gap-6">
+                    <Panel
+                        title="Sales Breakdown"
+                        actions={(
+                            <ToggleGroup
+                                options={[{ value: 'category', label: 'Category' }, { value: 'brand', label: 'Brand' }]}
+                                value={breakdownBy}
+                                onChange={setBreakdownBy}
+                            />
+                        )}
+                    >
+                        <BarList
+                            items={breakdown.slice(0, 12).map(group => ({
+                                key: group.key,
+                                label: group.label,
+                                value: group.revenue,
+                                detail: `${group.quantity} sold`
+                            }))}
+                            formatValue={formatRupees}
+                            color="#16a34a"
+                        />
+                        {breakdown.length > 12 && (
+                            <p className="text-xs text-gray-500 mt-3">Showing the top 12 of {breakdown.length}</p>
+                        )}
+                    </Panel>
+
+                    <Panel title="Sales by Biller">
+                        {report.billers.length === 0 ? (
+                            <BarList items={[]} />
+                        ) : (
+                            <div className="overflow-x-auto">
+                                <table className="min-w-full text-sm">
+                                    <thead>
+                                        <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider border-b border-gray-200">
+                                            <th className="py-2 pr-3">Biller</th>
+                                            <th className="py-2 px-3 text-right">Bills</th>
+                                            <th className="py-2 px-3 text-right">Revenue</th>
+                                            <th className="py-2 pl-3 text-right">Avg Bill</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-gray-100">
+                                        {report.billers.map(biller => (
+                                            <tr key={biller.key}>
+                                                <td className="py-2 pr-3 text-gray-900">{biller.label}</td>
+                                                <td className="py-2 px-3 text-right text-gray-700">{biller.bills}</td>
+                                                <td className="py-2 px-3 text-right font-semibold text-gray-900">{formatCurrency(biller.revenue)}</td>
+                                                <td className="py-2 pl-3 text-right text-gray-700">{formatCurrency(biller.averageBill)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </Panel>
+                </div>
+
+                {/* Profitability */}
+                <Panel
+                    title="Profitability"
+                    actions={(
+                        <ToggleGroup
+                            options={[{ value: 'category', label: 'Category' }, { value: 'product', label: 'Product' }]}
+                            value={profitBy}
+                            onChange={setProfitBy}
+                        />
+                    )}
+                >
+                    <p className="text-xs text-gray-500 -mt-2 mb-3">
+                        Sales before GST and after discounts, against the cost price at the time of sale. Lines without a cost price are left out of profit and margin.
+                    </p>
+                    {profitRows.length === 0 ? (
+                        <BarList items={[]} />
+                    ) : (
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full text-sm">
+                                <thead>
+                                    <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider border-b border-gray-200">
+                                        <th className="py-2 pr-3">{profitBy === 'category' ? 'Category' : 'Product'}</th>
+                                        <th className="py-2 px-3 text-right">Sold</th>
+                                        <th className="py-2 px-3 text-right">Sales</th>
+                                        <th className="py-2 px-3 text-right">Cost</th>
+                                        <th className="py-2 px-3 text-right">Profit</th>
+                                        <th className="py-2 pl-3 text-right">Margin</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-100">
+                                    {visibleProfitRows.map(row => (
+                                        <tr key={row.key}>
+                                            <td className="py-2 pr-3 text-gray-900">
+                                                {row.label}
+                                                {row.uncostedSales > 0 && (
+                                                    <span className="block text-xs text-gray-500">
+                                                        {formatCurrency(row.uncostedSales)} without cost price
+                                                    </span>
+                                                )}
+                                            </td>
+                                            <td className="py-2 px-3 text-right text-gray-700">{row.quantity}</td>
+                                            <td className="py-2 px-3 text-right text-gray-700">{formatCurrency(row.sales)}</td>
+                                            <td className="py-2 px-3 text-right text-gray-700">{row.costedSales > 0 ? formatCurrency(row.cost) : '—'}</td>
+                                            <td className={`py-2 px-3 text-right font-semibold ${row.costedSales > 0 ? getMarginClass(row.margin) : 'text-gray-500'}`}>
+                                                {row.costedSales > 0 ? formatCurrency(row.profit) : '—'}
+                                            </td>
+                                            <td className={`py-2 pl-3 text-right font-medium ${getMarginClass(row.margin)}`}>{formatMarginPercent(row.margin)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            {profitRows.length > PROFIT_ROWS && (
+                                <button
+                                    onClick={() => setShowAllProfit(prev => !prev)}
+                                    className="text-xs text-blue-600 hover:text-blue-800 font-medium mt-3"
+                                >
+                                    {showAllProfit ? `Show top ${PROFIT_ROWS}` : `Show all ${profitRows.length}`}
+                                </button>
+                            )}
+                        </div>
+                    )}
+                </Panel>
+
+                <Panel title="Busy Hours">
+                    <p className="text-xs text-gray-500 -mt-2 mb-3">Bills by weekday and hour of day, darker is busier</p>
+                    <div className="overflow-x-auto">
+                        <div className="min-w-[560px]">
+                            <Heatmap
+                                grid={report.heatmap}
+                                rowLabels={WEEKDAY_LABELS}
+                                columnLabel={formatHour}
+                                valueOf={(cell) => cell.bills}
+                                describe={(row, hour, cell) => `${WEEKDAY_LABELS[row]} ${formatHour(hour)}: ${cell.bills} bills, ${formatRupees(cell.revenue)}`}
+                            />
+                        </div>
+                    </div>
+                </Panel>
+            </div>
+        </div>
+    );
+};
+
+export default Reports;
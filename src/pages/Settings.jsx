@@ -0,0 +1,768 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import useShopStore from '../stores/useShopStore';
+import usePrinterStore from '../stores/usePrinterStore';
+import Alert from '../components/Alert';
+import { isValidGSTIN, getStateCodeFromGSTIN, getStateName } from '../utils/gst';
+import { isValidShopPhone, isValidEmail, isValidWebsite } from '../utils/validation';
+import { RECEIPT_PAPER_SIZES } from '../utils/receipt';
+import { LOYALTY_REDEEM_MODES } from '../utils/loyalty';
+import { isValidUpiId } from '../utils/upi';
+import { isValidOverridePin } from '../utils/cartLines';
+import { shopAPI } from '../services/api';
+
+const inputClass = 'w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors text-sm';
+
+const toFormData = (settings) => ({
+    shop_name: settings.shop_name || '',
+    address_line1: settings.address_line1 || '',
+    address_line2: settings.address_line2 || '',
+    phone: settings.phone || '',
+    email: settings.email || '',
+    website: settings.website || '',
+    gst_number: settings.gst_number || '',
+    invoice_terms: settings.invoice_terms || '',
+    footer_text: settings.footer_text || '',
+    return_window_days: String(settings.return_window_days ?? ''),
+    prices_include_tax: settings.prices_include_tax !== false,
+    upi_id: settings.upi_id || '',
+    upi_payee_name: settings.upi_payee_name || '',
+    loyalty_enabled: settings.loyalty_enabled === true,
+    loyalty_earn_rate: String(settings.loyalty_earn_rate ?? ''),
+    loyalty_point_value: String(settings.loyalty_point_value ?? ''),
+    loyalty_min_redeem_points: String(settings.loyalty_min_redeem_points ?? ''),
+    loyalty_redeem_mode: settings.loyalty_redeem_mode || 'tender'
+});
+
+// Field-level validation, returns { field: message } for every invalid field
+const validateSettings = (formData) => {
+    const errors = {};
+
+    if (!formData.shop_name.trim()) {
+        errors.shop_name = 'Shop name is required';
+    }
+
+    if (!formData.address_line1.trim()) {
+        errors.address_line1 = 'Address is required';
+    }
+
+    if (!formData.phone.trim()) {
+        errors.phone = 'Phone number is required';
+    } else if (!isValidShopPhone(formData.phone)) {
+        errors.phone = 'Enter a valid mobile (10 digits) or landline with STD code';
+    }
+
+    if (formData.email.trim() && !isValidEmail(formData.email)) {
+        errors.email = 'Enter a valid email address';
+    }
+
+    if (formData.website.trim() && !isValidWebsite(formData.website)) {
+        errors.website = 'Enter a valid website, e.g. www.example.com';
+    }
+
+    if (!formData.gst_number.trim()) {
+        errors.gst_number = 'GST number is required for tax invoices';
+    } else if (!isValidGSTIN(formData.gst_number)) {
+        errors.gst_number = 'Invalid GSTIN - check the number, the check digit does not match';
+    }
+
+    const returnWindow = Number(formData.return_window_days);
+    if (formData.return_window_days === '' || !Number.isInteger(returnWindow) || returnWindow < 0 || returnWindow > 365) {
+        errors.return_window_days = 'Enter the number of days (0 to 365)';
+    }
+
+    if (formData.upi_id.trim() && !isValidUpiId(formData.upi_id)) {
+        errors.upi_id = 'Enter a UPI ID like shopname@okaxis';
+    }
+
+    // Loyalty numbers only matter while the program is on
+    if (formData.loyalty_enabled) {
+        const earnRate = Number(formData.loyalty_earn_rate);
+        if (formData.loyalty_earn_rate === '' || isNaN(earnRate) || earnRate <= 0) {
+            errors.loyalty_earn_rate = 'Enter the points earned per ₹100';
+        }
+        const pointValue = Number(formData.loyalty_point_value);
+        if (formData.loyalty_point_value === '' || isNaN(pointValue) || pointValue <= 0) {
+            errors.loyalty_point_value = 'Enter what one point is worth in ₹';
+        }
+        const minPoints = Number(formData.loyalty_min_redeem_points);
+        if (formData.loyalty_min_redeem_points === '' || !Number.isInteger(minPoints) || minPoints < 0) {
+            errors.loyalty_min_redeem_points = 'Enter a whole number of points (0 or more)';
+        }
+    }
+
+    return errors;
+};
+
+// The manager PIN is saved on its own; changing or removing a PIN that is set needs that PIN
+const validatePinChange = (pinForm, { enabled, turnOff }) => {
+    const errors = {};
+    if (enabled && !isValidOverridePin(pinForm.current_pin)) {
+        errors.current_pin = 'Enter the current PIN';
+    }
+    if (!turnOff && !isValidOverridePin(pinForm.new_pin)) {
+        errors.new_pin = 'Use 4 to 6 digits';
+    }
+    return errors;
+};
+
+const EMPTY_PIN_FORM = { current_pin: '', new_pin: '' };
+
+const FieldError = ({ message }) => (
+    message ? <p className="text-xs text-red-600 mt-1">{message}</p> : null
+);
+
+const Settings = () => {
+    const settings = useShopStore((state) => state.settings);
+    const fetchSettings = useShopStore((state) => state.fetchSettings);
+    const updateSettings = useShopStore((state) => state.updateSettings);
+    const paperWidth = usePrinterStore((state) => state.paperWidth);
+    const setPaperWidth = usePrinterStore((state) => state.setPaperWidth);
+    const bridgeUrl = usePrinterStore((state) => state.bridgeUrl);
+    const setBridgeUrl = usePrinterStore((state) => state.setBridgeUrl);
+
+    const [formData, setFormData] = useState(() => toFormData(settings));
+    const [errors, setErrors] = useState({});
+    const [logoFile, setLogoFile] = useState(null);
+    const [logoPreview, setLogoPreview] = useState(settings.logo_url || null);
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [pinForm, setPinForm] = useState(EMPTY_PIN_FORM);
+    const [pinErrors, setPinErrors] = useState({});
+    const [savingPin, setSavingPin] = useState(false);
+
+    // Alert state
+    const [alert, setAlert] = useState({
+        isOpen: false,
+        severity: 'info',
+        message: ''
+    });
+
+    const showAlert = useCallback((severity, message) => {
+        setAlert({
+            isOpen: true,
+            severity,
+            message
+        });
+    }, []);
+
+    const closeAlert = useCallback(() => {
+        setAlert(prev => ({ ...prev, isOpen: false }));
+    }, []);
+
+    // Always load the latest saved settings when the page opens
+    useEffect(() => {
+        const loadSettings = async () => {
+            const latest = await fetchSettings(true);
+            setFormData(toFormData(latest));
+            setLogoPreview(latest.logo_url || null);
+            setLoading(false);
+        };
+
+        loadSettings();
+    }, [fetchSettings]);
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: type === 'checkbox' ? checked : value
+        }));
+        setErrors(prev => ({ ...prev, [name]: undefined }));
+    };
+
+    const handleLogoChange = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        // Validate file size (max 2MB)
+        if (file.size > 2 * 1024 * 1024) {
+            showAlert('error', 'Logo size must be less than 2MB');
+            return;
+        }
+
+        const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/svg+xml'];
+        if (!allowedTypes.includes(file.type)) {
+            showAlert('error', 'Please select a valid logo image (JPEG, PNG, WebP or SVG)');
+            return;
+        }
+
+        setLogoFile(file);
+        const reader = new FileReader();
+        reader.onloadend = () => {
+            setLogoPreview(reader.result);
+        };
+        reader.readAsDataURL(file);
+    };
+
+    const handleRemoveLogo = () => {
+        setLogoFile(null);
+        setLogoPreview(null);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        const validationErrors = validateSettings(formData);
+        setErrors(validationErrors);
+        if (Object.keys(validationErrors).length > 0) {
+            showAlert('error', 'Please fix the highlighted fields');
+            return;
+        }
+
+        const payload = {
+            ...formData,
+            gst_number: formData.gst_number.trim().toUpperCase(),
+            state_code: getStateCodeFromGSTIN(formData.gst_number.trim().toUpperCase()),
+            logo_url: logoPreview ? settings.logo_url : '',
+            return_window_days: parseInt(formData.return_window_days, 10),
+            upi_id: formData.upi_id.trim(),
+            upi_payee_name: formData.upi_payee_name.trim(),
+            loyalty_earn_rate: parseFloat(formData.loyalty_earn_rate) || 0,
+            loyalty_point_value: parseFloat(formData.loyalty_point_value) || 0,
+            loyalty_min_redeem_points: parseInt(formData.loyalty_min_redeem_points, 10) || 0
+        };
+
+        setSaving(true);
+        try {
+            if (logoFile) {
+                // Logo upload needs a multipart request
+                const submitData = new FormData();
+                Object.keys(payload).forEach(key => {
+                    submitData.append(key, payload[key]);
+                });
+                submitData.append('logo', logoFile);
+                await updateSettings(submitData);
+            } else {
+                await updateSettings(payload);
+            }
+            setLogoFile(null);
+            showAlert('success', 'Shop settings saved successfully');
+        } catch (error) {
+            console.error('Error saving shop settings:', error);
+            const errorMessage = error.response?.data?.error || error.message || 'Unknown error occurred';
+            showAlert('error', `Failed to save settings: ${errorMessage}`);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handlePinChange = (e) => {
+        const { name, value } = e.target;
+        setPinForm(prev => ({ ...prev, [name]: value.replace(/\D/g, '') }));
+        setPinErrors(prev => ({ ...prev, [name]: undefined }));
+    };
+
+    // The PIN goes straight to the server and is never kept in the settings the browser holds
+    const handleSavePin = async (turnOff = false) => {
+        const enabled = settings.price_override_enabled;
+        const validationErrors = validatePinChange(pinForm, { enabled, turnOff });
+        setPinErrors(validationErrors);
+        if (Object.keys(validationErrors).length > 0) return;
+
+        setSavingPin(true);
+        try {
+            await shopAPI.changeOverridePin(enabled ? pinForm.current_pin.trim() : '', turnOff ? '' : pinForm.new_pin.trim());
+            await fetchSettings(true);
+            setPinForm(EMPTY_PIN_FORM);
+            showAlert('success', turnOff ? 'Price overrides turned off' : 'Manager PIN saved');
+        } catch (error) {
+            console.error('Error saving manager PIN:', error);
+            if (error.response?.status === 401 || error.response?.status === 403) {
+                setPinErrors({ current_pin: 'Incorrect PIN' });
+                return;
+            }
+            const errorMessage = error.response?.data?.error || error.message || 'Unknown error occurred';
+            showAlert('error', `Failed to save the PIN: ${errorMessage}`);
+        } finally {
+            setSavingPin(false);
+        }
+    };
+
+    const gstStateCode = getStateCodeFromGSTIN(formData.gst_number.trim().toUpperCase());
+
+    if (loading) {
+        return (
+            <div className="app-container flex justify-center items-center bg-gray-50 p-4">
+                <div className="text-center">
+                    <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+                    <p className="mt-4 text-gray-600">Loading settings...</p>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="app-container bg-gray-50">
+            <Alert
+                isOpen={alert.isOpen}
+                severity={alert.severity}
+                message={alert.message}
+                onClose={closeAlert}
+                position="top"
+                duration={4000}
+            />
+
+            <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-6 mobile-content-spacing">
+                <div className="mb-6">
+                    <h1 className="text-xl sm:text-2xl lg:text-3xl font-bold text-gray-900">Shop Settings</h1>
+                    <p className="text-sm text-gray-600 mt-1">
+                        These details are printed on every invoice and receipt
+                    </p>
+                </div>
+
+                <form onSubmit={handleSubmit} className="space-y-6">
+                    {/* Shop Details */}
+                    <div className="bg-white rounded-lg shadow-md p-4 sm:p-6 space-y-4">
+                        <h2 className="text-lg font-semibold text-gray-800">Shop Details</h2>
+
+                        <div className="flex flex-col sm:flex-row items-start sm:items-center space-y-3 sm:space-y-0 sm:space-x-4">
+                            <div className="flex-shrink-0">
+                                {logoPreview ? (
+                                    <div className="relative inline-block">
+                                        <img
+                                            src={logoPreview}
+                                            alt="Shop logo"
+                                            className="h-20 w-20 object-contain rounded-lg border-2 border-gray-200 bg-white"
+                                        />
+                                        <button
+                                            type="button"
+                                            onClick={handleRemoveLogo}
+                                            className="absolute -top-2 -right-2 bg-red-500 text-white rounded-full w-6 h-6 flex items-center justify-center text-xs hover:bg-red-600 transition-colors"
+                                        >
+                                            ×
+                                        </button>
+                                    </div>
+                                ) : (
+                                    <div className="h-20 w-20 border-2 border-dashed border-gray-300 rounded-lg flex items-center justify-center bg-gray-50 text-xs text-gray-400">
+                                        No logo
+                                    </div>
+                                )}
+                            </div>
+                            <div className="flex-1 w-full">
+                                <label className="block text-sm font-medium text-gray-700 mb-2">Shop Logo</label>
+                                <input
+                                    type="file"
+                                    accept="image/*"
+                                    onChange={handleLogoChange}
+                                    className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100 cursor-pointer file:cursor-pointer"
+                                />
+                                <p className="text-xs text-gray-500 mt-1">JPEG, PNG, WebP, SVG • Max: 2MB</p>
+                            </div>
+                        </div>
+
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">
+                                Shop Name <span className="text-red-500">*</span>
+                            </label>
+                            <input
+                                type="text"
+                                name="shop_name"
+                                value={formData.shop_name}
+                                onChange={handleChange}
+                                className={`${inputClass} ${errors.shop_name ? 'border-red-400' : 'border-gray-300'}`}
+                            />
+                            <FieldError message={errors.shop_name} />
+                        </div>
+
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">
+                                    Address Line 1 <span className="text-red-500">*</span>
+                                </label>
+                                <input
+                                    type="text"
+                                    name="address_line1"
+                                    value={formData.address_line1}
+                                    onChange={handleChange}
+                                    className={`${inputClass} ${errors.address_line1 ? 'border-red-400' : 'border-gray-300'}`}
+                                />
+                                <FieldError message={errors.address_line1} />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">Address Line 2</label>
+                                <input
+                                    type="text"
+                                    name="address_line2"
+                                    placeholder="City, State - PIN"
+                                    value={formData.address_line2}
+                                    onChange={handleChange}
+                                    className={`${inputClass} border-gray-300`}
+                                />
+                            </div>
+                        </div>
+                    </div>
+
+                    {/* Contact & Tax */}
+                    <div className="bg-white rounded-lg shadow-md p-4 sm:p-6 space-y-4">
+                        <h2 className="text-lg font-semibold text-gray-800">Contact & Tax</h2>
+
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">
+                                    Phone <span className="text-red-500">*</span>
+                                </label>
+                                <input
+                                    type="tel"
+                                    name="phone"
+                                    placeholder="+91 98765 43210"
+                                    value={formData.phone}
+                                    onChange={handleChange}
+                                    className={`${inputClass} ${errors.phone ? 'border-red-400' : 'border-gray-300'}`}
+                                />
+                                <FieldError message={errors.phone} />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">Email</label>
+                                <input
+                                    type="email"
+                                    name="email"
+                                    value={formData.email}
+                                    onChange={handleChange}
+                                    className={`${inputClass} ${errors.email ? 'border-red-400' : 'border-gray-300'}`}
+                                />
+                                <FieldError message={errors.email} />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">Website</label>
+                                <input
+                                    type="text"
+                                    name="website"
+                                    value={formData.website}
+                                    onChange={handleChange}
+                                    className={`${inputClass} ${errors.website ? 'border-red-400' : 'border-gray-300'}`}
+                                />
+                                <FieldError message={errors.website} />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">
+                                    GST Number <span className="text-red-500">*</span>
+                                </label>
+                                <input
+                                    type="text"
+                                    name="gst_number"
+                                    placeholder="15 character GSTIN"
+                                    maxLength="15"
+                                    value={formData.gst_number}
+                                    onChange={(e) => handleChange({ target: { name: 'gst_number', value: e.target.value.toUpperCase() } })}
+                                    className={`${inputClass} font-mono ${errors.gst_number ? 'border-red-400' : 'border-gray-300'}`}
+                                />
+                                <FieldError message={errors.gst_number} />
+                                {!errors.gst_number && gstStateCode && (
+                                    <p className="text-xs text-gray-500 mt-1">
+                                        Registered in {getStateName(gstStateCode)} ({gstStateCode})
+                                    </p>
+                                )}
+                            </div>
+                        </div>
+
+                        <label className="flex items-center space-x-2 text-sm text-gray-700">
+                            <input
+                                type="checkbox"
+                                name="prices_include_tax"
+                                checked={formData.prices_include_tax}
+                                onChange={handleChange}
+                                className="h-4 w-4 rounded border-gray-300"
+                            />
+                            <span>Product prices already include GST (MRP pricing)</span>
+                        </label>
+                    </div>
+
+                    {/* Returns */}
+                    <div className="bg-white rounded-lg shadow-md p-4 sm:p-6 space-y-4">
+                        <h2 className="text-lg font-semibold text-gray-800">Returns</h2>
+
+                        <div className="sm:w-1/2">
+                            <label className="block text-sm font-medium text-gray-700 mb-2">Return Window (days)</label>
+                            <input
+                                type="number"
+                                name="return_window_days"
+                                min="0"
+                                max="365"
+                                value={formData.return_window_days}
+                                onChange={handleChange}
+                                className={`${inputClass} ${errors.return_window_days ? 'border-red-400' : 'border-gray-300'}`}
+                            />
+                            <FieldError message={errors.return_window_days} />
+                            <p className="text-xs text-gray-500 mt-1">Days after the bill date within which items can be returned. 0 allows same-day returns only</p>
+                        </div>
+                    </div>
+
+                    {/* UPI */}
+                    <div className="bg-white rounded-lg shadow-md p-4 sm:p-6 space-y-4">
+                        <h2 className="text-lg font-semibold text-gray-800">UPI Payments</h2>
+
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">UPI ID</label>
+                                <input
+                                    type="text"
+                                    name="upi_id"
+                                    value={formData.upi_id}
+                                    onChange={handleChange}
+                                    placeholder="shopname@okaxis"
+                                    className={`${inputClass} font-mono ${errors.upi_id ? 'border-red-400' : 'border-gray-300'}`}
+                                />
+                                <FieldError message={errors.upi_id} />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">Payee Name</label>
+                                <input
+                                    type="text"
+                                    name="upi_payee_name"
+                                    value={formData.upi_payee_name}
+                                    onChange={handleChange}
+                                    placeholder={formData.shop_name || 'Shop name'}
+                                    className={`${inputClass} border-gray-300`}
+                                />
+                            </div>
+                        </div>
+                        <p className="text-xs text-gray-500">
+                            With a UPI ID set, checkout and the customer display show a QR for the exact amount whenever UPI is picked as the payment, and invoices can carry one for a balance left on Pay Later. Leave empty to turn the QR off
+                        </p>
+                    </div>
+
+                    {/* Price Overrides */}
+                    <div className="bg-white rounded-lg shadow-md p-4 sm:p-6 space-y-4">
+                        <div className="flex justify-between items-center gap-2">
+                            <h2 className="text-lg font-semibold text-gray-800">Price Overrides</h2>
+                            <span className={`text-xs font-medium px-2 py-1 rounded-full ${settings.price_override_enabled ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'}`}>
+                                {settings.price_override_enabled ? 'On' : 'Off'}
+                            </span>
+                        </div>
+
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                            {settings.price_override_enabled && (
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-2">Current PIN</label>
+                                    <input
+                                        type="password"
+                                        name="current_pin"
+                                        value={pinForm.current_pin}
+                                        onChange={handlePinChange}
+                                        inputMode="numeric"
+                                        autoComplete="off"
+                                        maxLength={6}
+                                        className={`${inputClass} font-mono ${pinErrors.current_pin ? 'border-red-400' : 'border-gray-300'}`}
+                                    />
+                                    <FieldError message={pinErrors.current_pin} />
+                                </div>
+                            )}
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">
+                                    {settings.price_override_enabled ? 'New PIN' : 'Manager PIN'}
+                                </label>
+                                <input
+                                    type="password"
+                                    name="new_pin"
+                                    value={pinForm.new_pin}
+                                    onChange={handlePinChange}
+                                    inputMode="numeric"
+                                    autoComplete="new-password"
+                                    maxLength={6}
+                                    placeholder="4 to 6 digits"
+                                    className={`${inputClass} font-mono ${pinErrors.new_pin ? 'border-red-400' : 'border-gray-300'}`}
+                                />
+                                <FieldError message={pinErrors.new_pin} />
+                            </div>
+                        </div>
+                        <div className="flex flex-wrap gap-3">
+                            <button
+                                type="button"
+                                onClick={() => handleSavePin(false)}
+                                disabled={savingPin}
+                                className="bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors text-sm font-medium"
+                            >
+                                {settings.price_override_enabled ? 'Change PIN' : 'Set PIN'}
+                            </button>
+                            {settings.price_override_enabled && (
+                                <button
+                                    type="button"
+                                    onClick={() => handleSavePin(true)}
+                                    disabled={savingPin}
+                                    className="bg-white border border-gray-300 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-100 disabled:opacity-50 transition-colors text-sm font-medium"
+                                >
+                                    Turn Off Overrides
+                                </button>
+                            )}
+                        </div>
+                        <p className="text-xs text-gray-500">
+                            Changing an item's price at checkout asks for a reason, the approving manager's name and this PIN, and the bill line records who approved it. The PIN is checked by the server and saved separately from the settings below
+                        </p>
+                    </div>
+
+                    {/* Loyalty Points */}
+                    <div className="bg-white rounded-lg shadow-md p-4 sm:p-6 space-y-4">
+                        <h2 className="text-lg font-semibold text-gray-800">Loyalty Points</h2>
+
+                        <label className="flex items-center space-x-2 text-sm text-gray-700">
+                            <input
+                                type="checkbox"
+                                name="loyalty_enabled"
+                                checked={formData.loyalty_enabled}
+                                onChange={handleChange}
+                                className="h-4 w-4 rounded border-gray-300"
+                            />
+                            <span>Customers earn points on every bill, keyed on their phone number</span>
+                        </label>
+
+                        {formData.loyalty_enabled && (
+                            <>
+                                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-2">Points per ₹100 Spent</label>
+                                        <input
+                                            type="number"
+                                            name="loyalty_earn_rate"
+                                            min="0"
+                                            step="0.1"
+                                            value={formData.loyalty_earn_rate}
+                                            onChange={handleChange}
+                                            className={`${inputClass} ${errors.loyalty_earn_rate ? 'border-red-400' : 'border-gray-300'}`}
+                                        />
+                                        <FieldError message={errors.loyalty_earn_rate} />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-2">Value of 1 Point (₹)</label>
+                                        <input
+                                            type="number"
+                                            name="loyalty_point_value"
+                                            min="0"
+                                            step="0.01"
+                                            value={formData.loyalty_point_value}
+                                            onChange={handleChange}
+                                            className={`${inputClass} ${errors.loyalty_point_value ? 'border-red-400' : 'border-gray-300'}`}
+                                        />
+                                        <FieldError message={errors.loyalty_point_value} />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-2">Minimum Points to Redeem</label>
+                                        <input
+                                            type="number"
+                                            name="loyalty_min_redeem_points"
+                                            min="0"
+                                            step="1"
+                                            value={formData.loyalty_min_redeem_points}
+                                            onChange={handleChange}
+                                            className={`${inputClass} ${errors.loyalty_min_redeem_points ? 'border-red-400' : 'border-gray-300'}`}
+                                        />
+                                        <FieldError message={errors.loyalty_min_redeem_points} />
+                                    </div>
+                                </div>
+
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-2">Redeem Points</label>
+                                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                                        {LOYALTY_REDEEM_MODES.map(mode => (
+                                            <label
+                                                key={mode.value}
+                                                className={`flex items-start space-x-2 p-3 rounded-lg border-2 cursor-pointer text-sm ${formData.loyalty_redeem_mode === mode.value
+                                                    ? 'border-blue-500 bg-blue-50'
+                                                    : 'border-gray-200 hover:border-gray-300'
+                                                    }`}
+                                            >
+                                                <input
+                                                    type="radio"
+                                                    name="loyalty_redeem_mode"
+                                                    value={mode.value}
+                                                    checked={formData.loyalty_redeem_mode === mode.value}
+                                                    onChange={handleChange}
+                                                    className="mt-0.5"
+                                                />
+                                                <span>
+                                                    <span className="block font-medium text-gray-800">{mode.label}</span>
+                                                    <span className="block text-xs text-gray-500">{mode.description}</span>
+                                                </span>
+                                            </label>
+                                        ))}
+                                    </div>
+                                </div>
+
+                                <p className="text-xs text-gray-500">
+                                    Points are earned on the amount paid in money, so points used on a bill earn nothing.
+                                    Returns take back the points earned on the returned share and give back any points redeemed on it.
+                                </p>
+                            </>
+                        )}
+                    </div>
+
+                    {/* Invoice Text */}
+                    <div className="bg-white rounded-lg shadow-md p-4 sm:p-6 space-y-4">
+                        <h2 className="text-lg font-semibold text-gray-800">Invoice Text</h2>
+
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">Terms & Conditions</label>
+                            <textarea
+                                name="invoice_terms"
+                                rows="5"
+                                value={formData.invoice_terms}
+                                onChange={handleChange}
+                                className={`${inputClass} border-gray-300 resize-y`}
+                            />
+                            <p className="text-xs text-gray-500 mt-1">One term per line</p>
+                        </div>
+
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">Footer Text</label>
+                            <input
+                                type="text"
+                                name="footer_text"
+                                value={formData.footer_text}
+                                onChange={handleChange}
+                                className={`${inputClass} border-gray-300`}
+                            />
+                        </div>
+                    </div>
+
+                    <div className="flex justify-end pb-8">
+                        <button
+                            type="submit"
+                            disabled={saving}
+                            className="w-full sm:w-auto bg-blue-600 text-white py-3 px-8 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors font-medium"
+                        >
+                            {saving ? 'Saving...' : 'Save Settings'}
+                        </button>
+                    </div>
+                </form>
+
+                {/* Receipt printer setup is stored on this device only */}
+                <div className="bg-white rounded-lg shadow-md p-4 sm:p-6 space-y-4 mb-8">
+                    <div>
+                        <h2 className="text-lg font-semibold text-gray-800">Receipt Printer</h2>
+                        <p className="text-xs text-gray-500 mt-1">Saved on this device only</p>
+                    </div>
+
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">Paper Width</label>
+                            <select
+                                value={paperWidth}
+                                onChange={(e) => setPaperWidth(Number(e.target.value))}
+                                className={`${inputClass} border-gray-300`}
+                            >
+                                {Object.entries(RECEIPT_PAPER_SIZES).map(([width, paper]) => (
+                                    <option key={width} value={width}>
+                                        {paper.label} ({paper.columns} characters per line)
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">Print Bridge URL</label>
+                            <input
+                                type="url"
+                                value={bridgeUrl}
+                                onChange={(e) => setBridgeUrl(e.target.value)}
+                                placeholder="http://localhost:9100/print"
+                                className={`${inputClass} border-gray-300`}
+                            />
+                            <p className="text-xs text-gray-500 mt-1">Optional. ESC/POS receipts are POSTed here as raw bytes</p>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default Settings;
@@ -28,15 +28,63 @@ api.interceptors.response.use(
 export const productsAPI = {
   getAll: () => api.get('/products'),
   getById: (id) => api.get(`/products/${id}`),
-  updateStock: (id, quantity) => api.patch(`/products/${id}/stock`, { quantity })
+  // quantity is the signed change to apply (positive restocks), details carry the reason and reference
+  updateStock: (id, quantity, details = {}) => api.patch(`/products/${id}/stock`, { quantity, ...details }),
+  // Every recorded stock change for one product: sales, returns, purchases and adjustments
+  getStockMovements: (id, params = {}) => api.get(`/products/${id}/stock-movements`, { params })
 };
 
 export const billsAPI = {
   create: (billData) => api.post('/bills', billData),
-  getAll: () => api.get('/bills'),
+  // Accepts page/limit, search, from/to dates, payment_method, billed_by, min/max_amount and sort params
+  getAll: (params = {}) => api.get('/bills', { params }),
   getById: (id) => api.get(`/bills/${id}`)
 };
 
+// Returns against a bill, each one is issued as a credit note
+export const returnsAPI = {
+  create: (returnData) => api.post('/returns', returnData),
+  getAll: (params = {}) => api.get('/returns', { params }),
+  getByBill: (billId) => api.get(`/bills/${billId}/returns`)
+};
+
+// Customer directory keyed by phone number, records carry visit count and lifetime spend
+export const customersAPI = {
+  getAll: (params = {}) => api.get('/customers', { params }),
+  getById: (id) => api.get(`/customers/${id}`),
+  create: (customerData) => api.post('/customers', customerData),
+  update: (id, customerData) => api.put(`/customers/${id}`, customerData)
+};
+
+// Coupons and automatic promotions; usage counts go up as bills carrying them are saved
+export const promotionsAPI = {
+  getAll: () => api.get('/promotions'),
+  create: (promotionData) => api.post('/promotions', promotionData),
+  update: (id, promotionData) => api.put(`/promotions/${id}`, promotionData),
+  delete: (id) => api.delete(`/promotions/${id}`)
+};
+
+// Loyalty points balance and ledger for a customer phone number
+export const loyaltyAPI = {
+  getAccount: (phone) => api.get(`/loyalty/${phone}`)
+};
+
+export const suppliersAPI = {
+  getAll: () => api.get('/suppliers'),
+  create: (supplierData) => api.post('/suppliers', supplierData),
+  update: (id, supplierData) => api.put(`/suppliers/${id}`, supplierData),
+  delete: (id) => api.delete(`/suppliers/${id}`)
+};
+
+// Purchase orders to suppliers; goods arrive as one or more receipts against a PO
+export const purchaseOrdersAPI = {
+  getAll: (params = {}) => api.get('/purchase-orders', { params }),
+  getById: (id) => api.get(`/purchase-orders/${id}`),
+  create: (orderData) => api.post('/purchase-orders', orderData),
+  update: (id, orderData) => api.put(`/purchase-orders/${id}`, orderData),
+  receive: (id, receiptData) => api.post(`/purchase-orders/${id}/receipts`, receiptData)
+};
+
 // Updated inventoryAPI with proper FormData handling
 export const inventoryAPI = {
   // Create product with file upload support
@@ -70,7 +118,18 @@ export const inventoryAPI = {
 // Shop API for managing shop settings
 export const shopAPI = {
   getSettings: () => api.get('/shopDetails/shop-settings'),
-  updateSettings: (settingsData) => api.put('/shopDetails/shop-settings', settingsData)
+  // Accepts plain JSON or FormData when a new logo is uploaded
+  updateSettings: (settingsData) => {
+    const config = settingsData instanceof FormData
+      ? { headers: { 'Content-Type': 'multipart/form-data' }, timeout: 30000 }
+      : {};
+    return api.put('/shopDetails/shop-settings', settingsData, config);
+  },
+  // The manager PIN for price overrides stays on the server, settings only say whether one is set.
+  // verify answers { approval_id } for the right PIN and 403 otherwise.
+  verifyOverridePin: (pin, approvedBy) => api.post('/shopDetails/override-pin/verify', { pin, approved_by: approvedBy }),
+  // An empty new_pin turns price overrides off; current_pin is needed once a PIN is set
+  changeOverridePin: (currentPin, newPin) => api.put('/shopDetails/override-pin', { current_pin: currentPin, new_pin: newPin })
 };
 
 export default api;
@@ -1,5 +1,23 @@
 import { create } from 'zustand'
 import { persist, createJSONStorage } from 'zustand/middleware'
+import { INSTANCE_ID, getCartStorageName } from '../utils/terminal'
+import { CART_SYNC_ACTIONS, resolveCartUpdate } from '../utils/cartSync'
+
+// Held carts are dropped after this long, so yesterday's abandoned carts don't pile up
+const HELD_CART_EXPIRY_MS = 12 * 60 * 60 * 1000;
+
+const countItems = (cart) => Object.values(cart).reduce((sum, qty) => sum + (parseInt(qty, 10) || 0), 0);
+
+const isUnexpired = (heldCart, now = Date.now()) => new Date(heldCart.expires_at).getTime() > now;
+
+// Fields for a cart edited in this tab; the version lets other tabs spot concurrent edits
+const changeCart = (state, cart, version = state.cartVersion) => ({
+  cart,
+  cartVersion: version + 1,
+  cartBaseVersion: version,
+  cartUpdatedBy: INSTANCE_ID,
+  cartUpdatedAt: new Date().toISOString()
+});
 
 const useCartStore = create(
   persist(
@@ -7,9 +25,17 @@ const useCartStore = create(
       // State
       cart: {},
       products: [],
+      cartVersion: 0,
+      cartBaseVersion: 0,
+      cartUpdatedBy: null,
+      cartUpdatedAt: null,
+      // An update from another tab on this terminal that clashes with edits made here
+      cartConflict: null,
+      // Parked carts: { id, label, cart, item_count, total_value, held_at, expires_at }
+      heldCarts: [],
 
       // Actions
-      setCart: (cart) => set({ cart: { ...cart } }),
+      setCart: (cart) => set((state) => changeCart(state, { ...cart })),
       
       getCart: () => get().cart,
       
@@ -17,8 +43,9 @@ const useCartStore = create(
       
       getProducts: () => get().products,
       
-      getCartItems: () => {
-        const { cart, products } = get();
+      // Any cart can be expanded, e.g. Checkout keeps showing the billed one after clearing
+      getCartItems: (cart = get().cart) => {
+        const { products } = get();
         return Object.entries(cart)
           .map(([productId, quantity]) => {
             const product = products.find(p => p.id === productId);
@@ -55,12 +82,10 @@ const useCartStore = create(
       addToCart: (product) => set((state) => {
         const productId = typeof product === 'object' ? product.id : product;
         const currentQuantity = parseInt(state.cart[productId], 10) || 0;
-        return {
-          cart: {
-            ...state.cart,
-            [productId]: currentQuantity + 1
-          }
-        };
+        return changeCart(state, {
+          ...state.cart,
+          [productId]: currentQuantity + 1
+        });
       }),
 
       // This already expects productId, which is correct
@@ -73,18 +98,114 @@ const useCartStore = create(
         } else {
           delete newCart[productId];
         }
-        return { cart: newCart };
+        return changeCart(state, newCart);
       }),
 
-      clearCart: () => set({ cart: {} }),
+      // Sets a line's quantity outright, e.g. typed in at checkout; 0 removes the line
+      setCartQuantity: (productId, quantity) => set((state) => {
+        const newCart = { ...state.cart };
+        const qty = parseInt(quantity, 10) || 0;
+        if (qty > 0) {
+          newCart[productId] = qty;
+        } else {
+          delete newCart[productId];
+        }
+        return changeCart(state, newCart);
+      }),
+
+      clearCart: () => set((state) => changeCart(state, {})),
+
+      // Parks the current cart under a label and starts an empty one
+      holdCart: (label) => {
+        const { cart, heldCarts } = get();
+        if (countItems(cart) === 0) return null;
+
+        const now = new Date();
+        const heldCart = {
+          id: `held-${now.getTime()}-${Math.random().toString(36).slice(2, 7)}`,
+          label: label?.trim() || `Cart ${now.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}`,
+          cart: { ...cart },
+          item_count: countItems(cart),
+          total_value: get().getTotalValue(),
+          held_at: now.toISOString(),
+          expires_at: new Date(now.getTime() + HELD_CART_EXPIRY_MS).toISOString()
+        };
+        set({ ...changeCart(get(), {}), heldCarts: [heldCart, ...heldCarts.filter(entry => isUnexpired(entry))] });
+        return heldCart;
+      },
+
+      // Brings a held cart back; a cart in progress is held in its place rather than lost
+      resumeHeldCart: (id) => {
+        const heldCart = get().heldCarts.find(entry => entry.id === id);
+        if (!heldCart) return null;
+
+        if (countItems(get().cart) > 0) {
+          get().holdCart();
+        }
+        set({
+          ...changeCart(get(), { ...heldCart.cart }),
+          heldCarts: get().heldCarts.filter(entry => entry.id !== id)
+        });
+        return heldCart;
+      },
+
+      discardHeldCart: (id) => set((state) => ({
+        heldCarts: state.heldCarts.filter(entry => entry.id !== id)
+      })),
+
+      // An update broadcast by another tab on this terminal
+      applyRemoteCart: (message) => {
+        const action = resolveCartUpdate(get(), message);
+        if (action === CART_SYNC_ACTIONS.APPLY) {
+          set({
+            cart: { ...message.cart },
+            cartVersion: message.version,
+            cartBaseVersion: message.baseVersion,
+            cartUpdatedBy: message.instanceId,
+            cartUpdatedAt: message.updatedAt,
+            cartConflict: null
+          });
+        } else if (action === CART_SYNC_ACTIONS.CONFLICT) {
+          set({ cartConflict: message });
+        }
+        return action;
+      },
+
+      // Either way the result goes out as a new version on top of the other tab's, which
+      // settles the conflict there too
+      resolveCartConflict: (useRemote) => {
+        const { cartConflict } = get();
+        if (!cartConflict) return;
+        const cart = useRemote ? { ...cartConflict.cart } : get().cart;
+        set({
+          ...changeCart(get(), cart, Math.max(get().cartVersion, cartConflict.version)),
+          cartBaseVersion: cartConflict.version,
+          cartConflict: null
+        });
+      },
+
+      pruneHeldCarts: () => {
+        const { heldCarts } = get();
+        const unexpired = heldCarts.filter(entry => isUnexpired(entry));
+        if (unexpired.length !== heldCarts.length) {
+          set({ heldCarts: unexpired });
+        }
+      },
     }),
     {
-      name: 'cart-storage',
+      // One cart per terminal (browser tab), see utils/terminal
+      name: getCartStorageName(),
       storage: createJSONStorage(() => localStorage),
       partialize: (state) => ({ 
         cart: state.cart, 
-        products: state.products 
+        cartVersion: state.cartVersion,
+        products: state.products,
+        heldCarts: state.heldCarts
       }),
+      // Expired held carts are cleared as soon as the saved state loads
+      onRehydrateStorage: () => (state) => {
+        state?.pruneHeldCarts();
+      },
     }
   )
 )
@@ -0,0 +1,172 @@
+import { create } from 'zustand'
+import { persist, createJSONStorage } from 'zustand/middleware'
+import { customersAPI, billsAPI, loyaltyAPI, returnsAPI } from '../services/api'
+import { DEFAULT_BILL_FILTERS, fetchAllBills } from '../utils/billFilters'
+import {
+  applyBillToCustomer,
+  buildCustomersFromBills,
+  findCustomerByPhone,
+  normalizeCustomer,
+  normalizePhone,
+  getCustomerBills
+} from '../utils/customers'
+import { buildLoyaltyLedger, normalizeLoyaltyAccount } from '../utils/loyalty'
+
+// Refetched at most this often when pages ask, every checkout updates the list locally anyway
+const REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+
+const isMissingEndpoint = (error) => error.response?.status === 404;
+
+// Persisted so the Checkout phone lookup works straight away on the next visit
+const useCustomerStore = create(
+  persist(
+    (set, get) => ({
+      // State
+      customers: [],
+      // False once GET /customers has returned 404, i.e. the list is built from bills
+      serverBacked: true,
+      lastFetched: 0,
+      loading: false,
+      error: null,
+      // Loyalty accounts by phone, fetched when a number is entered at checkout
+      loyaltyAccounts: {},
+
+      // Actions
+      fetchCustomers: async (force = false) => {
+        if (get().loading) return get().customers;
+        if (!force && Date.now() - get().lastFetched < REFRESH_INTERVAL_MS) return get().customers;
+
+        set({ loading: true });
+        try {
+          let customers;
+          let serverBacked = true;
+          try {
+            const response = await customersAPI.getAll();
+            const records = Array.isArray(response.data) ? response.data : response.data?.customers || [];
+            customers = records.map(normalizeCustomer).filter(customer => customer.phone);
+          } catch (error) {
+            // Older servers have no customer table, the bill history has the same information
+            if (!isMissingEndpoint(error)) throw error;
+            serverBacked = false;
+            customers = buildCustomersFromBills(await fetchAllBills(billsAPI.getAll, { filters: DEFAULT_BILL_FILTERS }));
+          }
+          set({ customers, serverBacked, lastFetched: Date.now(), error: null });
+          return customers;
+        } catch (error) {
+          console.error('Failed to fetch customers:', {
+            message: error.message,
+            response: error.response?.data,
+            status: error.response?.status
+          });
+          set({ error: error.message });
+          return get().customers;
+        } finally {
+          set({ loading: false });
+        }
+      },
+
+      getCustomer: (phone) => findCustomerByPhone(get().customers, phone),
+
+      // Creates the customer, or renames them when the name at checkout differs. A failure here
+      // never blocks the sale, the bill still carries the name and phone.
+      saveCustomer: async ({ name, phone, state_code }) => {
+        const existing = findCustomerByPhone(get().customers, phone);
+        if (!get().serverBacked) return existing;
+
+        const payload = { name: name.trim(), phone: normalizePhone(phone), state_code };
+        try {
+          if (existing?.id) {
+            if (existing.name.trim().toLowerCase() === payload.name.toLowerCase() && existing.state_code === state_code) {
+              return existing;
+            }
+            const response = await customersAPI.update(existing.id, payload);
+            return normalizeCustomer({ ...existing, ...payload, ...response.data });
+          }
+          const response = await customersAPI.create(payload);
+          return normalizeCustomer({ ...existing, ...payload, ...response.data });
+        } catch (error) {
+          console.error('Failed to save customer:', {
+            message: error.message,
+            response: error.response?.data,
+            status: error.response?.status
+          });
+          if (isMissingEndpoint(error)) set({ serverBacked: false });
+          return existing;
+        }
+      },
+
+      fetchLoyalty: async (phone) => {
+        const digits = normalizePhone(phone);
+        if (digits.length !== 10) return null;
+
+        try {
+          let account;
+          try {
+            const response = await loyaltyAPI.getAccount(digits);
+            account = normalizeLoyaltyAccount(response.data, digits);
+          } catch (error) {
+            // Older servers keep no ledger, so it is rebuilt from the customer's bills and their returns
+            if (!isMissingEndpoint(error)) throw error;
+            const bills = getCustomerBills(
+              await fetchAllBills(billsAPI.getAll, { filters: { ...DEFAULT_BILL_FILTERS, search: digits } }),
+              digits
+            );
+            const returns = [];
+            for (const bill of bills.filter(entry => entry.return_status)) {
+              const response = await returnsAPI.getByBill(bill.id);
+              returns.push(...(Array.isArray(response.data) ? response.data : response.data?.returns || []));
+            }
+            account = buildLoyaltyLedger(digits, bills, returns);
+          }
+          set({ loyaltyAccounts: { ...get().loyaltyAccounts, [digits]: account } });
+          return account;
+        } catch (error) {
+          console.error('Failed to fetch loyalty account:', {
+            message: error.message,
+            response: error.response?.data,
+            status: error.response?.status
+          });
+          return get().loyaltyAccounts[digits] || null;
+        }
+      },
+
+      // Moves a known balance by a sale or return without waiting for a refetch
+      recordLoyalty: (phone, pointsChange) => {
+        const digits = normalizePhone(phone);
+        const account = get().loyaltyAccounts[digits];
+        if (!account || !pointsChange) return;
+        set({
+          loyaltyAccounts: {
+            ...get().loyaltyAccounts,
+            [digits]: { ...account, balance: Math.max(account.balance + pointsChange, 0) }
+          }
+        });
+      },
+
+      // Counts a just-created bill towards the customer so lookups are current without a refetch
+      recordBill: (bill, customer = null) => {
+        const phone = normalizePhone(bill?.phone_number);
+        if (phone.length !== 10) return;
+        const existing = findCustomerByPhone(get().customers, phone);
+        // Stats stay the locally known ones, a freshly saved record may not carry them
+        const stats = existing ? { bill_count: existing.bill_count, total_spent: existing.total_spent } : {};
+        const updated = applyBillToCustomer({ ...normalizeCustomer({ ...existing, ...customer, phone }), ...stats }, bill);
+        set({
+          customers: existing
+            ? get().customers.map(entry => (entry.phone === phone ? updated : entry))
+            : [...get().customers, updated]
+        });
+      },
+    }),
+    {
+      name: 'customers',
+      storage: createJSONStorage(() => localStorage),
+      partialize: (state) => ({
+        customers: state.customers,
+        serverBacked: state.serverBacked
+      }),
+    }
+  )
+)
+
+export default useCustomerStore;
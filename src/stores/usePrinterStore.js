@@ -0,0 +1,33 @@
+import { create } from 'zustand'
+import { persist, createJSONStorage } from 'zustand/middleware'
+import { DEFAULT_RECEIPT_PAPER, RECEIPT_PAPER_SIZES } from '../utils/receipt'
+import { DEFAULT_LABEL_LAYOUT, LABEL_LAYOUTS } from '../utils/labelPdf'
+
+// Printer setup belongs to the counter PC, not the shop, so it stays in this browser only
+const usePrinterStore = create(
+  persist(
+    (set) => ({
+      // State
+      paperWidth: DEFAULT_RECEIPT_PAPER,
+      bridgeUrl: '',
+      labelLayout: DEFAULT_LABEL_LAYOUT,
+
+      // Actions
+      setPaperWidth: (paperWidth) => {
+        if (RECEIPT_PAPER_SIZES[paperWidth]) set({ paperWidth });
+      },
+
+      setBridgeUrl: (bridgeUrl) => set({ bridgeUrl: bridgeUrl.trim() }),
+
+      setLabelLayout: (labelLayout) => {
+        if (LABEL_LAYOUTS[labelLayout]) set({ labelLayout });
+      },
+    }),
+    {
+      name: 'printer-settings',
+      storage: createJSONStorage(() => localStorage),
+    }
+  )
+)
+
+export default usePrinterStore;
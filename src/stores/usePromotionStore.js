@@ -0,0 +1,61 @@
+import { create } from 'zustand'
+import { promotionsAPI } from '../services/api'
+import { normalizePromotion } from '../utils/promotions'
+
+// Not persisted: usage counts and validity have to be current when a coupon is checked
+const usePromotionStore = create((set, get) => ({
+  // State
+  promotions: [],
+  loading: false,
+  error: null,
+
+  // Actions
+  fetchPromotions: async () => {
+    if (get().loading) return get().promotions;
+
+    set({ loading: true });
+    try {
+      const response = await promotionsAPI.getAll();
+      const records = Array.isArray(response.data) ? response.data : response.data?.promotions || [];
+      const promotions = records.map(normalizePromotion);
+      set({ promotions, error: null });
+      return promotions;
+    } catch (error) {
+      console.error('Failed to fetch promotions:', {
+        message: error.message,
+        response: error.response?.data,
+        status: error.response?.status
+      });
+      set({ error: error.message });
+      return get().promotions;
+    } finally {
+      set({ loading: false });
+    }
+  },
+
+  // The modal saves through the API and hands the saved record over
+  upsertPromotion: (record) => {
+    const promotion = normalizePromotion(record);
+    const exists = get().promotions.some(entry => String(entry.id) === String(promotion.id));
+    set({
+      promotions: exists
+        ? get().promotions.map(entry => (String(entry.id) === String(promotion.id) ? promotion : entry))
+        : [promotion, ...get().promotions]
+    });
+  },
+
+  removePromotion: (id) => {
+    set({ promotions: get().promotions.filter(entry => String(entry.id) !== String(id)) });
+  },
+
+  // Counts the promotions on a just-saved bill so usage limits hold until the next fetch
+  recordUsage: (promotionIds) => {
+    set({
+      promotions: get().promotions.map(entry => (promotionIds.includes(entry.id)
+        ? { ...entry, usage_count: entry.usage_count + 1 }
+        : entry))
+    });
+  },
+}))
+
+export default usePromotionStore;
@@ -0,0 +1,62 @@
+import { create } from 'zustand'
+import { productsAPI, billsAPI } from '../services/api'
+import { DEFAULT_BILL_FILTERS, fetchAllBills } from '../utils/billFilters'
+import { toDateKey } from '../utils/salesAnalytics'
+import { SALES_VELOCITY_DAYS, getReorderList, getSalesVelocity } from '../utils/stockStatus'
+
+// Refetched at most this often when pages ask, stock moves with every sale
+const REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+
+// The last SALES_VELOCITY_DAYS days, today included
+const getVelocityRange = () => {
+  const now = new Date();
+  const from = new Date(now.getFullYear(), now.getMonth(), now.getDate() - (SALES_VELOCITY_DAYS - 1));
+  return { dateFrom: toDateKey(from), dateTo: toDateKey(now) };
+};
+
+// Not persisted: a reorder list from an earlier visit would show stock that has since sold
+const useReorderStore = create((set, get) => ({
+  // State
+  products: [],
+  velocity: {},
+  items: [],
+  lastFetched: 0,
+  loading: false,
+  error: null,
+
+  // Actions
+  fetchReorderList: async (force = false) => {
+    if (get().loading) return get().items;
+    if (!force && Date.now() - get().lastFetched < REFRESH_INTERVAL_MS) return get().items;
+
+    set({ loading: true });
+    try {
+      const [productsResponse, bills] = await Promise.all([
+        productsAPI.getAll(),
+        fetchAllBills(billsAPI.getAll, { filters: { ...DEFAULT_BILL_FILTERS, ...getVelocityRange() } })
+      ]);
+      const products = productsResponse.data || [];
+      const velocity = getSalesVelocity(bills);
+      const items = getReorderList(products, velocity);
+      set({ products, velocity, items, lastFetched: Date.now(), error: null });
+      return items;
+    } catch (error) {
+      console.error('Failed to fetch reorder list:', {
+        message: error.message,
+        response: error.response?.data,
+        status: error.response?.status
+      });
+      set({ error: error.message });
+      return get().items;
+    } finally {
+      set({ loading: false });
+    }
+  },
+
+  // Inventory already has the latest products, so it hands them over instead of refetching
+  setProducts: (products) => {
+    set({ products, items: getReorderList(products, get().velocity) });
+  },
+}))
+
+export default useReorderStore;
@@ -0,0 +1,62 @@
+import { create } from 'zustand'
+import { persist, createJSONStorage } from 'zustand/middleware'
+import { shopAPI } from '../services/api'
+import { withShopDefaults } from '../utils/shopSettings'
+
+const useShopStore = create(
+  persist(
+    (set, get) => ({
+      // State
+      settings: withShopDefaults(null),
+      loaded: false,
+      loading: false,
+      error: null,
+
+      // Actions
+      // Settings rarely change, so one fetch per session is enough unless forced
+      fetchSettings: async (force = false) => {
+        if (get().loading || (get().loaded && !force)) return get().settings;
+
+        set({ loading: true });
+        try {
+          const response = await shopAPI.getSettings();
+          const settings = withShopDefaults(response.data);
+          set({ settings, loaded: true, error: null });
+          return settings;
+        } catch (error) {
+          console.error('Failed to fetch shop settings:', {
+            message: error.message,
+            response: error.response?.data,
+            status: error.response?.status
+          });
+          set({ loaded: true, error: error.message });
+          return get().settings;
+        } finally {
+          set({ loading: false });
+        }
+      },
+
+      updateSettings: async (settingsData) => {
+        const response = await shopAPI.updateSettings(settingsData);
+        const settings = withShopDefaults(response.data);
+        set({ settings, loaded: true, error: null });
+        return settings;
+      },
+    }),
+    {
+      name: 'shop-settings',
+      storage: createJSONStorage(() => localStorage),
+      partialize: (state) => ({
+        settings: state.settings
+      }),
+      // Version 1 no longer keeps the manager PIN, which older saved settings may still hold
+      version: 1,
+      migrate: (persistedState) => ({
+        ...persistedState,
+        settings: withShopDefaults(persistedState?.settings)
+      }),
+    }
+  )
+)
+
+export default useShopStore;
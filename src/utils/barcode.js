@@ -0,0 +1,113 @@
+// Barcode encoders for shelf labels. Each encoder returns a module string
+// ('1' = bar, '0' = space) that the label PDF scales to the label width.
+
+// Code 128 bar/space widths for symbol values 0-106 (106 is the stop pattern)
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+const CODE128_START_B = 104;
+const CODE128_START_C = 105;
+const CODE128_STOP = 106;
+
+// EAN-13 left-hand (odd parity) digit patterns, the G and R sets derive from these
+const EAN_L_CODES = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+// The first digit is not drawn, it picks the L/G parity of the next six
+const EAN_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+export const BARCODE_FORMATS = {
+  CODE128: 'code128',
+  EAN13: 'ean13'
+};
+
+const widthsToModules = (widths) => widths
+  .split('')
+  .map((width, index) => (index % 2 === 0 ? '1' : '0').repeat(Number(width)))
+  .join('');
+
+// Code set C packs digit pairs, so all-digit codes print half as wide
+export const encodeCode128 = (value) => {
+  const text = String(value ?? '');
+  if (!text) throw new Error('Nothing to encode');
+
+  let symbols;
+  if (/^\d+$/.test(text) && text.length % 2 === 0) {
+    symbols = [CODE128_START_C];
+    for (let i = 0; i < text.length; i += 2) {
+      symbols.push(Number(text.slice(i, i + 2)));
+    }
+  } else {
+    symbols = [CODE128_START_B];
+    for (const char of text) {
+      const code = char.charCodeAt(0);
+      if (code < 32 || code > 126) {
+        throw new Error(`"${char}" cannot be printed in a Code 128 barcode`);
+      }
+      symbols.push(code - 32);
+    }
+  }
+
+  const checksum = symbols.reduce((sum, symbol, index) => sum + symbol * (index || 1), 0) % 103;
+  return [...symbols, checksum, CODE128_STOP]
+    .map(symbol => widthsToModules(CODE128_PATTERNS[symbol]))
+    .join('');
+};
+
+export const getEan13CheckDigit = (digits12) => {
+  const sum = String(digits12)
+    .split('')
+    .reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+  return (10 - (sum % 10)) % 10;
+};
+
+export const isValidEan13 = (value) => {
+  const code = String(value ?? '').trim();
+  return /^\d{13}$/.test(code) && getEan13CheckDigit(code.slice(0, 12)) === Number(code[12]);
+};
+
+// Accepts 12 digits (check digit added) or a full 13-digit code
+export const encodeEan13 = (value) => {
+  let code = String(value ?? '').trim();
+  if (/^\d{12}$/.test(code)) code += getEan13CheckDigit(code);
+  if (!isValidEan13(code)) throw new Error(`${value} is not a valid EAN-13 code`);
+
+  const parity = EAN_PARITY[Number(code[0])];
+  const left = code.slice(1, 7).split('').map((digit, index) => {
+    const lCode = EAN_L_CODES[Number(digit)];
+    if (parity[index] === 'L') return lCode;
+    // G codes are the mirrored R codes
+    return lCode.split('').map(bit => (bit === '1' ? '0' : '1')).reverse().join('');
+  });
+  const right = code.slice(7).split('').map(digit => EAN_L_CODES[Number(digit)]
+    .split('')
+    .map(bit => (bit === '1' ? '0' : '1'))
+    .join(''));
+
+  return `101${left.join('')}01010${right.join('')}101`;
+};
+
+// Printed EAN/UPC codes keep their symbology, everything else (and the SKU fallback) uses Code 128
+export const getProductBarcode = (product) => {
+  const barcode = String(product?.barcode ?? '').trim();
+  if (barcode) {
+    // A 12-digit UPC-A already ends in its check digit; as EAN-13 it is the same code with a leading 0
+    const ean = /^\d{12}$/.test(barcode) ? `0${barcode}` : barcode;
+    if (isValidEan13(ean)) {
+      return { format: BARCODE_FORMATS.EAN13, value: ean, modules: encodeEan13(ean) };
+    }
+    return { format: BARCODE_FORMATS.CODE128, value: barcode, modules: encodeCode128(barcode) };
+  }
+
+  const sku = String(product?.sku ?? '').trim().toUpperCase();
+  if (!sku) return null;
+  return { format: BARCODE_FORMATS.CODE128, value: sku, modules: encodeCode128(sku) };
+};
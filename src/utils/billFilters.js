@@ -0,0 +1,165 @@
+// Bill list filtering, sorting and paging.
+// The server handles these when it supports the query params; older servers return the full
+// array, in which case the same rules are applied here so the page behaves identically.
+
+export const BILL_PAGE_SIZES = [25, 50, 100];
+
+export const DEFAULT_BILL_FILTERS = {
+  search: '',
+  dateFrom: '',
+  dateTo: '',
+  paymentMethod: '',
+  billedBy: '',
+  minAmount: '',
+  maxAmount: ''
+};
+
+export const DEFAULT_BILL_SORT = { key: 'created_at', direction: 'desc' };
+
+export const BILL_SORT_OPTIONS = [
+  { key: 'created_at', label: 'Date' },
+  { key: 'total_amount', label: 'Amount' },
+  { key: 'customer_name', label: 'Customer' },
+  { key: 'billed_by', label: 'Billed By' },
+  { key: 'payment_method', label: 'Payment' },
+  { key: 'id', label: 'Bill ID' }
+];
+
+const getBillPhone = (bill) => bill?.phone_number || bill?.customer_phone || '';
+
+// Local calendar date (YYYY-MM-DD) of a timestamp, matching the date inputs
+const toLocalDate = (value) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return '';
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// Quick ranges for date pickers, as local YYYY-MM-DD dates
+export const getDateRangePresets = (now = new Date()) => {
+  const year = now.getFullYear();
+  const month = now.getMonth();
+  const day = now.getDate();
+  const today = toLocalDate(now);
+  return [
+    { label: 'Today', from: today, to: today },
+    { label: 'Last 7 Days', from: toLocalDate(new Date(year, month, day - 6)), to: today },
+    { label: 'This Month', from: toLocalDate(new Date(year, month, 1)), to: today },
+    { label: 'Last Month', from: toLocalDate(new Date(year, month - 1, 1)), to: toLocalDate(new Date(year, month, 0)) },
+    { label: 'Last 90 Days', from: toLocalDate(new Date(year, month, day - 89)), to: today },
+    { label: 'This Year', from: toLocalDate(new Date(year, 0, 1)), to: today }
+  ];
+};
+
+export const countActiveBillFilters = (filters) => Object.keys(DEFAULT_BILL_FILTERS)
+  .filter(key => String(filters[key] ?? '').trim() !== '').length;
+
+// Query params understood by GET /bills
+export const buildBillQueryParams = ({ filters, sort, page, pageSize }) => {
+  const params = {
+    page,
+    limit: pageSize,
+    sort_by: sort.key,
+    sort_order: sort.direction
+  };
+
+  const search = filters.search.trim();
+  if (search) params.search = search;
+  if (filters.dateFrom) params.from = filters.dateFrom;
+  if (filters.dateTo) params.to = filters.dateTo;
+  if (filters.paymentMethod) params.payment_method = filters.paymentMethod;
+  if (filters.billedBy.trim()) params.billed_by = filters.billedBy.trim();
+  if (filters.minAmount !== '') params.min_amount = filters.minAmount;
+  if (filters.maxAmount !== '') params.max_amount = filters.maxAmount;
+
+  return params;
+};
+
+// Search matches customer name, phone number or the start of the bill ID
+export const matchesBillSearch = (bill, search) => {
+  const term = (search || '').trim().toLowerCase();
+  if (!term) return true;
+
+  const digits = term.replace(/\D/g, '');
+  const billId = String(bill?.id || '').toLowerCase();
+
+  return (bill?.customer_name || '').toLowerCase().includes(term)
+    || (digits.length >= 3 && getBillPhone(bill).replace(/\D/g, '').includes(digits))
+    || billId.startsWith(term.replace(/^#/, ''));
+};
+
+export const filterBills = (bills, filters) => {
+  const minAmount = filters.minAmount !== '' ? parseFloat(filters.minAmount) : null;
+  const maxAmount = filters.maxAmount !== '' ? parseFloat(filters.maxAmount) : null;
+  const billedBy = filters.billedBy.trim().toLowerCase();
+
+  return bills.filter(bill => {
+    if (!matchesBillSearch(bill, filters.search)) return false;
+
+    const billDate = toLocalDate(bill.created_at);
+    if (filters.dateFrom && billDate < filters.dateFrom) return false;
+    if (filters.dateTo && billDate > filters.dateTo) return false;
+
+    // A split bill also matches each of the methods it was paid with
+    if (filters.paymentMethod) {
+      const methods = [bill.payment_method, ...(bill.payments || []).map(payment => payment.method)]
+        .map(method => (method || '').toLowerCase());
+      if (!methods.includes(filters.paymentMethod)) return false;
+    }
+    if (billedBy && !(bill.billed_by || '').toLowerCase().includes(billedBy)) return false;
+
+    const total = parseFloat(bill.total_amount) || 0;
+    if (minAmount !== null && !isNaN(minAmount) && total < minAmount) return false;
+    if (maxAmount !== null && !isNaN(maxAmount) && total > maxAmount) return false;
+
+    return true;
+  });
+};
+
+const NUMERIC_SORT_KEYS = ['total_amount'];
+const DATE_SORT_KEYS = ['created_at'];
+
+export const sortBills = (bills, { key, direction }) => {
+  const factor = direction === 'asc' ? 1 : -1;
+
+  return [...bills].sort((a, b) => {
+    let result;
+    if (NUMERIC_SORT_KEYS.includes(key)) {
+      result = (parseFloat(a[key]) || 0) - (parseFloat(b[key]) || 0);
+    } else if (DATE_SORT_KEYS.includes(key)) {
+      result = new Date(a[key]).getTime() - new Date(b[key]).getTime();
+    } else {
+      result = String(a[key] || '').localeCompare(String(b[key] || ''), 'en', { sensitivity: 'base' });
+    }
+    return result * factor;
+  });
+};
+
+// Normalises GET /bills into { bills, total }, applying the query locally for array responses
+export const resolveBillsPage = (data, { filters, sort, page, pageSize }) => {
+  if (Array.isArray(data)) {
+    const matching = sortBills(filterBills(data, filters), sort);
+    const start = (page - 1) * pageSize;
+    return { bills: matching.slice(start, start + pageSize), total: matching.length };
+  }
+
+  const bills = data?.bills || data?.data || [];
+  return { bills, total: parseInt(data?.total, 10) || bills.length };
+};
+
+// Loads every bill matching the filters, page by page. getPage is billsAPI.getAll.
+export const fetchAllBills = async (getPage, { filters, sort = DEFAULT_BILL_SORT, pageSize = 100 }) => {
+  const bills = [];
+  for (let page = 1; ; page++) {
+    const query = { filters, sort, page, pageSize };
+    const response = await getPage(buildBillQueryParams(query));
+    // Older servers return every bill at once, so take all the matches in one go
+    if (Array.isArray(response.data)) {
+      return sortBills(filterBills(response.data, filters), sort);
+    }
+    const result = resolveBillsPage(response.data, query);
+    bills.push(...result.bills);
+    if (result.bills.length < pageSize || bills.length >= result.total) return bills;
+  }
+};
@@ -0,0 +1,115 @@
+import { billHasGST, roundToPaise } from './gst';
+
+// One place that knows how a bill's money adds up:
+// gross (sum of lines) - promotions - discount = what the customer is charged, tax is inside or on top
+// of that depending on the shop setting, and total_amount is what was actually collected.
+
+export const DISCOUNT_TYPES = {
+  PERCENTAGE: 'percentage',
+  AMOUNT: 'amount'
+};
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+// Rupee discount for the chosen type and value, never more than the gross
+export const resolveDiscountAmount = (gross, type, value) => {
+  const amount = type === DISCOUNT_TYPES.AMOUNT
+    ? toNumber(value)
+    : (gross * toNumber(value)) / 100;
+  return roundToPaise(Math.min(Math.max(amount, 0), Math.max(gross, 0)));
+};
+
+// discount_percentage / discount_amount as Checkout saves them on the bill
+export const buildDiscountPayload = (type, value) => ({
+  discount_percentage: type === DISCOUNT_TYPES.PERCENTAGE ? toNumber(value) : 0,
+  discount_amount: type === DISCOUNT_TYPES.AMOUNT ? toNumber(value) : 0
+});
+
+const getLineGross = (item) => {
+  const total = parseFloat(item?.total_price);
+  if (!isNaN(total)) return total;
+  return toNumber(item?.unit_price) * (parseInt(item?.quantity, 10) || 0);
+};
+
+// Promotion savings saved on the bill, or summed from its lines
+const getPromotionDiscount = (bill) => {
+  if (bill?.promotion_discount !== undefined && bill?.promotion_discount !== null) return toNumber(bill.promotion_discount);
+  return (bill?.bill_items || []).reduce((sum, item) => sum + toNumber(item?.promotion_discount), 0);
+};
+
+// Totals for a saved bill. total_amount is trusted as the net when present, older bills
+// without it fall back to gross minus discount.
+export const getBillTotals = (bill) => {
+  const gross = roundToPaise((bill?.bill_items || []).reduce((sum, item) => sum + getLineGross(item), 0));
+  const promotionDiscount = roundToPaise(Math.min(getPromotionDiscount(bill), gross));
+  // The regular discount is worked out on what is left after promotions
+  const discountBase = roundToPaise(gross - promotionDiscount);
+  const discountType = toNumber(bill?.discount_amount) > 0
+    ? DISCOUNT_TYPES.AMOUNT
+    : toNumber(bill?.discount_percentage) > 0 ? DISCOUNT_TYPES.PERCENTAGE : null;
+  const discountValue = discountType === DISCOUNT_TYPES.AMOUNT
+    ? toNumber(bill.discount_amount)
+    : toNumber(bill?.discount_percentage);
+  const discount = discountType ? resolveDiscountAmount(discountBase, discountType, discountValue) : 0;
+  // Loyalty points redeemed as a discount come off after the regular discount
+  const pointsDiscount = bill?.loyalty_redeem_mode === 'discount'
+    ? roundToPaise(Math.min(toNumber(bill.loyalty_redeem_value), Math.max(discountBase - discount, 0)))
+    : 0;
+
+  const hasGST = billHasGST(bill);
+  const tax = hasGST ? toNumber(bill.total_tax) : 0;
+  const taxable = hasGST ? toNumber(bill.taxable_amount) : roundToPaise(discountBase - discount - pointsDiscount);
+  const computedNet = roundToPaise(discountBase - discount - pointsDiscount + (bill?.prices_include_tax === false ? tax : 0));
+  const net = bill?.total_amount !== undefined && bill?.total_amount !== null && bill?.total_amount !== ''
+    ? toNumber(bill.total_amount)
+    : computedNet;
+  const refunded = toNumber(bill?.refunded_amount);
+
+  return {
+    gross,
+    promotionDiscount,
+    discountType,
+    discountValue,
+    discount,
+    pointsDiscount,
+    taxable,
+    tax,
+    net,
+    refunded,
+    netAfterRefunds: roundToPaise(net - refunded)
+  };
+};
+
+// "Discount (10%)" for percentage discounts, plain "Discount" for a flat amount
+export const getDiscountLabel = (totals) => (totals.discountType === DISCOUNT_TYPES.PERCENTAGE
+  ? `Discount (${totals.discountValue}%)`
+  : 'Discount');
+
+// Summed totals across bills, e.g. for the dashboard cards
+export const sumBillTotals = (bills = []) => {
+  const sums = bills.reduce((acc, bill) => {
+    const totals = getBillTotals(bill);
+    acc.gross += totals.gross;
+    acc.promotionDiscount += totals.promotionDiscount;
+    acc.discount += totals.discount;
+    acc.pointsDiscount += totals.pointsDiscount;
+    acc.tax += totals.tax;
+    acc.net += totals.net;
+    acc.refunded += totals.refunded;
+    return acc;
+  }, { gross: 0, promotionDiscount: 0, discount: 0, pointsDiscount: 0, tax: 0, net: 0, refunded: 0 });
+
+  return {
+    gross: roundToPaise(sums.gross),
+    promotionDiscount: roundToPaise(sums.promotionDiscount),
+    discount: roundToPaise(sums.discount),
+    pointsDiscount: roundToPaise(sums.pointsDiscount),
+    // Everything taken off the gross: promotions, the checkout discount and points
+    totalDiscount: roundToPaise(sums.promotionDiscount + sums.discount + sums.pointsDiscount),
+    tax: roundToPaise(sums.tax),
+    net: roundToPaise(sums.net),
+    refunded: roundToPaise(sums.refunded),
+    netAfterRefunds: roundToPaise(sums.net - sums.refunded),
+    billCount: bills.length
+  };
+};
@@ -0,0 +1,97 @@
+import { DISCOUNT_TYPES, resolveDiscountAmount } from './billTotals';
+import { roundToPaise } from './gst';
+
+// Checkout-only changes to cart lines, keyed by product ID:
+// { discountType, discountValue, overridePrice, overrideReason, overrideApprovedBy, overrideApprovalId }
+// Quantities live in the cart itself, these never leave the checkout page until billed.
+
+export const createLineAdjustment = () => ({
+  discountType: DISCOUNT_TYPES.PERCENTAGE,
+  discountValue: '',
+  overridePrice: null,
+  overrideReason: '',
+  overrideApprovedBy: '',
+  overrideApprovalId: null
+});
+
+export const hasPriceOverride = (adjustment) => adjustment?.overridePrice !== null && adjustment?.overridePrice !== undefined;
+
+// Cart items with their adjustments applied: price is what the line sells at, list_price
+// what the product costs, line_discount the rupee discount on the whole line
+export const applyLineAdjustments = (items, adjustments = {}) => items.map(item => {
+  const adjustment = adjustments[item.id];
+  const listPrice = parseFloat(item.price) || 0;
+  const price = hasPriceOverride(adjustment) ? roundToPaise(parseFloat(adjustment.overridePrice) || 0) : listPrice;
+  const quantity = parseInt(item.quantity, 10) || 0;
+
+  return {
+    ...item,
+    price,
+    list_price: listPrice,
+    price_override_reason: hasPriceOverride(adjustment) ? adjustment.overrideReason.trim() : '',
+    price_override_approved_by: hasPriceOverride(adjustment) ? adjustment.overrideApprovedBy.trim() : '',
+    price_override_approval_id: hasPriceOverride(adjustment) ? adjustment.overrideApprovalId : null,
+    line_discount_type: adjustment?.discountType || DISCOUNT_TYPES.PERCENTAGE,
+    line_discount_value: parseFloat(adjustment?.discountValue) || 0,
+    line_discount: adjustment
+      ? resolveDiscountAmount(price * quantity, adjustment.discountType, adjustment.discountValue)
+      : 0
+  };
+});
+
+// Error for one adjusted line, or null when it can be billed
+export const validateCartLine = (line) => {
+  const quantity = parseInt(line.quantity, 10) || 0;
+  const stock = parseInt(line.stock_quantity, 10);
+  const discountValue = line.line_discount_value;
+
+  if (quantity < 1) return 'Quantity must be at least 1';
+  if (!isNaN(stock) && quantity > stock) return `Only ${stock} in stock`;
+  if (discountValue < 0) return 'Discount cannot be negative';
+  if (line.line_discount_type === DISCOUNT_TYPES.PERCENTAGE && discountValue > 100) return 'Discount cannot be more than 100%';
+  if (line.line_discount_type === DISCOUNT_TYPES.AMOUNT && discountValue > roundToPaise(line.price * quantity)) {
+    return 'Discount cannot be more than the line total';
+  }
+  return null;
+};
+
+// { [productId]: message } for the lines that need fixing before checkout
+export const validateCartLines = (lines) => lines.reduce((errors, line) => {
+  const error = validateCartLine(line);
+  if (error) errors[line.id] = error;
+  return errors;
+}, {});
+
+// Price overrides need the manager PIN, which only the server knows; with no PIN set nobody can override
+export const isPriceOverrideEnabled = (settings) => settings?.price_override_enabled === true;
+
+export const isValidOverridePin = (pin) => /^\d{4,6}$/.test(String(pin || '').trim());
+
+// Returns an error message, or null when the override can go to the server for the PIN check
+export const validatePriceOverride = ({ price, reason, approvedBy, pin }) => {
+  const value = parseFloat(price);
+  if (String(price ?? '').trim() === '' || isNaN(value)) return 'Enter the new price';
+  if (value < 0) return 'Price cannot be negative';
+  if (!String(reason || '').trim()) return 'Enter a reason for the price change';
+  if (!String(approvedBy || '').trim()) return 'Enter the name of the manager approving';
+  if (!isValidOverridePin(pin)) return 'Enter the 4 to 6 digit manager PIN';
+  return null;
+};
+
+// Per-item fields for the bill payload. total_price is the line after its own discount, so
+// invoices, reports and returns that sum line totals see what the line actually sold for.
+export const buildLineItemPayload = (line) => ({
+  unit_price: line.price,
+  total_price: roundToPaise(line.price * (parseInt(line.quantity, 10) || 0) - line.line_discount),
+  line_discount: line.line_discount,
+  ...(line.line_discount > 0 ? {
+    line_discount_type: line.line_discount_type,
+    line_discount_value: line.line_discount_value
+  } : {}),
+  ...(line.price_override_reason ? {
+    list_price: line.list_price,
+    price_override_reason: line.price_override_reason,
+    price_override_approved_by: line.price_override_approved_by,
+    price_override_approval_id: line.price_override_approval_id
+  } : {})
+});
@@ -0,0 +1,109 @@
+import { INSTANCE_ID, TERMINAL } from './terminal';
+
+// Tabs share cart changes over a BroadcastChannel, or through localStorage 'storage' events
+// on browsers without one. Only tabs on the same terminal act on each other's messages.
+//
+// Every local edit bumps cartVersion and records the version it was made on (baseVersion).
+// A tab receiving an update made on top of its own version simply takes it; one that has
+// edited its cart since has a conflict, which the cashier resolves by picking a side.
+
+const CHANNEL_NAME = 'pos-cart-sync';
+
+export const CART_MESSAGES = {
+  UPDATE: 'cart-update',
+  REQUEST: 'cart-request',
+  // From the checkout page to the customer display, see utils/customerDisplay
+  CHECKOUT: 'checkout-update',
+  BILL_COMPLETE: 'bill-complete'
+};
+
+export const CART_SYNC_ACTIONS = {
+  APPLY: 'apply',
+  IGNORE: 'ignore',
+  CONFLICT: 'conflict'
+};
+
+// Returns { post, close }; onMessage gets messages from other tabs only
+export const openCartChannel = (onMessage) => {
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => onMessage(event.data);
+    return {
+      post: (message) => channel.postMessage(message),
+      close: () => channel.close()
+    };
+  }
+
+  // 'storage' only fires in the other tabs, and only when the value changes, hence the nonce
+  const handleStorage = (event) => {
+    if (event.key !== CHANNEL_NAME || !event.newValue) return;
+    try {
+      onMessage(JSON.parse(event.newValue));
+    } catch (error) {
+      console.warn('Ignoring unreadable cart sync message:', error);
+    }
+  };
+  window.addEventListener('storage', handleStorage);
+  return {
+    post: (message) => {
+      try {
+        localStorage.setItem(CHANNEL_NAME, JSON.stringify({ ...message, nonce: Math.random() }));
+      } catch (error) {
+        console.warn('Could not share the cart with other tabs:', error);
+      }
+    },
+    close: () => window.removeEventListener('storage', handleStorage)
+  };
+};
+
+// The cart as other tabs see it. Item names and prices travel with it so a display tab
+// can show the cart without loading the product list.
+export const buildCartUpdate = (state) => ({
+  type: CART_MESSAGES.UPDATE,
+  terminalId: TERMINAL.id,
+  instanceId: INSTANCE_ID,
+  cart: state.cart,
+  version: state.cartVersion,
+  baseVersion: state.cartBaseVersion,
+  updatedAt: state.cartUpdatedAt,
+  items: state.getCartItems().map(item => ({
+    id: item.id,
+    name: item.name,
+    price: item.price,
+    quantity: item.quantity
+  })),
+  total: state.getTotalValue()
+});
+
+export const buildCartRequest = () => ({
+  type: CART_MESSAGES.REQUEST,
+  terminalId: TERMINAL.id,
+  instanceId: INSTANCE_ID
+});
+
+// Messages from another tab on this terminal
+export const isForThisTerminal = (message) => Boolean(message)
+  && message.terminalId === TERMINAL.id
+  && message.instanceId !== INSTANCE_ID;
+
+export const isSameCart = (a = {}, b = {}) => {
+  const keys = Object.keys(a).filter(key => (parseInt(a[key], 10) || 0) > 0);
+  const otherKeys = Object.keys(b).filter(key => (parseInt(b[key], 10) || 0) > 0);
+  return keys.length === otherKeys.length
+    && keys.every(key => (parseInt(a[key], 10) || 0) === (parseInt(b[key], 10) || 0));
+};
+
+// What to do with an update from another tab given this tab's cart state
+export const resolveCartUpdate = (local, message) => {
+  // Same items: only catch up on the version so later updates line up
+  if (isSameCart(local.cart, message.cart)) {
+    return message.version > local.cartVersion ? CART_SYNC_ACTIONS.APPLY : CART_SYNC_ACTIONS.IGNORE;
+  }
+  // Made on top of what this tab has, or this tab has not touched its cart since the last sync
+  if (message.baseVersion === local.cartVersion || local.cartUpdatedBy !== INSTANCE_ID) {
+    return message.version > local.cartVersion || message.baseVersion === local.cartVersion
+      ? CART_SYNC_ACTIONS.APPLY
+      : CART_SYNC_ACTIONS.IGNORE;
+  }
+  return CART_SYNC_ACTIONS.CONFLICT;
+};
@@ -0,0 +1,191 @@
+import { jsPDF } from 'jspdf';
+import { withShopDefaults } from './shopSettings';
+import { getCreditNoteNumber, RETURN_REASONS } from './returns';
+import {
+  PDF_MARGIN,
+  pdfText,
+  formatPdfMoney,
+  getPageSize,
+  ensureSpace,
+  drawShopHeader,
+  drawTable,
+  addPageNumbers
+} from './pdf';
+
+const toTitleCase = (str) => {
+  if (!str) return '';
+  return str
+    .toLowerCase()
+    .split(' ')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+};
+
+const amount = (value) => (parseFloat(value) || 0).toFixed(2);
+
+const getReasonLabel = (reason) => RETURN_REASONS.find(r => r.value === reason)?.label || toTitleCase(reason || '');
+
+// Credit note issued for returned items, referencing the original invoice
+export const buildCreditNotePDF = async ({ creditNote, bill, shopSettings }) => {
+  const shop = withShopDefaults(shopSettings);
+  const creditNoteNumber = getCreditNoteNumber(creditNote);
+  const invoiceNumber = String(bill?.id || creditNote?.bill_id || 'N/A').substring(0, 8).toUpperCase();
+  const issuedAt = new Date(creditNote?.created_at || Date.now());
+  const items = creditNote?.items || creditNote?.return_items || [];
+  const hasTax = items.some(item => (parseFloat(item.cgst_amount) || 0) + (parseFloat(item.sgst_amount) || 0) + (parseFloat(item.igst_amount) || 0) > 0);
+
+  const doc = new jsPDF('p', 'mm', 'a4');
+  const { width: pageWidth } = getPageSize(doc);
+  const contentRight = pageWidth - PDF_MARGIN;
+
+  doc.setProperties({
+    title: `Credit Note ${creditNoteNumber}`,
+    subject: 'Credit Note',
+    author: shop.shop_name
+  });
+
+  let y = await drawShopHeader(doc, shop, { title: 'CREDIT NOTE', subtitle: creditNoteNumber, accent: 'red' });
+
+  // Customer and reference details
+  const columnWidth = (contentRight - PDF_MARGIN - 10) / 2;
+  const detailsX = PDF_MARGIN + columnWidth + 10;
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(11);
+  doc.setTextColor(31, 41, 55);
+  doc.text('Customer:', PDF_MARGIN, y);
+  doc.text('Credit Note Details:', detailsX, y);
+  doc.setDrawColor(209, 213, 219);
+  doc.line(PDF_MARGIN, y + 1.5, PDF_MARGIN + columnWidth, y + 1.5);
+  doc.line(detailsX, y + 1.5, contentRight, y + 1.5);
+
+  let leftY = y + 7;
+  doc.text(pdfText(toTitleCase(bill?.customer_name || 'Walk-in Customer')), PDF_MARGIN, leftY);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.setTextColor(75, 85, 99);
+  const phone = bill?.phone_number || bill?.customer_phone;
+  if (phone) {
+    leftY += 5;
+    doc.text(pdfText(`Phone: ${phone}`), PDF_MARGIN, leftY);
+  }
+  leftY += 5;
+  doc.text(pdfText(`Reason: ${getReasonLabel(creditNote?.reason)}`), PDF_MARGIN, leftY);
+  if (creditNote?.notes) {
+    const noteLines = doc.splitTextToSize(pdfText(creditNote.notes), columnWidth);
+    doc.text(noteLines, PDF_MARGIN, leftY + 5);
+    leftY += 5 * noteLines.length;
+  }
+
+  let rightY = y + 2;
+  const details = [
+    ['Credit Note No:', creditNoteNumber],
+    ['Date:', issuedAt.toLocaleDateString('en-IN')],
+    ['Against Invoice:', `#${invoiceNumber}`],
+    ['Invoice Date:', bill?.created_at ? new Date(bill.created_at).toLocaleDateString('en-IN') : '-'],
+    ['Refund Mode:', toTitleCase(creditNote?.refund_method || 'cash')],
+    ['Processed By:', toTitleCase(creditNote?.processed_by || '-')]
+  ];
+  details.forEach(([label, value]) => {
+    rightY += 5;
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(75, 85, 99);
+    doc.text(label, detailsX, rightY);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(31, 41, 55);
+    doc.text(pdfText(value), contentRight, rightY, { align: 'right' });
+  });
+
+  y = Math.max(leftY, rightY) + 8;
+  doc.setFont('helvetica', 'normal');
+  doc.setTextColor(0, 0, 0);
+
+  // Returned items
+  const columns = hasTax
+    ? [
+      { header: 'S.No', width: 12, align: 'center' },
+      { header: 'Product', width: 62 },
+      { header: 'HSN', width: 18, align: 'center' },
+      { header: 'Qty', width: 12, align: 'center' },
+      { header: 'Taxable (Rs.)', width: 26, align: 'right' },
+      { header: 'GST (Rs.)', width: 24, align: 'right' },
+      { header: 'Refund (Rs.)', width: 28, align: 'right' }
+    ]
+    : [
+      { header: 'S.No', width: 12, align: 'center' },
+      { header: 'Product', width: 98 },
+      { header: 'Qty', width: 16, align: 'center' },
+      { header: 'Unit Price (Rs.)', width: 28, align: 'right' },
+      { header: 'Refund (Rs.)', width: 28, align: 'right' }
+    ];
+
+  y = drawTable(doc, {
+    columns,
+    rows: items.map((item, index) => {
+      const name = {
+        text: toTitleCase(item.name || item.product?.name || 'Unknown Product'),
+        secondary: [item.sku ? `SKU: ${item.sku.toUpperCase()}` : '']
+      };
+      if (!hasTax) {
+        return [String(index + 1), name, String(item.quantity), amount(item.unit_price), { text: amount(item.refund_amount), bold: true }];
+      }
+      const tax = (parseFloat(item.cgst_amount) || 0) + (parseFloat(item.sgst_amount) || 0) + (parseFloat(item.igst_amount) || 0);
+      return [
+        String(index + 1),
+        name,
+        item.hsn_code || '-',
+        String(item.quantity),
+        amount(item.taxable_value),
+        { text: amount(tax), secondary: item.gst_rate !== null && item.gst_rate !== undefined ? [`@${item.gst_rate}%`] : [] },
+        { text: amount(item.refund_amount), bold: true }
+      ];
+    }),
+    startY: y,
+    fontSize: hasTax ? 8 : 9
+  }) + 6;
+
+  // Totals
+  const totals = [];
+  if (hasTax) {
+    totals.push(['Taxable Value:', formatPdfMoney(creditNote?.taxable_amount)]);
+    if ((parseFloat(creditNote?.igst_amount) || 0) > 0) {
+      totals.push(['IGST Reversed:', formatPdfMoney(creditNote?.igst_amount)]);
+    } else {
+      totals.push(['CGST Reversed:', formatPdfMoney(creditNote?.cgst_amount)]);
+      totals.push(['SGST Reversed:', formatPdfMoney(creditNote?.sgst_amount)]);
+    }
+  }
+  y = ensureSpace(doc, y, totals.length * 6 + 14);
+  const boxX = contentRight - 80;
+  doc.setFontSize(9);
+  totals.forEach(([label, value]) => {
+    doc.setTextColor(75, 85, 99);
+    doc.text(label, boxX + 3, y + 4.5);
+    doc.setTextColor(31, 41, 55);
+    doc.text(value, contentRight - 3, y + 4.5, { align: 'right' });
+    y += 6;
+  });
+
+  doc.setFillColor(153, 27, 27);
+  doc.rect(boxX, y, 80, 9, 'F');
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(11);
+  doc.setTextColor(255, 255, 255);
+  doc.text('Total Refund:', boxX + 3, y + 6);
+  doc.text(formatPdfMoney(creditNote?.refund_amount), contentRight - 3, y + 6, { align: 'right' });
+  y += 20;
+
+  // Signatures
+  y = ensureSpace(doc, y, 20);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.setTextColor(75, 85, 99);
+  doc.setDrawColor(156, 163, 175);
+  doc.line(PDF_MARGIN, y + 10, PDF_MARGIN + 50, y + 10);
+  doc.text('Customer Signature', PDF_MARGIN, y + 15);
+  doc.line(contentRight - 50, y + 10, contentRight, y + 10);
+  doc.text('Authorized Signature', contentRight, y + 15, { align: 'right' });
+
+  addPageNumbers(doc, `Credit Note ${creditNoteNumber} against Invoice #${invoiceNumber}`);
+  return doc;
+};
@@ -0,0 +1,64 @@
+import { INSTANCE_ID, TERMINAL } from './terminal';
+import { CART_MESSAGES } from './cartSync';
+import { getTenderAmount } from './paymentMethods';
+import { getPromotionLabel } from './promotions';
+import { buildBillUpiUri } from './upi';
+
+// Messages the checkout page sends to the customer display on the same terminal. The cart
+// itself arrives as the regular cart updates; these add what only checkout knows: the
+// discounts, the total, the UPI QR while UPI is picked, and the finished bill.
+
+// What a UPI tender asks for, or null when no UPI tender has an amount or no UPI ID is set
+export const getUpiPayment = ({ tenders, amountDue, upiConfig, reference }) => {
+  if (!upiConfig || amountDue <= 0) return null;
+  const amount = tenders
+    .filter(tender => tender.method === 'upi')
+    .reduce((sum, tender) => sum + getTenderAmount(tender, tenders, amountDue), 0);
+  if (amount <= 0) return null;
+  return {
+    amount,
+    upiId: upiConfig.upiId,
+    payeeName: upiConfig.payeeName,
+    uri: buildBillUpiUri(upiConfig, { amount, reference })
+  };
+};
+
+// checkout is null once the cashier leaves the checkout page without billing
+export const buildCheckoutMessage = (checkout) => ({
+  type: CART_MESSAGES.CHECKOUT,
+  terminalId: TERMINAL.id,
+  instanceId: INSTANCE_ID,
+  checkout
+});
+
+export const buildCheckoutSummary = ({ customerName, values, promotions, loyalty, upi }) => ({
+  customerName,
+  lines: values.lines.map(line => ({
+    id: line.id,
+    name: line.name,
+    price: parseFloat(line.price) || 0,
+    quantity: parseInt(line.quantity, 10) || 0
+  })),
+  subtotal: values.subtotal,
+  lineDiscount: values.lineDiscount,
+  promotions: promotions.map(promotion => ({ label: getPromotionLabel(promotion), amount: promotion.amount })),
+  discount: values.discountAmount,
+  pointsDiscount: values.pointsDiscount,
+  tax: values.totalTax,
+  pricesIncludeTax: values.pricesIncludeTax,
+  total: values.total,
+  pointsTender: loyalty.pointsTender,
+  amountDue: loyalty.amountDue,
+  upi
+});
+
+export const buildBillCompleteMessage = ({ bill, customerName, change, pointsEarned }) => ({
+  type: CART_MESSAGES.BILL_COMPLETE,
+  terminalId: TERMINAL.id,
+  instanceId: INSTANCE_ID,
+  billId: bill?.id || null,
+  customerName,
+  total: parseFloat(bill?.total_amount) || 0,
+  change,
+  pointsEarned
+});
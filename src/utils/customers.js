@@ -0,0 +1,121 @@
+import { getBillTotals } from './billTotals';
+
+// Customers are keyed by their 10-digit mobile number, the one thing staff always ask for.
+// GET /customers returns them with their visit stats; older servers have no customer table,
+// in which case the same records are built from the bill history.
+
+export const CUSTOMER_SORTS = [
+  { value: 'last_visit', label: 'Last Visit' },
+  { value: 'total_spent', label: 'Spend' },
+  { value: 'bill_count', label: 'Visits' },
+  { value: 'name', label: 'Name' }
+];
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+const getBillPhone = (bill) => bill?.phone_number || bill?.customer_phone || '';
+
+// Last 10 digits, so "+91 98765 43210" and "098765 43210" are the same customer
+export const normalizePhone = (value) => String(value || '').replace(/\D/g, '').slice(-10);
+
+const toTime = (value) => {
+  const time = new Date(value).getTime();
+  return isNaN(time) ? 0 : time;
+};
+
+// Server records may use either naming for the stats
+export const normalizeCustomer = (record) => ({
+  ...record,
+  id: record?.id ?? null,
+  name: record?.name || record?.customer_name || '',
+  phone: normalizePhone(record?.phone || record?.phone_number),
+  email: record?.email || '',
+  state_code: record?.state_code || '',
+  bill_count: parseInt(record?.bill_count ?? record?.visit_count, 10) || 0,
+  total_spent: toNumber(record?.total_spent ?? record?.lifetime_spend),
+  first_visit_at: record?.first_visit_at || record?.first_visit || record?.created_at || null,
+  last_visit_at: record?.last_visit_at || record?.last_visit || null
+});
+
+// Adds one bill to a customer's stats. The name and state follow the most recent bill.
+export const applyBillToCustomer = (customer, bill) => {
+  const billTime = toTime(bill?.created_at);
+  const isLatest = billTime >= toTime(customer?.last_visit_at);
+  const isFirst = !customer?.first_visit_at || billTime < toTime(customer.first_visit_at);
+  const phone = normalizePhone(getBillPhone(bill)) || customer?.phone || '';
+
+  return {
+    ...customer,
+    phone,
+    name: isLatest ? bill?.customer_name || customer?.name || '' : customer?.name || bill?.customer_name || '',
+    state_code: isLatest ? bill?.place_of_supply || customer?.state_code || '' : customer?.state_code || '',
+    bill_count: (customer?.bill_count || 0) + 1,
+    total_spent: (customer?.total_spent || 0) + getBillTotals(bill).netAfterRefunds,
+    first_visit_at: isFirst ? bill?.created_at : customer?.first_visit_at,
+    last_visit_at: isLatest ? bill?.created_at : customer?.last_visit_at
+  };
+};
+
+// One record per phone number, for servers without GET /customers
+export const buildCustomersFromBills = (bills = []) => {
+  const byPhone = new Map();
+  bills.forEach(bill => {
+    const phone = normalizePhone(getBillPhone(bill));
+    if (phone.length !== 10) return;
+    const existing = byPhone.get(phone) || normalizeCustomer({ phone });
+    byPhone.set(phone, applyBillToCustomer(existing, bill));
+  });
+  return [...byPhone.values()];
+};
+
+export const findCustomerByPhone = (customers, phone) => {
+  const digits = normalizePhone(phone);
+  if (digits.length !== 10) return null;
+  return customers.find(customer => customer.phone === digits) || null;
+};
+
+export const getAverageBill = (customer) => (customer?.bill_count > 0 ? customer.total_spent / customer.bill_count : 0);
+
+export const sortCustomers = (customers, sortBy = 'last_visit') => [...customers].sort((a, b) => {
+  if (sortBy === 'name') return String(a.name).localeCompare(String(b.name), 'en', { sensitivity: 'base' });
+  if (sortBy === 'total_spent') return b.total_spent - a.total_spent;
+  if (sortBy === 'bill_count') return b.bill_count - a.bill_count || b.total_spent - a.total_spent;
+  return toTime(b.last_visit_at) - toTime(a.last_visit_at);
+});
+
+// Digits match anywhere in the phone number, text matches the name
+export const matchesCustomerSearch = (customer, search) => {
+  const term = String(search || '').trim().toLowerCase();
+  if (!term) return true;
+  const digits = term.replace(/\D/g, '');
+  if (digits.length >= 3 && customer.phone.includes(digits)) return true;
+  return String(customer.name).toLowerCase().includes(term);
+};
+
+// Suggestions for the Checkout phone field, most recent visitors first
+export const suggestCustomers = (customers, search, limit = 6) => {
+  const digits = String(search || '').replace(/\D/g, '');
+  if (digits.length < 3) return [];
+  return sortCustomers(customers.filter(customer => customer.phone.includes(digits)))
+    .slice(0, limit);
+};
+
+// Bills whose phone number belongs to this customer, newest first
+export const getCustomerBills = (bills, phone) => {
+  const digits = normalizePhone(phone);
+  return bills
+    .filter(bill => normalizePhone(getBillPhone(bill)) === digits)
+    .sort((a, b) => toTime(b.created_at) - toTime(a.created_at));
+};
+
+// "Today", "Yesterday", "12 days ago" or the date for older visits
+export const formatLastVisit = (value, now = new Date()) => {
+  const time = toTime(value);
+  if (!time) return 'Never';
+  const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+  const days = Math.ceil((startOfToday - time) / 86400000);
+  if (days <= 0) return 'Today';
+  if (days === 1) return 'Yesterday';
+  if (days < 30) return `${days} days ago`;
+  return new Date(time).toLocaleDateString('en-IN');
+};
@@ -0,0 +1,74 @@
+import { buildReceiptLines, DEFAULT_RECEIPT_PAPER } from './receipt';
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+const COMMANDS = {
+  init: [ESC, 0x40],
+  alignLeft: [ESC, 0x61, 0x00],
+  alignCenter: [ESC, 0x61, 0x01],
+  alignRight: [ESC, 0x61, 0x02],
+  boldOn: [ESC, 0x45, 0x01],
+  boldOff: [ESC, 0x45, 0x00],
+  // Double height and width
+  sizeLarge: [GS, 0x21, 0x11],
+  sizeNormal: [GS, 0x21, 0x00],
+  // Feed 4 lines then partial cut
+  feedAndCut: [GS, 0x56, 0x42, 0x04]
+};
+
+const ALIGN_COMMANDS = {
+  left: COMMANDS.alignLeft,
+  center: COMMANDS.alignCenter,
+  right: COMMANDS.alignRight
+};
+
+// Receipt lines are already ASCII, anything else becomes '?'
+const encodeText = (text) => Array.from(text, char => {
+  const code = char.charCodeAt(0);
+  return code >= 0x20 && code <= 0x7e ? code : 0x3f;
+});
+
+// Raw ESC/POS bytes for a bill, ready for a thermal printer
+export const buildEscPosReceipt = (bill, shopSettings, paperWidth = DEFAULT_RECEIPT_PAPER) => {
+  const bytes = [...COMMANDS.init];
+
+  buildReceiptLines(bill, shopSettings, paperWidth).forEach(line => {
+    bytes.push(...ALIGN_COMMANDS[line.align]);
+    if (line.bold) bytes.push(...COMMANDS.boldOn);
+    if (line.large) bytes.push(...COMMANDS.sizeLarge);
+    bytes.push(...encodeText(line.text), LF);
+    if (line.large) bytes.push(...COMMANDS.sizeNormal);
+    if (line.bold) bytes.push(...COMMANDS.boldOff);
+  });
+
+  bytes.push(...COMMANDS.alignLeft, ...COMMANDS.feedAndCut);
+  return new Uint8Array(bytes);
+};
+
+export const downloadEscPos = (bytes, fileName) => {
+  const blob = new Blob([bytes], { type: 'application/octet-stream' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Sends the raw bytes to a print bridge running on the counter PC (e.g. http://localhost:9100/print)
+export const sendToPrintBridge = async (bytes, bridgeUrl) => {
+  const response = await fetch(bridgeUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/octet-stream' },
+    body: bytes
+  });
+
+  if (!response.ok) {
+    const message = await response.text().catch(() => '');
+    throw new Error(message || `Print bridge responded with ${response.status}`);
+  }
+};
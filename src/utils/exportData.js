@@ -0,0 +1,186 @@
+import { getBillPayments, getPaymentMethodLabel } from './paymentMethods';
+import { getReturnStatusLabel } from './returns';
+import { getBillTotals, getDiscountLabel } from './billTotals';
+import { getReorderLevel, getReorderQuantity, getStockStatus } from './stockStatus';
+import { getBillProfit, getCostPrice, getItemUnitCost, getProductMargin } from './profit';
+import { getBillLoyalty } from './loyalty';
+import { getBillPromotions, getPromotionLabel } from './promotions';
+
+// Column layouts for the Inventory and Bills exports, written by exportTable in spreadsheet.js
+
+const toTitleCase = (str) => {
+  if (!str) return '';
+  return str
+    .toLowerCase()
+    .split(' ')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+};
+
+const getProduct = (item) => item?.product || item?.products || {};
+
+const billNumber = (bill) => String(bill?.id || '').substring(0, 8).toUpperCase();
+
+export const PRODUCT_EXPORT_COLUMNS = [
+  { key: 'sku', header: 'SKU', width: 16 },
+  { key: 'barcode', header: 'Barcode', width: 16 },
+  { key: 'name', header: 'Product', width: 32 },
+  { key: 'category', header: 'Category', width: 16 },
+  { key: 'brand', header: 'Brand', width: 16 },
+  { key: 'hsn_code', header: 'HSN', width: 10 },
+  { key: 'gst_rate', header: 'GST %', type: 'number', width: 8 },
+  { key: 'price', header: 'Price', type: 'money', width: 12 },
+  { key: 'cost_price', header: 'Cost Price', type: 'money', width: 12 },
+  { key: 'margin', header: 'Margin %', type: 'number', width: 10 },
+  { key: 'stock_quantity', header: 'Stock', type: 'number', width: 10 },
+  { key: 'reorder_level', header: 'Reorder Level', type: 'number', width: 13 },
+  { key: 'reorder_quantity', header: 'Reorder Qty', type: 'number', width: 12 },
+  { key: 'stock_status', header: 'Status', width: 13 },
+  { key: 'stock_value', header: 'Stock Value', type: 'money', width: 14 },
+  { key: 'stock_cost', header: 'Stock at Cost', type: 'money', width: 14 }
+];
+
+export const toProductExportRows = (products, { pricesIncludeTax } = {}) => products.map(product => {
+  const price = parseFloat(product.price) || 0;
+  const stock = parseInt(product.stock_quantity, 10) || 0;
+  const cost = getCostPrice(product);
+  const margin = getProductMargin(product, pricesIncludeTax);
+  return {
+    sku: String(product.sku || '').toUpperCase(),
+    barcode: product.barcode || '',
+    name: toTitleCase(product.name),
+    category: toTitleCase(product.category),
+    brand: toTitleCase(product.brand),
+    hsn_code: product.hsn_code || '',
+    gst_rate: product.gst_rate,
+    price,
+    cost_price: cost,
+    margin: margin ? Math.round(margin.percent * 10) / 10 : null,
+    stock_quantity: stock,
+    reorder_level: getReorderLevel(product),
+    reorder_quantity: getReorderQuantity(product),
+    stock_status: getStockStatus(product).text,
+    stock_value: price * stock,
+    stock_cost: cost !== null ? cost * stock : null
+  };
+});
+
+export const BILL_EXPORT_LAYOUTS = {
+  BILLS: 'bills',
+  ITEMS: 'items'
+};
+
+export const BILL_EXPORT_COLUMNS = [
+  { key: 'bill_no', header: 'Bill No', width: 12 },
+  { key: 'created_at', header: 'Date', type: 'date', width: 17 },
+  { key: 'customer_name', header: 'Customer', width: 24 },
+  { key: 'phone_number', header: 'Phone', width: 14 },
+  { key: 'billed_by', header: 'Billed By', width: 14 },
+  { key: 'payment', header: 'Payment', width: 22 },
+  { key: 'item_count', header: 'Items', type: 'number', width: 8 },
+  { key: 'subtotal', header: 'Subtotal', type: 'money', width: 12 },
+  { key: 'discount_type', header: 'Discount Type', width: 16 },
+  { key: 'promotions', header: 'Promotions', width: 24 },
+  { key: 'discount', header: 'Discount', type: 'money', width: 12 },
+  { key: 'taxable_amount', header: 'Taxable Value', type: 'money', width: 14 },
+  { key: 'cgst_amount', header: 'CGST', type: 'money', width: 10 },
+  { key: 'sgst_amount', header: 'SGST', type: 'money', width: 10 },
+  { key: 'igst_amount', header: 'IGST', type: 'money', width: 10 },
+  { key: 'total_tax', header: 'Total Tax', type: 'money', width: 12 },
+  { key: 'total_amount', header: 'Total', type: 'money', width: 12 },
+  { key: 'cost', header: 'Cost', type: 'money', width: 12 },
+  { key: 'gross_profit', header: 'Gross Profit', type: 'money', width: 13 },
+  { key: 'points_earned', header: 'Points Earned', type: 'number', width: 13 },
+  { key: 'points_redeemed', header: 'Points Redeemed', type: 'number', width: 15 },
+  { key: 'points_value', header: 'Points Value', type: 'money', width: 12 },
+  { key: 'return_status', header: 'Returns', width: 16 },
+  { key: 'refunded_amount', header: 'Refunded', type: 'money', width: 12 },
+  { key: 'bill_id', header: 'Bill ID', width: 38 }
+];
+
+// Split bills list every tender, e.g. "Cash 500.00 + UPI 1200.00"
+const describePayments = (bill) => {
+  const payments = getBillPayments(bill);
+  if (payments.length === 1) return getPaymentMethodLabel(payments[0].method);
+  return payments.map(payment => `${getPaymentMethodLabel(payment.method)} ${payment.amount.toFixed(2)}`).join(' + ');
+};
+
+export const toBillExportRows = (bills) => bills.map(bill => {
+  const items = bill.bill_items || [];
+  const totals = getBillTotals(bill);
+  const profit = getBillProfit(bill);
+  const loyalty = getBillLoyalty(bill);
+
+  return {
+    bill_no: billNumber(bill),
+    created_at: bill.created_at,
+    customer_name: toTitleCase(bill.customer_name),
+    phone_number: bill.phone_number || bill.customer_phone || '',
+    billed_by: toTitleCase(bill.billed_by),
+    payment: describePayments(bill),
+    item_count: items.reduce((sum, item) => sum + (parseInt(item?.quantity, 10) || 0), 0),
+    subtotal: totals.gross,
+    discount_type: totals.discountType ? getDiscountLabel(totals) : '',
+    promotions: getBillPromotions(bill).map(getPromotionLabel).join(', '),
+    discount: totals.promotionDiscount + totals.discount + totals.pointsDiscount,
+    taxable_amount: totals.taxable,
+    cgst_amount: bill.cgst_amount,
+    sgst_amount: bill.sgst_amount,
+    igst_amount: bill.igst_amount,
+    total_tax: totals.tax,
+    total_amount: totals.net,
+    cost: profit.costedSales > 0 ? profit.cost : null,
+    gross_profit: profit.costedSales > 0 ? profit.profit : null,
+    points_earned: loyalty.earned,
+    points_redeemed: loyalty.redeemed,
+    points_value: loyalty.redeemValue,
+    return_status: getReturnStatusLabel(bill.return_status),
+    refunded_amount: totals.refunded,
+    bill_id: bill.id
+  };
+});
+
+export const BILL_ITEM_EXPORT_COLUMNS = [
+  { key: 'bill_no', header: 'Bill No', width: 12 },
+  { key: 'created_at', header: 'Date', type: 'date', width: 17 },
+  { key: 'customer_name', header: 'Customer', width: 24 },
+  { key: 'billed_by', header: 'Billed By', width: 14 },
+  { key: 'payment', header: 'Payment', width: 16 },
+  { key: 'sku', header: 'SKU', width: 16 },
+  { key: 'product', header: 'Product', width: 32 },
+  { key: 'category', header: 'Category', width: 16 },
+  { key: 'hsn_code', header: 'HSN', width: 10 },
+  { key: 'quantity', header: 'Qty', type: 'number', width: 8 },
+  { key: 'unit_price', header: 'Unit Price', type: 'money', width: 12 },
+  { key: 'total_price', header: 'Line Total', type: 'money', width: 12 },
+  { key: 'unit_cost', header: 'Unit Cost', type: 'money', width: 12 },
+  { key: 'gst_rate', header: 'GST %', type: 'number', width: 8 },
+  { key: 'taxable_value', header: 'Taxable Value', type: 'money', width: 14 },
+  { key: 'cgst_amount', header: 'CGST', type: 'money', width: 10 },
+  { key: 'sgst_amount', header: 'SGST', type: 'money', width: 10 },
+  { key: 'igst_amount', header: 'IGST', type: 'money', width: 10 }
+];
+
+export const toBillItemExportRows = (bills) => bills.flatMap(bill => (bill.bill_items || []).map(item => {
+  const product = getProduct(item);
+  return {
+    bill_no: billNumber(bill),
+    created_at: bill.created_at,
+    customer_name: toTitleCase(bill.customer_name),
+    billed_by: toTitleCase(bill.billed_by),
+    payment: getPaymentMethodLabel(bill.payment_method),
+    sku: String(product.sku || '').toUpperCase(),
+    product: toTitleCase(product.name || 'Unknown Product'),
+    category: toTitleCase(product.category),
+    hsn_code: item.hsn_code || product.hsn_code || '',
+    quantity: parseInt(item.quantity, 10) || 0,
+    unit_price: item.unit_price,
+    total_price: item.total_price,
+    unit_cost: getItemUnitCost(item),
+    gst_rate: item.gst_rate,
+    taxable_value: item.taxable_value,
+    cgst_amount: item.cgst_amount,
+    sgst_amount: item.sgst_amount,
+    igst_amount: item.igst_amount
+  };
+}));
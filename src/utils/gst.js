@@ -0,0 +1,221 @@
+// GST slabs a product can be billed under
+export const GST_RATES = [0, 5, 12, 18, 28];
+
+// Most electronics fall under the 18% slab
+export const DEFAULT_GST_RATE = 18;
+
+// Shop prices are MRP, i.e. GST is already included in the selling price
+export const DEFAULT_PRICES_INCLUDE_TAX = true;
+
+// State codes as used in the first two digits of a GSTIN
+export const INDIAN_STATES = [
+  { code: '01', name: 'Jammu and Kashmir' },
+  { code: '02', name: 'Himachal Pradesh' },
+  { code: '03', name: 'Punjab' },
+  { code: '04', name: 'Chandigarh' },
+  { code: '05', name: 'Uttarakhand' },
+  { code: '06', name: 'Haryana' },
+  { code: '07', name: 'Delhi' },
+  { code: '08', name: 'Rajasthan' },
+  { code: '09', name: 'Uttar Pradesh' },
+  { code: '10', name: 'Bihar' },
+  { code: '11', name: 'Sikkim' },
+  { code: '12', name: 'Arunachal Pradesh' },
+  { code: '13', name: 'Nagaland' },
+  { code: '14', name: 'Manipur' },
+  { code: '15', name: 'Mizoram' },
+  { code: '16', name: 'Tripura' },
+  { code: '17', name: 'Meghalaya' },
+  { code: '18', name: 'Assam' },
+  { code: '19', name: 'West Bengal' },
+  { code: '20', name: 'Jharkhand' },
+  { code: '21', name: 'Odisha' },
+  { code: '22', name: 'Chhattisgarh' },
+  { code: '23', name: 'Madhya Pradesh' },
+  { code: '24', name: 'Gujarat' },
+  { code: '26', name: 'Dadra and Nagar Haveli and Daman and Diu' },
+  { code: '27', name: 'Maharashtra' },
+  { code: '29', name: 'Karnataka' },
+  { code: '30', name: 'Goa' },
+  { code: '31', name: 'Lakshadweep' },
+  { code: '32', name: 'Kerala' },
+  { code: '33', name: 'Tamil Nadu' },
+  { code: '34', name: 'Puducherry' },
+  { code: '35', name: 'Andaman and Nicobar Islands' },
+  { code: '36', name: 'Telangana' },
+  { code: '37', name: 'Andhra Pradesh' },
+  { code: '38', name: 'Ladakh' },
+  { code: '97', name: 'Other Territory' }
+];
+
+// The shop is in Perambalur, Tamil Nadu
+export const DEFAULT_SHOP_STATE_CODE = '33';
+
+// Every bill amount is rounded to whole paise with this one rule
+export const roundToPaise = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// Rupee amount for display, e.g. 76.54, or 77 with decimals = 0
+export const formatAmount = (amount, decimals = 2) => roundToPaise(parseFloat(amount) || 0).toFixed(decimals);
+
+export const getStateName = (stateCode) => {
+  const state = INDIAN_STATES.find(s => s.code === stateCode);
+  return state ? state.name : '';
+};
+
+export const getStateCodeFromGSTIN = (gstin) => {
+  const code = (gstin || '').trim().substring(0, 2);
+  return INDIAN_STATES.some(s => s.code === code) ? code : null;
+};
+
+// Shop settings may carry an explicit state_code, otherwise it is read off a valid GSTIN
+export const getShopStateCode = (shopSettings) => {
+  if (shopSettings?.state_code && getStateName(shopSettings.state_code)) {
+    return shopSettings.state_code;
+  }
+  return (isValidGSTIN(shopSettings?.gst_number) && getStateCodeFromGSTIN(shopSettings.gst_number)) || DEFAULT_SHOP_STATE_CODE;
+};
+
+export const normalizeGstRate = (rate) => {
+  const parsed = parseFloat(rate);
+  return GST_RATES.includes(parsed) ? parsed : DEFAULT_GST_RATE;
+};
+
+// Intra-state supply is split into CGST + SGST, inter-state supply is charged IGST
+export const isInterStateSupply = (shopStateCode, customerStateCode) => {
+  if (!customerStateCode) return false;
+  return shopStateCode !== customerStateCode;
+};
+
+// Computes GST per line after the bill discount is spread across lines by value.
+// Items need price, quantity and gst_rate; returned lines keep the item fields plus the tax breakup.
+// An item's line_discount and promotion_discount belong to that line alone and come off, in that
+// order, before the bill discount.
+export const calculateGST = ({
+  items = [],
+  discountAmount = 0,
+  shopStateCode = DEFAULT_SHOP_STATE_CODE,
+  customerStateCode = shopStateCode,
+  pricesIncludeTax = DEFAULT_PRICES_INCLUDE_TAX
+}) => {
+  const interState = isInterStateSupply(shopStateCode, customerStateCode);
+
+  const grossLines = items.map(item => {
+    const price = parseFloat(item.price ?? item.unit_price) || 0;
+    const quantity = parseInt(item.quantity, 10) || 0;
+    const gross = price * quantity;
+    // A line's own discount comes first, promotions work on what is left of the line
+    const itemDiscount = roundToPaise(Math.min(Math.max(parseFloat(item.line_discount) || 0, 0), gross));
+    const promotion = roundToPaise(Math.min(Math.max(parseFloat(item.promotion_discount) || 0, 0), gross - itemDiscount));
+    return { item, gross, itemDiscount, promotion };
+  });
+
+  const subtotal = grossLines.reduce((sum, line) => sum + line.gross, 0);
+  const itemDiscountTotal = grossLines.reduce((sum, line) => sum + line.itemDiscount, 0);
+  const promotionDiscount = grossLines.reduce((sum, line) => sum + line.promotion, 0);
+  const discountBase = subtotal - itemDiscountTotal - promotionDiscount;
+  const discount = Math.min(Math.max(parseFloat(discountAmount) || 0, 0), discountBase);
+
+  let discountLeft = roundToPaise(discount);
+  const lines = grossLines.map(({ item, gross, itemDiscount, promotion }, index) => {
+    // Last line absorbs the rounding remainder so the allocation adds up exactly
+    const lineDiscount = index === grossLines.length - 1
+      ? discountLeft
+      : roundToPaise(discountBase > 0 ? (discount * (gross - itemDiscount - promotion)) / discountBase : 0);
+    discountLeft = roundToPaise(discountLeft - lineDiscount);
+
+    const rate = normalizeGstRate(item.gst_rate);
+    const net = gross - itemDiscount - promotion - lineDiscount;
+    const taxableValue = roundToPaise(pricesIncludeTax ? net / (1 + rate / 100) : net);
+    const taxAmount = roundToPaise(pricesIncludeTax ? net - taxableValue : (net * rate) / 100);
+
+    const cgst = interState ? 0 : roundToPaise(taxAmount / 2);
+    const sgst = interState ? 0 : roundToPaise(taxAmount - cgst);
+    const igst = interState ? taxAmount : 0;
+
+    return {
+      ...item,
+      hsn_code: item.hsn_code || '',
+      gst_rate: rate,
+      gross_amount: roundToPaise(gross),
+      line_discount: itemDiscount,
+      promotion_discount: promotion,
+      discount_amount: roundToPaise(itemDiscount + promotion + lineDiscount),
+      taxable_value: taxableValue,
+      cgst_amount: cgst,
+      sgst_amount: sgst,
+      igst_amount: igst,
+      tax_amount: taxAmount,
+      line_total: roundToPaise(taxableValue + taxAmount)
+    };
+  });
+
+  const sum = (key) => roundToPaise(lines.reduce((total, line) => total + line[key], 0));
+
+  return {
+    lines,
+    interState,
+    subtotal: roundToPaise(subtotal),
+    lineDiscount: roundToPaise(itemDiscountTotal),
+    promotionDiscount: roundToPaise(promotionDiscount),
+    discountAmount: roundToPaise(discount),
+    taxableValue: sum('taxable_value'),
+    cgst: sum('cgst_amount'),
+    sgst: sum('sgst_amount'),
+    igst: sum('igst_amount'),
+    totalTax: sum('tax_amount'),
+    total: sum('line_total'),
+    rateSummary: summarizeTaxByRate(lines)
+  };
+};
+
+// Rate-wise summary printed below the items table on a tax invoice
+export const summarizeTaxByRate = (lines = []) => {
+  const byRate = {};
+
+  lines.forEach(line => {
+    const rate = normalizeGstRate(line.gst_rate);
+    if (!byRate[rate]) {
+      byRate[rate] = { rate, taxable_value: 0, cgst_amount: 0, sgst_amount: 0, igst_amount: 0, tax_amount: 0 };
+    }
+    const entry = byRate[rate];
+    entry.taxable_value += parseFloat(line.taxable_value) || 0;
+    entry.cgst_amount += parseFloat(line.cgst_amount) || 0;
+    entry.sgst_amount += parseFloat(line.sgst_amount) || 0;
+    entry.igst_amount += parseFloat(line.igst_amount) || 0;
+    entry.tax_amount += (parseFloat(line.cgst_amount) || 0)
+      + (parseFloat(line.sgst_amount) || 0)
+      + (parseFloat(line.igst_amount) || 0);
+  });
+
+  return Object.values(byRate)
+    .sort((a, b) => a.rate - b.rate)
+    .map(entry => ({
+      rate: entry.rate,
+      taxable_value: roundToPaise(entry.taxable_value),
+      cgst_amount: roundToPaise(entry.cgst_amount),
+      sgst_amount: roundToPaise(entry.sgst_amount),
+      igst_amount: roundToPaise(entry.igst_amount),
+      tax_amount: roundToPaise(entry.tax_amount)
+    }));
+};
+
+// True when a stored bill was created with the GST engine and carries tax lines
+export const billHasGST = (bill) => bill?.total_tax !== undefined && bill?.total_tax !== null;
+
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// Validates the GSTIN layout, the state code prefix and the mod-36 check character
+export const isValidGSTIN = (gstin) => {
+  const value = (gstin || '').trim().toUpperCase();
+  if (!GSTIN_PATTERN.test(value) || !getStateCodeFromGSTIN(value)) return false;
+
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARSET.indexOf(value[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  const checkChar = GSTIN_CHARSET[(36 - (sum % 36)) % 36];
+
+  return value[14] === checkChar;
+};
@@ -0,0 +1,378 @@
+import { jsPDF } from 'jspdf';
+import { billHasGST, summarizeTaxByRate, getStateName } from './gst';
+import { withShopDefaults, getInvoiceTerms } from './shopSettings';
+import { PAY_LATER_PAYMENT_METHOD, getBillPayments, getPaymentLineLabel, getPaymentMethodLabel } from './paymentMethods';
+import { billHasLoyalty, getBillLoyalty } from './loyalty';
+import { getBillPromotions, getPromotionLabel } from './promotions';
+import { getUpiQrDataUrl } from './upi';
+import {
+  PDF_MARGIN,
+  pdfText,
+  formatPdfMoney,
+  lineHeight,
+  getPageSize,
+  ensureSpace,
+  drawShopHeader,
+  drawTable,
+  addPageNumbers
+} from './pdf';
+
+const toTitleCase = (str) => {
+  if (!str) return '';
+  return str
+    .toLowerCase()
+    .split(' ')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+};
+
+const amount = (value) => (parseFloat(value) || 0).toFixed(2);
+
+const getProduct = (item) => item?.product || item?.products || {};
+
+const itemColumns = (hasGST) => (hasGST
+  ? [
+    { header: 'S.No', width: 12, align: 'center' },
+    { header: 'Product Details', width: 56 },
+    { header: 'HSN', width: 18, align: 'center' },
+    { header: 'Qty', width: 12, align: 'center' },
+    { header: 'Unit Price (Rs.)', width: 24, align: 'right' },
+    { header: 'Taxable (Rs.)', width: 24, align: 'right' },
+    { header: 'GST (Rs.)', width: 18, align: 'right' },
+    { header: 'Total (Rs.)', width: 18, align: 'right' }
+  ]
+  : [
+    { header: 'S.No', width: 12, align: 'center' },
+    { header: 'Product Details', width: 90 },
+    { header: 'Qty', width: 16, align: 'center' },
+    { header: 'Unit Price (Rs.)', width: 32, align: 'right' },
+    { header: 'Total (Rs.)', width: 32, align: 'right' }
+  ]);
+
+// Overridden prices show the list price, discounted lines what came off them
+const unitPriceCell = (item) => (item?.list_price !== undefined && item?.list_price !== null
+  ? { text: amount(item.unit_price), secondary: [`List ${amount(item.list_price)}`] }
+  : amount(item?.unit_price));
+
+const lineTotalCell = (item) => ({
+  text: amount(item?.total_price),
+  bold: true,
+  secondary: (parseFloat(item?.line_discount) || 0) > 0 ? [`after -${amount(item.line_discount)}`] : []
+});
+
+const itemRow = (item, index, hasGST) => {
+  const product = getProduct(item);
+  const details = {
+    text: toTitleCase(product.name || 'Unknown Product'),
+    secondary: [
+      `${toTitleCase(product.brand || 'No Brand')} - ${toTitleCase(product.category || 'General')}`,
+      product.sku ? `SKU: ${product.sku.toUpperCase()}` : ''
+    ]
+  };
+
+  if (!hasGST) {
+    return [String(index + 1), details, String(item?.quantity || 0), unitPriceCell(item), lineTotalCell(item)];
+  }
+
+  const tax = (parseFloat(item?.cgst_amount) || 0) + (parseFloat(item?.sgst_amount) || 0) + (parseFloat(item?.igst_amount) || 0);
+  return [
+    String(index + 1),
+    details,
+    item?.hsn_code || '-',
+    String(item?.quantity || 0),
+    unitPriceCell(item),
+    amount(item?.taxable_value),
+    { text: amount(tax), secondary: [`@${parseFloat(item?.gst_rate) || 0}%`] },
+    lineTotalCell(item)
+  ];
+};
+
+// Label/value rows right-aligned under the items table
+const drawSummary = (doc, rows, y) => {
+  const { width } = getPageSize(doc);
+  const boxWidth = 80;
+  const x = width - PDF_MARGIN - boxWidth;
+  const rowHeight = 7;
+
+  let nextY = ensureSpace(doc, y, rows.length * rowHeight);
+  doc.setDrawColor(156, 163, 175);
+  doc.setLineWidth(0.2);
+
+  rows.forEach(row => {
+    if (row.highlight) {
+      doc.setFillColor(31, 41, 55);
+      doc.rect(x, nextY, boxWidth, rowHeight + 2, 'F');
+      doc.setTextColor(255, 255, 255);
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(11);
+    } else {
+      doc.setTextColor(...(row.color || [31, 41, 55]));
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(9);
+    }
+
+    const height = row.highlight ? rowHeight + 2 : rowHeight;
+    doc.rect(x, nextY, boxWidth, height);
+    // Long labels (payment references) are cut to the space left of the value
+    const labelWidth = boxWidth - doc.getTextWidth(pdfText(row.value)) - 9;
+    doc.text(doc.splitTextToSize(pdfText(row.label), labelWidth)[0] || '', x + 3, nextY + height / 2 + 1.2);
+    doc.text(pdfText(row.value), x + boxWidth - 3, nextY + height / 2 + 1.2, { align: 'right' });
+    nextY += height;
+  });
+
+  doc.setTextColor(0, 0, 0);
+  doc.setFont('helvetica', 'normal');
+  return nextY;
+};
+
+const UPI_QR_SIZE = 36;
+
+// Scan-to-pay block left of the totals, see utils/upi getBillUpiPayment
+const drawUpiQr = async (doc, upiPayment, y) => {
+  const qr = await getUpiQrDataUrl(upiPayment.uri);
+  doc.addImage(qr, 'PNG', PDF_MARGIN, y, UPI_QR_SIZE, UPI_QR_SIZE);
+
+  let nextY = y + UPI_QR_SIZE + 4;
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(9);
+  doc.setTextColor(31, 41, 55);
+  doc.text(pdfText(`Scan to pay ${formatPdfMoney(upiPayment.amount)} by UPI`), PDF_MARGIN, nextY);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(8);
+  doc.setTextColor(75, 85, 99);
+  [upiPayment.payeeName, upiPayment.upiId, `Ref: ${upiPayment.reference}`].filter(Boolean).forEach(line => {
+    nextY += lineHeight(8) + 1;
+    doc.text(pdfText(line), PDF_MARGIN, nextY);
+  });
+
+  doc.setTextColor(0, 0, 0);
+  return nextY;
+};
+
+// Builds the A4 invoice as a vector PDF with selectable text.
+// `summary` carries the subtotal/discount figures already shown on screen so both always agree.
+// `upiPayment` adds a UPI QR beside the totals, for invoices the customer pays later.
+export const buildInvoicePDF = async ({ bill, shopSettings, summary, upiPayment = null }) => {
+  const shop = withShopDefaults(shopSettings);
+  const hasGST = billHasGST(bill);
+  const items = bill?.bill_items || [];
+  const invoiceNumber = String(bill?.id || 'N/A').substring(0, 8).toUpperCase();
+  const createdAt = new Date(bill?.created_at || Date.now());
+
+  const doc = new jsPDF('p', 'mm', 'a4');
+  const { width: pageWidth } = getPageSize(doc);
+  const contentRight = pageWidth - PDF_MARGIN;
+
+  doc.setProperties({
+    title: `Invoice ${invoiceNumber}`,
+    subject: hasGST ? 'Tax Invoice' : 'Invoice',
+    author: shop.shop_name
+  });
+
+  let y = await drawShopHeader(doc, shop, {
+    title: hasGST ? 'TAX INVOICE' : 'INVOICE',
+    subtitle: 'Original Copy'
+  });
+
+  // Bill to / invoice details
+  const columnWidth = (contentRight - PDF_MARGIN - 10) / 2;
+  const detailsX = PDF_MARGIN + columnWidth + 10;
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(11);
+  doc.setTextColor(31, 41, 55);
+  doc.text('Bill To:', PDF_MARGIN, y);
+  doc.text('Invoice Details:', detailsX, y);
+  doc.setDrawColor(209, 213, 219);
+  doc.setLineWidth(0.2);
+  doc.line(PDF_MARGIN, y + 1.5, PDF_MARGIN + columnWidth, y + 1.5);
+  doc.line(detailsX, y + 1.5, contentRight, y + 1.5);
+
+  let leftY = y + 7;
+  doc.setFontSize(11);
+  doc.text(pdfText(toTitleCase(bill?.customer_name || 'Walk-in Customer')), PDF_MARGIN, leftY);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.setTextColor(75, 85, 99);
+  const customerLines = [
+    bill?.customer_phone && `Phone: ${bill.customer_phone}`,
+    bill?.customer_email && `Email: ${bill.customer_email}`
+  ];
+  const placeOfSupply = bill?.customer_state || getStateName(bill?.place_of_supply);
+  if (hasGST && placeOfSupply) {
+    customerLines.push(`Place of Supply: ${placeOfSupply}${bill?.place_of_supply ? ` (${bill.place_of_supply})` : ''}`);
+  }
+  customerLines.filter(Boolean).forEach(line => {
+    leftY += 5;
+    doc.text(pdfText(line), PDF_MARGIN, leftY);
+  });
+
+  let rightY = y + 2;
+  const details = [
+    ['Invoice No:', `#${invoiceNumber}`],
+    ['Date:', createdAt.toLocaleDateString('en-IN')],
+    ['Time:', createdAt.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })],
+    ['Billed By:', toTitleCase(bill?.billed_by || 'System Administrator')],
+    ['Payment:', getPaymentMethodLabel(bill?.payment_method || 'cash')]
+  ];
+  details.forEach(([label, value]) => {
+    rightY += 5;
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(75, 85, 99);
+    doc.text(label, detailsX, rightY);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(31, 41, 55);
+    doc.text(pdfText(value), contentRight, rightY, { align: 'right' });
+  });
+
+  y = Math.max(leftY, rightY) + 8;
+  doc.setTextColor(0, 0, 0);
+  doc.setFont('helvetica', 'normal');
+
+  // Items
+  y = drawTable(doc, {
+    columns: itemColumns(hasGST),
+    rows: items.length > 0
+      ? items.map((item, index) => itemRow(item, index, hasGST))
+      : [itemColumns(hasGST).map((column, index) => (index === 1 ? 'No items found' : ''))],
+    startY: y,
+    fontSize: hasGST ? 8 : 9
+  });
+  y += 6;
+
+  // Totals
+  const summaryRows = [
+    { label: 'Items Count:', value: `${items.reduce((sum, item) => sum + (parseInt(item?.quantity, 10) || 0), 0)} units` },
+    { label: 'Subtotal:', value: formatPdfMoney(summary.subtotal) },
+    ...getBillPromotions(bill).map(promotion => ({
+      label: `${getPromotionLabel(promotion)}:`,
+      value: `-${formatPdfMoney(promotion.amount)}`,
+      color: [190, 24, 93]
+    }))
+  ];
+  if (summary.discountAmount > 0) {
+    summaryRows.push({ label: summary.discountLabel || 'Discount:', value: `-${formatPdfMoney(summary.discountAmount)}`, color: [21, 128, 61] });
+  }
+  const loyalty = getBillLoyalty(bill);
+  if (loyalty.redeemMode === 'discount' && loyalty.redeemValue > 0) {
+    summaryRows.push({ label: `Loyalty Points (${loyalty.redeemed}):`, value: `-${formatPdfMoney(loyalty.redeemValue)}`, color: [180, 83, 9] });
+  }
+  if (hasGST) {
+    summaryRows.push({ label: 'Taxable Value:', value: formatPdfMoney(bill?.taxable_amount) });
+    if ((parseFloat(bill?.igst_amount) || 0) > 0) {
+      summaryRows.push({ label: 'IGST:', value: formatPdfMoney(bill?.igst_amount) });
+    } else {
+      summaryRows.push({ label: 'CGST:', value: formatPdfMoney(bill?.cgst_amount) });
+      summaryRows.push({ label: 'SGST:', value: formatPdfMoney(bill?.sgst_amount) });
+    }
+  }
+  summaryRows.push({ label: 'Grand Total:', value: formatPdfMoney(summary.total), highlight: true });
+  const payments = getBillPayments(bill);
+  if (payments.length > 1 || payments.some(payment => payment.reference || payment.tendered || payment.method === PAY_LATER_PAYMENT_METHOD)) {
+    payments.forEach(payment => {
+      const reference = payment.reference ? ` (${payment.reference})` : '';
+      summaryRows.push({ label: `${getPaymentLineLabel(payment.method)}${reference}`, value: formatPdfMoney(payment.amount) });
+      if (payment.tendered > 0) {
+        summaryRows.push({ label: 'Cash received / Change', value: `${amount(payment.tendered)} / ${amount(payment.change)}`, color: [75, 85, 99] });
+      }
+    });
+  }
+  if (billHasLoyalty(bill)) {
+    if (loyalty.redeemed > 0) summaryRows.push({ label: 'Points Redeemed:', value: `-${loyalty.redeemed}`, color: [180, 83, 9] });
+    if (loyalty.earned > 0) summaryRows.push({ label: 'Points Earned:', value: `+${loyalty.earned}`, color: [180, 83, 9] });
+    if (loyalty.balance !== null) summaryRows.push({ label: 'Points Balance:', value: String(loyalty.balance), color: [180, 83, 9] });
+  }
+  if (upiPayment) {
+    // Start both on the same page so the QR sits level with the totals
+    y = ensureSpace(doc, y, Math.max(summaryRows.length * 7 + 2, UPI_QR_SIZE + 18));
+    const qrBottom = await drawUpiQr(doc, upiPayment, y);
+    y = Math.max(drawSummary(doc, summaryRows, y), qrBottom) + 8;
+  } else {
+    y = drawSummary(doc, summaryRows, y) + 8;
+  }
+
+  // GST rate-wise summary
+  const rateSummary = hasGST ? summarizeTaxByRate(items) : [];
+  if (rateSummary.length > 0) {
+    const interState = (parseFloat(bill?.igst_amount) || 0) > 0;
+    y = ensureSpace(doc, y, 20);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(10);
+    doc.text('GST Summary', PDF_MARGIN, y);
+    y += 2;
+
+    const taxColumns = interState
+      ? [
+        { header: 'GST Rate', width: 40 },
+        { header: 'Taxable Value (Rs.)', width: 50, align: 'right' },
+        { header: 'IGST (Rs.)', width: 46, align: 'right' },
+        { header: 'Total Tax (Rs.)', width: 46, align: 'right' }
+      ]
+      : [
+        { header: 'GST Rate', width: 30 },
+        { header: 'Taxable Value (Rs.)', width: 40, align: 'right' },
+        { header: 'CGST (Rs.)', width: 38, align: 'right' },
+        { header: 'SGST (Rs.)', width: 38, align: 'right' },
+        { header: 'Total Tax (Rs.)', width: 36, align: 'right' }
+      ];
+
+    y = drawTable(doc, {
+      columns: taxColumns,
+      rows: rateSummary.map(entry => (interState
+        ? [`${entry.rate}%`, amount(entry.taxable_value), amount(entry.igst_amount), { text: amount(entry.tax_amount), bold: true }]
+        : [
+          `${entry.rate}%`,
+          amount(entry.taxable_value),
+          { text: amount(entry.cgst_amount), secondary: [`@${entry.rate / 2}%`] },
+          { text: amount(entry.sgst_amount), secondary: [`@${entry.rate / 2}%`] },
+          { text: amount(entry.tax_amount), bold: true }
+        ])),
+      startY: y,
+      fontSize: 8,
+      headerFill: [243, 244, 246],
+      headerColor: [31, 41, 55],
+      stripe: false
+    }) + 8;
+  }
+
+  // Terms and signature
+  const terms = getInvoiceTerms(shop).map(term => `- ${term}`);
+  const termLines = terms.flatMap(term => doc.splitTextToSize(pdfText(term), columnWidth));
+  y = ensureSpace(doc, y, 14 + termLines.length * lineHeight(8) + 20);
+
+  doc.setDrawColor(209, 213, 219);
+  doc.line(PDF_MARGIN, y, contentRight, y);
+  y += 6;
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(9);
+  doc.setTextColor(31, 41, 55);
+  doc.text('Terms & Conditions:', PDF_MARGIN, y);
+  doc.text('Authorized Signature:', contentRight, y, { align: 'right' });
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(8);
+  doc.setTextColor(75, 85, 99);
+  doc.text(termLines, PDF_MARGIN, y + 5);
+  doc.setFontSize(9);
+  doc.text(pdfText(toTitleCase(bill?.billed_by || 'System Administrator')), contentRight - 10, y + 9, { align: 'right' });
+  doc.setDrawColor(156, 163, 175);
+  doc.line(contentRight - 40, y + 12, contentRight, y + 12);
+
+  y += 5 + Math.max(termLines.length * lineHeight(8), 12) + 6;
+  doc.setDrawColor(229, 231, 235);
+  doc.line(PDF_MARGIN, y, contentRight, y);
+  y += 6;
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(10);
+  doc.setTextColor(37, 99, 235);
+  doc.text(pdfText(`Thank you for shopping with ${shop.shop_name}!`), pageWidth / 2, y, { align: 'center' });
+  if (shop.footer_text) {
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(107, 114, 128);
+    doc.text(pdfText(shop.footer_text), pageWidth / 2, y + 5, { align: 'center' });
+  }
+
+  addPageNumbers(doc, `Invoice #${invoiceNumber}`);
+  return doc;
+};
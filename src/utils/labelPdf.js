@@ -0,0 +1,207 @@
+import { jsPDF } from 'jspdf';
+import { pdfText, formatPdfMoney, lineHeight } from './pdf';
+import { getProductBarcode } from './barcode';
+
+// Sheet geometry in mm. Sheet layouts match the common pre-cut A4 label stock,
+// thermal layouts print one label per page on the roll.
+export const LABEL_LAYOUTS = {
+  a4_65: {
+    label: 'A4 sheet - 65 labels (38.1 x 21.2 mm)',
+    format: 'a4',
+    columns: 5,
+    rows: 13,
+    width: 38.1,
+    height: 21.2,
+    marginTop: 10.7,
+    marginLeft: 4.75,
+    gapX: 2.5,
+    gapY: 0
+  },
+  a4_24: {
+    label: 'A4 sheet - 24 labels (70 x 37 mm)',
+    format: 'a4',
+    columns: 3,
+    rows: 8,
+    width: 70,
+    height: 37,
+    marginTop: 0.5,
+    marginLeft: 0,
+    gapX: 0,
+    gapY: 0
+  },
+  thermal_50x25: {
+    label: 'Thermal label - 50 x 25 mm',
+    format: [50, 25],
+    columns: 1,
+    rows: 1,
+    width: 50,
+    height: 25,
+    marginTop: 0,
+    marginLeft: 0,
+    gapX: 0,
+    gapY: 0
+  },
+  thermal_38x25: {
+    label: 'Thermal label - 38 x 25 mm',
+    format: [38, 25],
+    columns: 1,
+    rows: 1,
+    width: 38,
+    height: 25,
+    marginTop: 0,
+    marginLeft: 0,
+    gapX: 0,
+    gapY: 0
+  }
+};
+
+export const DEFAULT_LABEL_LAYOUT = 'a4_65';
+
+// Scanners need a blank margin of about ten bars either side of the code
+const QUIET_ZONE_MODULES = 10;
+
+export const getLabelsPerPage = (layoutKey) => {
+  const layout = LABEL_LAYOUTS[layoutKey] || LABEL_LAYOUTS[DEFAULT_LABEL_LAYOUT];
+  return layout.columns * layout.rows;
+};
+
+// Cuts the text to one line, marking the cut with dots
+const fitText = (doc, text, maxWidth) => {
+  if (doc.getTextWidth(text) <= maxWidth) return text;
+  let cut = text;
+  while (cut.length > 1 && doc.getTextWidth(`${cut}...`) > maxWidth) {
+    cut = cut.slice(0, -1);
+  }
+  return `${cut.trimEnd()}...`;
+};
+
+const drawBarcode = (doc, modules, x, y, width, height) => {
+  const moduleWidth = width / modules.length;
+  let run = 0;
+  for (let i = 0; i <= modules.length; i++) {
+    if (modules[i] === '1') {
+      run += 1;
+    } else if (run > 0) {
+      doc.rect(x + (i - run) * moduleWidth, y, run * moduleWidth, height, 'F');
+      run = 0;
+    }
+  }
+};
+
+const drawLabel = (doc, { product, barcode }, x, y, layout, options) => {
+  // Fonts grow with the label so the 70 x 37 stock does not look empty
+  const scale = Math.min(layout.height / 21.2, 1.8);
+  const nameSize = 6.5 * scale;
+  const priceSize = 8.5 * scale;
+  const codeSize = 5 * scale;
+  const pad = Math.min(1.5, layout.height * 0.07);
+  const innerWidth = layout.width - pad * 2;
+
+  if (options.outline) {
+    doc.setDrawColor(200, 200, 200);
+    doc.setLineWidth(0.1);
+    doc.rect(x, y, layout.width, layout.height);
+  }
+
+  doc.setTextColor(0, 0, 0);
+  let cursor = y + pad;
+
+  if (options.showName) {
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(nameSize);
+    cursor += lineHeight(nameSize);
+    doc.text(fitText(doc, pdfText(product.name), innerWidth), x + pad, cursor);
+  }
+
+  if (options.showPrice || options.showSku) {
+    const rowSize = options.showPrice ? priceSize : codeSize;
+    cursor += lineHeight(rowSize) + 0.3;
+    if (options.showPrice) {
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(priceSize);
+      doc.text(formatPdfMoney(product.price), x + pad, cursor);
+    }
+    if (options.showSku && product.sku) {
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(codeSize);
+      const sku = pdfText(String(product.sku).toUpperCase());
+      const skuWidth = options.showPrice ? innerWidth / 2 : innerWidth;
+      doc.text(fitText(doc, sku, skuWidth), x + layout.width - pad, cursor, { align: 'right' });
+    }
+  }
+
+  // The bars take whatever height is left above the human-readable code
+  const codeTextHeight = lineHeight(codeSize) + 0.4;
+  const barTop = cursor + 0.8;
+  const barHeight = y + layout.height - pad - codeTextHeight - barTop;
+  if (barHeight < 3) return;
+
+  const totalModules = barcode.modules.length + QUIET_ZONE_MODULES * 2;
+  const moduleWidth = Math.min(innerWidth / totalModules, 0.5);
+  const barWidth = barcode.modules.length * moduleWidth;
+  doc.setFillColor(0, 0, 0);
+  drawBarcode(doc, barcode.modules, x + (layout.width - barWidth) / 2, barTop, barWidth, barHeight);
+
+  doc.setFont('courier', 'normal');
+  doc.setFontSize(codeSize);
+  doc.text(pdfText(barcode.value), x + layout.width / 2, barTop + barHeight + codeTextHeight - 0.3, { align: 'center' });
+};
+
+// copies: labels per product, or 'stock' for one per unit in stock.
+// startPosition skips the first used labels on a partly used sheet.
+export const buildLabelsPDF = ({
+  products,
+  layoutKey = DEFAULT_LABEL_LAYOUT,
+  copies = 1,
+  startPosition = 1,
+  showName = true,
+  showPrice = true,
+  showSku = true,
+  outline = false
+}) => {
+  const layout = LABEL_LAYOUTS[layoutKey] || LABEL_LAYOUTS[DEFAULT_LABEL_LAYOUT];
+  const perPage = layout.columns * layout.rows;
+  const options = { showName, showPrice, showSku, outline };
+
+  const labels = [];
+  const skipped = [];
+  products.forEach(product => {
+    let barcode = null;
+    try {
+      barcode = getProductBarcode(product);
+    } catch (error) {
+      skipped.push({ product, reason: error.message });
+      return;
+    }
+    if (!barcode) {
+      skipped.push({ product, reason: 'No barcode or SKU' });
+      return;
+    }
+
+    const count = copies === 'stock'
+      ? Math.max(parseInt(product.stock_quantity, 10) || 0, 0)
+      : Math.max(parseInt(copies, 10) || 1, 1);
+    for (let i = 0; i < count; i++) {
+      labels.push({ product, barcode });
+    }
+  });
+
+  // jsPDF turns custom sizes to portrait unless told otherwise
+  const orientation = Array.isArray(layout.format) && layout.format[0] > layout.format[1] ? 'landscape' : 'portrait';
+  const doc = new jsPDF({ orientation, unit: 'mm', format: layout.format });
+
+  let slot = perPage > 1 ? Math.min(Math.max(parseInt(startPosition, 10) || 1, 1), perPage) - 1 : 0;
+  labels.forEach((label, index) => {
+    if (index > 0 && slot === 0) doc.addPage(layout.format, orientation);
+
+    const column = slot % layout.columns;
+    const row = Math.floor(slot / layout.columns);
+    const x = layout.marginLeft + column * (layout.width + layout.gapX);
+    const y = layout.marginTop + row * (layout.height + layout.gapY);
+    drawLabel(doc, label, x, y, layout, options);
+
+    slot = (slot + 1) % perPage;
+  });
+
+  return { doc, labelCount: labels.length, skipped };
+};
@@ -0,0 +1,172 @@
+import { getBillTotals } from './billTotals';
+import { normalizePhone } from './customers';
+import { roundToPaise } from './gst';
+
+// Loyalty points replace the paper stamp cards. Points are keyed on the customer's phone
+// number, earned on what the customer actually paid and redeemed either as a payment
+// (tender) or as a discount that lowers the taxable value. GET /loyalty/:phone returns the
+// ledger; older servers have none, in which case it is rebuilt from the bills and returns.
+
+export const LOYALTY_REDEEM_MODES = [
+  { value: 'tender', label: 'As payment', description: 'Points pay part of the bill like cash, GST is unchanged' },
+  { value: 'discount', label: 'As discount', description: 'Points come off the price before GST is worked out' }
+];
+
+export const LOYALTY_ENTRY_TYPES = {
+  EARN: 'earn',
+  REDEEM: 'redeem',
+  REVERSAL: 'reversal',
+  RESTORE: 'restore'
+};
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+const toPoints = (value) => parseInt(value, 10) || 0;
+
+const toTime = (value) => {
+  const time = new Date(value).getTime();
+  return isNaN(time) ? 0 : time;
+};
+
+// Program settings with the shop defaults already applied (see withShopDefaults)
+export const getLoyaltyConfig = (settings) => ({
+  enabled: settings?.loyalty_enabled === true || settings?.loyalty_enabled === 'true',
+  earnRate: Math.max(toNumber(settings?.loyalty_earn_rate), 0),
+  pointValue: Math.max(toNumber(settings?.loyalty_point_value), 0),
+  minRedeemPoints: Math.max(toPoints(settings?.loyalty_min_redeem_points), 0),
+  redeemMode: settings?.loyalty_redeem_mode === 'discount' ? 'discount' : 'tender'
+});
+
+// Whole points for an amount paid, earnRate being points per ₹100
+export const calculateEarnedPoints = (amountPaid, config) => {
+  if (!config?.enabled || amountPaid <= 0) return 0;
+  return Math.floor((amountPaid * config.earnRate) / 100 + Number.EPSILON);
+};
+
+export const getPointsValue = (points, config) => roundToPaise(toPoints(points) * (config?.pointValue || 0));
+
+// Most points usable on this bill: the balance, capped so their value never exceeds the amount
+export const getMaxRedeemablePoints = (balance, amount, config) => {
+  if (!config?.enabled || config.pointValue <= 0 || balance < config.minRedeemPoints) return 0;
+  return Math.max(Math.min(toPoints(balance), Math.floor(amount / config.pointValue + Number.EPSILON)), 0);
+};
+
+// Returns an error message for the points entered, or null when they can be redeemed
+export const validateRedemption = (points, { balance, amount, config }) => {
+  const redeem = toPoints(points);
+  if (redeem === 0) return null;
+  if (redeem < 0) return 'Points to redeem cannot be negative';
+  if (balance < config.minRedeemPoints) return `At least ${config.minRedeemPoints} points are needed before redeeming`;
+  if (redeem < config.minRedeemPoints) return `Redeem at least ${config.minRedeemPoints} points`;
+  if (redeem > balance) return `Only ${balance} points available`;
+  if (redeem > getMaxRedeemablePoints(balance, amount, config)) return 'Points are worth more than the bill';
+  return null;
+};
+
+// loyalty_* fields saved on the bill. The balance after the sale is kept for the invoice.
+export const buildLoyaltyPayload = ({ earned, redeemed, config, balance }) => ({
+  loyalty_points_earned: earned,
+  loyalty_points_redeemed: redeemed,
+  loyalty_redeem_value: getPointsValue(redeemed, config),
+  loyalty_redeem_mode: config.redeemMode,
+  loyalty_points_balance: Math.max(balance - redeemed + earned, 0)
+});
+
+export const getBillLoyalty = (bill) => ({
+  earned: toPoints(bill?.loyalty_points_earned),
+  redeemed: toPoints(bill?.loyalty_points_redeemed),
+  redeemValue: toNumber(bill?.loyalty_redeem_value),
+  redeemMode: bill?.loyalty_redeem_mode === 'discount' ? 'discount' : 'tender',
+  balance: bill?.loyalty_points_balance === undefined || bill?.loyalty_points_balance === null
+    ? null
+    : toPoints(bill.loyalty_points_balance)
+});
+
+export const billHasLoyalty = (bill) => {
+  const { earned, redeemed } = getBillLoyalty(bill);
+  return earned > 0 || redeemed > 0;
+};
+
+// Points to take back for a refund. Earlier refunds are counted in so that returning a bill
+// in parts reverses exactly what a single full return would. Redeemed points go back to the
+// customer in the same proportion; when they were a tender that share of the refund is paid
+// back as points rather than money.
+export const getReturnLoyalty = (bill, refundAmount) => {
+  const { earned, redeemed, redeemValue, redeemMode } = getBillLoyalty(bill);
+  // A points tender is part of total_amount and a points discount already lowered it,
+  // so in both cases the refund is a share of the bill total
+  const billValue = getBillTotals(bill).net;
+  if (billValue <= 0 || (earned === 0 && redeemed === 0)) {
+    return { pointsReversed: 0, pointsRestored: 0, restoredValue: 0 };
+  }
+
+  const refundedBefore = Math.min(toNumber(bill?.refunded_amount), billValue);
+  const refundedAfter = Math.min(refundedBefore + refundAmount, billValue);
+  const share = (refunded, points) => Math.floor((points * refunded) / billValue + Number.EPSILON);
+
+  const pointsReversed = share(refundedAfter, earned) - share(refundedBefore, earned);
+  const pointsRestored = share(refundedAfter, redeemed) - share(refundedBefore, redeemed);
+  const restoredValue = redeemMode === 'tender' && redeemed > 0
+    ? roundToPaise((redeemValue * pointsRestored) / redeemed)
+    : 0;
+
+  return { pointsReversed, pointsRestored, restoredValue };
+};
+
+const billEntries = (bill) => {
+  const { earned, redeemed, redeemValue } = getBillLoyalty(bill);
+  const base = { bill_id: bill?.id, created_at: bill?.created_at };
+  const entries = [];
+  if (redeemed > 0) entries.push({ ...base, type: LOYALTY_ENTRY_TYPES.REDEEM, points: -redeemed, value: redeemValue });
+  if (earned > 0) entries.push({ ...base, type: LOYALTY_ENTRY_TYPES.EARN, points: earned });
+  return entries;
+};
+
+const returnEntries = (creditNote) => {
+  const base = { bill_id: creditNote?.bill_id, return_id: creditNote?.id, created_at: creditNote?.created_at };
+  const entries = [];
+  const reversed = toPoints(creditNote?.loyalty_points_reversed);
+  const restored = toPoints(creditNote?.loyalty_points_restored);
+  if (reversed > 0) entries.push({ ...base, type: LOYALTY_ENTRY_TYPES.REVERSAL, points: -reversed });
+  if (restored > 0) entries.push({ ...base, type: LOYALTY_ENTRY_TYPES.RESTORE, points: restored });
+  return entries;
+};
+
+// Ledger entries newest first with the running balance after each one
+const withBalances = (entries) => {
+  let balance = 0;
+  const sorted = [...entries]
+    .sort((a, b) => toTime(a.created_at) - toTime(b.created_at))
+    .map(entry => {
+      balance += entry.points;
+      return { ...entry, balance };
+    });
+  return { balance: Math.max(balance, 0), entries: sorted.reverse() };
+};
+
+// Server accounts may send only a balance, or entries with either naming for the points
+export const normalizeLoyaltyAccount = (record, phone) => {
+  const entries = (record?.entries || record?.ledger || []).map(entry => ({
+    ...entry,
+    points: toPoints(entry.points ?? entry.points_change)
+  }));
+  const rebuilt = withBalances(entries);
+  return {
+    phone: normalizePhone(record?.phone || phone),
+    balance: record?.balance !== undefined && record?.balance !== null ? Math.max(toPoints(record.balance), 0) : rebuilt.balance,
+    entries: rebuilt.entries
+  };
+};
+
+// For servers without GET /loyalty/:phone. The bills must already be the customer's own.
+export const buildLoyaltyLedger = (phone, bills = [], returns = []) => ({
+  phone: normalizePhone(phone),
+  ...withBalances([...bills.flatMap(billEntries), ...returns.flatMap(returnEntries)])
+});
+
+export const getLoyaltyEntryLabel = (type) => ({
+  [LOYALTY_ENTRY_TYPES.EARN]: 'Earned',
+  [LOYALTY_ENTRY_TYPES.REDEEM]: 'Redeemed',
+  [LOYALTY_ENTRY_TYPES.REVERSAL]: 'Reversed on return',
+  [LOYALTY_ENTRY_TYPES.RESTORE]: 'Returned on refund'
+}[type] || 'Adjustment');
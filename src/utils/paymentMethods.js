@@ -0,0 +1,131 @@
+import { roundToPaise } from './gst';
+import { getBillTotals } from './billTotals';
+
+// Payment methods accepted at the counter, values are stored lowercase on the bill
+export const PAYMENT_METHODS = [
+  { value: 'cash', label: 'Cash' },
+  { value: 'card', label: 'Card' },
+  { value: 'upi', label: 'UPI' },
+  { value: 'net banking', label: 'Net Banking' },
+  { value: 'wallet', label: 'Digital Wallet' },
+  { value: 'pay later', label: 'Pay Later' }
+];
+
+// Stored as the bill's payment_method when more than one tender was used
+export const SPLIT_PAYMENT_METHOD = 'split';
+
+// Left owing on the bill and collected after the customer leaves, e.g. through the invoice UPI QR
+export const PAY_LATER_PAYMENT_METHOD = 'pay later';
+
+// Loyalty points redeemed as a tender; added by Checkout, never picked in the tender list
+export const POINTS_PAYMENT_METHOD = 'points';
+
+export const getPaymentMethodLabel = (value) => {
+  if ((value || '').toLowerCase() === SPLIT_PAYMENT_METHOD) return 'Split Payment';
+  if ((value || '').toLowerCase() === POINTS_PAYMENT_METHOD) return 'Loyalty Points';
+  const method = PAYMENT_METHODS.find(m => m.value === (value || '').toLowerCase());
+  return method ? method.label : value || '';
+};
+
+// Row label for one payment on invoices and receipts
+export const getPaymentLineLabel = (method) => (method === PAY_LATER_PAYMENT_METHOD
+  ? 'To pay later'
+  : `Paid by ${getPaymentMethodLabel(method)}`);
+
+// Methods that carry a transaction reference (UTR, card approval code, etc.)
+export const REFERENCE_PAYMENT_METHODS = ['card', 'upi', 'net banking', 'wallet'];
+
+export const requiresReference = (method) => REFERENCE_PAYMENT_METHODS.includes(method);
+
+let tenderSeq = 0;
+
+// One tender line at checkout; amount and tendered are kept as input strings
+export const createTender = (method = 'cash', amount = '') => ({
+  id: `tender-${Date.now()}-${tenderSeq++}`,
+  method,
+  amount: amount === '' ? '' : String(amount),
+  reference: '',
+  tendered: ''
+});
+
+// A single tender always settles the whole bill, so its amount follows the total
+export const getTenderAmount = (tender, tenders, total) => (tenders.length === 1
+  ? roundToPaise(total)
+  : roundToPaise(parseFloat(tender.amount) || 0));
+
+export const getTenderChange = (tender, amount) => {
+  if (tender.method !== 'cash' || tender.tendered === '') return 0;
+  return roundToPaise(Math.max((parseFloat(tender.tendered) || 0) - amount, 0));
+};
+
+export const summarizeTenders = (tenders, total) => {
+  const paid = roundToPaise(tenders.reduce((sum, tender) => sum + getTenderAmount(tender, tenders, total), 0));
+  const change = roundToPaise(tenders.reduce((sum, tender) => sum + getTenderChange(tender, getTenderAmount(tender, tenders, total)), 0));
+  const remaining = roundToPaise(total - paid);
+
+  return {
+    paid,
+    remaining,
+    change,
+    isSettled: Math.abs(remaining) < 0.01
+  };
+};
+
+// Returns an error message for the first problem found, or null when the tenders can be submitted
+export const validateTenders = (tenders, total) => {
+  if (tenders.length === 0) return 'Add a payment method';
+
+  for (const tender of tenders) {
+    const amount = getTenderAmount(tender, tenders, total);
+    const label = getPaymentMethodLabel(tender.method);
+    if (!tender.method) return 'Select a payment method for every payment';
+    if (amount <= 0) return `Enter the amount paid by ${label}`;
+    if (tender.method === 'cash' && tender.tendered !== '' && (parseFloat(tender.tendered) || 0) < amount) {
+      return 'Cash received is less than the cash amount';
+    }
+  }
+
+  const { remaining } = summarizeTenders(tenders, total);
+  if (remaining >= 0.01) return `₹${remaining.toFixed(2)} still to be collected`;
+  if (remaining <= -0.01) return `Payments exceed the bill total by ₹${Math.abs(remaining).toFixed(2)}`;
+
+  return null;
+};
+
+// payments[] as sent in the bill payload
+export const buildPaymentsPayload = (tenders, total) => tenders.map(tender => {
+  const amount = getTenderAmount(tender, tenders, total);
+  const payment = { method: tender.method, amount };
+  if (requiresReference(tender.method) && tender.reference.trim()) {
+    payment.reference = tender.reference.trim();
+  }
+  if (tender.method === 'cash' && tender.tendered !== '') {
+    payment.tendered = roundToPaise(parseFloat(tender.tendered) || 0);
+    payment.change = getTenderChange(tender, amount);
+  }
+  return payment;
+});
+
+export const getBillPaymentMethod = (payments) => {
+  const methods = [...new Set(payments.map(payment => payment.method))];
+  return methods.length === 1 ? methods[0] : SPLIT_PAYMENT_METHOD;
+};
+
+// Tender breakdown of a stored bill; bills from before split payments had a single method
+export const getBillPayments = (bill) => {
+  if (Array.isArray(bill?.payments) && bill.payments.length > 0) {
+    return bill.payments.map(payment => ({
+      ...payment,
+      amount: parseFloat(payment.amount) || 0
+    }));
+  }
+  return [{ method: bill?.payment_method || 'cash', amount: parseFloat(bill?.total_amount) || 0 }];
+};
+
+// What the customer still owes: the bill after refunds less everything paid, pay-later tenders aside
+export const getBillAmountOwed = (bill) => {
+  const paid = getBillPayments(bill)
+    .filter(payment => payment.method !== PAY_LATER_PAYMENT_METHOD)
+    .reduce((sum, payment) => sum + payment.amount, 0);
+  return roundToPaise(Math.max(getBillTotals(bill).netAfterRefunds - paid, 0));
+};
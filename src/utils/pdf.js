@@ -0,0 +1,268 @@
+import { getShopGSTIN } from './shopSettings';
+
+// Shared drawing helpers for documents built with jsPDF (all units in mm)
+
+export const PDF_MARGIN = 14;
+export const PDF_FOOTER_HEIGHT = 12;
+
+const LINE_HEIGHT_FACTOR = 0.42;
+
+const HEADER_ACCENTS = {
+  blue: { border: [147, 197, 253], fill: [219, 234, 254], title: [30, 64, 175], subtitle: [37, 99, 235] },
+  red: { border: [252, 165, 165], fill: [254, 226, 226], title: [153, 27, 27], subtitle: [220, 38, 38] },
+  green: { border: [134, 239, 172], fill: [220, 252, 231], title: [22, 101, 52], subtitle: [22, 163, 74] }
+};
+const CELL_PADDING = 2;
+
+// The built-in PDF fonts only cover Latin-1, so the rupee sign and emoji cannot be drawn
+export const pdfText = (value) => String(value ?? '')
+  .replace(/₹/g, 'Rs.')
+  .replace(/[•·]/g, '-')
+  .replace(/[^\x20-\x7E\n]/g, '')
+  .trim();
+
+export const formatPdfMoney = (amount) => `Rs. ${(parseFloat(amount) || 0).toFixed(2)}`;
+
+export const lineHeight = (fontSize) => fontSize * LINE_HEIGHT_FACTOR;
+
+export const getPageSize = (doc) => ({
+  width: doc.internal.pageSize.getWidth(),
+  height: doc.internal.pageSize.getHeight()
+});
+
+// Starts a new page when the next block would run into the footer area
+export const ensureSpace = (doc, y, needed, onNewPage) => {
+  const { height } = getPageSize(doc);
+  if (y + needed <= height - PDF_MARGIN - PDF_FOOTER_HEIGHT) return y;
+
+  doc.addPage();
+  return onNewPage ? onNewPage() : PDF_MARGIN;
+};
+
+const normalizeCell = (cell) => {
+  if (cell && typeof cell === 'object' && !Array.isArray(cell)) {
+    return { text: cell.text ?? '', secondary: cell.secondary || [], bold: !!cell.bold };
+  }
+  return { text: cell ?? '', secondary: [], bold: false };
+};
+
+const cellLines = (doc, text, width, fontSize) => {
+  doc.setFontSize(fontSize);
+  const parts = Array.isArray(text) ? text : [text];
+  return parts.flatMap(part => doc.splitTextToSize(pdfText(part), width));
+};
+
+const drawCellText = (doc, lines, column, x, y, fontSize) => {
+  doc.setFontSize(fontSize);
+  lines.forEach((line, index) => {
+    const lineY = y + lineHeight(fontSize) * (index + 1) - 0.6;
+    if (column.align === 'right') {
+      doc.text(line, x + column.width - CELL_PADDING, lineY, { align: 'right' });
+    } else if (column.align === 'center') {
+      doc.text(line, x + column.width / 2, lineY, { align: 'center' });
+    } else {
+      doc.text(line, x + CELL_PADDING, lineY);
+    }
+  });
+};
+
+// Shop logo, name and contact block on the left with the document title box on the right.
+// Returns the y position below the header rule.
+export const drawShopHeader = async (doc, shop, { title, subtitle = '', accent = 'blue' }) => {
+  const { width } = getPageSize(doc);
+  const contentRight = width - PDF_MARGIN;
+  const colors = HEADER_ACCENTS[accent] || HEADER_ACCENTS.blue;
+  let y = PDF_MARGIN;
+
+  const logo = await loadImageDataUrl(shop.logo_url);
+  if (logo) {
+    const logoHeight = 16;
+    const logoWidth = Math.min((logo.width / logo.height) * logoHeight, 50);
+    doc.addImage(logo.dataUrl, 'PNG', PDF_MARGIN, y, logoWidth, logoHeight);
+    y += logoHeight + 3;
+  }
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(18);
+  doc.setTextColor(31, 41, 55);
+  doc.text(pdfText(shop.shop_name.toUpperCase()), PDF_MARGIN, y + 6);
+  y += 10;
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.setTextColor(75, 85, 99);
+  const shopLines = [
+    shop.address_line1,
+    shop.address_line2,
+    [shop.phone && `Phone: ${shop.phone}`, shop.email && `Email: ${shop.email}`].filter(Boolean).join('    '),
+    shop.website,
+    getShopGSTIN(shop) && `GST No: ${getShopGSTIN(shop)}`
+  ].filter(Boolean);
+  shopLines.forEach(line => {
+    doc.text(pdfText(line), PDF_MARGIN, y + 3);
+    y += lineHeight(9) + 0.8;
+  });
+
+  // Title box on the right
+  doc.setDrawColor(...colors.border);
+  doc.setFillColor(...colors.fill);
+  doc.roundedRect(contentRight - 48, PDF_MARGIN, 48, 16, 2, 2, 'FD');
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(13);
+  doc.setTextColor(...colors.title);
+  doc.text(pdfText(title), contentRight - 24, PDF_MARGIN + (subtitle ? 7 : 9.5), { align: 'center' });
+  if (subtitle) {
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(...colors.subtitle);
+    doc.text(pdfText(subtitle), contentRight - 24, PDF_MARGIN + 12, { align: 'center' });
+  }
+
+  y = Math.max(y, PDF_MARGIN + 18) + 2;
+  doc.setDrawColor(31, 41, 55);
+  doc.setLineWidth(0.6);
+  doc.line(PDF_MARGIN, y, contentRight, y);
+  doc.setLineWidth(0.2);
+  doc.setFont('helvetica', 'normal');
+  doc.setTextColor(0, 0, 0);
+
+  return y + 7;
+};
+
+// Draws a bordered table that breaks across pages, repeating the header row on each page.
+// Columns are { header, width, align }, cells are strings or { text, secondary, bold }.
+export const drawTable = (doc, {
+  columns,
+  rows,
+  startY,
+  x = PDF_MARGIN,
+  fontSize = 9,
+  headerFill = [31, 41, 55],
+  headerColor = [255, 255, 255],
+  stripe = true,
+  onNewPage
+}) => {
+  const tableWidth = columns.reduce((sum, column) => sum + column.width, 0);
+  const secondaryFontSize = fontSize - 2;
+
+  const drawHeader = (y) => {
+    doc.setFont('helvetica', 'bold');
+    const headerLines = columns.map(column => cellLines(doc, column.header, column.width - CELL_PADDING * 2, fontSize));
+    const height = Math.max(...headerLines.map(lines => lines.length)) * lineHeight(fontSize) + CELL_PADDING * 2;
+
+    doc.setFillColor(...headerFill);
+    doc.rect(x, y, tableWidth, height, 'F');
+    doc.setTextColor(...headerColor);
+
+    let cellX = x;
+    columns.forEach((column, index) => {
+      drawCellText(doc, headerLines[index], column, cellX, y + CELL_PADDING, fontSize);
+      cellX += column.width;
+    });
+
+    doc.setTextColor(0, 0, 0);
+    doc.setFont('helvetica', 'normal');
+    return y + height;
+  };
+
+  let y = drawHeader(startY);
+
+  rows.forEach((row, rowIndex) => {
+    const cells = row.map(normalizeCell);
+    const layouts = cells.map((cell, index) => {
+      const width = columns[index].width - CELL_PADDING * 2;
+      doc.setFont('helvetica', cell.bold ? 'bold' : 'normal');
+      return {
+        main: cellLines(doc, cell.text, width, fontSize),
+        secondary: cellLines(doc, cell.secondary, width, secondaryFontSize).filter(Boolean)
+      };
+    });
+    const rowHeight = Math.max(...layouts.map(layout =>
+      layout.main.length * lineHeight(fontSize) + layout.secondary.length * lineHeight(secondaryFontSize)
+    )) + CELL_PADDING * 2;
+
+    // Rows are never split, the whole row moves to the next page under a fresh header
+    const nextY = ensureSpace(doc, y, rowHeight, onNewPage);
+    if (nextY !== y) {
+      y = drawHeader(nextY);
+    }
+
+    if (stripe && rowIndex % 2 === 0) {
+      doc.setFillColor(249, 250, 251);
+      doc.rect(x, y, tableWidth, rowHeight, 'F');
+    }
+
+    let cellX = x;
+    cells.forEach((cell, index) => {
+      const column = columns[index];
+      const { main, secondary } = layouts[index];
+      doc.setFont('helvetica', cell.bold ? 'bold' : 'normal');
+      drawCellText(doc, main, column, cellX, y + CELL_PADDING, fontSize);
+
+      if (secondary.length > 0) {
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(107, 114, 128);
+        drawCellText(doc, secondary, column, cellX, y + CELL_PADDING + main.length * lineHeight(fontSize), secondaryFontSize);
+        doc.setTextColor(0, 0, 0);
+      }
+      cellX += column.width;
+    });
+
+    doc.setDrawColor(156, 163, 175);
+    doc.setLineWidth(0.2);
+    doc.rect(x, y, tableWidth, rowHeight);
+    cellX = x;
+    columns.slice(0, -1).forEach(column => {
+      cellX += column.width;
+      doc.line(cellX, y, cellX, y + rowHeight);
+    });
+
+    y += rowHeight;
+  });
+
+  doc.setFont('helvetica', 'normal');
+  return y;
+};
+
+// Stamps "Page x of y" (and an optional note) on every page once the document is complete
+export const addPageNumbers = (doc, footerNote = '') => {
+  const pageCount = doc.getNumberOfPages();
+  const { width, height } = getPageSize(doc);
+
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(107, 114, 128);
+    if (footerNote) {
+      doc.text(pdfText(footerNote), PDF_MARGIN, height - PDF_MARGIN / 2);
+    }
+    doc.text(`Page ${page} of ${pageCount}`, width - PDF_MARGIN, height - PDF_MARGIN / 2, { align: 'right' });
+    doc.setTextColor(0, 0, 0);
+  }
+};
+
+// Loads an image URL as a data URL for doc.addImage, resolving null when it cannot be read
+export const loadImageDataUrl = (url) => new Promise((resolve) => {
+  if (!url) {
+    resolve(null);
+    return;
+  }
+
+  const image = new Image();
+  image.crossOrigin = 'anonymous';
+  image.onload = () => {
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = image.naturalWidth;
+      canvas.height = image.naturalHeight;
+      canvas.getContext('2d').drawImage(image, 0, 0);
+      resolve({ dataUrl: canvas.toDataURL('image/png'), width: image.naturalWidth, height: image.naturalHeight });
+    } catch {
+      // Tainted canvas when the logo host does not allow CORS
+      resolve(null);
+    }
+  };
+  image.onerror = () => resolve(null);
+  image.src = url;
+});
@@ -0,0 +1,61 @@
+// Prints an HTML document from a hidden iframe so the app page is left untouched
+export const printHTML = (html) => new Promise((resolve, reject) => {
+  const iframe = document.createElement('iframe');
+  iframe.setAttribute('aria-hidden', 'true');
+  iframe.style.cssText = 'position:fixed;right:0;bottom:0;width:0;height:0;border:0;visibility:hidden;';
+
+  let finished = false;
+  const cleanup = () => {
+    if (finished) return;
+    finished = true;
+    // Give the print dialog time to spool before removing the frame
+    setTimeout(() => iframe.remove(), 500);
+    resolve();
+  };
+
+  iframe.onload = () => {
+    const frameWindow = iframe.contentWindow;
+    const images = Array.from(frameWindow.document.images);
+
+    // Wait for the logo and other images, otherwise they print blank
+    Promise.all(images.map(img => (img.complete ? null : new Promise(done => {
+      img.onload = done;
+      img.onerror = done;
+    })))).then(() => {
+      try {
+        frameWindow.addEventListener('afterprint', cleanup);
+        frameWindow.focus();
+        frameWindow.print();
+        // Some browsers never fire afterprint for iframes
+        setTimeout(cleanup, 60000);
+      } catch (error) {
+        iframe.remove();
+        reject(error);
+      }
+    });
+  };
+
+  iframe.srcdoc = html;
+  document.body.appendChild(iframe);
+});
+
+// Prints an element rendered in the app, carrying over the page stylesheets
+export const printElement = (element, { title = document.title, pageCss = '' } = {}) => {
+  const styles = Array.from(document.querySelectorAll('style, link[rel="stylesheet"]'))
+    .map(node => node.outerHTML)
+    .join('\n');
+
+  const html = `<!doctype html>
+<html>
+<head>
+<meta charset="UTF-8" />
+<base href="${document.baseURI}" />
+<title>${title}</title>
+${styles}
+<style>html, body { height: auto !important; overflow: visible !important; }${pageCss}</style>
+</head>
+<body>${element.outerHTML}</body>
+</html>`;
+
+  return printHTML(html);
+};
@@ -0,0 +1,155 @@
+import { DEFAULT_GST_RATE } from './gst';
+import { getProductErrors } from './productValidation';
+
+// Product fields a spreadsheet column can be mapped to. Aliases are matched
+// against the header with case, spaces and punctuation removed.
+export const IMPORT_FIELDS = [
+  { key: 'name', label: 'Name', aliases: ['name', 'product', 'productname', 'item', 'itemname', 'title'] },
+  { key: 'sku', label: 'SKU', required: true, aliases: ['sku', 'code', 'itemcode', 'productcode', 'partno', 'partnumber', 'modelno'] },
+  { key: 'description', label: 'Description', aliases: ['description', 'desc', 'details'] },
+  { key: 'category', label: 'Category', aliases: ['category', 'cat', 'group', 'type'] },
+  { key: 'brand', label: 'Brand', aliases: ['brand', 'make', 'manufacturer', 'company'] },
+  { key: 'price', label: 'Price', aliases: ['price', 'mrp', 'sellingprice', 'saleprice', 'rate', 'unitprice'] },
+  { key: 'cost_price', label: 'Cost Price', aliases: ['costprice', 'cost', 'purchaseprice', 'buyingprice', 'landedcost', 'landingcost', 'cp'] },
+  { key: 'stock_quantity', label: 'Stock Quantity', aliases: ['stock', 'stockquantity', 'qty', 'quantity', 'units', 'onhand'] },
+  { key: 'barcode', label: 'Barcode', aliases: ['barcode', 'ean', 'upc', 'gtin'] },
+  { key: 'hsn_code', label: 'HSN Code', aliases: ['hsn', 'hsncode', 'hsnsac'] },
+  { key: 'gst_rate', label: 'GST Rate', aliases: ['gst', 'gstrate', 'tax', 'taxrate', 'gstpercent'] },
+  { key: 'reorder_level', label: 'Reorder Level', aliases: ['reorderlevel', 'reorderpoint', 'minstock', 'minimumstock', 'minqty'] },
+  { key: 'reorder_quantity', label: 'Reorder Quantity', aliases: ['reorderquantity', 'reorderqty', 'orderqty', 'moq'] }
+];
+
+export const IMPORT_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update'
+};
+
+// How the stock column is applied to products that already exist
+export const STOCK_MODES = {
+  ADD: 'add',
+  REPLACE: 'replace'
+};
+
+const normalizeHeader = (header) => String(header ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+export const normalizeSku = (sku) => String(sku ?? '').trim().toUpperCase();
+
+// { fieldKey: columnIndex } for the headers that look like a known field
+export const guessColumnMapping = (headers) => {
+  const mapping = {};
+  const used = new Set();
+  IMPORT_FIELDS.forEach(field => {
+    const index = headers.findIndex((header, i) => !used.has(i) && field.aliases.includes(normalizeHeader(header)));
+    if (index !== -1) {
+      mapping[field.key] = index;
+      used.add(index);
+    }
+  });
+  return mapping;
+};
+
+const cellText = (value) => {
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value ?? '').trim();
+};
+
+// Supplier sheets write prices as "Rs. 1,299" and GST as "18%"
+const cleanNumber = (text) => text.replace(/₹|rs\.?|inr|%|,|\s/gi, '');
+
+const readRowValues = (cells, mapping) => {
+  const values = {};
+  IMPORT_FIELDS.forEach(({ key }) => {
+    const index = mapping[key];
+    if (index === undefined || index === null || index === '') return;
+    let text = cellText(cells[index]);
+    if (['price', 'cost_price', 'stock_quantity', 'gst_rate', 'reorder_level', 'reorder_quantity'].includes(key)) text = cleanNumber(text);
+    if (text !== '') values[key] = text;
+  });
+  return values;
+};
+
+const productFormValues = (product) => ({
+  name: product.name || '',
+  description: product.description || '',
+  category: product.category || '',
+  brand: product.brand || '',
+  price: String(product.price ?? ''),
+  stock_quantity: String(product.stock_quantity ?? ''),
+  sku: product.sku || '',
+  barcode: product.barcode || '',
+  hsn_code: product.hsn_code || '',
+  gst_rate: String(product.gst_rate ?? DEFAULT_GST_RATE),
+  cost_price: String(product.cost_price ?? ''),
+  reorder_level: String(product.reorder_level ?? ''),
+  reorder_quantity: String(product.reorder_quantity ?? '')
+});
+
+// Turns sheet rows into create/update rows with the same validation InventoryForm runs.
+// Updates start from the existing product so blank cells keep the current value.
+export const buildImportRows = (rows, mapping, existingProducts, { stockMode = STOCK_MODES.ADD } = {}) => {
+  const existingBySku = new Map();
+  (existingProducts || []).forEach(product => {
+    if (product.sku) existingBySku.set(normalizeSku(product.sku), product);
+  });
+  const firstRowBySku = new Map();
+
+  return rows.map(({ rowNumber, cells }) => {
+    const imported = readRowValues(cells, mapping);
+    const sku = normalizeSku(imported.sku);
+    const existing = sku ? existingBySku.get(sku) : null;
+
+    // values.stock_quantity is the stock the product ends up with, for validation and the
+    // preview; existing products get there through stockDelta on the stock ledger
+    let values;
+    let stockDelta = 0;
+    if (existing) {
+      values = { ...productFormValues(existing), ...imported, sku: existing.sku };
+      const current = parseInt(existing.stock_quantity, 10) || 0;
+      const importedStock = parseInt(imported.stock_quantity, 10);
+      if (imported.stock_quantity !== undefined && !isNaN(importedStock)) {
+        stockDelta = stockMode === STOCK_MODES.ADD ? importedStock : importedStock - current;
+        if (stockMode === STOCK_MODES.ADD) values.stock_quantity = String(current + importedStock);
+      }
+    } else {
+      values = { ...productFormValues({}), ...imported };
+    }
+
+    const errors = getProductErrors(values);
+    if (sku && firstRowBySku.has(sku)) {
+      errors.push(`Duplicate SKU, already used in row ${firstRowBySku.get(sku)}`);
+    } else if (sku) {
+      firstRowBySku.set(sku, rowNumber);
+    }
+
+    return {
+      rowNumber,
+      action: existing ? IMPORT_ACTIONS.UPDATE : IMPORT_ACTIONS.CREATE,
+      product: existing || null,
+      values,
+      stockDelta,
+      errors
+    };
+  });
+};
+
+// Same multipart body InventoryForm sends. Updates leave stock_quantity out, like InventoryForm,
+// and change stock through the ledger instead.
+export const toProductFormData = (values, { includeStock = true } = {}) => {
+  const formData = new FormData();
+  Object.entries(values).forEach(([key, value]) => {
+    if (!includeStock && key === 'stock_quantity') return;
+    formData.append(key, typeof value === 'string' ? value.trim() : value);
+  });
+  return formData;
+};
+
+export const buildImportErrorReport = (results) => [
+  ['Row', 'SKU', 'Name', 'Action', 'Errors'],
+  ...results.map(result => [
+    result.rowNumber,
+    result.values.sku,
+    result.values.name,
+    result.action,
+    result.errors.join('; ')
+  ])
+];
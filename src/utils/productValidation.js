@@ -0,0 +1,59 @@
+import { GST_RATES } from './gst';
+
+// Rules shared by InventoryForm and the spreadsheet import, in the order the form checks them.
+// Values may be strings (form inputs) or numbers (spreadsheet cells).
+export const getProductErrors = (values) => {
+  const text = (key) => String(values?.[key] ?? '').trim();
+  const errors = [];
+
+  if (!text('name')) {
+    errors.push('Product name is required');
+  }
+
+  if (!text('sku')) {
+    errors.push('SKU is required');
+  }
+
+  // Barcodes are scanned back as typed text, so keep them free of spaces
+  if (text('barcode') && !/^[A-Za-z0-9\-_.]{4,48}$/.test(text('barcode'))) {
+    errors.push('Barcode must be 4-48 letters or digits without spaces');
+  }
+
+  if (!text('category')) {
+    errors.push('Category is required');
+  }
+
+  if (!text('price') || !(parseFloat(text('price')) > 0)) {
+    errors.push('Please enter a valid price');
+  }
+
+  // Cost price is optional, margins and profit reports skip products without one
+  if (text('cost_price') && !(parseFloat(text('cost_price')) >= 0)) {
+    errors.push('Cost price must be zero or more');
+  }
+
+  if (!text('stock_quantity') || isNaN(parseInt(text('stock_quantity'), 10)) || parseInt(text('stock_quantity'), 10) < 0) {
+    errors.push('Please enter a valid stock quantity');
+  }
+
+  // Reorder settings are optional, blank falls back to the shop-wide default
+  ['reorder_level', 'reorder_quantity'].forEach(key => {
+    if (text(key) && !/^\d+$/.test(text(key))) {
+      errors.push(`${key === 'reorder_level' ? 'Reorder level' : 'Reorder quantity'} must be a whole number`);
+    }
+  });
+
+  // HSN codes are 4, 6 or 8 digits
+  if (text('hsn_code') && !/^(\d{4}|\d{6}|\d{8})$/.test(text('hsn_code'))) {
+    errors.push('HSN code must be 4, 6 or 8 digits');
+  }
+
+  if (!GST_RATES.includes(parseFloat(text('gst_rate')))) {
+    errors.push('Please select a valid GST rate');
+  }
+
+  return errors;
+};
+
+// First failing rule, which is what the form shows
+export const validateProduct = (values) => getProductErrors(values)[0] || null;
@@ -0,0 +1,192 @@
+import { getBillTotals } from './billTotals';
+import { DEFAULT_PRICES_INCLUDE_TAX, normalizeGstRate, roundToPaise } from './gst';
+import { getBillItemKey, getReturnedQuantities } from './returns';
+
+// Gross profit is measured on sales before GST, since the tax is passed on to the government
+// and cost prices are entered excluding the input GST the shop claims back.
+// Returned units come off both sales and cost, so profit is on what the customer kept.
+
+const toTitleCase = (str) => {
+  if (!str) return '';
+  return str
+    .toLowerCase()
+    .split(' ')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+};
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+const getItemProduct = (item) => item?.product || item?.products || {};
+
+// Blank means the cost was never entered, which is not the same as a free item
+const parseCost = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const cost = parseFloat(value);
+  return isNaN(cost) || cost < 0 ? null : cost;
+};
+
+export const getCostPrice = (product) => parseCost(product?.cost_price);
+
+// Selling price with the GST taken out when shop prices are MRP
+export const getPriceExTax = (product, pricesIncludeTax = DEFAULT_PRICES_INCLUDE_TAX) => {
+  const price = toNumber(product?.price);
+  return pricesIncludeTax ? price / (1 + normalizeGstRate(product?.gst_rate) / 100) : price;
+};
+
+// Profit per unit and margin % on the pre-tax selling price, null when the cost is unknown
+export const getProductMargin = (product, pricesIncludeTax = DEFAULT_PRICES_INCLUDE_TAX) => {
+  const cost = getCostPrice(product);
+  const price = getPriceExTax(product, pricesIncludeTax);
+  if (cost === null || price <= 0) return null;
+  const profit = price - cost;
+  return { profit: roundToPaise(profit), percent: (profit / price) * 100 };
+};
+
+export const formatMarginPercent = (percent) => (percent === null || percent === undefined || isNaN(percent)
+  ? '—'
+  : `${percent.toFixed(1)}%`);
+
+// Loss-making red, thin yellow, healthy green
+export const getMarginClass = (percent) => {
+  if (percent === null || percent === undefined || isNaN(percent)) return 'text-gray-500';
+  if (percent < 0) return 'text-red-600';
+  if (percent < 10) return 'text-yellow-700';
+  return 'text-green-700';
+};
+
+// Cost snapshotted on the bill item at checkout. Bills from before the snapshot fall back to
+// the product's current cost, which is the best estimate left.
+export const getItemUnitCost = (item) => {
+  const snapshot = parseCost(item?.unit_cost);
+  return snapshot !== null ? snapshot : getCostPrice(getItemProduct(item));
+};
+
+// Pre-tax sales value of a line after the bill discount
+const getLineSales = (item, netFactor) => {
+  const taxable = parseFloat(item?.taxable_value);
+  if (!isNaN(taxable)) return taxable;
+  return toNumber(item?.total_price) * netFactor;
+};
+
+const getNetFactor = (bill) => {
+  const { gross, promotionDiscount, discount, pointsDiscount } = getBillTotals(bill);
+  if (gross <= 0) return 1;
+  return Math.max(gross - promotionDiscount - discount - pointsDiscount, 0) / gross;
+};
+
+// Credit notes for each bill id, from returnsAPI or attached to the bill by the server
+export const groupReturnsByBill = (returns = []) => returns.reduce((groups, creditNote) => {
+  const key = String(creditNote?.bill_id ?? '');
+  groups.set(key, [...(groups.get(key) || []), creditNote]);
+  return groups;
+}, new Map());
+
+const getBillReturns = (bill, returnsByBill) => {
+  const attached = Array.isArray(bill?.returns) ? bill.returns : [];
+  return attached.length > 0 ? attached : returnsByBill.get(String(bill?.id ?? '')) || [];
+};
+
+// Share of each line the customer kept. Credit notes give the returned units line by line;
+// without them a refunded bill is taken as returned evenly across its lines, the same
+// refunded amount salesAnalytics takes off revenue.
+const getKeptShares = (bill, creditNotes) => {
+  const items = bill?.bill_items || [];
+  if (creditNotes.length > 0) {
+    const returned = getReturnedQuantities(creditNotes);
+    return items.map(item => {
+      const quantity = parseInt(item?.quantity, 10) || 0;
+      if (quantity <= 0) return 1;
+      return Math.max(quantity - (returned[getBillItemKey(item)] || 0), 0) / quantity;
+    });
+  }
+  const { net, refunded } = getBillTotals(bill);
+  const share = refunded > 0 && net > 0 ? Math.max(1 - refunded / net, 0) : 1;
+  return items.map(() => share);
+};
+
+// Lines without a known cost are kept out of profit and margin and reported as uncosted sales
+const getLineProfits = (bill, returnsByBill = new Map()) => {
+  const netFactor = getNetFactor(bill);
+  const keptShares = getKeptShares(bill, getBillReturns(bill, returnsByBill));
+  return (bill?.bill_items || []).map((item, index) => {
+    const quantity = (parseInt(item?.quantity, 10) || 0) * keptShares[index];
+    const sales = getLineSales(item, netFactor) * keptShares[index];
+    const unitCost = getItemUnitCost(item);
+    return {
+      item,
+      quantity,
+      sales,
+      costed: unitCost !== null,
+      cost: unitCost !== null ? unitCost * quantity : 0
+    };
+  });
+};
+
+const emptyTotals = () => ({ quantity: 0, sales: 0, costedSales: 0, uncostedSales: 0, cost: 0 });
+
+const addLine = (totals, line) => {
+  totals.quantity += line.quantity;
+  totals.sales += line.sales;
+  if (line.costed) {
+    totals.costedSales += line.sales;
+    totals.cost += line.cost;
+  } else {
+    totals.uncostedSales += line.sales;
+  }
+  return totals;
+};
+
+const finishTotals = (totals) => {
+  const profit = totals.costedSales - totals.cost;
+  return {
+    ...totals,
+    profit,
+    margin: totals.costedSales > 0 ? (profit / totals.costedSales) * 100 : null,
+    costedShare: totals.sales > 0 ? (totals.costedSales / totals.sales) * 100 : 100
+  };
+};
+
+// returns are credit notes (any bills); bills without any fall back to their refunded_amount
+export const getBillProfit = (bill, returns = []) => finishTotals(
+  getLineProfits(bill, groupReturnsByBill(returns)).reduce(addLine, emptyTotals())
+);
+
+export const summarizeProfit = (bills = [], returns = []) => {
+  const returnsByBill = groupReturnsByBill(returns);
+  return finishTotals(
+    bills.reduce((totals, bill) => getLineProfits(bill, returnsByBill).reduce(addLine, totals), emptyTotals())
+  );
+};
+
+// Profit grouped by whatever keyOf returns for each line, most profitable first
+const groupProfit = (bills, returns, keyOf, labelOf) => {
+  const returnsByBill = groupReturnsByBill(returns);
+  const groups = new Map();
+  bills.forEach(bill => {
+    getLineProfits(bill, returnsByBill).forEach(line => {
+      const product = getItemProduct(line.item);
+      const key = keyOf(line.item, product);
+      const group = groups.get(key) || { key, label: labelOf(line.item, product), totals: emptyTotals() };
+      addLine(group.totals, line);
+      groups.set(key, group);
+    });
+  });
+  return [...groups.values()]
+    .map(({ key, label, totals }) => ({ key, label, ...finishTotals(totals) }))
+    .sort((a, b) => b.profit - a.profit);
+};
+
+export const getProfitByProduct = (bills, returns = []) => groupProfit(
+  bills,
+  returns,
+  (item, product) => String(item?.product_id || product.id || product.sku || product.name || 'unknown'),
+  (item, product) => toTitleCase(product.name || 'Unknown Product')
+);
+
+export const getProfitByCategory = (bills, returns = []) => groupProfit(
+  bills,
+  returns,
+  (item, product) => String(product.category || '').trim().toLowerCase(),
+  (item, product) => toTitleCase(String(product.category || '').trim()) || 'Uncategorised'
+);
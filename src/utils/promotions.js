@@ -0,0 +1,406 @@
+import { roundToPaise } from './gst';
+
+// Promotions are either automatic (no code) or coupons that apply once their code is entered.
+// Line promotions (category % off, buy X get Y, bundle price) discount particular bill lines
+// and run first; the minimum-cart-value discount then works on what is left of the cart.
+// Every promotion starts from a line after its own line_discount (see cartLines.js), so what
+// a promotion saves never goes past what the line actually sells for.
+//
+// Stacking: stackable promotions combine, each one working on the price left after the ones
+// before it. An exclusive promotion never combines with another; the cart gets either the
+// best exclusive promotion on its own or all the stackable ones together, whichever saves more.
+
+export const PROMOTION_TYPES = {
+  CATEGORY_PERCENT: 'category_percent',
+  BUY_X_GET_Y: 'buy_x_get_y',
+  BUNDLE: 'bundle',
+  CART_DISCOUNT: 'cart_discount'
+};
+
+export const PROMOTION_TYPE_OPTIONS = [
+  { value: PROMOTION_TYPES.CATEGORY_PERCENT, label: 'Category % Off', description: 'A percentage off everything in one category' },
+  { value: PROMOTION_TYPES.BUY_X_GET_Y, label: 'Buy X Get Y', description: 'Buy some units, get more free or at a discount' },
+  { value: PROMOTION_TYPES.BUNDLE, label: 'Bundle Price', description: 'A set of products together for a fixed price' },
+  { value: PROMOTION_TYPES.CART_DISCOUNT, label: 'Minimum Cart Value', description: 'A discount once the cart reaches an amount' }
+];
+
+export const STACKING = {
+  STACKABLE: 'stackable',
+  EXCLUSIVE: 'exclusive'
+};
+
+export const PROMOTION_STATUS = {
+  ACTIVE: 'active',
+  SCHEDULED: 'scheduled',
+  EXPIRED: 'expired',
+  USED_UP: 'used_up',
+  PAUSED: 'paused'
+};
+
+export const PROMOTION_STATUS_LABELS = {
+  [PROMOTION_STATUS.ACTIVE]: 'Active',
+  [PROMOTION_STATUS.SCHEDULED]: 'Scheduled',
+  [PROMOTION_STATUS.EXPIRED]: 'Expired',
+  [PROMOTION_STATUS.USED_UP]: 'Used Up',
+  [PROMOTION_STATUS.PAUSED]: 'Paused'
+};
+
+export const EMPTY_PROMOTION = {
+  name: '',
+  code: '',
+  type: PROMOTION_TYPES.CATEGORY_PERCENT,
+  active: true,
+  stacking: STACKING.STACKABLE,
+  starts_at: '',
+  ends_at: '',
+  usage_limit: '',
+  category: '',
+  product_ids: [],
+  percent: '',
+  buy_quantity: '2',
+  get_quantity: '1',
+  bundle_price: '',
+  min_amount: '',
+  discount_type: 'percentage',
+  discount_value: '',
+  max_discount: ''
+};
+
+// Line promotions run before the cart discount, which needs to see their savings
+const TYPE_ORDER = [
+  PROMOTION_TYPES.CATEGORY_PERCENT,
+  PROMOTION_TYPES.BUY_X_GET_Y,
+  PROMOTION_TYPES.BUNDLE,
+  PROMOTION_TYPES.CART_DISCOUNT
+];
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+const toInt = (value) => parseInt(value, 10) || 0;
+
+const toCategory = (value) => String(value || '').trim().toLowerCase();
+
+export const normalizeCouponCode = (code) => String(code || '').replace(/\s+/g, '').toUpperCase();
+
+// Server records may send product ids as a comma list and flags as strings
+export const normalizePromotion = (record) => ({
+  ...EMPTY_PROMOTION,
+  ...record,
+  code: normalizeCouponCode(record?.code),
+  active: record?.active !== false && record?.active !== 'false',
+  stacking: record?.stacking === STACKING.EXCLUSIVE ? STACKING.EXCLUSIVE : STACKING.STACKABLE,
+  product_ids: (Array.isArray(record?.product_ids) ? record.product_ids : String(record?.product_ids || '').split(','))
+    .map(id => String(id).trim())
+    .filter(Boolean),
+  usage_count: toInt(record?.usage_count),
+  starts_at: record?.starts_at ? String(record.starts_at).slice(0, 10) : '',
+  ends_at: record?.ends_at ? String(record.ends_at).slice(0, 10) : ''
+});
+
+// Dates are whole days: a promotion runs from the start of starts_at to the end of ends_at
+const startOfDay = (dateKey) => new Date(`${dateKey}T00:00:00`);
+const endOfDay = (dateKey) => new Date(`${dateKey}T23:59:59.999`);
+
+export const getPromotionStatus = (promotion, now = new Date()) => {
+  if (!promotion.active) return PROMOTION_STATUS.PAUSED;
+  if (promotion.starts_at && now < startOfDay(promotion.starts_at)) return PROMOTION_STATUS.SCHEDULED;
+  if (promotion.ends_at && now > endOfDay(promotion.ends_at)) return PROMOTION_STATUS.EXPIRED;
+  if (toInt(promotion.usage_limit) > 0 && promotion.usage_count >= toInt(promotion.usage_limit)) return PROMOTION_STATUS.USED_UP;
+  return PROMOTION_STATUS.ACTIVE;
+};
+
+const UNAVAILABLE_REASONS = {
+  [PROMOTION_STATUS.PAUSED]: 'This coupon is not active',
+  [PROMOTION_STATUS.SCHEDULED]: 'This coupon is not valid yet',
+  [PROMOTION_STATUS.EXPIRED]: 'This coupon has expired',
+  [PROMOTION_STATUS.USED_UP]: 'This coupon has reached its usage limit'
+};
+
+// The promotion for a typed code, or the reason it cannot be used today
+export const findCoupon = (promotions, code, now = new Date()) => {
+  const normalized = normalizeCouponCode(code);
+  if (!normalized) return { promotion: null, error: 'Enter a coupon code' };
+  const promotion = promotions.find(entry => entry.code === normalized);
+  if (!promotion) return { promotion: null, error: `No coupon found for ${normalized}` };
+  const status = getPromotionStatus(promotion, now);
+  if (status !== PROMOTION_STATUS.ACTIVE) return { promotion, error: UNAVAILABLE_REASONS[status] };
+  return { promotion, error: null };
+};
+
+// Returns { field: message } for every invalid field
+export const validatePromotion = (formData, promotions = []) => {
+  const errors = {};
+  if (!formData.name.trim()) errors.name = 'Give the promotion a name';
+
+  const code = normalizeCouponCode(formData.code);
+  if (code && promotions.some(entry => entry.code === code && String(entry.id) !== String(formData.id))) {
+    errors.code = 'Another promotion already uses this code';
+  }
+
+  if (formData.starts_at && formData.ends_at && formData.ends_at < formData.starts_at) {
+    errors.ends_at = 'End date is before the start date';
+  }
+  if (formData.usage_limit !== '' && (!Number.isInteger(Number(formData.usage_limit)) || Number(formData.usage_limit) < 1)) {
+    errors.usage_limit = 'Enter a whole number, or leave empty for no limit';
+  }
+
+  const percent = Number(formData.percent);
+  if (formData.type === PROMOTION_TYPES.CATEGORY_PERCENT) {
+    if (!formData.category.trim()) errors.category = 'Choose the category';
+    if (formData.percent === '' || isNaN(percent) || percent <= 0 || percent > 100) errors.percent = 'Enter a percentage between 1 and 100';
+  }
+  if (formData.type === PROMOTION_TYPES.BUY_X_GET_Y) {
+    if (toInt(formData.buy_quantity) < 1) errors.buy_quantity = 'Buy at least 1';
+    if (toInt(formData.get_quantity) < 1) errors.get_quantity = 'Get at least 1';
+    if (formData.percent !== '' && (isNaN(percent) || percent <= 0 || percent > 100)) errors.percent = 'Enter a percentage between 1 and 100';
+  }
+  if (formData.type === PROMOTION_TYPES.BUNDLE) {
+    if (formData.product_ids.length < 2) errors.product_ids = 'Add at least two products to the bundle';
+    if (toNumber(formData.bundle_price) <= 0) errors.bundle_price = 'Enter the bundle price';
+  }
+  if (formData.type === PROMOTION_TYPES.CART_DISCOUNT) {
+    if (toNumber(formData.min_amount) <= 0) errors.min_amount = 'Enter the minimum cart value';
+    const value = Number(formData.discount_value);
+    if (formData.discount_value === '' || isNaN(value) || value <= 0) {
+      errors.discount_value = 'Enter the discount';
+    } else if (formData.discount_type === 'percentage' && value > 100) {
+      errors.discount_value = 'A percentage cannot be more than 100';
+    }
+  }
+  return errors;
+};
+
+// Payload for the API with the fields that matter for the chosen type
+export const buildPromotionPayload = (formData) => ({
+  name: formData.name.trim(),
+  code: normalizeCouponCode(formData.code) || null,
+  type: formData.type,
+  active: formData.active,
+  stacking: formData.stacking,
+  starts_at: formData.starts_at || null,
+  ends_at: formData.ends_at || null,
+  usage_limit: formData.usage_limit === '' ? null : toInt(formData.usage_limit),
+  category: formData.type === PROMOTION_TYPES.CATEGORY_PERCENT || formData.type === PROMOTION_TYPES.BUY_X_GET_Y
+    ? toCategory(formData.category)
+    : '',
+  product_ids: formData.type === PROMOTION_TYPES.BUNDLE || formData.type === PROMOTION_TYPES.BUY_X_GET_Y
+    ? formData.product_ids
+    : [],
+  percent: formData.type === PROMOTION_TYPES.BUY_X_GET_Y && formData.percent === '' ? 100 : toNumber(formData.percent),
+  buy_quantity: toInt(formData.buy_quantity),
+  get_quantity: toInt(formData.get_quantity),
+  bundle_price: toNumber(formData.bundle_price),
+  min_amount: toNumber(formData.min_amount),
+  discount_type: formData.discount_type === 'amount' ? 'amount' : 'percentage',
+  discount_value: toNumber(formData.discount_value),
+  max_discount: formData.max_discount === '' ? null : toNumber(formData.max_discount)
+});
+
+const toTitleCase = (str) => {
+  if (!str) return '';
+  return str
+    .toLowerCase()
+    .split(' ')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+};
+
+// One line summary such as "Buy 2 get 1 free" or "₹200 off above ₹2000"
+export const describePromotion = (promotion) => {
+  const percent = toNumber(promotion.percent);
+  switch (promotion.type) {
+    case PROMOTION_TYPES.CATEGORY_PERCENT:
+      return `${percent}% off ${toTitleCase(promotion.category)}`;
+    case PROMOTION_TYPES.BUY_X_GET_Y: {
+      const reward = !percent || percent >= 100 ? 'free' : `at ${percent}% off`;
+      const scope = promotion.product_ids.length > 0
+        ? ' on selected products'
+        : promotion.category ? ` on ${toTitleCase(promotion.category)}` : '';
+      return `Buy ${toInt(promotion.buy_quantity)} get ${toInt(promotion.get_quantity)} ${reward}${scope}`;
+    }
+    case PROMOTION_TYPES.BUNDLE:
+      return `${promotion.product_ids.length} products together for ₹${toNumber(promotion.bundle_price).toFixed(2)}`;
+    case PROMOTION_TYPES.CART_DISCOUNT: {
+      const discount = promotion.discount_type === 'amount'
+        ? `₹${toNumber(promotion.discount_value).toFixed(0)} off`
+        : `${toNumber(promotion.discount_value)}% off`;
+      const cap = promotion.discount_type !== 'amount' && toNumber(promotion.max_discount) > 0
+        ? ` (up to ₹${toNumber(promotion.max_discount).toFixed(0)})`
+        : '';
+      return `${discount}${cap} above ₹${toNumber(promotion.min_amount).toFixed(0)}`;
+    }
+    default:
+      return '';
+  }
+};
+
+const inScope = (promotion, line) => {
+  if (promotion.product_ids.length > 0) return promotion.product_ids.includes(line.productId);
+  if (promotion.category) return line.category === toCategory(promotion.category);
+  return true;
+};
+
+// Spreads an amount over lines by weight, the last weighted line takes the rounding remainder
+const spreadByWeight = (amount, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const allocation = weights.map(() => 0);
+  if (amount <= 0 || totalWeight <= 0) return allocation;
+  const lastIndex = weights.reduce((last, weight, index) => (weight > 0 ? index : last), -1);
+  let left = roundToPaise(amount);
+  weights.forEach((weight, index) => {
+    if (weight <= 0) return;
+    const share = index === lastIndex ? left : roundToPaise((amount * weight) / totalWeight);
+    allocation[index] = share;
+    left = roundToPaise(left - share);
+  });
+  return allocation;
+};
+
+// Discount per line for one promotion given what is left of each line
+const DISCOUNT_CALCULATORS = {
+  [PROMOTION_TYPES.CATEGORY_PERCENT]: (promotion, lines, remaining) => lines.map((line, index) => (
+    line.category === toCategory(promotion.category)
+      ? roundToPaise((remaining[index] * toNumber(promotion.percent)) / 100)
+      : 0
+  )),
+
+  // The cheapest units of each full group are the ones given away
+  [PROMOTION_TYPES.BUY_X_GET_Y]: (promotion, lines, remaining) => {
+    const buy = toInt(promotion.buy_quantity);
+    const get = toInt(promotion.get_quantity);
+    const percent = toNumber(promotion.percent) || 100;
+    const allocation = lines.map(() => 0);
+    if (buy < 1 || get < 1) return allocation;
+
+    const units = lines.flatMap((line, index) => (inScope(promotion, line) && line.quantity > 0
+      ? Array.from({ length: line.quantity }, () => ({ index, price: remaining[index] / line.quantity }))
+      : []))
+      .sort((a, b) => b.price - a.price);
+    const rewardCount = Math.floor(units.length / (buy + get)) * get;
+    units.slice(units.length - rewardCount).forEach(unit => {
+      allocation[unit.index] += (unit.price * percent) / 100;
+    });
+    return allocation.map(roundToPaise);
+  },
+
+  // As many complete sets as the cart holds, each sold at the bundle price
+  [PROMOTION_TYPES.BUNDLE]: (promotion, lines, remaining) => {
+    const allocation = lines.map(() => 0);
+    const members = promotion.product_ids.map(id => lines.findIndex(line => line.productId === id));
+    if (members.length < 2 || members.some(index => index === -1)) return allocation;
+
+    const sets = Math.min(...members.map(index => lines[index].quantity));
+    const unitPrices = members.map(index => remaining[index] / lines[index].quantity);
+    const setValue = unitPrices.reduce((sum, price) => sum + price, 0);
+    const saving = Math.max(setValue - toNumber(promotion.bundle_price), 0) * sets;
+    const weights = lines.map((line, index) => {
+      const member = members.indexOf(index);
+      return member === -1 ? 0 : unitPrices[member];
+    });
+    return spreadByWeight(saving, weights);
+  },
+
+  [PROMOTION_TYPES.CART_DISCOUNT]: (promotion, lines, remaining) => {
+    const base = remaining.reduce((sum, amount) => sum + amount, 0);
+    if (base < toNumber(promotion.min_amount)) return lines.map(() => 0);
+    let amount = promotion.discount_type === 'amount'
+      ? toNumber(promotion.discount_value)
+      : (base * toNumber(promotion.discount_value)) / 100;
+    if (promotion.discount_type !== 'amount' && toNumber(promotion.max_discount) > 0) {
+      amount = Math.min(amount, toNumber(promotion.max_discount));
+    }
+    return spreadByWeight(Math.min(amount, base), remaining);
+  }
+};
+
+const toPromotionLines = (items) => items.map(item => {
+  const price = parseFloat(item.price ?? item.unit_price) || 0;
+  const quantity = toInt(item.quantity);
+  const lineDiscount = Math.max(parseFloat(item.line_discount) || 0, 0);
+  return {
+    productId: String(item.id ?? item.product_id ?? ''),
+    category: toCategory(item.category),
+    quantity,
+    gross: roundToPaise(Math.max(price * quantity - lineDiscount, 0))
+  };
+});
+
+// Applies the promotions in order, each on what the earlier ones left of every line
+const runPromotions = (promotions, lines) => {
+  const remaining = lines.map(line => line.gross);
+  const applied = [];
+  [...promotions]
+    .sort((a, b) => TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type))
+    .forEach(promotion => {
+      const calculate = DISCOUNT_CALCULATORS[promotion.type];
+      if (!calculate) return;
+      const allocation = calculate(promotion, lines, remaining)
+        .map((amount, index) => roundToPaise(Math.min(Math.max(amount, 0), remaining[index])));
+      const amount = roundToPaise(allocation.reduce((sum, value) => sum + value, 0));
+      if (amount <= 0) return;
+      allocation.forEach((value, index) => {
+        remaining[index] = roundToPaise(remaining[index] - value);
+      });
+      applied.push({ promotion, amount, allocation });
+    });
+  const total = roundToPaise(applied.reduce((sum, entry) => sum + entry.amount, 0));
+  return { applied, total };
+};
+
+// Evaluates every automatic promotion plus the coupons entered. Returns the promotions that
+// apply with their savings, the discount per cart line (same order as items) and a note for
+// each entered coupon that ended up saving nothing.
+export const applyPromotions = (items, promotions, { couponCodes = [], now = new Date() } = {}) => {
+  const lines = toPromotionLines(items);
+  const codes = couponCodes.map(normalizeCouponCode);
+  const candidates = promotions.filter(promotion => getPromotionStatus(promotion, now) === PROMOTION_STATUS.ACTIVE
+    && (!promotion.code || codes.includes(promotion.code)));
+
+  const stackable = runPromotions(candidates.filter(promotion => promotion.stacking !== STACKING.EXCLUSIVE), lines);
+  const best = candidates
+    .filter(promotion => promotion.stacking === STACKING.EXCLUSIVE)
+    .map(promotion => runPromotions([promotion], lines))
+    .reduce((winner, result) => (result.total > winner.total ? result : winner), stackable);
+
+  const lineDiscounts = lines.map((line, index) => roundToPaise(
+    best.applied.reduce((sum, entry) => sum + entry.allocation[index], 0)
+  ));
+
+  const appliedIds = best.applied.map(entry => entry.promotion.id);
+  const couponNotes = {};
+  codes.forEach(code => {
+    const promotion = candidates.find(entry => entry.code === code);
+    if (!promotion || appliedIds.includes(promotion.id)) return;
+    if (promotion.type === PROMOTION_TYPES.CART_DISCOUNT && lines.reduce((sum, line) => sum + line.gross, 0) < toNumber(promotion.min_amount)) {
+      couponNotes[code] = `Needs a cart of ₹${toNumber(promotion.min_amount).toFixed(0)} or more`;
+    } else if (promotion.stacking === STACKING.EXCLUSIVE || best.applied.some(entry => entry.promotion.stacking === STACKING.EXCLUSIVE)) {
+      couponNotes[code] = 'Cannot be combined, a better offer is applied';
+    } else {
+      couponNotes[code] = 'Nothing in the cart qualifies';
+    }
+  });
+
+  return {
+    applied: best.applied.map(({ promotion, amount, allocation }) => ({
+      promotion_id: promotion.id,
+      name: promotion.name,
+      code: promotion.code || null,
+      type: promotion.type,
+      description: describePromotion(promotion),
+      amount,
+      items: lines
+        .map((line, index) => ({ product_id: line.productId, amount: allocation[index] }))
+        .filter(line => line.amount > 0)
+    })),
+    lineDiscounts,
+    total: best.total,
+    couponNotes
+  };
+};
+
+// Promotions saved on a bill; older bills have none
+export const getBillPromotions = (bill) => (Array.isArray(bill?.promotions) ? bill.promotions : [])
+  .map(promotion => ({ ...promotion, amount: toNumber(promotion.amount) }))
+  .filter(promotion => promotion.amount > 0);
+
+export const getPromotionLabel = (promotion) => (promotion.code ? `${promotion.name} (${promotion.code})` : promotion.name);
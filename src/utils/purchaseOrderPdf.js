@@ -0,0 +1,171 @@
+import { jsPDF } from 'jspdf';
+import { withShopDefaults } from './shopSettings';
+import { calculatePOTotals, getPONumber, getPOStatusLabel } from './purchaseOrders';
+import {
+  PDF_MARGIN,
+  pdfText,
+  formatPdfMoney,
+  getPageSize,
+  ensureSpace,
+  drawShopHeader,
+  drawTable,
+  addPageNumbers
+} from './pdf';
+
+const toTitleCase = (str) => {
+  if (!str) return '';
+  return str
+    .toLowerCase()
+    .split(' ')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+};
+
+const amount = (value) => (parseFloat(value) || 0).toFixed(2);
+
+// Purchase order sent to the supplier, with the shop as the buyer and delivery address
+export const buildPurchaseOrderPDF = async ({ purchaseOrder, supplier, shopSettings }) => {
+  const shop = withShopDefaults(shopSettings);
+  const poNumber = getPONumber(purchaseOrder);
+  const orderedAt = new Date(purchaseOrder?.created_at || Date.now());
+  const items = purchaseOrder?.items || [];
+  const totals = calculatePOTotals(items);
+  const vendor = supplier || purchaseOrder?.supplier || {};
+
+  const doc = new jsPDF('p', 'mm', 'a4');
+  const { width: pageWidth } = getPageSize(doc);
+  const contentRight = pageWidth - PDF_MARGIN;
+
+  doc.setProperties({
+    title: `Purchase Order ${poNumber}`,
+    subject: 'Purchase Order',
+    author: shop.shop_name
+  });
+
+  let y = await drawShopHeader(doc, shop, { title: 'PURCHASE ORDER', subtitle: poNumber, accent: 'green' });
+
+  // Supplier and order details
+  const columnWidth = (contentRight - PDF_MARGIN - 10) / 2;
+  const detailsX = PDF_MARGIN + columnWidth + 10;
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(11);
+  doc.setTextColor(31, 41, 55);
+  doc.text('Supplier:', PDF_MARGIN, y);
+  doc.text('Order Details:', detailsX, y);
+  doc.setDrawColor(209, 213, 219);
+  doc.line(PDF_MARGIN, y + 1.5, PDF_MARGIN + columnWidth, y + 1.5);
+  doc.line(detailsX, y + 1.5, contentRight, y + 1.5);
+
+  let leftY = y + 7;
+  doc.text(pdfText(toTitleCase(vendor.name || 'Supplier')), PDF_MARGIN, leftY);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.setTextColor(75, 85, 99);
+  const vendorLines = [
+    vendor.contact_person ? `Attn: ${toTitleCase(vendor.contact_person)}` : '',
+    ...(vendor.address ? doc.splitTextToSize(pdfText(vendor.address), columnWidth) : []),
+    vendor.phone ? `Phone: ${vendor.phone}` : '',
+    vendor.email ? `Email: ${vendor.email}` : '',
+    vendor.gst_number ? `GSTIN: ${String(vendor.gst_number).toUpperCase()}` : ''
+  ].filter(Boolean);
+  vendorLines.forEach(line => {
+    leftY += 5;
+    doc.text(pdfText(line), PDF_MARGIN, leftY);
+  });
+
+  let rightY = y + 2;
+  const details = [
+    ['PO Number:', poNumber],
+    ['Date:', orderedAt.toLocaleDateString('en-IN')],
+    ['Expected By:', purchaseOrder?.expected_date ? new Date(purchaseOrder.expected_date).toLocaleDateString('en-IN') : '-'],
+    ['Status:', getPOStatusLabel(purchaseOrder?.status)],
+    ['Raised By:', toTitleCase(purchaseOrder?.created_by || '-')]
+  ];
+  details.forEach(([label, value]) => {
+    rightY += 5;
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(75, 85, 99);
+    doc.text(label, detailsX, rightY);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(31, 41, 55);
+    doc.text(pdfText(value), contentRight, rightY, { align: 'right' });
+  });
+
+  y = Math.max(leftY, rightY) + 8;
+  doc.setFont('helvetica', 'normal');
+  doc.setTextColor(0, 0, 0);
+
+  // Ordered items
+  y = drawTable(doc, {
+    columns: [
+      { header: 'S.No', width: 12, align: 'center' },
+      { header: 'Product', width: 84 },
+      { header: 'Qty', width: 18, align: 'center' },
+      { header: 'Unit Cost (Rs.)', width: 32, align: 'right' },
+      { header: 'Amount (Rs.)', width: 36, align: 'right' }
+    ],
+    rows: items.map((item, index) => {
+      const quantity = parseInt(item.quantity, 10) || 0;
+      const hasCost = String(item.unit_cost ?? '').trim() !== '';
+      return [
+        String(index + 1),
+        {
+          text: toTitleCase(item.name || 'Unknown Product'),
+          secondary: [item.sku ? `SKU: ${String(item.sku).toUpperCase()}` : '']
+        },
+        String(quantity),
+        hasCost ? amount(item.unit_cost) : '-',
+        { text: hasCost ? amount(quantity * (parseFloat(item.unit_cost) || 0)) : '-', bold: true }
+      ];
+    }),
+    startY: y,
+    fontSize: 9
+  }) + 6;
+
+  // Totals
+  y = ensureSpace(doc, y, 22);
+  const boxX = contentRight - 80;
+  doc.setFontSize(9);
+  doc.setTextColor(75, 85, 99);
+  doc.text('Total Quantity:', boxX + 3, y + 4.5);
+  doc.setTextColor(31, 41, 55);
+  doc.text(String(totals.quantity), contentRight - 3, y + 4.5, { align: 'right' });
+  y += 6;
+
+  doc.setFillColor(22, 101, 52);
+  doc.rect(boxX, y, 80, 9, 'F');
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(11);
+  doc.setTextColor(255, 255, 255);
+  doc.text('Order Value:', boxX + 3, y + 6);
+  doc.text(formatPdfMoney(totals.amount), contentRight - 3, y + 6, { align: 'right' });
+  y += 16;
+
+  // Notes for the supplier
+  if (purchaseOrder?.notes) {
+    const noteLines = doc.splitTextToSize(pdfText(purchaseOrder.notes), contentRight - PDF_MARGIN);
+    y = ensureSpace(doc, y, 8 + noteLines.length * 5);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(10);
+    doc.setTextColor(31, 41, 55);
+    doc.text('Notes:', PDF_MARGIN, y);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.setTextColor(75, 85, 99);
+    doc.text(noteLines, PDF_MARGIN, y + 5);
+    y += 8 + noteLines.length * 5;
+  }
+
+  // Signature
+  y = ensureSpace(doc, y, 20);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.setTextColor(75, 85, 99);
+  doc.setDrawColor(156, 163, 175);
+  doc.line(contentRight - 50, y + 10, contentRight, y + 10);
+  doc.text('Authorized Signature', contentRight, y + 15, { align: 'right' });
+
+  addPageNumbers(doc, `Purchase Order ${poNumber}`);
+  return doc;
+};
@@ -0,0 +1,170 @@
+import { isValidGSTIN, roundToPaise } from './gst';
+import { isValidEmail, isValidShopPhone } from './validation';
+
+// Suppliers, purchase orders and goods received against them.
+// A PO is raised with ordered quantities and expected unit costs; goods can then arrive in
+// several deliveries, each recorded as a receipt with the actual cost and batch of every line.
+
+export const PO_STATUS = {
+  DRAFT: 'draft',
+  ORDERED: 'ordered',
+  PARTIAL: 'partially_received',
+  RECEIVED: 'received',
+  CANCELLED: 'cancelled'
+};
+
+export const PO_STATUS_LABELS = {
+  [PO_STATUS.DRAFT]: 'Draft',
+  [PO_STATUS.ORDERED]: 'Ordered',
+  [PO_STATUS.PARTIAL]: 'Partially Received',
+  [PO_STATUS.RECEIVED]: 'Received',
+  [PO_STATUS.CANCELLED]: 'Cancelled'
+};
+
+export const getPOStatusLabel = (status) => PO_STATUS_LABELS[status] || PO_STATUS_LABELS[PO_STATUS.DRAFT];
+
+// Goods can only be received against a PO that has been sent and is not finished
+export const canReceivePO = (po) => [PO_STATUS.ORDERED, PO_STATUS.PARTIAL].includes(po?.status);
+
+// PO numbers are given by the server; older records fall back to the id
+export const getPONumber = (po) => po?.po_number
+  || `PO-${String(po?.id || '').substring(0, 8).toUpperCase()}`;
+
+const toInt = (value) => parseInt(value, 10) || 0;
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+const getLineProductId = (line) => String(line?.product_id || line?.product?.id || '');
+
+// PO line for a product, the cost defaults to the last known cost price
+export const createPOLine = (product, quantity = 1, unitCost) => ({
+  product_id: product.id,
+  name: product.name || '',
+  sku: product.sku || '',
+  quantity: Math.max(toInt(quantity), 1),
+  unit_cost: unitCost ?? product.cost_price ?? ''
+});
+
+// One line per item on the reorder list, ordering the suggested quantity
+export const buildLinesFromReorderList = (reorderItems) => reorderItems
+  .map(item => createPOLine(item.product, item.suggestedQuantity));
+
+export const calculatePOTotals = (lines = []) => lines.reduce((totals, line) => {
+  totals.quantity += toInt(line.quantity);
+  totals.amount = roundToPaise(totals.amount + toInt(line.quantity) * toNumber(line.unit_cost));
+  return totals;
+}, { quantity: 0, amount: 0 });
+
+export const validatePurchaseOrder = ({ supplierId, lines }) => {
+  if (!supplierId) return 'Please select a supplier';
+  if (!lines || lines.length === 0) return 'Add at least one product to the order';
+  const invalid = lines.find(line => toInt(line.quantity) <= 0);
+  if (invalid) return `Enter a quantity for ${invalid.name || 'every product'}`;
+  const negativeCost = lines.find(line => String(line.unit_cost ?? '').trim() !== '' && !(toNumber(line.unit_cost) >= 0));
+  if (negativeCost) return `Unit cost for ${negativeCost.name} cannot be negative`;
+  return null;
+};
+
+// Ordered, received so far and still to come for each PO line
+export const getReceivableLines = (po) => {
+  const receivedByProduct = {};
+  (po?.receipts || []).forEach(receipt => {
+    (receipt.items || []).forEach(item => {
+      const id = getLineProductId(item);
+      receivedByProduct[id] = (receivedByProduct[id] || 0) + toInt(item.quantity);
+    });
+  });
+
+  return (po?.items || []).map(line => {
+    const id = getLineProductId(line);
+    const ordered = toInt(line.quantity);
+    // Servers that keep a running total on the line are trusted over the receipts list
+    const received = line.received_quantity !== undefined && line.received_quantity !== null
+      ? toInt(line.received_quantity)
+      : receivedByProduct[id] || 0;
+    return {
+      ...line,
+      product_id: id,
+      ordered,
+      received,
+      remaining: Math.max(ordered - received, 0)
+    };
+  });
+};
+
+// entries: { [product_id]: { quantity, unit_cost, batch_number } } as typed in the receive dialog
+export const buildReceipt = (lines, entries) => {
+  const items = [];
+  let error = null;
+
+  lines.forEach(line => {
+    const entry = entries[line.product_id] || {};
+    const quantity = toInt(entry.quantity);
+    if (quantity <= 0) return;
+    if (quantity > line.remaining) {
+      error = error || `Only ${line.remaining} of ${line.name || 'this product'} still to receive`;
+      return;
+    }
+    const unitCost = String(entry.unit_cost ?? '').trim() === '' ? toNumber(line.unit_cost) : toNumber(entry.unit_cost);
+    items.push({
+      product_id: line.product_id,
+      name: line.name,
+      sku: line.sku,
+      quantity,
+      unit_cost: unitCost,
+      batch_number: String(entry.batch_number || '').trim(),
+      amount: roundToPaise(quantity * unitCost)
+    });
+  });
+
+  if (!error && items.length === 0) {
+    error = 'Enter the quantity received for at least one product';
+  }
+
+  return {
+    items,
+    quantity: items.reduce((sum, item) => sum + item.quantity, 0),
+    amount: roundToPaise(items.reduce((sum, item) => sum + item.amount, 0)),
+    error
+  };
+};
+
+// Status once this receipt is added: complete only when every line is fully in
+export const getStatusAfterReceipt = (lines, receiptItems) => {
+  const receivedNow = {};
+  receiptItems.forEach(item => {
+    receivedNow[item.product_id] = (receivedNow[item.product_id] || 0) + item.quantity;
+  });
+  const complete = lines.every(line => line.remaining - (receivedNow[line.product_id] || 0) <= 0);
+  return complete ? PO_STATUS.RECEIVED : PO_STATUS.PARTIAL;
+};
+
+export const EMPTY_SUPPLIER = {
+  name: '',
+  contact_person: '',
+  phone: '',
+  email: '',
+  gst_number: '',
+  address: '',
+  notes: ''
+};
+
+// Field errors keyed like the form, empty when the supplier can be saved
+export const validateSupplier = (values) => {
+  const errors = {};
+  const text = (key) => String(values?.[key] ?? '').trim();
+
+  if (!text('name')) {
+    errors.name = 'Supplier name is required';
+  }
+  if (text('phone') && !isValidShopPhone(text('phone'))) {
+    errors.phone = 'Enter a valid mobile or landline number';
+  }
+  if (text('email') && !isValidEmail(text('email'))) {
+    errors.email = 'Enter a valid email address';
+  }
+  if (text('gst_number') && !isValidGSTIN(text('gst_number'))) {
+    errors.gst_number = 'Invalid GSTIN - check the number';
+  }
+  return errors;
+};
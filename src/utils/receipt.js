@@ -0,0 +1,211 @@
+import { withShopDefaults, getShopGSTIN } from './shopSettings';
+import { billHasGST } from './gst';
+import { getBillPayments, getPaymentLineLabel } from './paymentMethods';
+import { getBillTotals, getDiscountLabel } from './billTotals';
+import { billHasLoyalty, getBillLoyalty } from './loyalty';
+import { getBillPromotions, getPromotionLabel } from './promotions';
+
+// Characters per line for the common thermal roll widths (Font A)
+export const RECEIPT_PAPER_SIZES = {
+  58: { label: '58mm', columns: 32, printableWidthMm: 48 },
+  80: { label: '80mm', columns: 48, printableWidthMm: 72 }
+};
+
+export const DEFAULT_RECEIPT_PAPER = 80;
+
+const toTitleCase = (str) => {
+  if (!str) return '';
+  return str
+    .toLowerCase()
+    .split(' ')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+};
+
+// Thermal printers only have ASCII code pages, so the rupee sign is spelled out
+const formatMoney = (amount) => `Rs.${(parseFloat(amount) || 0).toFixed(2)}`;
+
+const toAscii = (text) => String(text ?? '')
+  .replace(/₹/g, 'Rs.')
+  .normalize('NFKD')
+  .replace(/[^\x20-\x7E]/g, '');
+
+const wrapText = (text, width) => {
+  const words = toAscii(text).split(/\s+/).filter(Boolean);
+  const lines = [];
+  let current = '';
+
+  words.forEach(word => {
+    while (word.length > width) {
+      if (current) {
+        lines.push(current);
+        current = '';
+      }
+      lines.push(word.slice(0, width));
+      word = word.slice(width);
+    }
+    if (!current) {
+      current = word;
+    } else if (current.length + 1 + word.length <= width) {
+      current += ` ${word}`;
+    } else {
+      lines.push(current);
+      current = word;
+    }
+  });
+
+  if (current) lines.push(current);
+  return lines.length > 0 ? lines : [''];
+};
+
+// Left text and right text on one line, padded to the full width
+const twoColumns = (left, right, width) => {
+  const rightText = toAscii(right);
+  const leftWidth = Math.max(width - rightText.length - 1, 1);
+  const leftText = toAscii(left).slice(0, leftWidth);
+  return leftText + ' '.repeat(width - leftText.length - rightText.length) + rightText;
+};
+
+const getItemName = (item) => item?.product?.name || item?.products?.name || item?.name || 'Unknown Product';
+
+// Builds the receipt as a list of styled text lines, shared by the HTML and ESC/POS renderers.
+// Each line is { text, align: 'left' | 'center' | 'right', bold, large }.
+export const buildReceiptLines = (bill, shopSettings, paperWidth = DEFAULT_RECEIPT_PAPER) => {
+  const { columns } = RECEIPT_PAPER_SIZES[paperWidth] || RECEIPT_PAPER_SIZES[DEFAULT_RECEIPT_PAPER];
+  const shop = withShopDefaults(shopSettings);
+  const lines = [];
+  const push = (text, options = {}) => lines.push({ text: toAscii(text), align: 'left', bold: false, large: false, ...options });
+  const rule = (char = '-') => push(char.repeat(columns));
+
+  // Header
+  // Large text is double width, so only half the columns fit
+  wrapText(shop.shop_name.toUpperCase(), Math.floor(columns / 2)).forEach(part => {
+    push(part, { align: 'center', bold: true, large: true });
+  });
+  [shop.address_line1, shop.address_line2].filter(Boolean).forEach(line => {
+    wrapText(line, columns).forEach(part => push(part, { align: 'center' }));
+  });
+  push(`Ph: ${shop.phone}`, { align: 'center' });
+  if (getShopGSTIN(shop)) push(`GSTIN: ${getShopGSTIN(shop)}`, { align: 'center' });
+  push(billHasGST(bill) ? 'TAX INVOICE' : 'INVOICE', { align: 'center', bold: true });
+  rule();
+
+  // Bill details
+  const createdAt = new Date(bill?.created_at || Date.now());
+  push(twoColumns(`Bill: #${String(bill?.id || 'N/A').substring(0, 8).toUpperCase()}`, createdAt.toLocaleDateString('en-IN'), columns));
+  push(twoColumns(`Cashier: ${toTitleCase(bill?.billed_by || 'Staff')}`, createdAt.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' }), columns));
+  wrapText(`Customer: ${toTitleCase(bill?.customer_name || 'Walk-in Customer')}`, columns).forEach(part => push(part));
+  const phone = bill?.phone_number || bill?.customer_phone;
+  if (phone) push(`Phone: ${phone}`);
+  rule();
+
+  // Items: name on its own line(s), quantity x rate and amount below
+  const items = bill?.bill_items || [];
+  items.forEach(item => {
+    wrapText(toTitleCase(getItemName(item)), columns).forEach(part => push(part));
+    const quantity = parseInt(item?.quantity, 10) || 0;
+    const unitPrice = parseFloat(item?.unit_price) || 0;
+    const lineTotal = parseFloat(item?.total_price) || unitPrice * quantity;
+    const gstNote = billHasGST(bill) && item?.gst_rate !== undefined ? ` @${parseFloat(item.gst_rate) || 0}%` : '';
+    push(twoColumns(`  ${quantity} x ${unitPrice.toFixed(2)}${gstNote}`, lineTotal.toFixed(2), columns));
+    if ((parseFloat(item?.line_discount) || 0) > 0) {
+      push(`  (after ${parseFloat(item.line_discount).toFixed(2)} item discount)`);
+    }
+  });
+  rule();
+
+  // Totals
+  const totals = getBillTotals(bill);
+  const itemCount = items.reduce((sum, item) => sum + (parseInt(item?.quantity, 10) || 0), 0);
+
+  push(`Items: ${itemCount}`);
+  push(twoColumns('Subtotal', formatMoney(totals.gross), columns));
+  getBillPromotions(bill).forEach(promotion => {
+    push(twoColumns(getPromotionLabel(promotion), `-${formatMoney(promotion.amount)}`, columns));
+  });
+  if (totals.discount > 0) push(twoColumns(getDiscountLabel(totals), `-${formatMoney(totals.discount)}`, columns));
+  const loyalty = getBillLoyalty(bill);
+  if (totals.pointsDiscount > 0) push(twoColumns(`Points (${loyalty.redeemed})`, `-${formatMoney(totals.pointsDiscount)}`, columns));
+
+  if (billHasGST(bill)) {
+    push(twoColumns('Taxable Value', formatMoney(bill.taxable_amount), columns));
+    if (parseFloat(bill.igst_amount) > 0) {
+      push(twoColumns('IGST', formatMoney(bill.igst_amount), columns));
+    } else {
+      push(twoColumns('CGST', formatMoney(bill.cgst_amount), columns));
+      push(twoColumns('SGST', formatMoney(bill.sgst_amount), columns));
+    }
+  }
+
+  rule('=');
+  push(twoColumns('TOTAL', formatMoney(totals.net), columns), { bold: true });
+  rule('=');
+  getBillPayments(bill).forEach(payment => {
+    push(twoColumns(getPaymentLineLabel(payment.method), formatMoney(payment.amount), columns));
+    if (payment.reference) push(`  Ref: ${payment.reference}`);
+    if (payment.tendered > 0) {
+      push(twoColumns('  Cash received', formatMoney(payment.tendered), columns));
+      push(twoColumns('  Change', formatMoney(payment.change), columns));
+    }
+  });
+  rule();
+
+  if (billHasLoyalty(bill)) {
+    if (loyalty.redeemed > 0) push(twoColumns('Points redeemed', `-${loyalty.redeemed}`, columns));
+    if (loyalty.earned > 0) push(twoColumns('Points earned', `+${loyalty.earned}`, columns));
+    if (loyalty.balance !== null) push(twoColumns('Points balance', String(loyalty.balance), columns), { bold: true });
+    rule();
+  }
+
+  // Footer
+  wrapText(`Thank you for shopping with ${shop.shop_name}!`, columns).forEach(part => push(part, { align: 'center' }));
+  if (shop.footer_text) {
+    wrapText(shop.footer_text, columns).forEach(part => push(part, { align: 'center' }));
+  }
+
+  return lines;
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// Standalone HTML document sized for the roll, printed through an iframe
+export const renderReceiptHTML = (bill, shopSettings, paperWidth = DEFAULT_RECEIPT_PAPER) => {
+  const paper = RECEIPT_PAPER_SIZES[paperWidth] || RECEIPT_PAPER_SIZES[DEFAULT_RECEIPT_PAPER];
+  const lines = buildReceiptLines(bill, shopSettings, paperWidth);
+
+  const body = lines.map(line => {
+    const classes = [`align-${line.align}`, line.bold ? 'bold' : '', line.large ? 'large' : ''].filter(Boolean).join(' ');
+    return `<div class="${classes}">${escapeHtml(line.text) || '&nbsp;'}</div>`;
+  }).join('\n');
+
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="UTF-8" />
+<title>Receipt</title>
+<style>
+  @page { size: ${paperWidth}mm auto; margin: 0; }
+  html, body { margin: 0; padding: 0; }
+  body {
+    width: ${paper.printableWidthMm}mm;
+    padding: 2mm ${(paperWidth - paper.printableWidthMm) / 2}mm 6mm;
+    font-family: 'Courier New', Courier, monospace;
+    font-size: ${paperWidth === 58 ? '9pt' : '10pt'};
+    line-height: 1.25;
+    color: #000;
+  }
+  div { white-space: pre; overflow: hidden; }
+  .align-center { text-align: center; }
+  .align-right { text-align: right; }
+  .bold { font-weight: bold; }
+  .large { font-size: 1.3em; white-space: normal; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+};
@@ -0,0 +1,138 @@
+import { billHasGST, roundToPaise } from './gst';
+
+export const RETURN_REASONS = [
+  { value: 'defective', label: 'Defective / not working' },
+  { value: 'damaged', label: 'Damaged in transit' },
+  { value: 'wrong_item', label: 'Wrong item billed' },
+  { value: 'not_needed', label: 'Customer changed mind' },
+  { value: 'other', label: 'Other' }
+];
+
+export const RETURN_STATUS = {
+  PARTIAL: 'partially_returned',
+  FULL: 'returned'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Last moment a bill can be returned: end of day N after the sale
+export const getReturnDeadline = (bill, windowDays) => {
+  const deadline = new Date(bill?.created_at || Date.now());
+  deadline.setHours(23, 59, 59, 999);
+  return new Date(deadline.getTime() + windowDays * DAY_MS);
+};
+
+export const isWithinReturnWindow = (bill, windowDays, now = new Date()) => now <= getReturnDeadline(bill, windowDays);
+
+// Bill items are matched by their own id when the API sends one, otherwise by product
+export const getBillItemKey = (item) => String(item?.id || item?.bill_item_id || item?.product_id || item?.product?.id || item?.products?.id || '');
+
+// Quantity already returned per bill item across earlier credit notes
+export const getReturnedQuantities = (returns = []) => {
+  const returned = {};
+  returns.forEach(creditNote => {
+    (creditNote?.items || creditNote?.return_items || []).forEach(item => {
+      const key = getBillItemKey({ id: item.bill_item_id, product_id: item.product_id });
+      returned[key] = (returned[key] || 0) + (parseInt(item.quantity, 10) || 0);
+    });
+  });
+  return returned;
+};
+
+// Amount actually paid per unit of a line, after the bill discount and including GST
+const getPaidUnitAmounts = (bill, item) => {
+  const quantity = parseInt(item?.quantity, 10) || 0;
+  if (quantity === 0) return { total: 0, taxable: 0, cgst: 0, sgst: 0, igst: 0 };
+
+  if (billHasGST(bill) && item?.taxable_value !== undefined) {
+    const taxable = parseFloat(item.taxable_value) || 0;
+    const cgst = parseFloat(item.cgst_amount) || 0;
+    const sgst = parseFloat(item.sgst_amount) || 0;
+    const igst = parseFloat(item.igst_amount) || 0;
+    return {
+      total: (taxable + cgst + sgst + igst) / quantity,
+      taxable: taxable / quantity,
+      cgst: cgst / quantity,
+      sgst: sgst / quantity,
+      igst: igst / quantity
+    };
+  }
+
+  // Older bills only store the gross line; spread the bill discount by line value
+  const gross = (bill?.bill_items || []).reduce((sum, line) => sum + (parseFloat(line?.total_price) || 0), 0);
+  const paidRatio = gross > 0 ? Math.min((parseFloat(bill?.total_amount) || gross) / gross, 1) : 1;
+  const lineTotal = (parseFloat(item?.total_price) || 0) * paidRatio;
+  return { total: lineTotal / quantity, taxable: lineTotal / quantity, cgst: 0, sgst: 0, igst: 0 };
+};
+
+// Bill lines with how many units can still be returned
+export const getReturnableLines = (bill, returns = []) => {
+  const returned = getReturnedQuantities(returns);
+  return (bill?.bill_items || []).map(item => {
+    const key = getBillItemKey(item);
+    const sold = parseInt(item?.quantity, 10) || 0;
+    const alreadyReturned = returned[key] || 0;
+    return {
+      key,
+      item,
+      sold,
+      alreadyReturned,
+      returnable: Math.max(sold - alreadyReturned, 0),
+      unitRefund: getPaidUnitAmounts(bill, item)
+    };
+  });
+};
+
+// Refund lines and totals for the selected quantities ({ [key]: quantity })
+export const calculateReturn = (lines, selections) => {
+  const items = lines
+    .map(line => ({ line, quantity: Math.min(parseInt(selections[line.key], 10) || 0, line.returnable) }))
+    .filter(({ quantity }) => quantity > 0)
+    .map(({ line, quantity }) => {
+      const { item, unitRefund } = line;
+      const product = item?.product || item?.products || {};
+      return {
+        bill_item_id: item?.id || null,
+        product_id: item?.product_id || product.id,
+        name: product.name || 'Unknown Product',
+        sku: product.sku || '',
+        hsn_code: item?.hsn_code || '',
+        gst_rate: item?.gst_rate ?? null,
+        quantity,
+        unit_price: parseFloat(item?.unit_price) || 0,
+        taxable_value: roundToPaise(unitRefund.taxable * quantity),
+        cgst_amount: roundToPaise(unitRefund.cgst * quantity),
+        sgst_amount: roundToPaise(unitRefund.sgst * quantity),
+        igst_amount: roundToPaise(unitRefund.igst * quantity),
+        refund_amount: roundToPaise(unitRefund.total * quantity)
+      };
+    });
+
+  const sum = (key) => roundToPaise(items.reduce((total, item) => total + item[key], 0));
+
+  return {
+    items,
+    quantity: items.reduce((total, item) => total + item.quantity, 0),
+    taxableValue: sum('taxable_value'),
+    cgst: sum('cgst_amount'),
+    sgst: sum('sgst_amount'),
+    igst: sum('igst_amount'),
+    refundAmount: sum('refund_amount')
+  };
+};
+
+// Status of the original bill once this return goes through
+export const getReturnStatusAfter = (lines, selections) => {
+  const remaining = lines.reduce((sum, line) => sum + line.returnable - Math.min(parseInt(selections[line.key], 10) || 0, line.returnable), 0);
+  return remaining === 0 ? RETURN_STATUS.FULL : RETURN_STATUS.PARTIAL;
+};
+
+export const getReturnStatusLabel = (status) => {
+  if (status === RETURN_STATUS.FULL) return 'Returned';
+  if (status === RETURN_STATUS.PARTIAL) return 'Partially Returned';
+  return '';
+};
+
+// Credit notes are numbered by the server; older records fall back to the id
+export const getCreditNoteNumber = (creditNote) => creditNote?.credit_note_number
+  || `CN-${String(creditNote?.id || '').substring(0, 8).toUpperCase()}`;
@@ -0,0 +1,220 @@
+import { getBillPayments, getPaymentMethodLabel } from './paymentMethods';
+import { getBillTotals } from './billTotals';
+import { getBillProfit, getProfitByCategory, getProfitByProduct, groupReturnsByBill, summarizeProfit } from './profit';
+
+// Aggregations for the Reports page. Everything works on the bill list from GET /bills,
+// so the numbers always agree with what the Bills page shows for the same date range.
+
+export const REPORT_GRANULARITIES = [
+  { value: 'day', label: 'Daily' },
+  { value: 'week', label: 'Weekly' },
+  { value: 'month', label: 'Monthly' }
+];
+
+export const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const toTitleCase = (str) => {
+  if (!str) return '';
+  return str
+    .toLowerCase()
+    .split(' ')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+};
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// Local calendar date (YYYY-MM-DD), matching the date inputs
+export const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export const parseDateKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// Monday-based, 0 = Monday ... 6 = Sunday
+const weekdayIndex = (date) => (date.getDay() + 6) % 7;
+
+const startOfBucket = (date, granularity) => {
+  if (granularity === 'month') return new Date(date.getFullYear(), date.getMonth(), 1);
+  if (granularity === 'week') return new Date(date.getFullYear(), date.getMonth(), date.getDate() - weekdayIndex(date));
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+};
+
+const nextBucket = (date, granularity) => {
+  if (granularity === 'month') return new Date(date.getFullYear(), date.getMonth() + 1, 1);
+  if (granularity === 'week') return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 7);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+};
+
+const bucketLabel = (date, granularity) => {
+  if (granularity === 'month') return `${MONTH_LABELS[date.getMonth()]} ${date.getFullYear()}`;
+  return `${date.getDate()} ${MONTH_LABELS[date.getMonth()]}`;
+};
+
+const getBillDate = (bill) => {
+  const date = new Date(bill?.created_at);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const getItemProduct = (item) => item?.product || item?.products || {};
+
+// Share of the bill left after its discount, used to spread the discount over the lines
+const getNetFactor = (bill) => {
+  const { gross, discount } = getBillTotals(bill);
+  if (gross <= 0) return 1;
+  return Math.max(gross - discount, 0) / gross;
+};
+
+// Daily bars up to a month, weekly up to about four months, monthly beyond that
+export const suggestGranularity = (dateFrom, dateTo) => {
+  if (!dateFrom || !dateTo) return 'month';
+  const days = Math.round((parseDateKey(dateTo) - parseDateKey(dateFrom)) / 86400000) + 1;
+  if (days <= 31) return 'day';
+  if (days <= 120) return 'week';
+  return 'month';
+};
+
+export const summarizeSales = (bills) => {
+  const summary = bills.reduce((acc, bill) => {
+    const totals = getBillTotals(bill);
+    acc.revenue += totals.net;
+    acc.tax += totals.tax;
+    // Promotions and points redeemed as a discount are discounts given like any other
+    acc.discount += totals.promotionDiscount + totals.discount + totals.pointsDiscount;
+    acc.refunded += totals.refunded;
+    acc.itemsSold += (bill.bill_items || []).reduce((sum, item) => sum + (parseInt(item?.quantity, 10) || 0), 0);
+    return acc;
+  }, { revenue: 0, tax: 0, discount: 0, refunded: 0, itemsSold: 0 });
+
+  return {
+    ...summary,
+    billCount: bills.length,
+    netRevenue: summary.revenue - summary.refunded,
+    averageBill: bills.length > 0 ? summary.revenue / bills.length : 0,
+    averageItems: bills.length > 0 ? summary.itemsSold / bills.length : 0
+  };
+};
+
+// Revenue and gross profit per day, week or month. Every bucket in the range is returned, including empty ones,
+// so the chart shows quiet days as gaps instead of skipping them.
+export const getRevenueSeries = (bills, granularity, { dateFrom, dateTo, returns = [] } = {}) => {
+  const dates = bills.map(getBillDate).filter(Boolean);
+  if (dates.length === 0 && !(dateFrom && dateTo)) return [];
+
+  const first = dateFrom ? parseDateKey(dateFrom) : new Date(Math.min(...dates));
+  const last = dateTo ? parseDateKey(dateTo) : new Date(Math.max(...dates));
+
+  const buckets = new Map();
+  for (let cursor = startOfBucket(first, granularity); cursor <= last; cursor = nextBucket(cursor, granularity)) {
+    buckets.set(toDateKey(cursor), { key: toDateKey(cursor), label: bucketLabel(cursor, granularity), revenue: 0, profit: 0, bills: 0 });
+  }
+
+  // Credit notes by bill, so each bill's profit only looks at its own returns
+  const returnsByBill = groupReturnsByBill(returns);
+
+  bills.forEach(bill => {
+    const date = getBillDate(bill);
+    if (!date) return;
+    const bucket = buckets.get(toDateKey(startOfBucket(date, granularity)));
+    if (!bucket) return;
+    bucket.revenue += getBillTotals(bill).net;
+    bucket.profit += getBillProfit(bill, returnsByBill.get(String(bill.id ?? '')) || []).profit;
+    bucket.bills += 1;
+  });
+
+  return [...buckets.values()];
+};
+
+// Line totals after the bill discount, grouped by whatever keyOf returns for each line
+const groupLines = (bills, keyOf, labelOf) => {
+  const groups = new Map();
+  bills.forEach(bill => {
+    const netFactor = getNetFactor(bill);
+    (bill.bill_items || []).forEach(item => {
+      const product = getItemProduct(item);
+      const key = keyOf(item, product);
+      const group = groups.get(key) || { key, label: labelOf(item, product), quantity: 0, revenue: 0 };
+      group.quantity += parseInt(item?.quantity, 10) || 0;
+      group.revenue += toNumber(item?.total_price) * netFactor;
+      groups.set(key, group);
+    });
+  });
+  return [...groups.values()];
+};
+
+export const getTopProducts = (bills, { by = 'revenue', limit = 10 } = {}) => groupLines(
+  bills,
+  (item, product) => String(item?.product_id || product.id || product.sku || product.name || 'unknown'),
+  (item, product) => toTitleCase(product.name || 'Unknown Product')
+)
+  .sort((a, b) => b[by] - a[by])
+  .slice(0, limit);
+
+export const getSalesByProductField = (bills, field) => groupLines(
+  bills,
+  (item, product) => String(product[field] || '').trim().toLowerCase(),
+  (item, product) => toTitleCase(String(product[field] || '').trim()) || (field === 'brand' ? 'No Brand' : 'Uncategorised')
+).sort((a, b) => b.revenue - a.revenue);
+
+// Split bills count towards each tender they were paid with
+export const getPaymentMix = (bills) => {
+  const methods = new Map();
+  bills.forEach(bill => {
+    getBillPayments(bill).forEach(payment => {
+      const key = String(payment.method || 'cash').toLowerCase();
+      const entry = methods.get(key) || { key, label: getPaymentMethodLabel(key), amount: 0, count: 0 };
+      entry.amount += payment.amount;
+      entry.count += 1;
+      methods.set(key, entry);
+    });
+  });
+  return [...methods.values()].sort((a, b) => b.amount - a.amount);
+};
+
+export const getSalesByBiller = (bills) => {
+  const billers = new Map();
+  bills.forEach(bill => {
+    const key = String(bill.billed_by || '').trim().toLowerCase();
+    const entry = billers.get(key) || { key, label: toTitleCase(key) || 'Unknown', revenue: 0, bills: 0 };
+    entry.revenue += getBillTotals(bill).net;
+    entry.bills += 1;
+    billers.set(key, entry);
+  });
+  return [...billers.values()]
+    .map(entry => ({ ...entry, averageBill: entry.bills > 0 ? entry.revenue / entry.bills : 0 }))
+    .sort((a, b) => b.revenue - a.revenue);
+};
+
+// 7 x 24 grid of bill counts and revenue, rows are weekdays starting Monday
+export const getHourlyHeatmap = (bills) => {
+  const grid = WEEKDAY_LABELS.map(() => Array.from({ length: 24 }, () => ({ bills: 0, revenue: 0 })));
+  bills.forEach(bill => {
+    const date = getBillDate(bill);
+    if (!date) return;
+    const cell = grid[weekdayIndex(date)][date.getHours()];
+    cell.bills += 1;
+    cell.revenue += getBillTotals(bill).net;
+  });
+  return grid;
+};
+
+// returns are the credit notes against these bills, so profit leaves out returned units
+export const buildSalesReport = (bills, { granularity = 'day', dateFrom, dateTo, returns = [] } = {}) => ({
+  summary: summarizeSales(bills),
+  revenueSeries: getRevenueSeries(bills, granularity, { dateFrom, dateTo, returns }),
+  topByQuantity: getTopProducts(bills, { by: 'quantity' }),
+  topByRevenue: getTopProducts(bills, { by: 'revenue' }),
+  categories: getSalesByProductField(bills, 'category'),
+  brands: getSalesByProductField(bills, 'brand'),
+  paymentMix: getPaymentMix(bills),
+  billers: getSalesByBiller(bills),
+  heatmap: getHourlyHeatmap(bills),
+  profit: summarizeProfit(bills, returns),
+  profitByCategory: getProfitByCategory(bills, returns),
+  profitByProduct: getProfitByProduct(bills, returns)
+});
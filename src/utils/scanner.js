@@ -0,0 +1,60 @@
+// Scanners send the code as text, so trim it and compare case-insensitively
+export const normalizeScanCode = (code) => String(code ?? '').trim().toUpperCase();
+
+// UPC-A codes come back from some scanners as EAN-13 with a leading zero
+const isDigits = (code) => /^\d+$/.test(code);
+
+// Barcode takes priority over SKU so a printed EAN always wins
+export const findProductByCode = (products, code) => {
+  const scanned = normalizeScanCode(code);
+  if (!scanned) return null;
+
+  const matches = (value) => {
+    const candidate = normalizeScanCode(value);
+    if (!candidate) return false;
+    if (candidate === scanned) return true;
+    return isDigits(candidate) && isDigits(scanned)
+      && candidate.replace(/^0+/, '') === scanned.replace(/^0+/, '');
+  };
+
+  return (products || []).find(product => matches(product.barcode))
+    || (products || []).find(product => matches(product.sku))
+    || null;
+};
+
+// Looks like an EAN/UPC, so it is probably the maker's barcode rather than our SKU
+export const isRetailBarcode = (code) => /^(\d{8}|\d{12}|\d{13}|\d{14})$/.test(String(code ?? '').trim());
+
+export const isCameraScanSupported = () =>
+  typeof window !== 'undefined'
+  && 'BarcodeDetector' in window
+  && !!navigator.mediaDevices?.getUserMedia;
+
+let audioContext = null;
+
+// Short beep for a hit, lower and longer buzz for a miss
+export const playScanTone = (success = true) => {
+  try {
+    const AudioCtor = window.AudioContext || window.webkitAudioContext;
+    if (!AudioCtor) return;
+    if (!audioContext) audioContext = new AudioCtor();
+    if (audioContext.state === 'suspended') audioContext.resume();
+
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    const duration = success ? 0.09 : 0.3;
+    const start = audioContext.currentTime;
+
+    oscillator.type = success ? 'sine' : 'square';
+    oscillator.frequency.value = success ? 1400 : 220;
+    gain.gain.setValueAtTime(0.15, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + duration);
+
+    oscillator.connect(gain);
+    gain.connect(audioContext.destination);
+    oscillator.start(start);
+    oscillator.stop(start + duration);
+  } catch (error) {
+    console.warn('Scan tone unavailable:', error);
+  }
+};
@@ -0,0 +1,71 @@
+import { isValidGSTIN } from './gst';
+
+// Fallbacks used until the shop saves its own details from the Settings page
+export const DEFAULT_SHOP_SETTINGS = {
+  shop_name: 'Ramji Electronics',
+  address_line1: 'Near New Police station,old bus stand',
+  address_line2: 'Perambalur, Tamil Nadu - 621212',
+  phone: '+91 9786359161',
+  email: 'info@sparkelectronics.com',
+  website: 'www.sparkelectronics.com',
+  // No GSTIN until the shop enters its own, so the state falls back to DEFAULT_SHOP_STATE_CODE
+  gst_number: '',
+  logo_url: '',
+  prices_include_tax: true,
+  invoice_terms: [
+    'All sales are final unless defective',
+    'Warranty as per manufacturer terms',
+    'Return within 7 days with receipt',
+    'Goods once sold cannot be exchanged'
+  ].join('\n'),
+  footer_text: 'Visit us again for all your electronic needs',
+  return_window_days: 7,
+  // UPI ID for payment QR codes, none until the shop adds one
+  upi_id: '',
+  upi_payee_name: '',
+  // Set by the server while a manager PIN for checkout price overrides exists; the PIN itself
+  // is checked by the server and never sent here
+  price_override_enabled: false,
+  // Loyalty program, off until the shop turns it on
+  loyalty_enabled: false,
+  loyalty_earn_rate: 1,
+  loyalty_point_value: 1,
+  loyalty_min_redeem_points: 100,
+  loyalty_redeem_mode: 'tender'
+};
+
+// Empty values coming back from the API fall back to the defaults
+export const withShopDefaults = (settings) => {
+  const merged = { ...DEFAULT_SHOP_SETTINGS };
+  Object.entries(settings || {}).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && value !== '') {
+      merged[key] = value;
+    }
+  });
+  // Multipart saves send booleans back as strings
+  merged.prices_include_tax = merged.prices_include_tax === true || merged.prices_include_tax === 'true';
+  const returnWindow = parseInt(merged.return_window_days, 10);
+  merged.return_window_days = isNaN(returnWindow) || returnWindow < 0 ? DEFAULT_SHOP_SETTINGS.return_window_days : returnWindow;
+  merged.loyalty_enabled = merged.loyalty_enabled === true || merged.loyalty_enabled === 'true';
+  merged.price_override_enabled = merged.price_override_enabled === true || merged.price_override_enabled === 'true';
+  // Settings saved before the PIN moved to the server may still carry it
+  delete merged.price_override_pin;
+  ['loyalty_earn_rate', 'loyalty_point_value', 'loyalty_min_redeem_points'].forEach(key => {
+    const number = parseFloat(merged[key]);
+    merged[key] = isNaN(number) || number < 0 ? DEFAULT_SHOP_SETTINGS[key] : number;
+  });
+  merged.loyalty_redeem_mode = merged.loyalty_redeem_mode === 'discount' ? 'discount' : 'tender';
+  return merged;
+};
+
+// GSTIN for printing, empty unless it passes the checksum
+export const getShopGSTIN = (settings) => (isValidGSTIN(settings?.gst_number)
+  ? String(settings.gst_number).trim().toUpperCase()
+  : '');
+
+// Terms are stored as one term per line
+export const getInvoiceTerms = (settings) => {
+  const terms = settings?.invoice_terms ?? DEFAULT_SHOP_SETTINGS.invoice_terms;
+  const list = Array.isArray(terms) ? terms : String(terms).split('\n');
+  return list.map(term => term.trim()).filter(Boolean);
+};
@@ -0,0 +1,203 @@
+import { readSheet } from 'read-excel-file/browser';
+import writeXlsxFile from 'write-excel-file/browser';
+
+export const SPREADSHEET_ACCEPT = '.csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Excel in some locales saves "CSV" with semicolons, exports from other tools use tabs
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const best = [',', ';', '\t']
+    .map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length - 1 }))
+    .sort((a, b) => b.count - a.count)[0];
+  return best.count > 0 ? best.delimiter : ',';
+};
+
+// RFC 4180 style: quoted fields may hold delimiters, newlines and "" escapes
+export const parseCSV = (input) => {
+  const text = String(input ?? '').replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+const isBlankRow = (row) => row.every(cell => String(cell ?? '').trim() === '');
+
+// Reads the first sheet of a CSV or XLSX file into { headers, rows }, taking the first
+// non-empty row as the header row. Rows keep their sheet row number for error messages.
+export const readSpreadsheet = async (file) => {
+  const name = file.name.toLowerCase();
+  let data;
+
+  if (name.endsWith('.xlsx')) {
+    data = await readSheet(file);
+  } else if (name.endsWith('.csv') || file.type === 'text/csv') {
+    data = parseCSV(await file.text());
+  } else {
+    throw new Error('Please choose a .csv or .xlsx file');
+  }
+
+  const nonEmpty = data
+    .map((cells, index) => ({ rowNumber: index + 1, cells }))
+    .filter(row => !isBlankRow(row.cells));
+  if (nonEmpty.length === 0) {
+    throw new Error('The file has no rows');
+  }
+
+  const [headerRow, ...rows] = nonEmpty;
+  const headers = headerRow.cells.map((cell, index) => String(cell ?? '').trim() || `Column ${index + 1}`);
+  return {
+    headers,
+    rows: rows.map(row => ({
+      rowNumber: row.rowNumber,
+      cells: headers.map((_, index) => row.cells[index] ?? '')
+    }))
+  };
+};
+
+const escapeCSVField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCSV = (rows) => rows.map(row => row.map(escapeCSVField).join(',')).join('\r\n');
+
+export const downloadFile = (content, fileName, type) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// The BOM makes Excel open UTF-8 CSVs (rupee signs, Tamil names) correctly
+export const downloadCSV = (rows, fileName) => downloadFile(`\uFEFF${toCSV(rows)}`, fileName, 'text/csv;charset=utf-8');
+
+export const EXPORT_FORMATS = [
+  { value: 'xlsx', label: 'Excel (.xlsx)' },
+  { value: 'csv', label: 'CSV' },
+  { value: 'json', label: 'JSON' }
+];
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// Local date and time as shown in the app, e.g. 2025-03-31 18:05
+const formatLocalDateTime = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+};
+
+const csvValue = (column, value) => {
+  if (column.type === 'date') {
+    const date = toDate(value);
+    return date ? formatLocalDateTime(date) : '';
+  }
+  if (column.type === 'money') {
+    const number = toNumber(value);
+    return number === null ? '' : number.toFixed(2);
+  }
+  return value ?? '';
+};
+
+const jsonValue = (column, value) => {
+  if (column.type === 'date') return toDate(value)?.toISOString() ?? null;
+  if (column.type === 'money' || column.type === 'number') return toNumber(value);
+  return value ?? null;
+};
+
+// Excel stores wall-clock time, so shift the local time into a UTC date before writing
+const xlsxCell = (column, value) => {
+  if (column.type === 'date') {
+    const date = toDate(value);
+    if (!date) return null;
+    return {
+      value: new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes())),
+      type: Date,
+      format: 'dd/mm/yyyy hh:mm'
+    };
+  }
+  if (column.type === 'money' || column.type === 'number') {
+    const number = toNumber(value);
+    if (number === null) return null;
+    return { value: number, type: Number, format: column.type === 'money' ? '#,##0.00' : '0' };
+  }
+  if (value === null || value === undefined || value === '') return null;
+  // Text format stops Excel turning SKUs and phone numbers into numbers
+  return { value: String(value), type: String, format: '@' };
+};
+
+// Writes rows of objects described by columns ({ key, header, type: text|number|money|date, width })
+export const exportTable = async ({ columns, rows, format, fileName, sheetName = 'Sheet1' }) => {
+  if (format === 'json') {
+    const data = rows.map(row => Object.fromEntries(columns.map(column => [column.key, jsonValue(column, row[column.key])])));
+    downloadFile(JSON.stringify(data, null, 2), `${fileName}.json`, 'application/json');
+    return;
+  }
+
+  if (format === 'csv') {
+    downloadCSV([
+      columns.map(column => column.header),
+      ...rows.map(row => columns.map(column => csvValue(column, row[column.key])))
+    ], `${fileName}.csv`);
+    return;
+  }
+
+  const sheetData = [
+    columns.map(column => ({ value: column.header, fontWeight: 'bold' })),
+    ...rows.map(row => columns.map(column => xlsxCell(column, row[column.key])))
+  ];
+  const blob = await writeXlsxFile(sheetData, {
+    sheet: sheetName,
+    columns: columns.map(column => ({ width: column.width || 14 })),
+    stickyRowsCount: 1
+  }).toBlob();
+  downloadFile(blob, `${fileName}.xlsx`);
+};
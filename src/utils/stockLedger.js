@@ -0,0 +1,207 @@
+// Stock movements for a product and the running balance they produce.
+// The server records a movement for every stock change (GET /products/:id/stock-movements).
+// Older servers only have bills and credit notes, so sales and returns are rebuilt from those.
+
+export const MOVEMENT_TYPES = {
+  OPENING: 'opening',
+  PURCHASE: 'purchase',
+  SALE: 'sale',
+  RETURN: 'return',
+  ADJUSTMENT: 'adjustment'
+};
+
+export const MOVEMENT_TYPE_LABELS = {
+  [MOVEMENT_TYPES.OPENING]: 'Opening Stock',
+  [MOVEMENT_TYPES.PURCHASE]: 'Purchase',
+  [MOVEMENT_TYPES.SALE]: 'Sale',
+  [MOVEMENT_TYPES.RETURN]: 'Customer Return',
+  [MOVEMENT_TYPES.ADJUSTMENT]: 'Adjustment'
+};
+
+// Reason codes for manual adjustments. direction says which way the count can move.
+export const ADJUSTMENT_REASONS = [
+  { value: 'damaged', label: 'Damaged', direction: 'out' },
+  { value: 'lost', label: 'Lost / missing', direction: 'out' },
+  { value: 'theft', label: 'Theft', direction: 'out' },
+  { value: 'expired', label: 'Expired / obsolete', direction: 'out' },
+  { value: 'internal_use', label: 'Shop use / demo unit', direction: 'out' },
+  { value: 'supplier_return', label: 'Returned to supplier', direction: 'out' },
+  { value: 'found', label: 'Found during count', direction: 'in' },
+  { value: 'received', label: 'Received without PO', direction: 'in' },
+  { value: 'audit', label: 'Stock count correction', direction: 'either' },
+  { value: 'other', label: 'Other', direction: 'either' }
+];
+
+// Stock lost for these reasons counts as shrinkage
+export const SHRINKAGE_REASONS = ['damaged', 'lost', 'theft', 'expired'];
+
+// Stock changed by a spreadsheet import of existing products; never offered as a manual reason
+export const IMPORT_REASON = 'import';
+
+export const getAdjustmentReasonLabel = (value) => ADJUSTMENT_REASONS.find(reason => reason.value === value)?.label
+  || (value === IMPORT_REASON ? 'Spreadsheet import' : '')
+  || (value ? String(value).replace(/_/g, ' ') : '');
+
+const toInt = (value) => parseInt(value, 10) || 0;
+
+// Sales and returns may come back with their own type, or as an adjustment with that reason
+const resolveMovementType = (raw) => {
+  const type = String(raw?.type || raw?.movement_type || '').toLowerCase();
+  if (Object.values(MOVEMENT_TYPES).includes(type)) return type;
+  const reason = String(raw?.reason || '').toLowerCase();
+  if (Object.values(MOVEMENT_TYPES).includes(reason)) return reason;
+  return MOVEMENT_TYPES.ADJUSTMENT;
+};
+
+// One shape for every movement: quantity is the signed change
+export const normalizeMovement = (raw) => ({
+  id: raw?.id || null,
+  created_at: raw?.created_at || raw?.date || null,
+  type: resolveMovementType(raw),
+  quantity: toInt(raw?.quantity ?? raw?.quantity_change ?? raw?.change),
+  reason: raw?.reason || '',
+  notes: raw?.notes || '',
+  bill_id: raw?.bill_id || (raw?.reference_type === 'bill' ? raw?.reference_id : null),
+  reference_type: raw?.reference_type || '',
+  reference_id: raw?.reference_id || null,
+  user: raw?.adjusted_by || raw?.created_by || raw?.user || ''
+});
+
+const getItemProductId = (item) => String(item?.product_id || item?.product?.id || item?.products?.id || '');
+
+// Sales from bills and returns from credit notes, for servers without a movements endpoint
+export const buildMovementsFromHistory = (productId, { bills = [], returns = [] }) => {
+  const id = String(productId);
+  const movements = [];
+
+  bills.forEach(bill => {
+    const quantity = (bill.bill_items || [])
+      .filter(item => getItemProductId(item) === id)
+      .reduce((sum, item) => sum + toInt(item.quantity), 0);
+    if (quantity > 0) {
+      movements.push(normalizeMovement({
+        id: `bill-${bill.id}`,
+        created_at: bill.created_at,
+        type: MOVEMENT_TYPES.SALE,
+        quantity: -quantity,
+        bill_id: bill.id,
+        user: bill.billed_by
+      }));
+    }
+  });
+
+  returns.forEach(creditNote => {
+    const quantity = (creditNote.items || creditNote.return_items || [])
+      .filter(item => getItemProductId(item) === id)
+      .reduce((sum, item) => sum + toInt(item.quantity), 0);
+    if (quantity > 0) {
+      movements.push(normalizeMovement({
+        id: `return-${creditNote.id}`,
+        created_at: creditNote.created_at,
+        type: MOVEMENT_TYPES.RETURN,
+        quantity,
+        reason: creditNote.reason,
+        bill_id: creditNote.bill_id,
+        reference_type: 'credit_note',
+        reference_id: creditNote.id,
+        user: creditNote.processed_by
+      }));
+    }
+  });
+
+  return movements;
+};
+
+const timeOf = (movement) => {
+  const time = new Date(movement.created_at).getTime();
+  return isNaN(time) ? 0 : time;
+};
+
+// Oldest first with a running balance. When the history does not start with an opening
+// entry, one is worked back from the current stock so the balance ends on today's count.
+export const buildStockLedger = (movements, currentStock) => {
+  const sorted = [...movements].sort((a, b) => timeOf(a) - timeOf(b));
+  const current = toInt(currentStock);
+
+  if (!sorted.some(movement => movement.type === MOVEMENT_TYPES.OPENING)) {
+    const netChange = sorted.reduce((sum, movement) => sum + movement.quantity, 0);
+    sorted.unshift({
+      ...normalizeMovement({ type: MOVEMENT_TYPES.OPENING, quantity: current - netChange }),
+      id: 'opening',
+      created_at: sorted[0]?.created_at || null,
+      derived: true
+    });
+  }
+
+  let balance = 0;
+  const entries = sorted.map(movement => {
+    balance += movement.quantity;
+    return { ...movement, balance };
+  });
+
+  const totals = Object.values(MOVEMENT_TYPES).reduce((acc, type) => ({ ...acc, [type]: 0 }), {});
+  entries.forEach(entry => {
+    totals[entry.type] += entry.quantity;
+  });
+
+  const shrinkage = entries
+    .filter(entry => entry.type === MOVEMENT_TYPES.ADJUSTMENT && entry.quantity < 0 && SHRINKAGE_REASONS.includes(entry.reason))
+    .reduce((sum, entry) => sum - entry.quantity, 0);
+
+  return {
+    entries,
+    totals,
+    shrinkage,
+    closing: balance,
+    // A gap means stock changed somewhere the ledger never saw, e.g. an edit from the product form
+    unexplained: current - balance
+  };
+};
+
+// Signed change for the adjust dialog: add, remove, or set the counted quantity
+export const ADJUSTMENT_MODES = {
+  ADD: 'add',
+  REMOVE: 'remove',
+  COUNT: 'count'
+};
+
+export const getAdjustmentDelta = (mode, quantity, currentStock) => {
+  const amount = toInt(quantity);
+  if (mode === ADJUSTMENT_MODES.ADD) return amount;
+  if (mode === ADJUSTMENT_MODES.REMOVE) return -amount;
+  return amount - toInt(currentStock);
+};
+
+export const validateAdjustment = ({ mode, quantity, reason, notes, currentStock }) => {
+  const text = String(quantity ?? '').trim();
+  const amount = parseInt(text, 10);
+  if (text === '' || isNaN(amount) || amount < 0 || String(amount) !== text) {
+    return mode === ADJUSTMENT_MODES.COUNT ? 'Enter the counted quantity' : 'Enter a whole number of units';
+  }
+  if (mode !== ADJUSTMENT_MODES.COUNT && amount === 0) {
+    return 'Quantity must be more than zero';
+  }
+
+  const delta = getAdjustmentDelta(mode, amount, currentStock);
+  if (delta === 0) {
+    return 'The counted quantity matches the current stock';
+  }
+  if (toInt(currentStock) + delta < 0) {
+    return `Only ${toInt(currentStock)} in stock, cannot remove ${-delta}`;
+  }
+
+  const reasonOption = ADJUSTMENT_REASONS.find(option => option.value === reason);
+  if (!reasonOption) {
+    return 'Please select a reason';
+  }
+  if (reasonOption.direction === 'out' && delta > 0) {
+    return `"${reasonOption.label}" can only reduce stock`;
+  }
+  if (reasonOption.direction === 'in' && delta < 0) {
+    return `"${reasonOption.label}" can only add stock`;
+  }
+  if (reason === 'other' && !String(notes || '').trim()) {
+    return 'Please add a note explaining the adjustment';
+  }
+  return null;
+};
@@ -0,0 +1,106 @@
+// Stock status and reorder suggestions driven by each product's reorder level.
+// Products without their own level fall back to DEFAULT_REORDER_LEVEL, which matches the
+// old fixed "1-10 is low stock" rule.
+
+export const DEFAULT_REORDER_LEVEL = 10;
+
+// Days of recent sales used to work out how fast a product sells
+export const SALES_VELOCITY_DAYS = 30;
+
+// How many days of sales a suggested order should cover
+export const REORDER_COVER_DAYS = 30;
+
+export const STOCK_STATUSES = {
+  IN: 'in',
+  LOW: 'low',
+  OUT: 'out'
+};
+
+const STOCK_STATUS_DISPLAY = {
+  [STOCK_STATUSES.IN]: { class: 'bg-green-100 text-green-800', text: 'In Stock' },
+  [STOCK_STATUSES.LOW]: { class: 'bg-yellow-100 text-yellow-800', text: 'Low Stock' },
+  [STOCK_STATUSES.OUT]: { class: 'bg-red-100 text-red-800', text: 'Out of Stock' }
+};
+
+const toWholeNumber = (value) => {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const number = parseInt(value, 10);
+  return isNaN(number) || number < 0 ? null : number;
+};
+
+export const getStockQuantity = (product) => parseInt(product?.stock_quantity, 10) || 0;
+
+export const getReorderLevel = (product) => toWholeNumber(product?.reorder_level) ?? DEFAULT_REORDER_LEVEL;
+
+// Blank means "no standard order size", the suggestion is then based on sales alone
+export const getReorderQuantity = (product) => toWholeNumber(product?.reorder_quantity);
+
+export const getStockStatusKey = (product) => {
+  const stock = getStockQuantity(product);
+  if (stock <= 0) return STOCK_STATUSES.OUT;
+  if (stock <= getReorderLevel(product)) return STOCK_STATUSES.LOW;
+  return STOCK_STATUSES.IN;
+};
+
+export const getStockStatus = (product) => {
+  const key = getStockStatusKey(product);
+  return { key, ...STOCK_STATUS_DISPLAY[key] };
+};
+
+export const needsReorder = (product) => getStockStatusKey(product) !== STOCK_STATUSES.IN;
+
+export const countByStockStatus = (products) => products.reduce((counts, product) => {
+  counts[getStockStatusKey(product)] += 1;
+  return counts;
+}, { [STOCK_STATUSES.IN]: 0, [STOCK_STATUSES.LOW]: 0, [STOCK_STATUSES.OUT]: 0 });
+
+const getItemProductId = (item) => String(item?.product_id || item?.product?.id || item?.products?.id || '');
+
+// Units sold per day for each product id over the given number of days
+export const getSalesVelocity = (bills, days = SALES_VELOCITY_DAYS) => {
+  const sold = {};
+  bills.forEach(bill => {
+    (bill.bill_items || []).forEach(item => {
+      const id = getItemProductId(item);
+      if (!id) return;
+      sold[id] = (sold[id] || 0) + (parseInt(item?.quantity, 10) || 0);
+    });
+  });
+  return Object.fromEntries(Object.entries(sold).map(([id, quantity]) => [id, quantity / days]));
+};
+
+// Enough to cover the next REORDER_COVER_DAYS of sales and still sit above the reorder level.
+// A product's own reorder quantity is the minimum order, e.g. a full carton.
+export const getSuggestedOrderQuantity = (product, velocity = 0) => {
+  const stock = getStockQuantity(product);
+  const reorderLevel = getReorderLevel(product);
+  const needed = Math.ceil(velocity * REORDER_COVER_DAYS) + reorderLevel - stock + 1;
+  return Math.max(needed, getReorderQuantity(product) || 0, 1);
+};
+
+// Products at or below their reorder level, the ones that will run out soonest first
+export const getReorderList = (products, velocityById = {}) => products
+  .filter(needsReorder)
+  .map(product => {
+    const velocity = velocityById[String(product.id)] || 0;
+    const stock = getStockQuantity(product);
+    return {
+      product,
+      stock,
+      reorderLevel: getReorderLevel(product),
+      velocity,
+      daysLeft: velocity > 0 ? Math.floor(stock / velocity) : null,
+      suggestedQuantity: getSuggestedOrderQuantity(product, velocity)
+    };
+  })
+  .sort((a, b) => {
+    if ((a.stock <= 0) !== (b.stock <= 0)) return a.stock <= 0 ? -1 : 1;
+    return (a.daysLeft ?? Infinity) - (b.daysLeft ?? Infinity) || b.velocity - a.velocity;
+  });
+
+// "12/day", "3/week" or "No recent sales" for the reorder panel
+export const formatSalesVelocity = (velocity) => {
+  if (!velocity) return 'No recent sales';
+  if (velocity >= 1) return `${+velocity.toFixed(1)}/day`;
+  return `${+(velocity * 7).toFixed(1)}/week`;
+};
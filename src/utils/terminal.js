@@ -0,0 +1,111 @@
+// Every browser tab at the counter is its own terminal with its own cart, stored under
+// cart-storage-<terminal>. Terminals are numbered 1, 2, 3... and a new tab takes the lowest
+// number no open tab is using, so reopening the browser picks up terminal 1's cart again.
+// Open tabs keep their claim alive with a heartbeat in localStorage; a tab that closes
+// releases it, one that crashes loses it once the heartbeat goes stale.
+//
+// Opening the app with ?terminal=2 joins terminal 2 instead of claiming one, for a tab that
+// should share another tab's cart on purpose (e.g. the customer-facing display).
+
+const CLAIMS_KEY = 'pos-terminal-claims';
+const SESSION_KEY = 'pos-terminal';
+const JOINED_SESSION_KEY = 'pos-terminal-joined';
+const LEGACY_CART_KEY = 'cart-storage';
+const HEARTBEAT_MS = 5000;
+const STALE_MS = 15000;
+
+// Tells this page load apart from other tabs, including a duplicate of this one
+export const INSTANCE_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const readClaims = () => {
+  try {
+    return JSON.parse(localStorage.getItem(CLAIMS_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const writeClaims = (claims) => {
+  try {
+    localStorage.setItem(CLAIMS_KEY, JSON.stringify(claims));
+  } catch (error) {
+    console.warn('Could not save terminal claims:', error);
+  }
+};
+
+const isClaimedElsewhere = (claims, id, now = Date.now()) => {
+  const claim = claims[id];
+  return Boolean(claim && claim.instance !== INSTANCE_ID && now - claim.seen < STALE_MS);
+};
+
+const resolveTerminal = () => {
+  if (typeof window === 'undefined') return { id: '1', shared: false };
+
+  // Remembered for the session so a joined tab stays joined after navigating and reloading
+  const joined = new URLSearchParams(window.location.search).get('terminal') || sessionStorage.getItem(JOINED_SESSION_KEY);
+  if (joined) {
+    sessionStorage.setItem(JOINED_SESSION_KEY, joined);
+    return { id: joined, shared: true };
+  }
+
+  // A reloaded tab keeps its number unless a live tab took it meanwhile
+  const claims = readClaims();
+  const previous = sessionStorage.getItem(SESSION_KEY);
+  if (previous && !isClaimedElsewhere(claims, previous)) return { id: previous, shared: false };
+
+  let number = 1;
+  while (isClaimedElsewhere(claims, String(number))) number += 1;
+  return { id: String(number), shared: false };
+};
+
+export const TERMINAL = resolveTerminal();
+
+// Claims the terminal straight away, so a second tab opened right after this one picks another
+const claimTerminal = () => {
+  if (TERMINAL.shared || typeof window === 'undefined') return;
+  writeClaims({ ...readClaims(), [TERMINAL.id]: { instance: INSTANCE_ID, seen: Date.now() } });
+  sessionStorage.setItem(SESSION_KEY, TERMINAL.id);
+};
+
+claimTerminal();
+
+// Keeps the claim fresh while the tab is open and releases it when the tab goes away.
+// Returns a cleanup function.
+export const startTerminalHeartbeat = () => {
+  if (TERMINAL.shared) return () => {};
+
+  const release = () => {
+    const claims = readClaims();
+    if (claims[TERMINAL.id]?.instance === INSTANCE_ID) {
+      delete claims[TERMINAL.id];
+      writeClaims(claims);
+    }
+  };
+
+  claimTerminal();
+  const timer = setInterval(claimTerminal, HEARTBEAT_MS);
+  window.addEventListener('pagehide', release);
+  return () => {
+    clearInterval(timer);
+    window.removeEventListener('pagehide', release);
+  };
+};
+
+// Storage key for this terminal's cart. The cart saved before terminals existed goes to
+// whichever terminal loads first, so an update never loses a cart in progress.
+export const getCartStorageName = () => {
+  const name = `${LEGACY_CART_KEY}-${TERMINAL.id}`;
+  try {
+    const legacy = localStorage.getItem(LEGACY_CART_KEY);
+    if (legacy && !localStorage.getItem(name)) {
+      localStorage.setItem(name, legacy);
+      localStorage.removeItem(LEGACY_CART_KEY);
+    }
+  } catch (error) {
+    console.warn('Could not move the saved cart to this terminal:', error);
+  }
+  return name;
+};
+
+// Link that opens another tab on this terminal's cart
+export const getTerminalJoinUrl = (path = '/') => `${window.location.origin}${path}?terminal=${encodeURIComponent(TERMINAL.id)}`;
@@ -0,0 +1,80 @@
+import QRCode from 'qrcode';
+import { getBillAmountOwed } from './paymentMethods';
+import { roundToPaise } from './gst';
+
+// UPI collect-by-QR: any UPI app scanning a upi://pay link pays the shop's UPI ID (VPA)
+// the amount in the link. Nothing goes through a server, the cashier still confirms the
+// payment and notes the UTR as the tender reference.
+
+// name@bank, e.g. ramjielectronics@okaxis
+const UPI_ID_PATTERN = /^[a-zA-Z0-9._-]{2,256}@[a-zA-Z][a-zA-Z0-9.-]{1,63}$/;
+
+export const isValidUpiId = (value) => UPI_ID_PATTERN.test(String(value || '').trim());
+
+// UPI details from the shop settings (with defaults applied), or null when no UPI ID is set
+export const getUpiConfig = (settings) => {
+  const upiId = String(settings?.upi_id || '').trim();
+  if (!isValidUpiId(upiId)) return null;
+  return {
+    upiId,
+    payeeName: String(settings?.upi_payee_name || settings?.shop_name || '').trim()
+  };
+};
+
+// Apps reject some characters in the name and note, and cap their length
+const cleanText = (value, maxLength) => String(value || '')
+  .replace(/[^a-zA-Z0-9 .,&()-]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .slice(0, maxLength);
+
+export const buildUpiUri = ({ upiId, payeeName, amount, note, reference }) => {
+  const params = [
+    ['pa', upiId],
+    ['pn', cleanText(payeeName, 50)],
+    ['am', roundToPaise(parseFloat(amount) || 0).toFixed(2)],
+    ['cu', 'INR'],
+    ['tn', cleanText(note, 50)],
+    ['tr', cleanText(reference, 35).replace(/\s/g, '')]
+  ].filter(([, value]) => value);
+  return `upi://pay?${params.map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&')}`;
+};
+
+// Sent as the transaction reference so the payment shows up against this bill in the
+// bank statement; made at checkout, before the bill has an ID
+export const createUpiReference = (prefix = 'POS') => `${prefix}${Date.now().toString(36).toUpperCase()}`;
+
+// Invoices from before checkout QRs fall back to the invoice number
+export const getBillUpiReference = (bill) => bill?.upi_reference
+  || `INV${String(bill?.id || '').substring(0, 8).toUpperCase()}`;
+
+// Apps that hide the reference still show the note, so it carries the reference too
+export const buildBillUpiUri = (upiConfig, { amount, reference }) => buildUpiUri({
+  ...upiConfig,
+  amount,
+  reference,
+  note: `Bill ${reference}`
+});
+
+// QR for a printed invoice: the amount left to pay later once refunds and every other payment
+// (loyalty points included) are taken off, or null when no UPI ID is set or nothing is owed
+export const getBillUpiPayment = (bill, upiConfig) => {
+  if (!upiConfig) return null;
+  const amount = getBillAmountOwed(bill);
+  if (amount <= 0) return null;
+  const reference = getBillUpiReference(bill);
+  return {
+    amount,
+    reference,
+    upiId: upiConfig.upiId,
+    payeeName: upiConfig.payeeName,
+    uri: buildBillUpiUri(upiConfig, { amount, reference })
+  };
+};
+
+// PNG data URL of the QR for a UPI link, for <img> tags and jsPDF alike
+export const getUpiQrDataUrl = (uri, { size = 320 } = {}) => QRCode.toDataURL(uri, {
+  width: size,
+  margin: 1,
+  errorCorrectionLevel: 'M'
+});
@@ -0,0 +1,18 @@
+// Indian mobile numbers: 10 digits starting with 6-9, optionally prefixed with +91 or 0
+export const isValidMobile = (phone) => {
+  const digits = (phone || '').replace(/\D/g, '').replace(/^(91|0)(?=\d{10}$)/, '');
+  return /^[6-9]\d{9}$/.test(digits);
+};
+
+// Shop phone may also be a landline with STD code, e.g. 04328 224466
+export const isValidShopPhone = (phone) => {
+  const value = (phone || '').trim();
+  if (!/^[+\d\s()-]+$/.test(value)) return false;
+  if (isValidMobile(value)) return true;
+  const digits = value.replace(/\D/g, '').replace(/^91(?=\d{10}$)/, '');
+  return /^0\d{9,10}$/.test(digits);
+};
+
+export const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test((email || '').trim());
+
+export const isValidWebsite = (website) => /^(https?:\/\/)?([\w-]+\.)+[a-z]{2,}(\/\S*)?$/i.test((website || '').trim());